@@ -0,0 +1,149 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { GetEgressPolicy, RecordEgressUsage } from '../src/db';
+import { evaluateEgress, OutboundParams, usageHour } from '../src/egress';
+import { EgressPolicy } from '../src/types';
+
+/*
+ * Outbound worker: every fetch() made by a tenant worker passes through here when the platform
+ * runs with ENABLE_OUTBOUND_WORKER. The dispatcher supplies the OutboundParams on `env`.
+ */
+type OutboundEnv = Partial<OutboundParams> & {
+  DB: object;
+};
+
+// Policies change rarely, so each isolate keeps them briefly instead of reading D1 on every fetch
+const POLICY_CACHE_TTL_MS = 30 * 1000;
+const policyCache = new Map<string, { policy: EgressPolicy | null; expires: number }>();
+
+// Same limit as fetch() itself
+const MAX_REDIRECTS = 20;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+async function loadPolicy(db: D1QB, projectId: string): Promise<EgressPolicy | null> {
+  const cached = policyCache.get(projectId);
+  if (cached && cached.expires > Date.now()) {
+    return cached.policy;
+  }
+  const policy = await GetEgressPolicy(db, projectId);
+  policyCache.set(projectId, { policy, expires: Date.now() + POLICY_CACHE_TTL_MS });
+  return policy;
+}
+
+async function recordUsage(db: D1QB, projectId: string, usage: { blocked: boolean; bytesOut: number; bytesIn: number }) {
+  try {
+    await RecordEgressUsage(db, {
+      project_id: projectId,
+      hour: usageHour(),
+      requests: 1,
+      blocked: usage.blocked ? 1 : 0,
+      bytes_out: usage.bytesOut,
+      bytes_in: usage.bytesIn,
+    });
+  } catch (error) {
+    // Losing a counter update must never fail the tenant's request
+    console.error('Failed to record egress usage:', error);
+  }
+}
+
+function blockedResponse(url: URL, reason?: string): Response {
+  return new Response(`Request to ${url.hostname} was blocked by the platform: ${reason}`, {
+    status: 403,
+    headers: { 'X-Platform-Egress': 'blocked' },
+  });
+}
+
+function spanId(): string {
+  return crypto.randomUUID().replace(/-/g, '').substring(0, 16);
+}
+
+export default {
+  async fetch(request: Request, env: OutboundEnv, ctx: ExecutionContext): Promise<Response> {
+    if (!env.project_id) {
+      return new Response('Outbound request without a project', { status: 403 });
+    }
+
+    const db = new D1QB(env.DB);
+    const projectId = env.project_id;
+    const url = new URL(request.url);
+    // Bodies sent without a Content-Length (streams) are not counted
+    const bytesOut = parseInt(request.headers.get('Content-Length') || '0', 10) || 0;
+
+    const policy = await loadPolicy(db, projectId);
+    const decision = evaluateEgress(policy, url);
+    if (!decision.allowed) {
+      console.log(`Blocked egress from ${env.subdomain} to ${url.hostname}: ${decision.reason}`);
+      ctx.waitUntil(recordUsage(db, projectId, { blocked: true, bytesOut: 0, bytesIn: 0 }));
+      return blockedResponse(url, decision.reason);
+    }
+
+    const headers = new Headers(request.headers);
+    headers.set('X-Platform-Project', env.subdomain || projectId);
+    if (env.trace_id && !headers.has('traceparent')) {
+      headers.set('traceparent', `00-${env.trace_id}-${spanId()}-01`);
+    }
+
+    /*
+     * Redirects are followed here rather than by fetch(), so every Location is checked against the
+     * policy too. A streamed body can't be sent twice: 307/308 redirects of requests with a body are
+     * returned to the tenant as they are, like redirects of requests made with redirect: 'manual'.
+     */
+    let response = await fetch(new Request(request, { headers, redirect: 'manual' }));
+    let target = url;
+    let method = request.method;
+    for (let hops = 0; request.redirect !== 'manual' && REDIRECT_STATUSES.includes(response.status); hops++) {
+      const location = response.headers.get('Location');
+      const keepsMethod = response.status === 307 || response.status === 308;
+      if (!location || (keepsMethod && request.body)) break;
+      if (hops === MAX_REDIRECTS) {
+        ctx.waitUntil(recordUsage(db, projectId, { blocked: false, bytesOut, bytesIn: 0 }));
+        return new Response(`Request to ${url.hostname} was redirected more than ${MAX_REDIRECTS} times`, { status: 502 });
+      }
+
+      const next = new URL(location, target);
+      const hop = evaluateEgress(policy, next);
+      if (!hop.allowed) {
+        console.log(`Blocked egress from ${env.subdomain} to ${next.hostname} (redirected from ${url.hostname}): ${hop.reason}`);
+        ctx.waitUntil(recordUsage(db, projectId, { blocked: true, bytesOut, bytesIn: 0 }));
+        return blockedResponse(next, hop.reason);
+      }
+
+      // As fetch() does: 303, and 301/302 after a POST, continue as a GET without the body
+      if (!keepsMethod && (response.status === 303 || method === 'POST') && method !== 'HEAD') {
+        method = 'GET';
+        headers.delete('Content-Type');
+        headers.delete('Content-Length');
+      }
+      if (next.origin !== target.origin) {
+        headers.delete('Authorization');
+      }
+      await response.body?.cancel();
+      target = next;
+      response = await fetch(next.toString(), { method, headers, redirect: 'manual' });
+    }
+
+    if (!response.body) {
+      ctx.waitUntil(recordUsage(db, projectId, { blocked: false, bytesOut, bytesIn: 0 }));
+      return response;
+    }
+
+    // Count the response body as it streams back to the tenant worker
+    let bytesIn = 0;
+    const counter = new TransformStream<Uint8Array, Uint8Array>({
+      transform(chunk, controller) {
+        bytesIn += chunk.byteLength;
+        controller.enqueue(chunk);
+      },
+    });
+    ctx.waitUntil(
+      response.body
+        .pipeTo(counter.writable)
+        .catch(() => {})
+        .then(() => recordUsage(db, projectId, { blocked: false, bytesOut, bytesIn }))
+    );
+    return new Response(counter.readable, response);
+  },
+};
@@ -0,0 +1,863 @@
+#!/usr/bin/env node
+
+/**
+ * Workers for Platforms Template - Command-line client
+ *
+ * Deploys and manages sites through the platform's /api/v1 JSON API.
+ *
+ *   platform login --url https://platform.com --token wfp_...
+ *   platform deploy ./dist --site my-site [--name "My Site"] [--domain shop.example.com] [--validation txt]
+ *   platform deploy ./worker.js --site my-api
+ *   platform deploy ./src --site my-api --main index.js --compat-date 2025-01-24 --compat-flags nodejs_compat
+ *   platform deploy ./site.zip --site my-site
+ *   platform deploy ./dist --site my-app --worker ./worker.js
+ *   platform deploy ./dist --site my-app --worker ./api --main index.js
+ *   platform deploy ./dist --site my-site --preview
+ *   platform deploy ./dist --site my-site --yes --full
+ *   platform deploy ./dist --site my-app --not-found single-page-application
+ *   platform previews list my-site
+ *   platform promote my-site <preview id>
+ *   platform sites list
+ *   platform sites info my-site
+ *   platform sites delete my-site --yes
+ *   platform deployments my-site
+ *   platform rollback my-site [version]
+ *
+ * The platform URL and API token are read from --url/--token, then PLATFORM_URL/PLATFORM_TOKEN,
+ * then the config file written by `platform login`. Create tokens at <platform>/account/tokens.
+ *
+ * Folder deploys to an existing static site compare the files with the live version, show what
+ * changed and only upload new content. --full uploads every file, --yes skips the confirmation.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const FileRules = require('../src/file-rules.json');
+
+const CONFIG_PATH = path.join(os.homedir(), '.config', 'workers-platform', 'config.json');
+
+/**
+ * @typedef {{ url: string, token: string }} Config
+ * @typedef {Record<string, string | true>} Flags Command-line options; a flag without a value is true
+ * @typedef {{ path: string, content: Buffer, size: number }} LocalFile
+ * @typedef {{ name: string, type: string, content: string }} WorkerModule
+ * @typedef {Record<string, { hash: string, size: number }>} Manifest Path (with a leading slash) -> hash and size
+ * @typedef {{ added: string[], changed: string[], removed: string[], unchanged: number }} ManifestDiff
+ * @typedef {{ assets?: LocalFile[], archive?: LocalFile, modules?: WorkerModule[], script_content?: string, manifest?: Manifest }} DeployContent
+ * @typedef {{ type: 'script' | 'assets' | 'hybrid', module_count?: number | null, file_count?: number | null }} ContentSummary
+ * @typedef {ContentSummary & { version: number, status: string, created_on: string, deployed_by: string, error?: string | null, rollback_of?: number | null, promoted_from?: string | null }} Deployment
+ * @typedef {Error & { status?: number, code?: string, details?: any }} ApiError
+ */
+
+// Colors
+const green = '\x1b[32m';
+const yellow = '\x1b[33m';
+const blue = '\x1b[34m';
+const cyan = '\x1b[36m';
+const red = '\x1b[31m';
+const dim = '\x1b[2m';
+const reset = '\x1b[0m';
+
+/**
+ * @param {string} color
+ * @param {string} msg
+ */
+function log(color, msg) {
+  console.log(`${color}${msg}${reset}`);
+}
+
+/**
+ * @param {string} msg
+ * @returns {never}
+ */
+function fail(msg) {
+  log(red, `✗ ${msg}`);
+  process.exit(1);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {string[]} */
+  const positional = [];
+  /** @type {Flags} */
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const [key, inlineValue] = arg.slice(2).split('=', 2);
+      if (inlineValue !== undefined) {
+        flags[key] = inlineValue;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        flags[key] = argv[++i];
+      } else {
+        flags[key] = true;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+function readConfigFile() {
+  if (fs.existsSync(CONFIG_PATH)) {
+    try {
+      return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+    } catch {
+      log(yellow, `⚠ Ignoring unreadable config file ${CONFIG_PATH}`);
+    }
+  }
+  return {};
+}
+
+/**
+ * @param {Flags} flags
+ * @returns {Config}
+ */
+function getConfig(flags) {
+  const file = readConfigFile();
+  const url = flags.url || process.env.PLATFORM_URL || file.url;
+  const token = flags.token || process.env.PLATFORM_TOKEN || file.token;
+  if (!url || !token) {
+    fail('Not logged in. Run `platform login --url <platform url> --token <api token>` or set PLATFORM_URL and PLATFORM_TOKEN.');
+  }
+  return { url: String(url).replace(/\/+$/, ''), token: String(token) };
+}
+
+/*
+ * API client - errors come back as { error: { code, message } }. A FormData body is sent as
+ * multipart/form-data (fetch sets the boundary), anything else as JSON.
+ */
+/**
+ * @param {Config} config
+ * @param {string} method
+ * @param {string} apiPath
+ * @param {object | FormData} [body]
+ * @returns {Promise<any>} The JSON response
+ */
+async function api(config, method, apiPath, body) {
+  const multipart = body instanceof FormData;
+  let response;
+  try {
+    response = await fetch(`${config.url}/api/v1${apiPath}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${config.token}`,
+        ...(body && !multipart ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? (multipart ? body : JSON.stringify(body)) : undefined,
+    });
+  } catch (error) {
+    throw Object.assign(new Error(`Could not reach ${config.url}: ${error instanceof Error ? error.message : error}`), { code: 'network_error' });
+  }
+
+  const data = /** @type {any} */ (await response.json().catch(() => null));
+  if (!response.ok) {
+    const message = (data && data.error && data.error.message) || `Request failed with status ${response.status}`;
+    throw Object.assign(new Error(message), {
+      status: response.status,
+      code: data && data.error && data.error.code,
+      details: data && data.error && data.error.details,
+    });
+  }
+  return data;
+}
+
+/*
+ * Same rules as the browser upload (isAllowedFile / isBinaryFile in src/render.ts)
+ */
+/**
+ * @param {string} filename
+ */
+function isAllowedFile(filename) {
+  if (FileRules.ruleFiles.includes(filename)) return true;
+  const ext = (filename.split('.').pop() || '').toLowerCase();
+  return FileRules.allowedExtensions.includes(ext);
+}
+
+/**
+ * @param {string} filename
+ */
+function isArchiveFile(filename) {
+  const name = filename.toLowerCase();
+  return FileRules.archiveExtensions.some((ext) => name.endsWith(`.${ext}`));
+}
+
+/**
+ * @param {string} root
+ */
+function collectAssets(root) {
+  /** @type {LocalFile[]} */
+  const assets = [];
+  /** @type {string[]} */
+  const skipped = [];
+
+  /**
+   * @param {string} dir
+   * @param {string} prefix
+   */
+  function walk(dir, prefix) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      // Hidden files and folders (.git, .DS_Store, ...) are never part of a site
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath, relative);
+      } else if (entry.isFile()) {
+        if (!isAllowedFile(relative)) {
+          skipped.push(relative);
+          continue;
+        }
+        const content = fs.readFileSync(fullPath);
+        assets.push({ path: relative, content, size: content.length });
+      }
+    }
+  }
+
+  walk(root, '');
+  return { assets, skipped };
+}
+
+/*
+ * A folder deployed as a Worker of several modules (see src/worker-modules.ts): every file with a module
+ * extension, named by its path in the folder. `main` is the entry point, sent first.
+ */
+/**
+ * @param {string} root
+ * @param {string} main
+ * @returns {WorkerModule[]}
+ */
+function collectModules(root, main) {
+  /** @type {(WorkerModule & { size: number })[]} */
+  const modules = [];
+  /** @type {string[]} */
+  const skipped = [];
+  /** @type {Record<string, string>} */
+  const moduleTypes = FileRules.workerModuleTypes;
+
+  /**
+   * @param {string} dir
+   * @param {string} prefix
+   */
+  function walk(dir, prefix) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath, relative);
+      } else if (entry.isFile()) {
+        const type = moduleTypes[(entry.name.split('.').pop() || '').toLowerCase()];
+        if (!type) {
+          skipped.push(relative);
+          continue;
+        }
+        const content = fs.readFileSync(fullPath);
+        modules.push({ name: relative, type, content: type === 'wasm' ? content.toString('base64') : content.toString('utf-8'), size: content.length });
+      }
+    }
+  }
+
+  walk(root, '');
+  const mainName = path.relative(root, path.resolve(root, main)).split(path.sep).join('/');
+  const mainModule = modules.find((m) => m.name === mainName);
+  if (!mainModule) {
+    fail(`--main ${main} is not a module in ${root}. Module extensions: ${Object.keys(FileRules.workerModuleTypes).join(', ')}`);
+  }
+  if (mainModule.type !== 'esm') {
+    fail(`--main ${main} must be an ES module (.js or .mjs)`);
+  }
+  if (modules.length > FileRules.maxWorkerModules) {
+    fail(`${root} has ${modules.length} modules; the limit is ${FileRules.maxWorkerModules}`);
+  }
+  const totalSize = modules.reduce((sum, m) => sum + m.size, 0);
+  if (totalSize > FileRules.maxWorkerSize) {
+    fail(`The modules in ${root} are ${formatFileSize(totalSize)}; the limit is ${formatFileSize(FileRules.maxWorkerSize)}`);
+  }
+  log(blue, `📜 Worker with ${modules.length} modules (${formatFileSize(totalSize)}) from ${root}, main module ${mainName}`);
+  if (skipped.length > 0) {
+    log(yellow, `⚠ Skipping ${skipped.length} file${skipped.length === 1 ? '' : 's'} that aren't modules: ${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? ', ...' : ''}`);
+  }
+  return [mainModule, ...modules.filter((m) => m !== mainModule)].map(({ name, type, content }) => ({ name, type, content }));
+}
+
+// Same hash as the platform (HashAssets in src/resource.ts): the first 16 bytes of the SHA-256, in hex
+/**
+ * @param {Buffer} content
+ */
+function hashAsset(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 32);
+}
+
+/*
+ * Compare a folder with the live version of a site: the manifest of every file, the files whose
+ * content the platform doesn't have yet (renamed files are matched by content) and what changed.
+ */
+/**
+ * @param {LocalFile[]} assets
+ * @param {Manifest} live
+ */
+function planIncrementalDeploy(assets, live) {
+  const liveHashes = new Set(Object.values(live).map((entry) => entry.hash));
+  /** @type {Manifest} */
+  const manifest = {};
+  /** @type {LocalFile[]} */
+  const upload = [];
+  /** @type {ManifestDiff} */
+  const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+  for (const asset of assets) {
+    const key = `/${asset.path}`;
+    const hash = hashAsset(asset.content);
+    manifest[key] = { hash, size: asset.size };
+    if (!live[key]) diff.added.push(asset.path);
+    else if (live[key].hash !== hash) diff.changed.push(asset.path);
+    else diff.unchanged++;
+    if (!liveHashes.has(hash)) upload.push(asset);
+  }
+  diff.removed = Object.keys(live).filter((key) => !manifest[key]).map((key) => key.substring(1));
+  return { manifest, assets: upload, diff };
+}
+
+/**
+ * @param {{ diff: ManifestDiff, assets: LocalFile[] }} plan
+ */
+function printDiff({ diff, assets }) {
+  /** @type {[string, string, string[]][]} */
+  const groups = [[green, '+', diff.added], [yellow, '~', diff.changed], [red, '-', diff.removed]];
+  for (const [color, mark, paths] of groups) {
+    for (const p of paths.slice(0, 20)) log(color, `   ${mark} ${p}`);
+    if (paths.length > 20) log(dim, `   ${mark} ... and ${paths.length - 20} more`);
+  }
+  const uploadSize = assets.reduce((sum, a) => sum + a.size, 0);
+  log(blue, `   ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged} unchanged; uploading ${assets.length} file${assets.length === 1 ? '' : 's'} (${formatFileSize(uploadSize)})`);
+}
+
+/**
+ * @param {string} question
+ * @returns {Promise<boolean>}
+ */
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => rl.question(question, (answer) => {
+    rl.close();
+    resolve(/^y(es)?$/i.test(answer.trim()));
+  }));
+}
+
+/*
+ * Deploy body: files are sent as multipart parts (see src/uploads.ts), a script as JSON
+ */
+/**
+ * @param {Record<string, string | null>} fields
+ * @param {DeployContent} content
+ * @returns {object | FormData}
+ */
+function deployBody(fields, content) {
+  const script = content.modules
+    ? { modules: content.modules, main_module: content.modules[0].name }
+    : content.script_content ? { script_content: content.script_content } : {};
+  if (!content.assets && !content.archive) {
+    return { ...fields, ...script };
+  }
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    form.append(key, value === null ? '' : String(value));
+  }
+  if (content.manifest) {
+    form.append('manifest', JSON.stringify(content.manifest));
+  }
+  for (const [key, value] of Object.entries(script)) {
+    form.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+  }
+  if (content.archive) {
+    form.append('archive', new Blob([content.archive.content]), content.archive.path);
+  } else {
+    for (const asset of content.assets || []) {
+      form.append('files', new Blob([asset.content]), asset.path);
+    }
+  }
+  return form;
+}
+
+/**
+ * @param {string[] | undefined} skipped
+ * @param {string} where
+ */
+function logSkipped(skipped, where) {
+  if (skipped && skipped.length > 0) {
+    log(yellow, `⚠ ${where} skipped ${skipped.length} unsupported file${skipped.length === 1 ? '' : 's'}: ${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? ', ...' : ''}`);
+  }
+}
+
+/**
+ * What a deployment or preview contains
+ * @param {ContentSummary} deployment
+ */
+function describeContent(deployment) {
+  const script = deployment.module_count ? `script (${deployment.module_count} modules)` : 'script';
+  if (deployment.type === 'hybrid') return `${script} + ${deployment.file_count} files`;
+  return deployment.type === 'assets' ? `${deployment.file_count} files` : script;
+}
+
+/**
+ * @param {number} bytes
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+}
+
+/**
+ * @param {string | null | undefined} iso
+ */
+function formatDate(iso) {
+  return iso ? iso.replace('T', ' ').substring(0, 19) : '-';
+}
+
+/**
+ * @param {Config} config
+ * @param {string} site
+ */
+async function printDomainStatus(config, site) {
+  const domain = await api(config, 'GET', `/projects/${site}/domain`);
+  if (!domain.has_custom_domain) return;
+
+  if (domain.is_active) {
+    log(green, `   Custom domain: https://${domain.custom_domain} (active)`);
+    return;
+  }
+  log(yellow, `   Custom domain: ${domain.custom_domain} (${domain.status}${domain.ssl_status ? `, SSL ${domain.ssl_status}` : ''})`);
+  for (const error of domain.verification_errors || []) {
+    log(dim, `     ${error}`);
+  }
+  if ((domain.dns_records || []).length > 0) {
+    log(dim, '   Add these DNS records:');
+    for (const record of domain.dns_records) {
+      console.log(`     ${record.type.padEnd(6)} ${record.name}  ${record.value}`);
+    }
+  }
+}
+
+/*
+ * Commands
+ */
+/**
+ * @param {Flags} flags
+ */
+async function login(flags) {
+  if (!flags.url || !flags.token) {
+    fail('Usage: platform login --url <platform url> --token <api token>');
+  }
+  const config = { url: String(flags.url).replace(/\/+$/, ''), token: String(flags.token) };
+  const { projects } = await api(config, 'GET', '/projects');
+
+  fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
+  fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+  log(green, `✓ Logged in to ${config.url} (${projects.length} site${projects.length === 1 ? '' : 's'})`);
+  log(dim, `  Saved to ${CONFIG_PATH}`);
+}
+
+/**
+ * @param {string[]} positional
+ * @param {Flags} flags
+ */
+async function deploy(positional, flags) {
+  const target = positional[0];
+  const site = flags.site;
+  if (!target || !site || site === true) {
+    fail('Usage: platform deploy <folder | worker.js | site.zip> --site <subdomain> [--name <name>] [--domain <hostname>] [--validation http|txt] [--not-found <mode>] [--html-handling <mode>] [--worker <worker.js | folder>] [--main <module>] [--compat-date <date>] [--compat-flags <flags>] [--preview] [--full] [--yes]');
+  }
+  if (!fs.existsSync(target)) {
+    fail(`${target} does not exist`);
+  }
+  const config = getConfig(flags);
+  // Static site settings, sent with the deploy (see README "Static site routing")
+  const settings = {
+    ...(typeof flags['not-found'] === 'string' ? { not_found_handling: flags['not-found'] } : {}),
+    ...(typeof flags['html-handling'] === 'string' ? { html_handling: flags['html-handling'] } : {}),
+    // Workers runtime settings (see README "Multi-module Workers")
+    ...(typeof flags['compat-date'] === 'string' ? { compatibility_date: flags['compat-date'] } : {}),
+    ...(typeof flags['compat-flags'] === 'string' ? { compatibility_flags: flags['compat-flags'] } : {}),
+  };
+  if (flags.preview && (flags['compat-date'] !== undefined || flags['compat-flags'] !== undefined)) {
+    fail('Previews run with the site\'s compatibility settings. Deploy without --preview to change them.');
+  }
+  if (flags.main === true) {
+    fail('--main needs the path of the main module, e.g. --main index.js');
+  }
+
+  /** @type {DeployContent} */
+  let content;
+  if (fs.statSync(target).isDirectory() && flags.main && !flags.worker) {
+    content = { modules: collectModules(target, flags.main) };
+  } else if (fs.statSync(target).isDirectory()) {
+    const { assets, skipped } = collectAssets(target);
+    if (assets.length === 0) {
+      fail(`No supported files found in ${target}. Allowed extensions: ${FileRules.allowedExtensions.join(', ')}`);
+    }
+    if (!flags.worker && !assets.some((a) => a.path.toLowerCase() === 'index.html' || a.path.toLowerCase().endsWith('/index.html'))) {
+      fail(`No index.html found in ${target}. Make sure you're deploying the build output folder (e.g. dist/ or build/).`);
+    }
+    const totalSize = assets.reduce((sum, a) => sum + a.size, 0);
+    log(blue, `📦 ${assets.length} files (${formatFileSize(totalSize)}) from ${target}`);
+    if (skipped.length > 0) {
+      log(yellow, `⚠ Skipping ${skipped.length} unsupported file${skipped.length === 1 ? '' : 's'}: ${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? ', ...' : ''}`);
+    }
+    const tooLarge = assets.filter((a) => a.size > FileRules.maxFileSize);
+    if (tooLarge.length > 0) {
+      fail(`Over the ${formatFileSize(FileRules.maxFileSize)} limit per file: ${tooLarge.map((a) => `${a.path} (${formatFileSize(a.size)})`).join(', ')}`);
+    }
+    if (totalSize > FileRules.maxUploadSize) {
+      fail(`The site is ${formatFileSize(totalSize)}; the limit is ${formatFileSize(FileRules.maxUploadSize)}`);
+    }
+    content = { assets };
+  } else if (isArchiveFile(target)) {
+    // Unpacked and checked by the platform
+    const archive = fs.readFileSync(target);
+    if (archive.length > FileRules.maxUploadSize) {
+      fail(`${target} is ${formatFileSize(archive.length)}; the limit is ${formatFileSize(FileRules.maxUploadSize)}`);
+    }
+    content = { archive: { path: path.basename(target), content: archive, size: archive.length } };
+    log(blue, `📦 Archive ${target} (${formatFileSize(archive.length)})`);
+  } else {
+    if (!/\.m?js$/.test(target)) {
+      fail('A single file deploy must be a Worker script (.js or .mjs) or a .zip / .tar.gz of a static site. Pass a folder to deploy a static site.');
+    }
+    if (flags.worker) {
+      fail('--worker goes with a folder or archive of files for the script to serve');
+    }
+    if (flags.main) {
+      fail('--main goes with a folder of modules');
+    }
+    content = { script_content: fs.readFileSync(target, 'utf-8') };
+    log(blue, `📜 Worker script ${target}`);
+  }
+
+  // Hybrid site: the script runs in front of the files and serves them through env.ASSETS
+  if (flags.worker) {
+    if (flags.worker === true || !fs.existsSync(flags.worker)) {
+      fail('--worker needs the path of a Worker script (.js or .mjs), or of a folder of modules with --main');
+    }
+    if (fs.statSync(flags.worker).isDirectory()) {
+      if (!flags.main) {
+        fail(`--worker ${flags.worker} is a folder; name its main module with --main`);
+      }
+      content.modules = collectModules(flags.worker, flags.main);
+    } else {
+      content.script_content = fs.readFileSync(flags.worker, 'utf-8');
+      log(blue, `📜 Worker script ${flags.worker} in front of the files`);
+    }
+  }
+
+  // Compare a folder with the live version, unless this is the site's first deploy
+  if (content.assets && !flags.full) {
+    let live = null;
+    try {
+      live = (await api(config, 'GET', `/projects/${site}/manifest`)).manifest;
+    } catch (error) {
+      if (/** @type {ApiError} */ (error).status !== 404) throw error;
+    }
+    if (live) {
+      const plan = planIncrementalDeploy(content.assets, live);
+      log(blue, '🔍 Changes since the live version:');
+      printDiff(plan);
+      if (!flags.yes && process.stdin.isTTY && !(await confirm(`Deploy ${flags.preview ? 'a preview with ' : ''}these changes? [y/N] `))) {
+        log(dim, 'Cancelled, nothing was deployed.');
+        return;
+      }
+      content = { ...content, manifest: plan.manifest, assets: plan.assets };
+    }
+  }
+
+  if (flags.preview) {
+    log(blue, `🚀 Deploying a preview of ${site}...`);
+    const { preview, skipped } = await api(config, 'POST', `/projects/${site}/previews`, deployBody({}, content));
+    logSkipped(skipped, 'The platform');
+    log(green, `✓ Deployed preview ${preview.id} (the live site is unchanged)`);
+    log(cyan, `   ${preview.url}`);
+    log(dim, `   Expires ${formatDate(preview.expires_on)}. Make it live with \`platform promote ${site} ${preview.id}\`.`);
+    return;
+  }
+
+  let existing = null;
+  try {
+    existing = (await api(config, 'GET', `/projects/${site}`)).project;
+  } catch (error) {
+    if (/** @type {ApiError} */ (error).status !== 404) throw error;
+  }
+
+  let result;
+  if (existing) {
+    if (flags.domain !== undefined || flags.name) {
+      await api(config, 'PATCH', `/projects/${site}`, {
+        ...(flags.name ? { name: flags.name } : {}),
+        ...(flags.domain !== undefined ? { custom_hostname: flags.domain === true ? null : flags.domain } : {}),
+        ...(typeof flags.validation === 'string' ? { validation_method: flags.validation } : {}),
+      });
+    }
+    log(blue, `🚀 Deploying a new version of ${site}...`);
+    result = await api(config, 'POST', `/projects/${site}/deployments`, deployBody(settings, content));
+  } else {
+    log(blue, `🚀 Creating ${site}...`);
+    result = await api(config, 'POST', '/projects', deployBody({
+      name: typeof flags.name === 'string' ? flags.name : site,
+      subdomain: site,
+      ...(typeof flags.domain === 'string' ? { custom_hostname: flags.domain } : {}),
+      ...(typeof flags.validation === 'string' ? { validation_method: flags.validation } : {}),
+      ...settings,
+    }, content));
+  }
+  logSkipped(result.skipped, 'The platform');
+  if (result.warning) {
+    log(yellow, `⚠ ${result.warning}`);
+  }
+
+  log(green, `✓ Deployed ${site}${result.deployment ? ` (v${result.deployment.version})` : ''}`);
+  log(cyan, `   ${result.project.url}`);
+  await printDomainStatus(config, site);
+}
+
+/**
+ * @param {string[]} positional
+ * @param {Flags} flags
+ */
+async function sites(positional, flags) {
+  const [action, site] = positional;
+  const config = getConfig(flags);
+
+  if (!action || action === 'list') {
+    const { projects } = await api(config, 'GET', '/projects');
+    if (projects.length === 0) {
+      log(dim, 'No sites yet. Deploy one with `platform deploy <folder> --site <subdomain>`.');
+      return;
+    }
+    for (const project of projects) {
+      console.log(`${project.subdomain.padEnd(24)} ${project.url}${project.custom_hostname ? `  ${dim}${project.custom_hostname}${reset}` : ''}`);
+    }
+    return;
+  }
+
+  if (!site) {
+    fail(`Usage: platform sites ${action} <subdomain>`);
+  }
+
+  if (action === 'info') {
+    const { project, deployment } = await api(config, 'GET', `/projects/${site}`);
+    console.log(`${project.name} (${project.subdomain})`);
+    log(cyan, `   ${project.url}`);
+    if (deployment) {
+      console.log(`   Latest deploy: v${deployment.version} ${deployment.status} ${formatDate(deployment.created_on)} by ${deployment.deployed_by}`);
+      if (deployment.type !== 'script') {
+        console.log(`   Missing pages: ${project.not_found_handling}, trailing slashes: ${project.html_handling}`);
+      }
+      if (deployment.type !== 'assets') {
+        const flagList = project.compatibility_flags.length > 0 ? `, flags: ${project.compatibility_flags.join(', ')}` : '';
+        console.log(`   Code: ${describeContent(deployment)}, compatibility date: ${project.compatibility_date || 'platform default'}${flagList}`);
+      }
+    }
+    await printDomainStatus(config, site);
+    return;
+  }
+
+  if (action === 'delete') {
+    if (!flags.yes) {
+      fail(`This deletes ${site}, its deployed script and its custom domain. Re-run with --yes to confirm.`);
+    }
+    try {
+      await api(config, 'DELETE', `/projects/${site}`);
+    } catch (error) {
+      const { code, details } = /** @type {ApiError} */ (error);
+      if (code === 'cleanup_failed') {
+        for (const step of details || []) {
+          log(step.ok ? green : red, `   ${step.ok ? '✓' : '✗'} ${step.step}${step.error ? `: ${step.error}` : ''}`);
+        }
+      }
+      throw error;
+    }
+    log(green, `✓ Deleted ${site}`);
+    return;
+  }
+
+  fail(`Unknown command: sites ${action}`);
+}
+
+/**
+ * @param {string[]} positional
+ * @param {Flags} flags
+ */
+async function deploymentHistory(positional, flags) {
+  const site = positional[0];
+  if (!site) {
+    fail('Usage: platform deployments <subdomain>');
+  }
+  const config = getConfig(flags);
+  const { deployments } = /** @type {{ deployments: Deployment[] }} */ (await api(config, 'GET', `/projects/${site}/deployments`));
+  if (deployments.length === 0) {
+    log(dim, 'No deployments recorded yet.');
+    return;
+  }
+
+  const live = deployments.find((d) => d.status === 'success');
+  for (const d of deployments) {
+    const status = d.status === 'success' ? `${green}${d === live ? 'live   ' : 'success'}${reset}` : `${red}failed ${reset}`;
+    const what = describeContent(d);
+    console.log(`v${String(d.version).padEnd(4)} ${formatDate(d.created_on)}  ${status}  ${what.padEnd(10)} ${d.deployed_by}${d.rollback_of ? ` ${dim}(restored v${d.rollback_of})${reset}` : ''}${d.promoted_from ? ` ${dim}(preview ${d.promoted_from})${reset}` : ''}`);
+    if (d.error) {
+      log(dim, `      ${d.error}`);
+    }
+  }
+}
+
+/**
+ * @param {string[]} positional
+ * @param {Flags} flags
+ */
+async function rollback(positional, flags) {
+  const site = positional[0];
+  if (!site) {
+    fail('Usage: platform rollback <subdomain> [version]');
+  }
+  const config = getConfig(flags);
+
+  let version = positional[1] ? parseInt(positional[1].replace(/^v/, ''), 10) : null;
+  if (!version) {
+    // Default to the successful version before the live one
+    const { deployments } = /** @type {{ deployments: Deployment[] }} */ (await api(config, 'GET', `/projects/${site}/deployments`));
+    const successful = deployments.filter((d) => d.status === 'success');
+    if (successful.length < 2) {
+      fail(`${site} has no earlier version to roll back to.`);
+    }
+    version = successful[1].version;
+  }
+
+  log(blue, `⏪ Rolling ${site} back to v${version}...`);
+  const result = await api(config, 'POST', `/projects/${site}/deployments/${version}/rollback`);
+  log(green, `✓ v${version} is live again as v${result.deployment.version}`);
+  log(cyan, `   ${result.project.url}`);
+}
+
+/**
+ * @param {string[]} positional
+ * @param {Flags} flags
+ */
+async function previews(positional, flags) {
+  const [action, site, id] = positional;
+  if (!site || (action === 'delete' && !id)) {
+    fail('Usage: platform previews list <subdomain> | platform previews delete <subdomain> <preview id>');
+  }
+  const config = getConfig(flags);
+
+  if (action === 'list') {
+    const { previews } = await api(config, 'GET', `/projects/${site}/previews`);
+    if (previews.length === 0) {
+      log(dim, `No previews. Deploy one with \`platform deploy <folder> --site ${site} --preview\`.`);
+      return;
+    }
+    for (const p of previews) {
+      const what = describeContent(p);
+      const expires = p.expired ? `${red}expired${reset}` : `expires ${formatDate(p.expires_on)}`;
+      console.log(`${p.id.padEnd(10)} ${what.padEnd(10)} ${p.url}  ${dim}${p.created_by}${reset}  ${expires}`);
+    }
+    return;
+  }
+
+  if (action === 'delete') {
+    await api(config, 'DELETE', `/projects/${site}/previews/${id}`);
+    log(green, `✓ Deleted preview ${id}`);
+    return;
+  }
+
+  fail(`Unknown command: previews ${action}`);
+}
+
+/**
+ * @param {string[]} positional
+ * @param {Flags} flags
+ */
+async function promote(positional, flags) {
+  const [site, id] = positional;
+  if (!site || !id) {
+    fail('Usage: platform promote <subdomain> <preview id>');
+  }
+  const config = getConfig(flags);
+
+  log(blue, `⏫ Promoting preview ${id} of ${site}...`);
+  const result = await api(config, 'POST', `/projects/${site}/previews/${id}/promote`);
+  log(green, `✓ Preview ${id} is live as v${result.deployment.version}`);
+  log(cyan, `   ${result.project.url}`);
+}
+
+function usage() {
+  console.log(`Usage: platform <command>
+
+Commands:
+  login --url <url> --token <token>     Save the platform URL and API token
+  deploy <folder|worker.js|site.zip> --site <s>
+                                        Deploy a static site (folder, .zip or .tar.gz), a Worker script, or both
+         [--name <name>] [--domain <hostname>] [--validation http|txt]
+         [--not-found none|404-page|single-page-application]
+         [--html-handling auto-trailing-slash|force-trailing-slash|drop-trailing-slash|none]
+         [--worker <worker.js>]         Run a Worker script in front of the files (env.ASSETS)
+         [--preview]                    Deploy to a preview URL instead of the live site
+         [--full]                       Upload every file instead of only the changed ones
+         [--yes]                        Deploy the changes without asking
+  sites list                            List your sites
+  sites info <site>                     Show a site and its custom domain status
+  sites delete <site> --yes             Delete a site
+  deployments <site>                    Show deployment history
+  rollback <site> [version]             Redeploy an earlier version
+  previews list <site>                  List preview deployments
+  previews delete <site> <id>           Delete a preview before it expires
+  promote <site> <id>                   Make a preview the live version
+
+Global options: --url <url> --token <token> (or PLATFORM_URL / PLATFORM_TOKEN)`);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+
+  switch (command) {
+    case 'login':
+      return login(flags);
+    case 'deploy':
+      return deploy(positional, flags);
+    case 'sites':
+      return sites(positional, flags);
+    case 'deployments':
+      return deploymentHistory(positional, flags);
+    case 'rollback':
+      return rollback(positional, flags);
+    case 'previews':
+      return previews(positional, flags);
+    case 'promote':
+      return promote(positional, flags);
+    case undefined:
+    case 'help':
+    case '--help':
+      return usage();
+    default:
+      usage();
+      process.exit(1);
+  }
+}
+
+main().catch(error => {
+  // Refused uploads list every file; the message only names the first few
+  if (Array.isArray(error.details) && error.details.length > 5) {
+    for (const problem of error.details) {
+      if (problem && problem.path) log(red, `  ${problem.path}: ${problem.error}`);
+    }
+  }
+  fail(error.code && error.code !== 'network_error' ? `${error.message} (${error.code})` : error.message);
+});
@@ -13,11 +13,17 @@
  */
 
 const { execSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
 const PROJECT_ROOT = path.join(__dirname, '..');
 
+// 32 random bytes, base64 - the format SECRETS_ENCRYPTION_KEY takes
+function generateSecretsKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
 // Colors
 const green = '\x1b[32m';
 const yellow = '\x1b[33m';
@@ -59,7 +65,8 @@ function getConfig() {
     userApiToken: userToken, // User's token with SSL permissions for custom hostnames
     customDomain: process.env.CUSTOM_DOMAIN || getVarFromWranglerToml('CUSTOM_DOMAIN'),
     zoneId: process.env.CLOUDFLARE_ZONE_ID || getVarFromWranglerToml('CLOUDFLARE_ZONE_ID'),
-    fallbackOrigin: process.env.FALLBACK_ORIGIN || getVarFromWranglerToml('FALLBACK_ORIGIN')
+    fallbackOrigin: process.env.FALLBACK_ORIGIN || getVarFromWranglerToml('FALLBACK_ORIGIN'),
+    secretsKey: null // Read from .dev.vars when setting secrets
   };
 }
 
@@ -147,6 +154,9 @@ async function createPermanentToken(config) {
       findPermGroup('Workers Scripts Read'),
       findPermGroup('Workers Scripts Write'),
       findPermGroup('Account Settings Read'),
+      findPermGroup('Workers KV Storage Write'), // For per-site storage
+      findPermGroup('D1 Write'),
+      findPermGroup('Workers R2 Storage Write'),
     ].filter(Boolean);
 
     const zonePermissions = [
@@ -399,6 +409,24 @@ async function setWranglerSecrets(config) {
       log(yellow, '   You may need to set it manually in the dashboard');
     }
   }
+
+  // Encryption key for project secrets - only set once, replacing it would make stored secrets unreadable.
+  // Reuse the .dev.vars key so `wrangler dev --remote` and production can read the same secrets.
+  try {
+    const existingSecrets = execSync('npx wrangler secret list', { stdio: 'pipe', cwd: PROJECT_ROOT }).toString();
+    if (existingSecrets.includes('SECRETS_ENCRYPTION_KEY')) {
+      log(green, '✅ SECRETS_ENCRYPTION_KEY already set');
+    } else {
+      const secretsKey = config.secretsKey || generateSecretsKey();
+      execSync(`echo "${secretsKey}" | npx wrangler secret put SECRETS_ENCRYPTION_KEY`, {
+        stdio: 'pipe',
+        cwd: PROJECT_ROOT
+      });
+      log(green, '✅ Set SECRETS_ENCRYPTION_KEY secret (for project secrets)');
+    }
+  } catch (error) {
+    log(yellow, `⚠️  Could not set SECRETS_ENCRYPTION_KEY secret: ${error instanceof Error ? error.message : error}`);
+  }
 }
 
 async function main() {
@@ -522,6 +550,7 @@ async function main() {
       };
       config.userApiToken = config.userApiToken || getVar('CLOUDFLARE_API_TOKEN');
       config.runtimeToken = config.runtimeToken || getVar('DISPATCH_NAMESPACE_API_TOKEN') || config.apiToken;
+      config.secretsKey = getVar('SECRETS_ENCRYPTION_KEY');
     }
     await setWranglerSecrets(config);
   }
@@ -12,12 +12,18 @@
  */
 
 const { execSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 
 const PROJECT_ROOT = path.join(__dirname, '..');
 
+// 32 random bytes, base64 - the format SECRETS_ENCRYPTION_KEY takes
+function generateSecretsKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
 // Colors for console output
 const colors = {
   green: '\x1b[32m',
@@ -40,6 +46,7 @@ function logBold(color, message) {
 class SetupManager {
   constructor() {
     this.config = {};
+    /** @type {Record<string, string>} Variables read from an existing .dev.vars */
     this.existingConfig = {};
     this.rl = readline.createInterface({
       input: process.stdin,
@@ -486,6 +493,12 @@ CUSTOM_DOMAIN="${this.config.customDomain}"
       }
     }
 
+    // Encrypts project secrets in D1 - keep the existing key, or stored secrets become unreadable
+    content += `
+# Key for encrypting project secrets at rest (never change it once secrets are stored)
+SECRETS_ENCRYPTION_KEY="${this.existingConfig.SECRETS_ENCRYPTION_KEY || generateSecretsKey()}"
+`;
+
     // Preserve any additional existing variables
     const preserveVars = ['JWT_SECRET', 'WEBHOOK_SECRET'];
     for (const varName of preserveVars) {
@@ -0,0 +1,218 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Context } from 'hono';
+import { D1QB } from 'workers-qb';
+
+import {
+  DeleteTrafficBefore,
+  GetPlatformTrafficHours,
+  GetTrafficByProject,
+  GetTrafficHours,
+  GetTrafficTop,
+  RecordTrafficHour,
+  RecordTrafficTop,
+} from './db';
+import type { Env } from './env';
+import type { AppEnv } from './router';
+import { Project, TrafficCount, TrafficHour } from './types';
+
+/*
+ * Traffic counters for tenant sites. The routing middleware hands every dispatched response to
+ * trackTraffic(), which records it after the response has been sent (waitUntil), so visitors never
+ * wait on D1. With the optional TRAFFIC_ANALYTICS binding each request is also written to Analytics Engine.
+ */
+
+export type TrafficRange = '24h' | '7d' | '30d';
+
+export const TrafficRanges: Record<TrafficRange, { label: string; hours: number }> = {
+  '24h': { label: 'Last 24 hours', hours: 24 },
+  '7d': { label: 'Last 7 days', hours: 24 * 7 },
+  '30d': { label: 'Last 30 days', hours: 24 * 30 },
+};
+
+const MAX_PATH_LENGTH = 200;
+const TOP_LIMIT = 10;
+
+// Distinct paths, countries and referrers kept per site and day. Requests for /<random> would
+// otherwise add a row each; past the cap new values are counted together under OTHER_VALUE.
+const MAX_TOP_VALUES_PER_DAY = 100;
+const OTHER_VALUE = '(other)';
+
+// Counters older than the longest range shown are deleted by the scheduled handler
+const RETENTION_HOURS = TrafficRanges['30d'].hours + 24;
+
+function hourOf(date: Date): string {
+  return date.toISOString().substring(0, 13);
+}
+
+export function parseTrafficRange(value: string | undefined): TrafficRange {
+  return value === '7d' || value === '30d' ? value : '24h';
+}
+
+function rangeStart(range: TrafficRange): Date {
+  return new Date(Date.now() - (TrafficRanges[range].hours - 1) * 60 * 60 * 1000);
+}
+
+// Only the referring site is kept, and only when it isn't the site itself
+function referrerHost(request: Request): string | null {
+  const referrer = request.headers.get('Referer');
+  if (!referrer) return null;
+  try {
+    const host = new URL(referrer).hostname;
+    return host && host !== new URL(request.url).hostname ? host : null;
+  } catch {
+    return null;
+  }
+}
+
+async function recordTraffic(
+  c: Context<AppEnv>,
+  project: Project,
+  request: Request,
+  sample: { status: number; bytes: number; latencyMs: number }
+) {
+  const now = new Date();
+  const path = new URL(request.url).pathname.substring(0, MAX_PATH_LENGTH);
+  const country = (request.cf?.country as string | undefined) || 'XX';
+  const referrer = referrerHost(request);
+  const statusClass = Math.floor(sample.status / 100);
+
+  c.env.TRAFFIC_ANALYTICS?.writeDataPoint({
+    indexes: [project.id],
+    blobs: [project.subdomain, path, country, referrer || '', String(sample.status)],
+    doubles: [sample.status, sample.bytes, sample.latencyMs],
+  });
+
+  try {
+    const db: D1QB = c.var.db;
+    await RecordTrafficHour(db, {
+      project_id: project.id,
+      hour: hourOf(now),
+      requests: 1,
+      status_2xx: statusClass === 2 ? 1 : 0,
+      status_3xx: statusClass === 3 ? 1 : 0,
+      status_4xx: statusClass === 4 ? 1 : 0,
+      status_5xx: statusClass === 5 ? 1 : 0,
+      bytes: sample.bytes,
+      latency_ms: sample.latencyMs,
+    });
+    const day = now.toISOString().substring(0, 10);
+    await RecordTrafficTop(db, project.id, day, [
+      { dimension: 'path', value: path },
+      { dimension: 'country', value: country },
+      ...(referrer ? [{ dimension: 'referrer' as const, value: referrer }] : []),
+    ], MAX_TOP_VALUES_PER_DAY, OTHER_VALUE);
+  } catch (error) {
+    // Analytics are best effort; a failed write must not surface anywhere
+    console.error('Failed to record traffic:', error);
+  }
+}
+
+/*
+ * Record a dispatched response. Bodies are counted while they stream to the visitor, so the
+ * numbers are written once the last byte has gone out. Latency is time to the response headers.
+ */
+export function trackTraffic(c: Context<AppEnv>, project: Project, request: Request, response: Response, startedAt: number): Response {
+  const latencyMs = Date.now() - startedAt;
+
+  // WebSocket upgrades and empty bodies have nothing to count
+  if (!response.body || response.status === 101) {
+    c.executionCtx.waitUntil(recordTraffic(c, project, request, { status: response.status, bytes: 0, latencyMs }));
+    return response;
+  }
+
+  let bytes = 0;
+  const counter = new TransformStream<Uint8Array, Uint8Array>({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+  });
+  c.executionCtx.waitUntil(
+    response.body
+      .pipeTo(counter.writable)
+      .catch(() => {})
+      .then(() => recordTraffic(c, project, request, { status: response.status, bytes, latencyMs }))
+  );
+  return new Response(counter.readable, response);
+}
+
+/*
+ * Fill in the hours (or days, for longer ranges) without traffic so the chart has no gaps
+ */
+export function bucketTraffic(rows: TrafficHour[], range: TrafficRange): { label: string; requests: number; errors: number }[] {
+  const daily = range !== '24h';
+  const keyOf = (hour: string) => daily ? hour.substring(0, 10) : hour;
+  const totals = new Map<string, { requests: number; errors: number }>();
+  for (const row of rows) {
+    const key = keyOf(row.hour);
+    const bucket = totals.get(key) || { requests: 0, errors: 0 };
+    bucket.requests += Number(row.requests);
+    bucket.errors += Number(row.status_5xx);
+    totals.set(key, bucket);
+  }
+
+  const buckets: { label: string; requests: number; errors: number }[] = [];
+  const start = rangeStart(range);
+  for (let i = 0; i < TrafficRanges[range].hours; i++) {
+    const key = keyOf(hourOf(new Date(start.getTime() + i * 60 * 60 * 1000)));
+    if (buckets.length > 0 && buckets[buckets.length - 1].label === key) continue;
+    buckets.push({ label: key, ...(totals.get(key) || { requests: 0, errors: 0 }) });
+  }
+  return buckets;
+}
+
+export function sumTraffic(rows: TrafficHour[]): { requests: number; errors: number; clientErrors: number; bytes: number; avgLatencyMs: number } {
+  const total = rows.reduce((sum, row) => ({
+    requests: sum.requests + Number(row.requests),
+    errors: sum.errors + Number(row.status_5xx),
+    clientErrors: sum.clientErrors + Number(row.status_4xx),
+    bytes: sum.bytes + Number(row.bytes),
+    latency: sum.latency + Number(row.latency_ms),
+  }), { requests: 0, errors: 0, clientErrors: 0, bytes: 0, latency: 0 });
+  return {
+    requests: total.requests,
+    errors: total.errors,
+    clientErrors: total.clientErrors,
+    bytes: total.bytes,
+    avgLatencyMs: total.requests > 0 ? Math.round(total.latency / total.requests) : 0,
+  };
+}
+
+export type ProjectTraffic = {
+  range: TrafficRange;
+  hours: TrafficHour[];
+  paths: TrafficCount[];
+  referrers: TrafficCount[];
+  countries: TrafficCount[];
+};
+
+export async function getProjectTraffic(db: D1QB, projectId: string, range: TrafficRange): Promise<ProjectTraffic> {
+  const start = rangeStart(range);
+  const sinceHour = hourOf(start);
+  const sinceDay = start.toISOString().substring(0, 10);
+  const [hours, paths, referrers, countries] = await Promise.all([
+    GetTrafficHours(db, projectId, sinceHour),
+    GetTrafficTop(db, projectId, sinceDay, 'path', TOP_LIMIT),
+    GetTrafficTop(db, projectId, sinceDay, 'referrer', TOP_LIMIT),
+    GetTrafficTop(db, projectId, sinceDay, 'country', TOP_LIMIT),
+  ]);
+  return { range, hours, paths, referrers, countries };
+}
+
+export async function getPlatformTraffic(db: D1QB, range: TrafficRange): Promise<{ range: TrafficRange; hours: TrafficHour[]; projects: TrafficHour[] }> {
+  const sinceHour = hourOf(rangeStart(range));
+  const [hours, projects] = await Promise.all([
+    GetPlatformTrafficHours(db, sinceHour),
+    GetTrafficByProject(db, sinceHour),
+  ]);
+  return { range, hours, projects };
+}
+
+/*
+ * Delete counters past the retention period. Called by the scheduled handler.
+ */
+export async function pruneTraffic(env: Env): Promise<void> {
+  await DeleteTrafficBefore(new D1QB(env.DB), hourOf(new Date(Date.now() - RETENTION_HOURS * 60 * 60 * 1000)));
+}
@@ -0,0 +1,1052 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Context, Handler, Hono, MiddlewareHandler } from 'hono';
+
+import { authenticateApiToken, canManageProject } from './auth';
+import type { CustomHostnameStatus } from './cloudflare-api';
+import { GetDeployments, GetProjectBySubdomain, GetProjectPreviews, GetProjectResources, GetProjectVariables, GetProjectsByOwner } from './db';
+import type { Env } from './env';
+import {
+  addProjectDomain,
+  domainDnsRecords,
+  getDomainStatuses,
+  getFallbackOrigin,
+  listProjectDomains,
+  makePrimaryDomain,
+  parseValidationMethod,
+  removeProjectDomain,
+  setDomainValidation,
+} from './domains';
+import { ProjectError } from './errors';
+import { refreshHostnameStatus } from './hostnames';
+import { getPlanLimits } from './plans';
+import {
+  createProject,
+  deleteProject,
+  deployPreview,
+  getLiveManifest,
+  getProjectUrl,
+  hasContent,
+  promotePreview,
+  redeployProject,
+  rollbackProject,
+  updateProject,
+} from './projects';
+import { deletePreview, isPreviewExpired } from './previews';
+import { checkEnvConfig } from './resource';
+import { AppEnv, withDbAndInit } from './router';
+import { DEFAULT_ROUTING, HtmlHandlingLabels, NotFoundHandlingLabels, getSiteRouting } from './site-routing';
+import { attachStorage, detachStorage } from './storage';
+import { Deployment, Preview, Project, ProjectDomain, ProjectResource } from './types';
+import { MAX_FILE_SIZE, MAX_FILES, MAX_JSON_BODY_SIZE, MAX_UPLOAD_SIZE, readDeployRequest } from './uploads';
+import { deleteProjectVariable, publicVariable, setProjectVariable } from './variables';
+import { MAX_WORKER_MODULES, MAX_WORKER_SIZE, WorkerModuleTypeLabels, getWorkerRuntime } from './worker-modules';
+
+/*
+ * Versioned JSON API, mounted at /api/v1. Authenticated with personal API tokens (see /account/tokens).
+ * Every route is registered through `route()` so /api/v1/openapi.json is generated from the same table.
+ */
+export const api = new Hono<AppEnv>();
+
+type ApiStatus = 400 | 401 | 403 | 404 | 409 | 500 | 502;
+
+const ErrorCodes: Record<ApiStatus, string> = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  500: 'internal_error',
+  502: 'upstream_error',
+};
+
+function apiError(c: Context<AppEnv>, status: ApiStatus, message: string, code?: string, details?: unknown) {
+  return c.json({ error: { code: code || ErrorCodes[status], message, ...(details ? { details } : {}) } }, status);
+}
+
+function projectJson(env: Env, project: Project) {
+  return {
+    id: project.id,
+    name: project.name,
+    subdomain: project.subdomain,
+    custom_hostname: project.custom_hostname || null,
+    url: getProjectUrl(env, project.subdomain),
+    plan: project.plan || 'free',
+    limits: getPlanLimits(project),
+    ...getSiteRouting(project),
+    compatibility_date: project.compatibility_date || null,
+    compatibility_flags: getWorkerRuntime(project).compatibility_flags,
+    created_on: project.created_on,
+    modified_on: project.modified_on,
+  };
+}
+
+function deploymentJson(deployment: Deployment) {
+  return {
+    id: deployment.id,
+    version: deployment.version,
+    type: deployment.type,
+    status: deployment.status,
+    error: deployment.error,
+    file_count: deployment.asset_manifest ? Object.keys(JSON.parse(deployment.asset_manifest)).length : null,
+    module_count: deployment.modules ? JSON.parse(deployment.modules).length : null,
+    deployed_by: deployment.deployed_by,
+    rollback_of: deployment.rollback_of,
+    promoted_from: deployment.promoted_from ?? null,
+    created_on: deployment.created_on,
+  };
+}
+
+function previewJson(env: Env, preview: Preview) {
+  return {
+    id: preview.id,
+    url: getProjectUrl(env, preview.script_name),
+    type: preview.type,
+    file_count: preview.asset_manifest ? Object.keys(JSON.parse(preview.asset_manifest)).length : null,
+    module_count: preview.modules ? JSON.parse(preview.modules).length : null,
+    created_by: preview.created_by,
+    created_on: preview.created_on,
+    expires_on: preview.expires_on,
+    expired: isPreviewExpired(preview),
+  };
+}
+
+function storageJson(resource: ProjectResource) {
+  return {
+    binding: resource.binding,
+    type: resource.type,
+    resource_id: resource.resource_id,
+    resource_name: resource.resource_name,
+    created_on: resource.created_on,
+  };
+}
+
+function domainJson(env: Env, domain: ProjectDomain, status?: CustomHostnameStatus) {
+  return {
+    hostname: domain.hostname,
+    primary: !!domain.is_primary,
+    status: status?.status ?? 'pending',
+    ssl_status: status?.ssl?.status || null,
+    validation_method: status?.ssl?.validation_method || null,
+    verification_errors: status?.verification_errors || [],
+    dns_records: domainDnsRecords(domain.hostname, getFallbackOrigin(env), status),
+    created_on: domain.created_on,
+  };
+}
+
+async function readJson(c: Context<AppEnv>): Promise<Record<string, any>> {
+  try {
+    const body = await c.req.json();
+    if (body && typeof body === 'object' && !Array.isArray(body)) {
+      return body;
+    }
+  } catch {
+    // fall through
+  }
+  throw new ProjectError(400, 'Request body must be a JSON object');
+}
+
+// Owners see their own projects, admins see every project; anything else is reported as missing
+async function loadProject(c: Context<AppEnv>): Promise<Project> {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain') || '');
+  if (!project || !canManageProject(c.var.user, project)) {
+    throw new ProjectError(404, 'Project not found');
+  }
+  return project;
+}
+
+async function latestDeployment(c: Context<AppEnv>, project: Project) {
+  const [deployment] = await GetDeployments(c.var.db, project.id);
+  return deployment ? deploymentJson(deployment) : null;
+}
+
+const requireApiToken: MiddlewareHandler<AppEnv> = async (c, next) => {
+  const user = await authenticateApiToken(c);
+  if (!user) {
+    return apiError(c, 401, 'Missing or invalid API token. Send it as "Authorization: Bearer <token>".');
+  }
+  c.set('user', user);
+  await next();
+};
+
+const requireDeployConfig: MiddlewareHandler<AppEnv> = async (c, next) => {
+  const envCheck = checkEnvConfig(c.env);
+  if (!envCheck.ok) {
+    console.error('Missing env vars:', envCheck.missing);
+    return apiError(c, 500, `Server configuration error: Missing ${envCheck.missing.join(', ')}`, 'not_configured');
+  }
+  await next();
+};
+
+/*
+ * Route table - drives both the Hono routes and the OpenAPI document
+ */
+interface ApiOperation {
+  method: 'get' | 'post' | 'put' | 'patch' | 'delete';
+  path: string; // Hono syntax, e.g. /projects/:subdomain
+  operationId: string;
+  summary: string;
+  requestBody?: string; // Name of a schema in ApiSchemas
+  uploads?: boolean; // The body can also be multipart/form-data with files or an archive, see src/uploads.ts
+  responses: Record<number, { description: string; schema?: string }>;
+  public?: boolean;
+}
+
+const operations: ApiOperation[] = [];
+
+function route(operation: ApiOperation, ...handlers: (MiddlewareHandler<AppEnv> | Handler<AppEnv>)[]) {
+  operations.push(operation);
+  const middleware = operation.public ? [withDbAndInit] : [withDbAndInit, requireApiToken];
+  api.on(operation.method.toUpperCase(), operation.path, ...middleware, ...handlers);
+}
+
+const ApiSchemas: Record<string, object> = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', example: 'not_found' },
+          message: { type: 'string' },
+          details: {},
+        },
+      },
+    },
+  },
+  Project: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      subdomain: { type: 'string' },
+      custom_hostname: { type: 'string', nullable: true },
+      url: { type: 'string', format: 'uri' },
+      plan: { type: 'string', enum: ['free', 'pro', 'custom'], description: 'Changed by platform admins' },
+      limits: {
+        type: 'object',
+        description: 'Applied to the worker on every request',
+        properties: { cpuMs: { type: 'integer' }, memory: { type: 'integer', description: 'MB' } },
+      },
+      not_found_handling: { $ref: '#/components/schemas/NotFoundHandling' },
+      html_handling: { $ref: '#/components/schemas/HtmlHandling' },
+      compatibility_date: { type: 'string', format: 'date', nullable: true },
+      compatibility_flags: { type: 'array', items: { type: 'string' } },
+      created_on: { type: 'string', format: 'date-time' },
+      modified_on: { type: 'string', format: 'date-time' },
+    },
+  },
+  Deployment: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      version: { type: 'integer' },
+      type: { type: 'string', enum: ['script', 'assets', 'hybrid'], description: 'hybrid: a Worker script in front of static files' },
+      status: { type: 'string', enum: ['success', 'failed'] },
+      error: { type: 'string', nullable: true },
+      file_count: { type: 'integer', nullable: true },
+      module_count: { type: 'integer', nullable: true, description: 'Set for multi-module scripts' },
+      deployed_by: { type: 'string' },
+      rollback_of: { type: 'integer', nullable: true },
+      promoted_from: { type: 'string', nullable: true, description: 'Id of the preview this deploy promoted' },
+      created_on: { type: 'string', format: 'date-time' },
+    },
+  },
+  Preview: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string', format: 'uri', description: 'Where the preview runs, e.g. https://my-site--preview-1a2b3c4d.example.com' },
+      type: { type: 'string', enum: ['script', 'assets', 'hybrid'], description: 'hybrid: a Worker script in front of static files' },
+      file_count: { type: 'integer', nullable: true },
+      module_count: { type: 'integer', nullable: true, description: 'Set for multi-module scripts' },
+      created_by: { type: 'string' },
+      created_on: { type: 'string', format: 'date-time' },
+      expires_on: { type: 'string', format: 'date-time', description: 'The preview is deleted after this' },
+      expired: { type: 'boolean' },
+    },
+  },
+  PreviewList: {
+    type: 'object',
+    properties: { previews: { type: 'array', items: { $ref: '#/components/schemas/Preview' } } },
+  },
+  PreviewResponse: {
+    type: 'object',
+    properties: {
+      preview: { $ref: '#/components/schemas/Preview' },
+      skipped: { $ref: '#/components/schemas/SkippedFiles' },
+    },
+  },
+  DeletedPreview: {
+    type: 'object',
+    properties: { deleted: { type: 'boolean' } },
+  },
+  Asset: {
+    type: 'object',
+    required: ['path', 'content'],
+    properties: {
+      path: { type: 'string', example: 'css/style.css' },
+      content: { type: 'string', format: 'byte', description: 'Base64-encoded file contents' },
+      size: { type: 'integer', description: 'Ignored; the size of the decoded content is used' },
+    },
+  },
+  DeployContent: {
+    type: 'object',
+    description: 'A Worker script, a set of static files (which must include index.html), or both: a hybrid site whose script runs first on every request and serves the files through env.ASSETS',
+    properties: {
+      script_content: { type: 'string', description: 'A script of a single ES module' },
+      modules: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/WorkerModule' },
+        description: `Instead of script_content: a script of several modules, which import each other by name. At most ${MAX_WORKER_MODULES} modules and ${MAX_WORKER_SIZE / 1024} KB in total. In multipart bodies, send it as a JSON text part.`,
+      },
+      main_module: { type: 'string', description: 'Name of the ES module that exports the handlers; defaults to the first module' },
+      assets: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/Asset' },
+        description: `The same limits as multipart uploads apply. A JSON body may be at most about ${Math.round(MAX_JSON_BODY_SIZE / (1024 * 1024))} MB.`,
+      },
+      manifest: {
+        allOf: [{ $ref: '#/components/schemas/Manifest' }],
+        description: 'Incremental deploy: every file of the new version. Only files whose hash is not in the live version (see getManifest) need to be sent in assets or files. In multipart bodies, send it as a JSON text part.',
+      },
+    },
+  },
+  WorkerModule: {
+    type: 'object',
+    required: ['name', 'content'],
+    properties: {
+      name: { type: 'string', example: 'lib/router.js' },
+      type: {
+        type: 'string',
+        enum: Object.keys(WorkerModuleTypeLabels),
+        description: 'Defaults from the extension: .js/.mjs esm, .json json, .wasm wasm, .txt/.html/.md/.css/.sql text',
+      },
+      content: { type: 'string', description: 'Source text; base64 for wasm' },
+    },
+  },
+  Manifest: {
+    type: 'object',
+    description: 'Path -> file. hash is the first 16 bytes of the SHA-256 of the file, in hex.',
+    additionalProperties: {
+      type: 'object',
+      required: ['hash', 'size'],
+      properties: {
+        hash: { type: 'string', pattern: '^[0-9a-f]{32}$' },
+        size: { type: 'integer' },
+      },
+    },
+    example: { '/index.html': { hash: '0f343b0931126a20f133d67c2b018a3b', size: 1024 } },
+  },
+  SiteManifest: {
+    type: 'object',
+    properties: {
+      version: { type: 'integer', nullable: true, description: 'Deployment the manifest belongs to' },
+      manifest: { allOf: [{ $ref: '#/components/schemas/Manifest' }], nullable: true },
+    },
+  },
+  SiteSettings: {
+    type: 'object',
+    description: 'Settings of static sites; changing them redeploys the live version',
+    properties: {
+      not_found_handling: { $ref: '#/components/schemas/NotFoundHandling' },
+      html_handling: { $ref: '#/components/schemas/HtmlHandling' },
+    },
+  },
+  RuntimeSettings: {
+    type: 'object',
+    description: 'The Workers runtime the script runs with; changing them redeploys the live version',
+    properties: {
+      compatibility_date: { type: 'string', format: 'date', example: '2025-01-24', description: 'An empty string clears it' },
+      compatibility_flags: {
+        oneOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string', description: 'Comma-separated' }],
+        example: ['nodejs_compat'],
+      },
+    },
+  },
+  FileUpload: {
+    type: 'object',
+    description: `Instead of base64 \`assets\`: the site's files as \`files\` parts (the filename is the path, e.g. css/style.css), or one \`archive\` (.zip or .tar.gz; a single top-level folder is stripped). Other fields are sent as text parts. Limits: ${MAX_FILE_SIZE / (1024 * 1024)} MB per file, ${MAX_UPLOAD_SIZE / (1024 * 1024)} MB per site, ${MAX_FILES} files. A refused upload lists each file's problem in error.details.`,
+    properties: {
+      files: { type: 'array', items: { type: 'string', format: 'binary' } },
+      archive: { type: 'string', format: 'binary' },
+    },
+  },
+  SkippedFiles: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Uploaded files of an unsupported type that were left out',
+  },
+  DeployVersion: {
+    allOf: [
+      { $ref: '#/components/schemas/DeployContent' },
+      { $ref: '#/components/schemas/SiteSettings' },
+      { $ref: '#/components/schemas/RuntimeSettings' },
+    ],
+  },
+  CreateProject: {
+    allOf: [
+      { $ref: '#/components/schemas/DeployContent' },
+      { $ref: '#/components/schemas/SiteSettings' },
+      { $ref: '#/components/schemas/RuntimeSettings' },
+      {
+        type: 'object',
+        required: ['name', 'subdomain'],
+        properties: {
+          name: { type: 'string' },
+          subdomain: { type: 'string', pattern: '^[a-z0-9-]+$', description: 'Cannot contain "--", which separates a site from its previews' },
+          custom_hostname: { type: 'string' },
+          validation_method: { $ref: '#/components/schemas/ValidationMethod' },
+        },
+      },
+    ],
+  },
+  UpdateProject: {
+    allOf: [
+      { $ref: '#/components/schemas/SiteSettings' },
+      { $ref: '#/components/schemas/RuntimeSettings' },
+      {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          custom_hostname: { type: 'string', nullable: true, description: 'null or an empty string removes the custom domain' },
+          validation_method: { $ref: '#/components/schemas/ValidationMethod' },
+        },
+      },
+    ],
+  },
+  ProjectResponse: {
+    type: 'object',
+    properties: {
+      project: { $ref: '#/components/schemas/Project' },
+      deployment: { allOf: [{ $ref: '#/components/schemas/Deployment' }], nullable: true },
+      skipped: { $ref: '#/components/schemas/SkippedFiles' },
+      warning: { type: 'string', description: 'Set when the project was created but its custom domain could not be registered' },
+    },
+  },
+  ProjectList: {
+    type: 'object',
+    properties: { projects: { type: 'array', items: { $ref: '#/components/schemas/Project' } } },
+  },
+  DeploymentList: {
+    type: 'object',
+    properties: { deployments: { type: 'array', items: { $ref: '#/components/schemas/Deployment' } } },
+  },
+  DeleteResult: {
+    type: 'object',
+    properties: {
+      deleted: { type: 'boolean' },
+      steps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            step: { type: 'string', enum: ['script', 'previews', 'custom_hostname', 'storage', 'database'] },
+            ok: { type: 'boolean' },
+            error: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  Variable: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      type: { type: 'string', enum: ['plain_text', 'secret_text'] },
+      value: { type: 'string', nullable: true, description: 'Always null for secrets' },
+      modified_on: { type: 'string', format: 'date-time' },
+    },
+  },
+  VariableList: {
+    type: 'object',
+    properties: { variables: { type: 'array', items: { $ref: '#/components/schemas/Variable' } } },
+  },
+  SetVariable: {
+    type: 'object',
+    required: ['value'],
+    properties: {
+      value: { type: 'string', maxLength: 5120 },
+      secret: { type: 'boolean', default: false, description: 'Encrypt at rest and never return the value' },
+    },
+  },
+  VariableResponse: {
+    type: 'object',
+    properties: {
+      variable: { $ref: '#/components/schemas/Variable' },
+      deployment: { allOf: [{ $ref: '#/components/schemas/Deployment' }], nullable: true, description: 'The redeploy, or null if the project has never been deployed' },
+    },
+  },
+  DeletedBinding: {
+    type: 'object',
+    properties: {
+      deleted: { type: 'boolean' },
+      deployment: { allOf: [{ $ref: '#/components/schemas/Deployment' }], nullable: true },
+    },
+  },
+  StorageResource: {
+    type: 'object',
+    properties: {
+      binding: { type: 'string' },
+      type: { type: 'string', enum: ['kv_namespace', 'd1', 'r2_bucket'] },
+      resource_id: { type: 'string', description: 'KV namespace id, D1 database id or R2 bucket name' },
+      resource_name: { type: 'string' },
+      created_on: { type: 'string', format: 'date-time' },
+    },
+  },
+  StorageList: {
+    type: 'object',
+    properties: { storage: { type: 'array', items: { $ref: '#/components/schemas/StorageResource' } } },
+  },
+  AttachStorage: {
+    type: 'object',
+    required: ['type', 'binding'],
+    properties: {
+      type: { type: 'string', enum: ['kv_namespace', 'd1', 'r2_bucket'] },
+      binding: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]{0,63}$', description: 'Name the storage is exposed under on `env`' },
+    },
+  },
+  StorageResponse: {
+    type: 'object',
+    properties: {
+      storage: { $ref: '#/components/schemas/StorageResource' },
+      deployment: { allOf: [{ $ref: '#/components/schemas/Deployment' }], nullable: true, description: 'The redeploy, or null if the project has never been deployed' },
+    },
+  },
+  ValidationMethod: {
+    type: 'string',
+    enum: ['http', 'txt'],
+    default: 'http',
+    description: 'How the certificate is validated: http once the domain points here, txt with a DNS record (works before switching DNS)',
+  },
+  NotFoundHandling: {
+    type: 'string',
+    enum: Object.keys(NotFoundHandlingLabels),
+    default: DEFAULT_ROUTING.not_found_handling,
+    description: 'What a static site returns for a missing page: a plain 404, the nearest 404.html, or index.html with status 200 for single-page apps',
+  },
+  HtmlHandling: {
+    type: 'string',
+    enum: Object.keys(HtmlHandlingLabels),
+    default: DEFAULT_ROUTING.html_handling,
+    description: 'How a static site resolves and redirects paths with or without a trailing slash',
+  },
+  DnsRecord: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['CNAME', 'TXT'] },
+      name: { type: 'string' },
+      value: { type: 'string' },
+      purpose: { type: 'string', enum: ['routing', 'ownership', 'certificate'], description: 'routing sends traffic here, ownership verifies the hostname, certificate validates the SSL certificate' },
+    },
+  },
+  ProjectDomain: {
+    type: 'object',
+    properties: {
+      hostname: { type: 'string' },
+      primary: { type: 'boolean', description: 'Every other domain of the project redirects (301) to the primary one' },
+      status: { type: 'string', description: 'Custom hostname status, e.g. pending or active' },
+      ssl_status: { type: 'string', nullable: true },
+      validation_method: { type: 'string', nullable: true },
+      verification_errors: { type: 'array', items: { type: 'string' } },
+      dns_records: { type: 'array', items: { $ref: '#/components/schemas/DnsRecord' }, description: 'Records to add at the DNS provider. Without a live status only the CNAME is known.' },
+      created_on: { type: 'string', format: 'date-time' },
+    },
+  },
+  DomainList: {
+    type: 'object',
+    properties: { domains: { type: 'array', items: { $ref: '#/components/schemas/ProjectDomain' } } },
+  },
+  AddDomain: {
+    type: 'object',
+    required: ['hostname'],
+    properties: {
+      hostname: { type: 'string', example: 'www.example.com' },
+      primary: { type: 'boolean', description: 'Make it the primary domain. The first domain always is.' },
+      validation_method: { $ref: '#/components/schemas/ValidationMethod' },
+    },
+  },
+  SetDomainValidation: {
+    type: 'object',
+    required: ['validation_method'],
+    properties: {
+      validation_method: { $ref: '#/components/schemas/ValidationMethod' },
+    },
+  },
+  DomainResponse: {
+    type: 'object',
+    properties: {
+      project: { $ref: '#/components/schemas/Project' },
+      domains: { type: 'array', items: { $ref: '#/components/schemas/ProjectDomain' } },
+    },
+  },
+  DomainStatus: {
+    type: 'object',
+    properties: {
+      has_custom_domain: { type: 'boolean' },
+      custom_domain: { type: 'string' },
+      status: { type: 'string', enum: ['active', 'pending', 'error', 'not_found'] },
+      ssl_status: { type: 'string' },
+      validation_method: { type: 'string', nullable: true },
+      verification_errors: { type: 'array', items: { type: 'string' } },
+      dns_records: { type: 'array', items: { $ref: '#/components/schemas/DnsRecord' } },
+      is_active: { type: 'boolean' },
+      worker_url: { type: 'string', format: 'uri' },
+    },
+  },
+};
+
+function buildOpenApiDocument(origin: string) {
+  const paths: Record<string, Record<string, object>> = {};
+
+  for (const operation of operations) {
+    const path = operation.path.replace(/:(\w+)/g, '{$1}');
+    const parameters = [...operation.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: name === 'version' ? 'integer' : 'string' },
+    }));
+
+    const responses: Record<string, object> = {};
+    for (const [status, response] of Object.entries(operation.responses)) {
+      responses[status] = response.schema
+        ? { description: response.description, content: { 'application/json': { schema: { $ref: `#/components/schemas/${response.schema}` } } } }
+        : { description: response.description };
+    }
+    if (!operation.public) {
+      responses['401'] = { description: 'Missing or invalid API token', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+    }
+    responses.default = { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+
+    paths[path] = paths[path] || {};
+    paths[path][operation.method] = {
+      operationId: operation.operationId,
+      summary: operation.summary,
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(operation.requestBody ? {
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: { $ref: `#/components/schemas/${operation.requestBody}` } },
+            ...(operation.uploads ? {
+              'multipart/form-data': { schema: { allOf: [{ $ref: `#/components/schemas/${operation.requestBody}` }, { $ref: '#/components/schemas/FileUpload' }] } },
+            } : {}),
+          },
+        },
+      } : {}),
+      responses,
+      ...(operation.public ? { security: [] } : {}),
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Workers for Platforms API',
+      version: '1.0.0',
+      description: 'Create, deploy and manage sites. Authenticate with a personal API token from /account/tokens.',
+    },
+    servers: [{ url: `${origin}/api/v1` }],
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+      schemas: ApiSchemas,
+    },
+    paths,
+  };
+}
+
+/*
+ * Routes
+ */
+route({
+  method: 'get',
+  path: '/openapi.json',
+  operationId: 'getOpenApiDocument',
+  summary: 'This OpenAPI document',
+  responses: { 200: { description: 'OpenAPI 3 document' } },
+  public: true,
+}, (c) => {
+  return c.json(buildOpenApiDocument(new URL(c.req.url).origin));
+});
+
+route({
+  method: 'get',
+  path: '/projects',
+  operationId: 'listProjects',
+  summary: 'List your projects',
+  responses: { 200: { description: 'Projects owned by the token user', schema: 'ProjectList' } },
+}, async (c) => {
+  const projects = await GetProjectsByOwner(c.var.db, c.var.user!.id);
+  return c.json({ projects: projects.map((project) => projectJson(c.env, project)) });
+});
+
+route({
+  method: 'post',
+  path: '/projects',
+  operationId: 'createProject',
+  summary: 'Create a project and deploy its first version',
+  requestBody: 'CreateProject',
+  uploads: true,
+  responses: { 201: { description: 'Project created and deployed', schema: 'ProjectResponse' } },
+}, requireDeployConfig, async (c) => {
+  const { body, skipped } = await readDeployRequest(c.req.raw);
+  const {
+    name, subdomain, script_content, modules, main_module, custom_hostname, validation_method,
+    not_found_handling, html_handling, compatibility_date, compatibility_flags, assets, manifest,
+  } = body;
+  const { project, warning } = await createProject(c.env, c.var.db, c.var.user!, {
+    name, subdomain, script_content, modules, main_module, custom_hostname, validation_method,
+    not_found_handling, html_handling, compatibility_date, compatibility_flags, assets, manifest,
+  });
+  return c.json({ project: projectJson(c.env, project), deployment: await latestDeployment(c, project), skipped, ...(warning ? { warning } : {}) }, 201);
+});
+
+route({
+  method: 'get',
+  path: '/projects/:subdomain',
+  operationId: 'getProject',
+  summary: 'Get a project',
+  responses: { 200: { description: 'The project', schema: 'ProjectResponse' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  return c.json({ project: projectJson(c.env, project), deployment: await latestDeployment(c, project) });
+});
+
+route({
+  method: 'patch',
+  path: '/projects/:subdomain',
+  operationId: 'updateProject',
+  summary: 'Rename a project, change its custom domain, its static site or its runtime settings',
+  requestBody: 'UpdateProject',
+  responses: { 200: { description: 'The updated project', schema: 'ProjectResponse' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const { name, custom_hostname, validation_method, not_found_handling, html_handling, compatibility_date, compatibility_flags } = await readJson(c);
+  const updated = await updateProject(c.env, c.var.db, project, {
+    name, custom_hostname, validation_method, not_found_handling, html_handling, compatibility_date, compatibility_flags,
+  }, c.var.user!.email);
+  return c.json({ project: projectJson(c.env, updated), deployment: await latestDeployment(c, updated) });
+});
+
+route({
+  method: 'delete',
+  path: '/projects/:subdomain',
+  operationId: 'deleteProject',
+  summary: 'Delete a project, its dispatch script and its custom hostname',
+  responses: { 200: { description: 'Every cleanup step succeeded', schema: 'DeleteResult' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const result = await deleteProject(c.env, c.var.db, project);
+  if (!result.deleted) {
+    console.error('DELETE /api/v1/projects partial failure:', project.subdomain, result.steps);
+    return apiError(c, 502, 'Some cleanup steps failed. The project was kept so the delete can be retried.', 'cleanup_failed', result.steps);
+  }
+  return c.json(result);
+});
+
+route({
+  method: 'get',
+  path: '/projects/:subdomain/deployments',
+  operationId: 'listDeployments',
+  summary: 'List deployments, newest first',
+  responses: { 200: { description: 'Deployment history', schema: 'DeploymentList' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const deployments = await GetDeployments(c.var.db, project.id);
+  return c.json({ deployments: deployments.map(deploymentJson) });
+});
+
+route({
+  method: 'post',
+  path: '/projects/:subdomain/deployments',
+  operationId: 'deployProject',
+  summary: 'Deploy a new version of a project',
+  requestBody: 'DeployVersion',
+  uploads: true,
+  responses: { 201: { description: 'New version deployed', schema: 'ProjectResponse' } },
+}, requireDeployConfig, async (c) => {
+  const project = await loadProject(c);
+  const { body, skipped } = await readDeployRequest(c.req.raw);
+  const { script_content, modules, main_module, assets, manifest, not_found_handling, html_handling, compatibility_date, compatibility_flags } = body;
+  if (!hasContent({ script_content, modules, assets, manifest })) {
+    throw new ProjectError(400, 'Missing required fields: script_content, modules or assets');
+  }
+  const updated = await updateProject(c.env, c.var.db, project, {
+    script_content, modules, main_module, assets, manifest, not_found_handling, html_handling, compatibility_date, compatibility_flags,
+  }, c.var.user!.email);
+  return c.json({ project: projectJson(c.env, updated), deployment: await latestDeployment(c, updated), skipped }, 201);
+});
+
+route({
+  method: 'get',
+  path: '/projects/:subdomain/manifest',
+  operationId: 'getManifest',
+  summary: 'Files of the live version of a static site, to compare local files against before an incremental deploy',
+  responses: { 200: { description: 'The live manifest; null for Worker scripts', schema: 'SiteManifest' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const live = await getLiveManifest(c.var.db, project);
+  return c.json({ version: live?.version ?? null, manifest: live?.manifest ?? null });
+});
+
+route({
+  method: 'post',
+  path: '/projects/:subdomain/deployments/:version/rollback',
+  operationId: 'rollbackProject',
+  summary: 'Redeploy an earlier successful version as a new deployment',
+  responses: { 201: { description: 'Earlier version deployed again', schema: 'ProjectResponse' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const version = parseInt(c.req.param('version') || '', 10);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ProjectError(400, 'Version must be a positive integer');
+  }
+  const deployment = await rollbackProject(c.env, c.var.db, project, version, c.var.user!.email);
+  const updated = await GetProjectBySubdomain(c.var.db, project.subdomain);
+  return c.json({ project: projectJson(c.env, updated || project), deployment: deploymentJson(deployment) }, 201);
+});
+
+route({
+  method: 'get',
+  path: '/projects/:subdomain/previews',
+  operationId: 'listPreviews',
+  summary: 'List preview deployments, newest first',
+  responses: { 200: { description: 'Previews, including expired ones not deleted yet', schema: 'PreviewList' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const previews = await GetProjectPreviews(c.var.db, project.id);
+  return c.json({ previews: previews.map((preview) => previewJson(c.env, preview)) });
+});
+
+route({
+  method: 'post',
+  path: '/projects/:subdomain/previews',
+  operationId: 'deployPreview',
+  summary: 'Deploy content to a new preview URL; the live site is unchanged',
+  requestBody: 'DeployContent',
+  uploads: true,
+  responses: { 201: { description: 'Preview deployed', schema: 'PreviewResponse' } },
+}, requireDeployConfig, async (c) => {
+  const project = await loadProject(c);
+  const { body, skipped } = await readDeployRequest(c.req.raw);
+  const { script_content, modules, main_module, assets, manifest } = body;
+  const preview = await deployPreview(c.env, c.var.db, project, { script_content, modules, main_module, assets, manifest }, c.var.user!.email);
+  return c.json({ preview: previewJson(c.env, preview), skipped }, 201);
+});
+
+route({
+  method: 'post',
+  path: '/projects/:subdomain/previews/:id/promote',
+  operationId: 'promotePreview',
+  summary: 'Deploy a preview to production without uploading it again',
+  responses: { 201: { description: 'Preview deployed as the live version', schema: 'ProjectResponse' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const deployment = await promotePreview(c.env, c.var.db, project, c.req.param('id') || '', c.var.user!.email);
+  const updated = await GetProjectBySubdomain(c.var.db, project.subdomain);
+  return c.json({ project: projectJson(c.env, updated || project), deployment: deploymentJson(deployment) }, 201);
+});
+
+route({
+  method: 'delete',
+  path: '/projects/:subdomain/previews/:id',
+  operationId: 'deletePreview',
+  summary: 'Delete a preview before it expires',
+  responses: { 200: { description: 'Preview deleted', schema: 'DeletedPreview' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  await deletePreview(c.env, c.var.db, project, c.req.param('id') || '');
+  return c.json({ deleted: true });
+});
+
+route({
+  method: 'get',
+  path: '/projects/:subdomain/domain',
+  operationId: 'getDomainStatus',
+  summary: 'Custom domain and SSL status',
+  responses: { 200: { description: 'Current custom hostname status', schema: 'DomainStatus' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const worker_url = getProjectUrl(c.env, project.subdomain);
+  if (!project.custom_hostname) {
+    return c.json({ has_custom_domain: false, worker_url });
+  }
+
+  const status = await refreshHostnameStatus(c.env, c.var.db, project, project.custom_hostname);
+  return c.json({
+    has_custom_domain: true,
+    custom_domain: project.custom_hostname,
+    status: status.status,
+    ssl_status: status.ssl?.status,
+    validation_method: status.ssl?.validation_method || null,
+    verification_errors: status.verification_errors || [],
+    dns_records: domainDnsRecords(project.custom_hostname, getFallbackOrigin(c.env), status),
+    is_active: status.status === 'active',
+    worker_url,
+  });
+});
+
+route({
+  method: 'get',
+  path: '/projects/:subdomain/variables',
+  operationId: 'listVariables',
+  summary: 'List environment variables and secrets (secret values are never returned)',
+  responses: { 200: { description: 'Variables', schema: 'VariableList' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const variables = await GetProjectVariables(c.var.db, project.id);
+  return c.json({ variables: variables.map(publicVariable) });
+});
+
+route({
+  method: 'put',
+  path: '/projects/:subdomain/variables/:name',
+  operationId: 'setVariable',
+  summary: 'Create or replace a variable and redeploy',
+  requestBody: 'SetVariable',
+  responses: { 200: { description: 'Variable saved and project redeployed', schema: 'VariableResponse' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const { value, secret } = await readJson(c);
+  const variable = await setProjectVariable(c.env, c.var.db, project, { name: c.req.param('name') || '', value, secret: secret === true });
+  const deployment = await redeployProject(c.env, c.var.db, project, c.var.user!.email);
+  return c.json({ variable: publicVariable(variable), deployment: deployment ? deploymentJson(deployment) : null });
+});
+
+route({
+  method: 'delete',
+  path: '/projects/:subdomain/variables/:name',
+  operationId: 'deleteVariable',
+  summary: 'Delete a variable and redeploy',
+  responses: { 200: { description: 'Variable deleted and project redeployed', schema: 'DeletedBinding' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  await deleteProjectVariable(c.var.db, project, c.req.param('name') || '');
+  const deployment = await redeployProject(c.env, c.var.db, project, c.var.user!.email);
+  return c.json({ deleted: true, deployment: deployment ? deploymentJson(deployment) : null });
+});
+
+route({
+  method: 'get',
+  path: '/projects/:subdomain/storage',
+  operationId: 'listStorage',
+  summary: 'List KV, D1 and R2 storage bound to the project',
+  responses: { 200: { description: 'Storage bindings', schema: 'StorageList' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const resources = await GetProjectResources(c.var.db, project.id);
+  return c.json({ storage: resources.map(storageJson) });
+});
+
+route({
+  method: 'post',
+  path: '/projects/:subdomain/storage',
+  operationId: 'attachStorage',
+  summary: 'Create a KV namespace, D1 database or R2 bucket for the project and redeploy',
+  requestBody: 'AttachStorage',
+  responses: { 201: { description: 'Storage created and project redeployed', schema: 'StorageResponse' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const { type, binding } = await readJson(c);
+  const resource = await attachStorage(c.env, c.var.db, project, { type: String(type || ''), binding: String(binding || '') });
+  const deployment = await redeployProject(c.env, c.var.db, project, c.var.user!.email);
+  return c.json({ storage: storageJson(resource), deployment: deployment ? deploymentJson(deployment) : null }, 201);
+});
+
+route({
+  method: 'delete',
+  path: '/projects/:subdomain/storage/:binding',
+  operationId: 'detachStorage',
+  summary: 'Delete a storage binding and all of its data, then redeploy',
+  responses: { 200: { description: 'Storage deleted and project redeployed', schema: 'DeletedBinding' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  await detachStorage(c.env, c.var.db, project, c.req.param('binding') || '');
+  const deployment = await redeployProject(c.env, c.var.db, project, c.var.user!.email);
+  return c.json({ deleted: true, deployment: deployment ? deploymentJson(deployment) : null });
+});
+
+route({
+  method: 'get',
+  path: '/projects/:subdomain/domains',
+  operationId: 'listDomains',
+  summary: 'Custom domains of the project with their live status',
+  responses: { 200: { description: 'Domains, primary first', schema: 'DomainList' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const domains = await getDomainStatuses(c.env, c.var.db, project);
+  return c.json({ domains: domains.map((domain) => domainJson(c.env, domain, domain.status)) });
+});
+
+route({
+  method: 'post',
+  path: '/projects/:subdomain/domains',
+  operationId: 'addDomain',
+  summary: 'Add a custom domain to the project',
+  requestBody: 'AddDomain',
+  responses: { 201: { description: 'Domain registered', schema: 'DomainResponse' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const { hostname, primary, validation_method } = await readJson(c);
+  const validation = parseValidationMethod(validation_method);
+  const updated = await addProjectDomain(c.env, c.var.db, project, hostname, { primary: primary === true, validation });
+  const domains = await listProjectDomains(c.var.db, updated);
+  return c.json({ project: projectJson(c.env, updated), domains: domains.map((domain) => domainJson(c.env, domain)) }, 201);
+});
+
+route({
+  method: 'post',
+  path: '/projects/:subdomain/domains/:hostname/primary',
+  operationId: 'setPrimaryDomain',
+  summary: 'Make a domain primary; the others start redirecting to it',
+  responses: { 200: { description: 'Primary domain changed', schema: 'DomainResponse' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const updated = await makePrimaryDomain(c.var.db, project, c.req.param('hostname') || '');
+  const domains = await listProjectDomains(c.var.db, updated);
+  return c.json({ project: projectJson(c.env, updated), domains: domains.map((domain) => domainJson(c.env, domain)) });
+});
+
+route({
+  method: 'post',
+  path: '/projects/:subdomain/domains/:hostname/validation',
+  operationId: 'setDomainValidation',
+  summary: 'Switch certificate validation between HTTP and TXT',
+  requestBody: 'SetDomainValidation',
+  responses: { 200: { description: 'The domain with its new DNS records', schema: 'ProjectDomain' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const { validation_method } = await readJson(c);
+  const domain = await setDomainValidation(c.env, c.var.db, project, c.req.param('hostname') || '', parseValidationMethod(validation_method));
+  return c.json(domainJson(c.env, domain, domain.status));
+});
+
+route({
+  method: 'delete',
+  path: '/projects/:subdomain/domains/:hostname',
+  operationId: 'removeDomain',
+  summary: 'Release a custom domain. Removing the primary promotes the oldest remaining domain.',
+  responses: { 200: { description: 'Domain removed', schema: 'DomainResponse' } },
+}, async (c) => {
+  const project = await loadProject(c);
+  const updated = await removeProjectDomain(c.env, c.var.db, project, c.req.param('hostname') || '');
+  const domains = await listProjectDomains(c.var.db, updated);
+  return c.json({ project: projectJson(c.env, updated), domains: domains.map((domain) => domainJson(c.env, domain)) });
+});
+
+api.all('*', (c) => {
+  return apiError(c, 404, `No route for ${c.req.method} ${new URL(c.req.url).pathname}`);
+});
+
+api.onError((error, c) => {
+  if (error instanceof ProjectError) {
+    return apiError(c, error.status, error.message, undefined, error.details);
+  }
+  console.error('API error:', error);
+  return apiError(c, 500, error instanceof Error ? error.message : 'Unknown error');
+});
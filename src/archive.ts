@@ -0,0 +1,197 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { ProjectError } from './errors';
+
+/*
+ * Site archives uploaded instead of separate files: .zip (stored or deflated entries) and .tar.gz.
+ * They are unpacked in memory with DecompressionStream. Only the entries the caller asks for are
+ * extracted, and nothing inflates past its declared size, so a small archive can't blow up.
+ */
+
+export type ArchiveFormat = 'zip' | 'tar.gz';
+
+export interface ArchiveEntry {
+  path: string; // As stored in the archive, e.g. "dist/index.html"
+  size: number;
+  data?: Uint8Array; // Only for entries the caller included
+  error?: string; // Why an included entry couldn't be extracted
+}
+
+// Decides from the stored path and size whether an entry is extracted
+export type IncludeEntry = (path: string, size: number) => boolean;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+export function detectArchiveFormat(data: Uint8Array): ArchiveFormat | null {
+  if (data[0] === 0x50 && data[1] === 0x4b && (data[2] === 0x03 || data[2] === 0x05)) return 'zip';
+  if (data[0] === 0x1f && data[1] === 0x8b) return 'tar.gz';
+  return null;
+}
+
+/*
+ * Run data through a DecompressionStream, failing once the output passes `limit` bytes
+ */
+async function inflate(data: Uint8Array, format: 'gzip' | 'deflate-raw', limit: number, tooLarge: string): Promise<Uint8Array> {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+  const chunks: Uint8Array[] = [];
+  let total = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      total += value.length;
+      if (total > limit) {
+        await reader.cancel();
+        throw new ProjectError(400, tooLarge);
+      }
+      chunks.push(value);
+    }
+  } catch (error) {
+    if (error instanceof ProjectError) throw error;
+    throw new ProjectError(400, `The archive is damaged: ${error instanceof Error ? error.message : 'could not decompress it'}`);
+  }
+
+  const output = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+async function unpackZip(data: Uint8Array, include: IncludeEntry): Promise<ArchiveEntry[]> {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const decoder = new TextDecoder();
+
+  // The end-of-directory record is last, followed by a comment of up to 64 KB
+  let end = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new ProjectError(400, 'The archive is not a valid zip file');
+  }
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new ProjectError(400, 'Zip64 archives are not supported. Zip the site with a standard zip tool.');
+  }
+
+  const entries: ArchiveEntry[] = [];
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > data.length || view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER) {
+      throw new ProjectError(400, 'The archive is damaged: its file list is incomplete');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+
+    if (path.endsWith('/')) continue; // Directory
+    const entry: ArchiveEntry = { path, size };
+    entries.push(entry);
+    if (!include(path, size)) continue;
+
+    if (flags & 0x1) {
+      entry.error = 'encrypted files are not supported';
+      continue;
+    }
+    if (method !== 0 && method !== 8) {
+      entry.error = `unsupported compression method ${method}`;
+      continue;
+    }
+    if (localOffset + 30 > data.length || view.getUint32(localOffset, true) !== ZIP_LOCAL_HEADER) {
+      throw new ProjectError(400, `The archive is damaged: ${path} could not be found`);
+    }
+    // Sizes in the local header can be zero (streamed zips), the central directory's are authoritative
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const stored = data.subarray(start, start + compressedSize);
+    const content = method === 0 ? stored : await inflate(stored, 'deflate-raw', size, `The archive is damaged: ${path} is larger than it claims`);
+    if (content.length !== size) {
+      throw new ProjectError(400, `The archive is damaged: ${path} is truncated`);
+    }
+    entry.data = content;
+  }
+  return entries;
+}
+
+function readString(data: Uint8Array, offset: number, length: number): string {
+  const field = data.subarray(offset, offset + length);
+  const nul = field.indexOf(0);
+  return new TextDecoder().decode(nul >= 0 ? field.subarray(0, nul) : field);
+}
+
+// "<length> path=<value>\n" records of a pax extended header
+function paxPath(data: Uint8Array): string | null {
+  const match = new TextDecoder().decode(data).match(/^\d+ path=(.*)$/m);
+  return match ? match[1] : null;
+}
+
+async function unpackTarGz(data: Uint8Array, include: IncludeEntry, maxSize: number): Promise<ArchiveEntry[]> {
+  const tar = await inflate(data, 'gzip', maxSize, `The archive unpacks to more than ${Math.round(maxSize / (1024 * 1024))} MB`);
+  const entries: ArchiveEntry[] = [];
+  let longPath: string | null = null;
+  let offset = 0;
+
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every((byte) => byte === 0)) break; // End of archive
+
+    const sizeField = readString(header, 124, 12).trim();
+    const size = sizeField ? parseInt(sizeField, 8) : 0;
+    if (!Number.isInteger(size) || size < 0 || offset + 512 + size > tar.length) {
+      throw new ProjectError(400, 'The archive is damaged: a file header is invalid or the archive is truncated');
+    }
+    const type = String.fromCharCode(header[156]);
+    const body = tar.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    // GNU long names and pax headers name the entry that follows
+    if (type === 'L') {
+      longPath = readString(body, 0, body.length);
+      continue;
+    }
+    if (type === 'x') {
+      longPath = paxPath(body) ?? longPath;
+      continue;
+    }
+    const prefix = readString(header, 257, 6).startsWith('ustar') ? readString(header, 345, 155) : '';
+    const path = longPath ?? (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+    longPath = null;
+
+    // Regular files only: directories, links and devices are skipped
+    if (type !== '0' && type !== '\0' && type !== '7') continue;
+    const entry: ArchiveEntry = { path, size };
+    entries.push(entry);
+    if (include(path, size)) {
+      entry.data = body;
+    }
+  }
+  return entries;
+}
+
+/*
+ * Every file in the archive, with the contents of those `include` accepts. `maxSize` bounds what
+ * a .tar.gz may unpack to, since its file list is only known once it is decompressed.
+ */
+export async function unpackArchive(data: Uint8Array, include: IncludeEntry, maxSize: number): Promise<ArchiveEntry[]> {
+  const format = detectArchiveFormat(data);
+  if (format === 'zip') {
+    return unpackZip(data, include);
+  }
+  if (format === 'tar.gz') {
+    return unpackTarGz(data, include, maxSize);
+  }
+  throw new ProjectError(400, 'The archive must be a .zip or .tar.gz file');
+}
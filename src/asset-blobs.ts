@@ -0,0 +1,64 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { AddAssetRefs, DeleteAssetRefs, DeleteProjectAssets, DeleteUnreferencedAssetBlobs, ReleaseOldAssetRefs } from './db';
+import type { Env } from './env';
+import { Deployment } from './types';
+
+/*
+ * The files of static and hybrid sites are stored once per content hash (asset_blobs) so earlier
+ * versions and previews can be deployed again. Each successful deployment and each preview records
+ * the hashes its manifest uses (asset_refs); a file is deleted once nothing references it anymore.
+ */
+
+// Static and hybrid versions further back than this many successful deploys release their files
+export const MAX_RESTORABLE_VERSIONS = 20;
+
+// Deploys save files before the version that uses them is recorded
+const UNREFERENCED_GRACE_MS = 24 * 60 * 60 * 1000;
+
+function graceCutoff(): string {
+  return new Date(Date.now() - UNREFERENCED_GRACE_MS).toISOString();
+}
+
+/*
+ * Whether a deployment can still be deployed again. `deployments` is the project's history, newest first.
+ * Scripts are stored with the deployment and stay restorable.
+ */
+export function isRestorable(deployments: Deployment[], deployment: Deployment): boolean {
+  if (deployment.status !== 'success') return false;
+  if (!deployment.asset_manifest) return true;
+  const successful = deployments.filter((d) => d.status === 'success');
+  return successful.findIndex((d) => d.version === deployment.version) < MAX_RESTORABLE_VERSIONS;
+}
+
+// Reference the files of a new deployment or preview
+export async function trackAssetFiles(db: D1QB, owner: { id: string; project_id: string; asset_manifest: string | null }): Promise<void> {
+  if (owner.asset_manifest) {
+    await AddAssetRefs(db, owner.id, owner.project_id, owner.asset_manifest);
+  }
+}
+
+// Called after each deploy: versions that are no longer restorable release their files
+export async function releaseOldVersions(db: D1QB, projectId: string): Promise<void> {
+  await ReleaseOldAssetRefs(db, projectId, MAX_RESTORABLE_VERSIONS);
+}
+
+export async function releaseAssetFiles(db: D1QB, ownerId: string): Promise<void> {
+  await DeleteAssetRefs(db, ownerId);
+}
+
+// Used when a project is deleted
+export async function deleteProjectAssetFiles(db: D1QB, projectId: string): Promise<void> {
+  await DeleteProjectAssets(db, projectId, graceCutoff());
+}
+
+/*
+ * Scheduled job: delete the files nothing references, e.g. those of expired previews and of
+ * versions that are no longer restorable.
+ */
+export async function collectAssetBlobs(env: Env): Promise<void> {
+  await DeleteUnreferencedAssetBlobs(new D1QB(env.DB), graceCutoff());
+}
@@ -0,0 +1,264 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Context, MiddlewareHandler } from 'hono';
+import { getCookie, setCookie, deleteCookie } from 'hono/cookie';
+
+import { CreateApiToken, CreateSession, DeleteSession, GetApiTokenByHash, GetSession, GetUserById, TouchApiToken } from './db';
+import type { AppEnv } from './router';
+import { renderPage } from './render';
+import { ApiToken, Project, User } from './types';
+
+export const SESSION_COOKIE = 'platform_session';
+const SESSION_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+
+// Workers caps PBKDF2 at 100k iterations
+const PBKDF2_ITERATIONS = 100000;
+
+// Personal API tokens look like wfp_<64 hex chars> so they are easy to spot in leaked logs
+const API_TOKEN_PREFIX = 'wfp_';
+
+export function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(value: string): Uint8Array {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Compare without short-circuiting so timing doesn't leak the matching prefix
+function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+export function generateToken(byteLength = 32): string {
+  return toHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+export async function sha256Hex(value: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return toHex(new Uint8Array(digest));
+}
+
+async function derivePasswordKey(password: string, salt: Uint8Array, iterations: number): Promise<Uint8Array> {
+  const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, keyMaterial, 256);
+  return new Uint8Array(bits);
+}
+
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derivePasswordKey(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [scheme, iterations, salt, hash] = stored.split('$');
+  if (scheme !== 'pbkdf2' || !iterations || !salt || !hash) {
+    return false;
+  }
+  const candidate = await derivePasswordKey(password, fromBase64(salt), parseInt(iterations, 10));
+  return timingSafeEqual(candidate, fromBase64(hash));
+}
+
+export function normalizeEmail(email: string): string {
+  return email.trim().toLowerCase();
+}
+
+export function isValidEmail(email: string): boolean {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/*
+ * Create a session row and hand the raw token to the browser.
+ * Only the SHA-256 of the token is stored, so a database dump can't be replayed as cookies.
+ */
+export async function startSession(c: Context<AppEnv>, userId: string): Promise<void> {
+  const token = generateToken();
+  const now = Date.now();
+  await CreateSession(c.var.db, {
+    id: await sha256Hex(token),
+    user_id: userId,
+    expires_on: new Date(now + SESSION_TTL_SECONDS * 1000).toISOString(),
+    created_on: new Date(now).toISOString(),
+  });
+  setCookie(c, SESSION_COOKIE, token, {
+    path: '/',
+    httpOnly: true,
+    secure: new URL(c.req.url).protocol === 'https:',
+    sameSite: 'Lax',
+    maxAge: SESSION_TTL_SECONDS,
+  });
+}
+
+export async function endSession(c: Context<AppEnv>): Promise<void> {
+  const token = getCookie(c, SESSION_COOKIE);
+  if (token) {
+    await DeleteSession(c.var.db, await sha256Hex(token));
+  }
+  deleteCookie(c, SESSION_COOKIE, { path: '/' });
+}
+
+async function loadUser(c: Context<AppEnv>): Promise<User | null> {
+  const token = getCookie(c, SESSION_COOKIE);
+  if (!token) return null;
+
+  const session = await GetSession(c.var.db, await sha256Hex(token));
+  if (!session) return null;
+
+  if (new Date(session.expires_on).getTime() < Date.now()) {
+    await DeleteSession(c.var.db, session.id);
+    return null;
+  }
+
+  return GetUserById(c.var.db, session.user_id);
+}
+
+/*
+ * Resolve the signed-in user (if any) into c.var.user. Must run after withDb.
+ */
+export const withUser: MiddlewareHandler<AppEnv> = async (c, next) => {
+  try {
+    c.set('user', await loadUser(c));
+  } catch (e) {
+    // Tables may not exist yet on a brand new database
+    c.set('user', null);
+  }
+  await next();
+};
+
+/*
+ * Reject anonymous requests. Page loads are sent to the login form, everything else gets a 401.
+ */
+export const requireUser: MiddlewareHandler<AppEnv> = async (c, next) => {
+  if (!c.var.user) {
+    if (c.req.method === 'GET' && (c.req.header('Accept') || '').includes('text/html')) {
+      const url = new URL(c.req.url);
+      return c.redirect(`/login?next=${encodeURIComponent(url.pathname + url.search)}`);
+    }
+    return c.text('Sign in required', 401);
+  }
+  await next();
+};
+
+/*
+ * Admin rights are a flag on the account, never derived from its (unverified) email.
+ * The platform has no way to grant them; operators set users.is_admin in D1.
+ */
+export function isAdmin(user: User | null): boolean {
+  return !!user && user.is_admin === 1;
+}
+
+export const requireAdmin: MiddlewareHandler<AppEnv> = async (c, next) => {
+  if (!c.var.user) {
+    const url = new URL(c.req.url);
+    return c.redirect(`/login?next=${encodeURIComponent(url.pathname + url.search)}`);
+  }
+  if (!isAdmin(c.var.user)) {
+    const body = `
+      <div class="banner banner-error">
+        <p>You don't have access to the admin dashboard. Ask a platform operator to make your account an admin.</p>
+      </div>`;
+    return c.html(renderPage(body, { customDomain: c.env.CUSTOM_DOMAIN, user: c.var.user }), 403);
+  }
+  await next();
+};
+
+/*
+ * CSRF token bound to the current session. Derived from the session cookie, so nothing extra is stored.
+ */
+export async function getCsrfToken(c: Context<AppEnv>): Promise<string> {
+  const token = getCookie(c, SESSION_COOKIE);
+  if (!token) return '';
+  return sha256Hex(`csrf:${token}`);
+}
+
+/*
+ * Reject state-changing requests that don't carry the session's CSRF token,
+ * either as a `_csrf` form field or an `X-CSRF-Token` header.
+ */
+export const requireCsrf: MiddlewareHandler<AppEnv> = async (c, next) => {
+  const expected = await getCsrfToken(c);
+  let provided = c.req.header('X-CSRF-Token') || '';
+  if (!provided) {
+    const contentType = c.req.header('Content-Type') || '';
+    if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+      const form = await c.req.parseBody();
+      provided = String(form._csrf || '');
+    }
+  }
+
+  const encoder = new TextEncoder();
+  if (!expected || !timingSafeEqual(encoder.encode(provided), encoder.encode(expected))) {
+    return c.text('Invalid or missing CSRF token. Reload the page and try again.', 403);
+  }
+  await next();
+};
+
+/*
+ * Issue a personal API token. The raw token is returned once; only its hash is stored.
+ */
+export async function createApiToken(c: Context<AppEnv>, user: User, name: string): Promise<{ token: string; record: ApiToken }> {
+  const token = `${API_TOKEN_PREFIX}${generateToken()}`;
+  const record: ApiToken = {
+    id: `token-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+    user_id: user.id,
+    name,
+    token_hash: await sha256Hex(token),
+    token_prefix: token.substring(0, API_TOKEN_PREFIX.length + 8),
+    last_used_on: null,
+    created_on: new Date().toISOString(),
+  };
+  await CreateApiToken(c.var.db, record);
+  return { token, record };
+}
+
+/*
+ * Resolve the user behind an `Authorization: Bearer <token>` header, or null
+ */
+export async function authenticateApiToken(c: Context<AppEnv>): Promise<User | null> {
+  const header = c.req.header('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match || !match[1].startsWith(API_TOKEN_PREFIX)) return null;
+
+  const record = await GetApiTokenByHash(c.var.db, await sha256Hex(match[1]));
+  if (!record) return null;
+
+  await TouchApiToken(c.var.db, record.id);
+  return GetUserById(c.var.db, record.user_id);
+}
+
+export function isProjectOwner(user: User | null, project: Project): boolean {
+  return !!user && !!project.owner_id && project.owner_id === user.id;
+}
+
+// Owners manage their own projects; admins can manage any project
+export function canManageProject(user: User | null, project: Project): boolean {
+  return isProjectOwner(user, project) || isAdmin(user);
+}
+
+// Only allow relative redirects after login so ?next= can't bounce users off-site
+export function safeRedirectPath(next: string | undefined): string {
+  if (!next || !next.startsWith('/') || next.startsWith('//')) {
+    return '/';
+  }
+  return next;
+}
@@ -15,7 +15,7 @@ function getAuthHeaders(env: Env): Record<string, string> {
   return {};
 }
 
-function isApiConfigured(env: Env): boolean {
+export function isApiConfigured(env: Env): boolean {
   const hasAuth = !!env.CLOUDFLARE_API_TOKEN || !!env.DISPATCH_NAMESPACE_API_TOKEN;
   const configured = !!(env.CLOUDFLARE_ZONE_ID && hasAuth);
   if (!configured) {
@@ -28,9 +28,25 @@ function isApiConfigured(env: Env): boolean {
   return configured;
 }
 
-export async function createCustomHostname(env: Env, hostname: string): Promise<boolean> {
+// How Cloudflare validates the certificate: 'http' once traffic reaches us, 'txt' with a DNS record
+// the owner adds, which also works before the domain points here or behind another proxy
+export type ValidationMethod = 'http' | 'txt';
+
+function sslSettings(method: ValidationMethod) {
+  return {
+    method,
+    type: 'dv',
+    settings: {
+      http2: 'on',
+      min_tls_version: '1.2',
+      tls_1_3: 'on'
+    }
+  };
+}
+
+export async function createCustomHostname(env: Env, hostname: string, method: ValidationMethod = 'http'): Promise<{ ok: boolean; error?: string }> {
   if (!isApiConfigured(env)) {
-    return false;
+    return { ok: false, error: 'Custom domains are not configured on this platform' };
   }
 
   try {
@@ -39,21 +55,17 @@ export async function createCustomHostname(env: Env, hostname: string): Promise<
       headers: getAuthHeaders(env),
       body: JSON.stringify({
         hostname: hostname,
-        ssl: {
-          method: 'http',
-          type: 'dv',
-          settings: {
-            http2: 'on',
-            min_tls_version: '1.2',
-            tls_1_3: 'on'
-          }
-        }
+        ssl: sslSettings(method)
       })
     });
 
-    return response.ok;
+    if (!response.ok) {
+      const data = await response.json().catch(() => null) as { errors?: Array<{ message: string }> } | null;
+      return { ok: false, error: data?.errors?.[0]?.message || `Cloudflare API returned ${response.status}` };
+    }
+    return { ok: true };
   } catch (error) {
-    return false;
+    return { ok: false, error: error instanceof Error ? error.message : 'Cloudflare API request failed' };
   }
 }
 
@@ -70,6 +82,12 @@ export interface CustomHostnameStatus {
       http_body?: string;
     }>;
   };
+  // TXT record proving the domain belongs to whoever added it
+  ownership_verification?: {
+    type: string;
+    name: string;
+    value: string;
+  };
   verification_errors?: string[];
 }
 
@@ -109,6 +127,7 @@ export async function getCustomHostnameStatus(env: Env, hostname: string): Promi
         validation_errors: hostnameData.ssl.validation_errors || [],
         validation_records: hostnameData.ssl.validation_records || []
       } : undefined,
+      ownership_verification: hostnameData.ownership_verification || undefined,
       verification_errors: hostnameData.verification_errors || []
     };
   } catch (error) {
@@ -127,11 +146,16 @@ export async function deleteCustomHostname(env: Env, hostname: string): Promise<
       headers: getAuthHeaders(env),
     });
 
-    const listResult = await listResponse.json();
+    const listResult = await listResponse.json() as { result?: Array<{ id: string }> };
     
-    if (!listResponse.ok || !listResult.result || listResult.result.length === 0) {
+    if (!listResponse.ok || !listResult.result) {
       return false;
     }
+    
+    // Nothing to delete - the hostname is already gone
+    if (listResult.result.length === 0) {
+      return true;
+    }
 
     const hostnameId = listResult.result[0].id;
 
@@ -145,4 +169,34 @@ export async function deleteCustomHostname(env: Env, hostname: string): Promise<
   } catch (error) {
     return false;
   }
-}
\ No newline at end of file
+}
+/*
+ * Switch the certificate validation method of an existing custom hostname
+ */
+export async function updateCustomHostnameValidation(env: Env, hostname: string, method: ValidationMethod): Promise<boolean> {
+  if (!isApiConfigured(env)) {
+    return false;
+  }
+
+  try {
+    const listResponse = await fetch(`https://api.cloudflare.com/client/v4/zones/${env.CLOUDFLARE_ZONE_ID}/custom_hostnames?hostname=${hostname}`, {
+      headers: getAuthHeaders(env),
+    });
+
+    const listResult = await listResponse.json() as { result?: Array<{ id: string }> };
+
+    if (!listResponse.ok || !listResult.result || listResult.result.length === 0) {
+      return false;
+    }
+
+    const updateResponse = await fetch(`https://api.cloudflare.com/client/v4/zones/${env.CLOUDFLARE_ZONE_ID}/custom_hostnames/${listResult.result[0].id}`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(env),
+      body: JSON.stringify({ ssl: sslSettings(method) })
+    });
+
+    return updateResponse.ok;
+  } catch (error) {
+    return false;
+  }
+}
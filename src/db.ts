@@ -1,32 +1,73 @@
 // Copyright (c) 2022 Cloudflare, Inc.
 // Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
 
-import { D1QB } from 'workers-qb';
-import { ResourceRecord, Project } from './types';
+import { D1QB, FetchTypes } from 'workers-qb';
+import { ResourceRecord, Project, User, Session, Deployment, ApiToken, ProjectVariable, ProjectResource, EgressPolicy, EgressUsage, TrafficCount, TrafficDimension, TrafficHour, ProjectLog, ThrottleStat, HostnameStatus, DeployJob, ProjectDomain, SchemaMigration, Preview } from './types';
 
-export async function Initialize(db: D1QB) {
-  const tables: { name: string; schema: string }[] = [
-    {
-      name: 'projects',
-      schema: 'id TEXT PRIMARY KEY, name TEXT NOT NULL, subdomain TEXT UNIQUE NOT NULL, custom_hostname TEXT, script_content TEXT NOT NULL, created_on TEXT NOT NULL, modified_on TEXT NOT NULL',
-    },
-  ];
+// Tables that survive a platform reset
+const AccountTables = ['users', 'sessions', 'api_tokens'];
 
-  for (const table of tables) {
-    await db.dropTable({
-      tableName: table.name,
-      ifExists: true,
-    });
-  }
-  for (const table of tables) {
-    await db.createTable({
-      tableName: table.name,
-      schema: table.schema,
-      ifNotExists: true,
-    });
+/*
+ * Empty every platform table. The tables themselves are created and changed by src/migrations.
+ */
+export async function ResetData(db: D1QB, options?: { keepAccounts?: boolean }) {
+  const kept = ['schema_migrations', ...(options?.keepAccounts ? AccountTables : [])];
+  for (const table of await GetTableNames(db)) {
+    if (!kept.includes(table)) {
+      await db.execute({ query: `DELETE FROM ${table}` });
+    }
   }
 }
 
+// User tables, without SQLite's and D1's own
+export async function GetTableNames(db: D1QB): Promise<string[]> {
+  const result = await db.fetchAll({
+    tableName: 'sqlite_master',
+    fields: 'name',
+    where: {
+      conditions: "type = 'table' AND name NOT LIKE 'sqlite%' AND substr(name, 1, 4) != '_cf_'",
+      params: [],
+    },
+  });
+  return ((result.results || []) as unknown as { name: string }[]).map((row) => row.name);
+}
+
+export async function GetTableColumns(db: D1QB, table: string): Promise<string[]> {
+  // PRAGMA arguments can't be bound; table names only come from migration statements
+  const result = await db.execute({ query: `PRAGMA table_info(${table})`, fetchType: FetchTypes.ALL });
+  return ((result.results || []) as { name: string }[]).map((row) => row.name);
+}
+
+export async function RunStatement(db: D1QB, sql: string) {
+  return db.execute({ query: sql });
+}
+
+export async function CreateSchemaMigrationsTable(db: D1QB) {
+  return db.createTable({
+    tableName: 'schema_migrations',
+    schema: 'id TEXT PRIMARY KEY, description TEXT NOT NULL, applied_on TEXT NOT NULL',
+    ifNotExists: true,
+  });
+}
+
+export async function GetAppliedMigrations(db: D1QB): Promise<SchemaMigration[]> {
+  const result = await db.fetchAll({
+    tableName: 'schema_migrations',
+    fields: '*',
+    orderBy: 'id ASC',
+  });
+  return (result.results as unknown as SchemaMigration[]) || [];
+}
+
+// Two isolates may finish the same migration; the first record wins
+export async function RecordMigration(db: D1QB, migration: SchemaMigration) {
+  return db.insert({
+    tableName: 'schema_migrations',
+    data: migration as unknown as Record<string, string>,
+    onConflict: 'IGNORE',
+  });
+}
+
 export async function FetchTable(db: D1QB, table: string): Promise<ResourceRecord[] | undefined> {
   return (
     await db.fetchAll({
@@ -61,13 +102,14 @@ export async function GetProjectBySubdomain(db: D1QB, subdomain: string): Promis
   return result.results as Project | null;
 }
 
+// Any of the project's domains; projects.custom_hostname covers projects whose domain predates project_domains
 export async function GetProjectByCustomHostname(db: D1QB, hostname: string): Promise<Project | null> {
   const result = await db.fetchOne({
     tableName: 'projects',
     fields: '*',
     where: {
-      conditions: 'projects.custom_hostname IS ?',
-      params: [hostname],
+      conditions: 'projects.id IS (SELECT project_id FROM project_domains WHERE hostname IS ?) OR projects.custom_hostname IS ?',
+      params: [hostname, hostname],
     },
   });
   return result.results as Project | null;
@@ -91,3 +133,959 @@ export async function UpdateProject(db: D1QB, projectId: string, updates: Partia
     },
   });
 }
+
+export async function DeleteProject(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'projects',
+    where: {
+      conditions: 'projects.id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+export async function GetProjectsByOwner(db: D1QB, ownerId: string): Promise<Project[]> {
+  const result = await db.fetchAll({
+    tableName: 'projects',
+    fields: '*',
+    where: {
+      conditions: 'projects.owner_id IS ?',
+      params: [ownerId],
+    },
+    orderBy: 'created_on DESC',
+  });
+  return result.results as unknown as Project[] || [];
+}
+
+export async function CreateUser(db: D1QB, user: User) {
+  return db.insert({
+    tableName: 'users',
+    data: user as unknown as Record<string, string>,
+  });
+}
+
+export async function GetUserByEmail(db: D1QB, email: string): Promise<User | null> {
+  const result = await db.fetchOne({
+    tableName: 'users',
+    fields: '*',
+    where: {
+      conditions: 'users.email IS ?',
+      params: [email],
+    },
+  });
+  return (result.results as unknown as User) || null;
+}
+
+export async function GetUserById(db: D1QB, userId: string): Promise<User | null> {
+  const result = await db.fetchOne({
+    tableName: 'users',
+    fields: '*',
+    where: {
+      conditions: 'users.id IS ?',
+      params: [userId],
+    },
+  });
+  return (result.results as unknown as User) || null;
+}
+
+export async function CreateSession(db: D1QB, session: Session) {
+  return db.insert({
+    tableName: 'sessions',
+    data: session as unknown as Record<string, string>,
+  });
+}
+
+export async function GetSession(db: D1QB, sessionId: string): Promise<Session | null> {
+  const result = await db.fetchOne({
+    tableName: 'sessions',
+    fields: '*',
+    where: {
+      conditions: 'sessions.id IS ?',
+      params: [sessionId],
+    },
+  });
+  return (result.results as unknown as Session) || null;
+}
+
+export async function DeleteSession(db: D1QB, sessionId: string) {
+  return db.delete({
+    tableName: 'sessions',
+    where: {
+      conditions: 'sessions.id IS ?',
+      params: [sessionId],
+    },
+  });
+}
+
+export async function CreateApiToken(db: D1QB, token: ApiToken) {
+  return db.insert({
+    tableName: 'api_tokens',
+    data: token as unknown as Record<string, string | null>,
+  });
+}
+
+export async function GetApiTokenByHash(db: D1QB, tokenHash: string): Promise<ApiToken | null> {
+  const result = await db.fetchOne({
+    tableName: 'api_tokens',
+    fields: '*',
+    where: {
+      conditions: 'api_tokens.token_hash IS ?',
+      params: [tokenHash],
+    },
+  });
+  return (result.results as unknown as ApiToken) || null;
+}
+
+export async function GetApiTokensByUser(db: D1QB, userId: string): Promise<ApiToken[]> {
+  const result = await db.fetchAll({
+    tableName: 'api_tokens',
+    fields: '*',
+    where: {
+      conditions: 'api_tokens.user_id IS ?',
+      params: [userId],
+    },
+    orderBy: 'created_on DESC',
+  });
+  return result.results as unknown as ApiToken[] || [];
+}
+
+export async function TouchApiToken(db: D1QB, tokenId: string) {
+  return db.update({
+    tableName: 'api_tokens',
+    data: { last_used_on: new Date().toISOString() },
+    where: {
+      conditions: 'api_tokens.id IS ?',
+      params: [tokenId],
+    },
+  });
+}
+
+export async function DeleteApiToken(db: D1QB, userId: string, tokenId: string) {
+  return db.delete({
+    tableName: 'api_tokens',
+    where: {
+      conditions: 'api_tokens.id IS ? AND api_tokens.user_id IS ?',
+      params: [tokenId, userId],
+    },
+  });
+}
+
+export async function CreateDeployment(db: D1QB, deployment: Deployment) {
+  return db.insert({
+    tableName: 'deployments',
+    data: deployment as unknown as Record<string, string | number | null>,
+  });
+}
+
+export async function GetDeployments(db: D1QB, projectId: string): Promise<Deployment[]> {
+  const result = await db.fetchAll({
+    tableName: 'deployments',
+    fields: '*',
+    where: {
+      conditions: 'deployments.project_id IS ?',
+      params: [projectId],
+    },
+    orderBy: 'version DESC',
+  });
+  return result.results as unknown as Deployment[] || [];
+}
+
+export async function GetDeployment(db: D1QB, projectId: string, version: number): Promise<Deployment | null> {
+  const result = await db.fetchOne({
+    tableName: 'deployments',
+    fields: '*',
+    where: {
+      conditions: 'deployments.project_id IS ? AND deployments.version = ?',
+      params: [projectId, version],
+    },
+  });
+  return (result.results as unknown as Deployment) || null;
+}
+
+export async function GetLatestDeploymentVersion(db: D1QB, projectId: string): Promise<number> {
+  const result = await db.fetchOne({
+    tableName: 'deployments',
+    fields: 'MAX(version) AS version',
+    where: {
+      conditions: 'deployments.project_id IS ?',
+      params: [projectId],
+    },
+  });
+  return Number(result.results?.version) || 0;
+}
+
+export async function DeleteDeployments(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'deployments',
+    where: {
+      conditions: 'deployments.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+export async function GetProjectVariables(db: D1QB, projectId: string): Promise<ProjectVariable[]> {
+  const result = await db.fetchAll({
+    tableName: 'project_variables',
+    fields: '*',
+    where: {
+      conditions: 'project_variables.project_id IS ?',
+      params: [projectId],
+    },
+    orderBy: 'name ASC',
+  });
+  return result.results as unknown as ProjectVariable[] || [];
+}
+
+export async function GetProjectVariable(db: D1QB, projectId: string, name: string): Promise<ProjectVariable | null> {
+  const result = await db.fetchOne({
+    tableName: 'project_variables',
+    fields: '*',
+    where: {
+      conditions: 'project_variables.project_id IS ? AND project_variables.name IS ?',
+      params: [projectId, name],
+    },
+  });
+  return (result.results as unknown as ProjectVariable) || null;
+}
+
+export async function CreateProjectVariable(db: D1QB, variable: ProjectVariable) {
+  return db.insert({
+    tableName: 'project_variables',
+    data: variable as unknown as Record<string, string>,
+  });
+}
+
+export async function UpdateProjectVariable(db: D1QB, variableId: string, updates: Partial<ProjectVariable>) {
+  return db.update({
+    tableName: 'project_variables',
+    data: updates as unknown as Record<string, string>,
+    where: {
+      conditions: 'project_variables.id IS ?',
+      params: [variableId],
+    },
+  });
+}
+
+export async function DeleteProjectVariable(db: D1QB, projectId: string, name: string) {
+  return db.delete({
+    tableName: 'project_variables',
+    where: {
+      conditions: 'project_variables.project_id IS ? AND project_variables.name IS ?',
+      params: [projectId, name],
+    },
+  });
+}
+
+export async function DeleteProjectVariables(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'project_variables',
+    where: {
+      conditions: 'project_variables.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+export async function GetProjectResources(db: D1QB, projectId: string): Promise<ProjectResource[]> {
+  const result = await db.fetchAll({
+    tableName: 'project_resources',
+    fields: '*',
+    where: {
+      conditions: 'project_resources.project_id IS ?',
+      params: [projectId],
+    },
+    orderBy: 'created_on ASC',
+  });
+  return result.results as unknown as ProjectResource[] || [];
+}
+
+export async function GetProjectResource(db: D1QB, projectId: string, binding: string): Promise<ProjectResource | null> {
+  const result = await db.fetchOne({
+    tableName: 'project_resources',
+    fields: '*',
+    where: {
+      conditions: 'project_resources.project_id IS ? AND project_resources.binding IS ?',
+      params: [projectId, binding],
+    },
+  });
+  return (result.results as unknown as ProjectResource) || null;
+}
+
+export async function CreateProjectResource(db: D1QB, resource: ProjectResource) {
+  return db.insert({
+    tableName: 'project_resources',
+    data: resource as unknown as Record<string, string>,
+  });
+}
+
+export async function DeleteProjectResource(db: D1QB, projectId: string, binding: string) {
+  return db.delete({
+    tableName: 'project_resources',
+    where: {
+      conditions: 'project_resources.project_id IS ? AND project_resources.binding IS ?',
+      params: [projectId, binding],
+    },
+  });
+}
+
+export async function DeleteProjectResources(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'project_resources',
+    where: {
+      conditions: 'project_resources.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+export async function GetEgressPolicy(db: D1QB, projectId: string): Promise<EgressPolicy | null> {
+  const result = await db.fetchOne({
+    tableName: 'egress_policies',
+    fields: '*',
+    where: {
+      conditions: 'egress_policies.project_id IS ?',
+      params: [projectId],
+    },
+  });
+  return (result.results as unknown as EgressPolicy) || null;
+}
+
+export async function SaveEgressPolicy(db: D1QB, policy: EgressPolicy) {
+  return db.insert({
+    tableName: 'egress_policies',
+    data: policy as unknown as Record<string, string>,
+    onConflict: 'REPLACE',
+  });
+}
+
+export async function DeleteEgressPolicy(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'egress_policies',
+    where: {
+      conditions: 'egress_policies.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+// Adds to the hour's counters; many outbound requests land on the same row
+export async function RecordEgressUsage(db: D1QB, usage: EgressUsage) {
+  return db.execute({
+    query: `INSERT INTO egress_usage (project_id, hour, requests, blocked, bytes_out, bytes_in) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (project_id, hour) DO UPDATE SET
+        requests = requests + excluded.requests,
+        blocked = blocked + excluded.blocked,
+        bytes_out = bytes_out + excluded.bytes_out,
+        bytes_in = bytes_in + excluded.bytes_in`,
+    arguments: [usage.project_id, usage.hour, usage.requests, usage.blocked, usage.bytes_out, usage.bytes_in],
+  });
+}
+
+export async function GetEgressUsage(db: D1QB, projectId: string, sinceHour: string): Promise<EgressUsage[]> {
+  const result = await db.fetchAll({
+    tableName: 'egress_usage',
+    fields: '*',
+    where: {
+      conditions: 'egress_usage.project_id IS ? AND egress_usage.hour >= ?',
+      params: [projectId, sinceHour],
+    },
+    orderBy: 'hour DESC',
+  });
+  return result.results as unknown as EgressUsage[] || [];
+}
+
+export async function DeleteEgressUsage(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'egress_usage',
+    where: {
+      conditions: 'egress_usage.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+export async function RecordTrafficHour(db: D1QB, traffic: TrafficHour) {
+  return db.execute({
+    query: `INSERT INTO traffic_hourly (project_id, hour, requests, status_2xx, status_3xx, status_4xx, status_5xx, bytes, latency_ms) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (project_id, hour) DO UPDATE SET
+        requests = requests + excluded.requests,
+        status_2xx = status_2xx + excluded.status_2xx,
+        status_3xx = status_3xx + excluded.status_3xx,
+        status_4xx = status_4xx + excluded.status_4xx,
+        status_5xx = status_5xx + excluded.status_5xx,
+        bytes = bytes + excluded.bytes,
+        latency_ms = latency_ms + excluded.latency_ms`,
+    arguments: [traffic.project_id, traffic.hour, traffic.requests, traffic.status_2xx, traffic.status_3xx, traffic.status_4xx, traffic.status_5xx, traffic.bytes, traffic.latency_ms],
+  });
+}
+
+/*
+ * Count one request for each value, in a single statement. A value that has no row yet only gets one
+ * while its dimension has fewer than `maxValues` rows that day; after that it is counted as `otherValue`.
+ */
+export async function RecordTrafficTop(
+  db: D1QB,
+  projectId: string,
+  day: string,
+  values: { dimension: TrafficDimension; value: string }[],
+  maxValues: number,
+  otherValue: string
+) {
+  const row = `SELECT ?, ?, ?, CASE
+      WHEN EXISTS (SELECT 1 FROM traffic_top WHERE project_id = ? AND day = ? AND dimension = ? AND value = ?)
+        OR (SELECT COUNT(*) FROM traffic_top WHERE project_id = ? AND day = ? AND dimension = ?) < ? THEN ?
+      ELSE ? END, 1`;
+  return db.execute({
+    // "WHERE true" keeps SQLite from reading ON CONFLICT as part of the SELECT
+    query: `INSERT INTO traffic_top (project_id, day, dimension, value, requests)
+      SELECT * FROM (${values.map(() => row).join(' UNION ALL ')}) WHERE true
+      ON CONFLICT (project_id, day, dimension, value) DO UPDATE SET requests = requests + 1`,
+    arguments: values.flatMap(({ dimension, value }) => [
+      projectId, day, dimension,
+      projectId, day, dimension, value,
+      projectId, day, dimension, maxValues, value,
+      otherValue,
+    ]),
+  });
+}
+
+export async function GetTrafficHours(db: D1QB, projectId: string, sinceHour: string): Promise<TrafficHour[]> {
+  const result = await db.fetchAll({
+    tableName: 'traffic_hourly',
+    fields: '*',
+    where: {
+      conditions: 'traffic_hourly.project_id IS ? AND traffic_hourly.hour >= ?',
+      params: [projectId, sinceHour],
+    },
+    orderBy: 'hour ASC',
+  });
+  return result.results as unknown as TrafficHour[] || [];
+}
+
+// Every project's counters summed per hour, for the platform-wide chart
+export async function GetPlatformTrafficHours(db: D1QB, sinceHour: string): Promise<TrafficHour[]> {
+  const result = await db.fetchAll({
+    tableName: 'traffic_hourly',
+    fields: "'' AS project_id, hour, SUM(requests) AS requests, SUM(status_2xx) AS status_2xx, SUM(status_3xx) AS status_3xx, SUM(status_4xx) AS status_4xx, SUM(status_5xx) AS status_5xx, SUM(bytes) AS bytes, SUM(latency_ms) AS latency_ms",
+    where: {
+      conditions: 'traffic_hourly.hour >= ?',
+      params: [sinceHour],
+    },
+    groupBy: 'hour',
+    orderBy: 'hour ASC',
+  });
+  return result.results as unknown as TrafficHour[] || [];
+}
+
+// Each project's counters summed over the whole range, busiest first
+export async function GetTrafficByProject(db: D1QB, sinceHour: string): Promise<TrafficHour[]> {
+  const result = await db.fetchAll({
+    tableName: 'traffic_hourly',
+    fields: "project_id, '' AS hour, SUM(requests) AS requests, SUM(status_2xx) AS status_2xx, SUM(status_3xx) AS status_3xx, SUM(status_4xx) AS status_4xx, SUM(status_5xx) AS status_5xx, SUM(bytes) AS bytes, SUM(latency_ms) AS latency_ms",
+    where: {
+      conditions: 'traffic_hourly.hour >= ?',
+      params: [sinceHour],
+    },
+    groupBy: 'project_id',
+    orderBy: 'requests DESC',
+  });
+  return result.results as unknown as TrafficHour[] || [];
+}
+
+export async function GetTrafficTop(db: D1QB, projectId: string, sinceDay: string, dimension: TrafficDimension, limit: number): Promise<TrafficCount[]> {
+  const result = await db.fetchAll({
+    tableName: 'traffic_top',
+    fields: 'value, SUM(requests) AS requests',
+    where: {
+      conditions: 'traffic_top.project_id IS ? AND traffic_top.day >= ? AND traffic_top.dimension IS ?',
+      params: [projectId, sinceDay, dimension],
+    },
+    groupBy: 'value',
+    orderBy: 'requests DESC',
+    limit,
+  });
+  return result.results as unknown as TrafficCount[] || [];
+}
+
+export async function DeleteTrafficBefore(db: D1QB, beforeHour: string) {
+  await db.delete({
+    tableName: 'traffic_hourly',
+    where: {
+      conditions: 'traffic_hourly.hour < ?',
+      params: [beforeHour],
+    },
+  });
+  await db.delete({
+    tableName: 'traffic_top',
+    where: {
+      conditions: 'traffic_top.day < ?',
+      params: [beforeHour.substring(0, 10)],
+    },
+  });
+}
+
+export async function DeleteTraffic(db: D1QB, projectId: string) {
+  for (const tableName of ['traffic_hourly', 'traffic_top']) {
+    await db.delete({
+      tableName,
+      where: {
+        conditions: `${tableName}.project_id IS ?`,
+        params: [projectId],
+      },
+    });
+  }
+}
+
+// D1 binds at most 100 parameters per statement, and every log row takes 5
+const LOG_ROWS_PER_INSERT = 20;
+
+export async function CreateProjectLogs(db: D1QB, entries: Omit<ProjectLog, 'id'>[]) {
+  for (let i = 0; i < entries.length; i += LOG_ROWS_PER_INSERT) {
+    await db.insert({
+      tableName: 'project_logs',
+      data: entries.slice(i, i + LOG_ROWS_PER_INSERT) as unknown as Record<string, string>[],
+    });
+  }
+}
+
+// Newest `limit` entries, returned oldest first
+export async function GetProjectLogs(db: D1QB, projectId: string, limit: number): Promise<ProjectLog[]> {
+  const result = await db.fetchAll({
+    tableName: 'project_logs',
+    fields: '*',
+    where: {
+      conditions: 'project_logs.project_id IS ?',
+      params: [projectId],
+    },
+    orderBy: 'id DESC',
+    limit,
+  });
+  return (result.results as unknown as ProjectLog[] || []).reverse();
+}
+
+export async function GetProjectLogsAfter(db: D1QB, projectId: string, afterId: number, limit: number): Promise<ProjectLog[]> {
+  const result = await db.fetchAll({
+    tableName: 'project_logs',
+    fields: '*',
+    where: {
+      conditions: 'project_logs.project_id IS ? AND project_logs.id > ?',
+      params: [projectId, afterId],
+    },
+    orderBy: 'id ASC',
+    limit,
+  });
+  return result.results as unknown as ProjectLog[] || [];
+}
+
+// Keep only the newest `keep` entries of a project
+export async function TrimProjectLogs(db: D1QB, projectId: string, keep: number) {
+  return db.execute({
+    query: `DELETE FROM project_logs WHERE project_id = ? AND id <= (
+      SELECT id FROM project_logs WHERE project_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+    )`,
+    arguments: [projectId, projectId, keep],
+  });
+}
+
+export async function DeleteProjectLogs(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'project_logs',
+    where: {
+      conditions: 'project_logs.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+export async function RecordThrottle(db: D1QB, stat: ThrottleStat) {
+  return db.execute({
+    query: `INSERT INTO throttle_stats (project_id, hour, project_minutes, ip_minutes, last_ip, last_on) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (project_id, hour) DO UPDATE SET
+        project_minutes = project_minutes + excluded.project_minutes,
+        ip_minutes = ip_minutes + excluded.ip_minutes,
+        last_ip = excluded.last_ip,
+        last_on = excluded.last_on`,
+    arguments: [stat.project_id, stat.hour, stat.project_minutes, stat.ip_minutes, stat.last_ip, stat.last_on],
+  });
+}
+
+// Per project since the given hour, most throttled first. SQLite takes the bare last_ip from the MAX(last_on) row.
+export async function GetThrottleStats(db: D1QB, sinceHour: string): Promise<ThrottleStat[]> {
+  const result = await db.fetchAll({
+    tableName: 'throttle_stats',
+    fields: "project_id, '' AS hour, SUM(project_minutes) AS project_minutes, SUM(ip_minutes) AS ip_minutes, MAX(last_on) AS last_on, last_ip",
+    where: {
+      conditions: 'throttle_stats.hour >= ?',
+      params: [sinceHour],
+    },
+    groupBy: 'project_id',
+    orderBy: 'project_minutes + ip_minutes DESC',
+  });
+  return result.results as unknown as ThrottleStat[] || [];
+}
+
+export async function DeleteThrottleStats(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'throttle_stats',
+    where: {
+      conditions: 'throttle_stats.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+export async function GetProjectDomains(db: D1QB, projectId: string): Promise<ProjectDomain[]> {
+  const result = await db.fetchAll({
+    tableName: 'project_domains',
+    fields: '*',
+    where: {
+      conditions: 'project_domains.project_id IS ?',
+      params: [projectId],
+    },
+    orderBy: 'is_primary DESC, created_on ASC',
+  });
+  return result.results as unknown as ProjectDomain[] || [];
+}
+
+export async function GetAllProjectDomains(db: D1QB): Promise<ProjectDomain[]> {
+  const result = await db.fetchAll({
+    tableName: 'project_domains',
+    fields: '*',
+  });
+  return result.results as unknown as ProjectDomain[] || [];
+}
+
+export async function GetProjectDomain(db: D1QB, hostname: string): Promise<ProjectDomain | null> {
+  const result = await db.fetchOne({
+    tableName: 'project_domains',
+    fields: '*',
+    where: {
+      conditions: 'project_domains.hostname IS ?',
+      params: [hostname],
+    },
+  });
+  return (result.results as unknown as ProjectDomain) || null;
+}
+
+export async function CreateProjectDomain(db: D1QB, domain: ProjectDomain) {
+  return db.insert({
+    tableName: 'project_domains',
+    data: domain as unknown as Record<string, string | number>,
+  });
+}
+
+// Mark one domain primary and every other domain of the project not
+export async function SetPrimaryProjectDomain(db: D1QB, projectId: string, hostname: string) {
+  return db.execute({
+    query: 'UPDATE project_domains SET is_primary = (hostname = ?) WHERE project_id = ?',
+    arguments: [hostname, projectId],
+  });
+}
+
+export async function DeleteProjectDomain(db: D1QB, hostname: string) {
+  return db.delete({
+    tableName: 'project_domains',
+    where: {
+      conditions: 'project_domains.hostname IS ?',
+      params: [hostname],
+    },
+  });
+}
+
+export async function DeleteProjectDomains(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'project_domains',
+    where: {
+      conditions: 'project_domains.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+export async function GetHostnameStatus(db: D1QB, hostname: string): Promise<HostnameStatus | null> {
+  const result = await db.fetchOne({
+    tableName: 'hostname_status',
+    fields: '*',
+    where: {
+      conditions: 'hostname_status.hostname IS ?',
+      params: [hostname],
+    },
+  });
+  return (result.results as unknown as HostnameStatus) || null;
+}
+
+export async function GetAllHostnameStatuses(db: D1QB): Promise<HostnameStatus[]> {
+  const result = await db.fetchAll({
+    tableName: 'hostname_status',
+    fields: '*',
+  });
+  return result.results as unknown as HostnameStatus[] || [];
+}
+
+// Hostnames that aren't fully active yet, plus active ones not checked since `activeCheckedBefore`; least recently checked first
+export async function GetHostnamesToPoll(db: D1QB, activeCheckedBefore: string, limit: number): Promise<HostnameStatus[]> {
+  const result = await db.fetchAll({
+    tableName: 'hostname_status',
+    fields: '*',
+    where: {
+      conditions: "hostname_status.status IS NOT 'active' OR hostname_status.ssl_status IS NOT 'active' OR hostname_status.checked_on IS NULL OR hostname_status.checked_on < ?",
+      params: [activeCheckedBefore],
+    },
+    orderBy: 'checked_on ASC',
+    limit,
+  });
+  return result.results as unknown as HostnameStatus[] || [];
+}
+
+export async function SaveHostnameStatus(db: D1QB, status: HostnameStatus) {
+  return db.execute({
+    query: `INSERT INTO hostname_status (hostname, project_id, status, ssl_status, ssl_method, verification_errors, validation_records, checked_on, changed_on)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (hostname) DO UPDATE SET
+        project_id = excluded.project_id,
+        status = excluded.status,
+        ssl_status = excluded.ssl_status,
+        ssl_method = excluded.ssl_method,
+        verification_errors = excluded.verification_errors,
+        validation_records = excluded.validation_records,
+        checked_on = excluded.checked_on,
+        changed_on = excluded.changed_on`,
+    arguments: [status.hostname, status.project_id, status.status, status.ssl_status, status.ssl_method, status.verification_errors, status.validation_records, status.checked_on, status.changed_on],
+  });
+}
+
+export async function DeleteHostnameStatus(db: D1QB, hostname: string) {
+  return db.delete({
+    tableName: 'hostname_status',
+    where: {
+      conditions: 'hostname_status.hostname IS ?',
+      params: [hostname],
+    },
+  });
+}
+
+export async function DeleteProjectHostnameStatuses(db: D1QB, projectId: string) {
+  return db.delete({
+    tableName: 'hostname_status',
+    where: {
+      conditions: 'hostname_status.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+export async function CreateDeployJob(db: D1QB, job: DeployJob) {
+  return db.insert({
+    tableName: 'deploy_jobs',
+    data: job as unknown as Record<string, string | number | null>,
+  });
+}
+
+export async function GetDeployJob(db: D1QB, jobId: string): Promise<DeployJob | null> {
+  const result = await db.fetchOne({
+    tableName: 'deploy_jobs',
+    fields: '*',
+    where: {
+      conditions: 'deploy_jobs.id IS ?',
+      params: [jobId],
+    },
+  });
+  return (result.results as unknown as DeployJob) || null;
+}
+
+export async function UpdateDeployJob(db: D1QB, jobId: string, updates: Partial<DeployJob>) {
+  return db.update({
+    tableName: 'deploy_jobs',
+    data: updates as unknown as Record<string, string | number | null>,
+    where: {
+      conditions: 'deploy_jobs.id IS ?',
+      params: [jobId],
+    },
+  });
+}
+
+export async function DeleteDeployJobsBefore(db: D1QB, before: string) {
+  return db.delete({
+    tableName: 'deploy_jobs',
+    where: {
+      conditions: 'deploy_jobs.created_on < ?',
+      params: [before],
+    },
+  });
+}
+
+export async function CreatePreview(db: D1QB, preview: Preview) {
+  return db.insert({
+    tableName: 'previews',
+    data: preview as unknown as Record<string, string | number | null>,
+  });
+}
+
+export async function GetPreview(db: D1QB, projectId: string, previewId: string): Promise<Preview | null> {
+  const result = await db.fetchOne({
+    tableName: 'previews',
+    fields: '*',
+    where: {
+      conditions: 'previews.project_id IS ? AND previews.id IS ?',
+      params: [projectId, previewId],
+    },
+  });
+  return (result.results as unknown as Preview) || null;
+}
+
+export async function GetProjectPreviews(db: D1QB, projectId: string): Promise<Preview[]> {
+  const result = await db.fetchAll({
+    tableName: 'previews',
+    fields: '*',
+    where: {
+      conditions: 'previews.project_id IS ?',
+      params: [projectId],
+    },
+    orderBy: 'created_on DESC',
+  });
+  return result.results as unknown as Preview[] || [];
+}
+
+export async function GetExpiredPreviews(db: D1QB, now: string, limit: number): Promise<Preview[]> {
+  const result = await db.fetchAll({
+    tableName: 'previews',
+    fields: '*',
+    where: {
+      conditions: 'previews.expires_on < ?',
+      params: [now],
+    },
+    orderBy: 'expires_on ASC',
+    limit,
+  });
+  return result.results as unknown as Preview[] || [];
+}
+
+export async function DeletePreview(db: D1QB, previewId: string) {
+  return db.delete({
+    tableName: 'previews',
+    where: {
+      conditions: 'previews.id IS ?',
+      params: [previewId],
+    },
+  });
+}
+
+// D1 rows are capped at a few MB, so large files are split across several rows
+const BLOB_CHUNK_SIZE = 512 * 1024;
+
+export async function SaveAssetBlob(db: D1QB, hash: string, content: string) {
+  const savedOn = new Date().toISOString();
+  const existing = await db.fetchOne({
+    tableName: 'asset_blobs',
+    fields: 'hash',
+    where: {
+      conditions: 'asset_blobs.hash IS ? AND asset_blobs.chunk = 0',
+      params: [hash],
+    },
+  });
+  if (existing.results) {
+    // Counts as saved again, so it isn't collected before the new version references it
+    await db.update({
+      tableName: 'asset_blobs',
+      data: { saved_on: savedOn },
+      where: {
+        conditions: 'asset_blobs.hash IS ?',
+        params: [hash],
+      },
+    });
+    return;
+  }
+
+  // Write chunk 0 last: its presence means the whole blob is stored
+  const chunkCount = Math.max(1, Math.ceil(content.length / BLOB_CHUNK_SIZE));
+  for (let chunk = chunkCount - 1; chunk >= 0; chunk--) {
+    await db.insert({
+      tableName: 'asset_blobs',
+      data: {
+        hash,
+        chunk,
+        content: content.substring(chunk * BLOB_CHUNK_SIZE, (chunk + 1) * BLOB_CHUNK_SIZE),
+        saved_on: savedOn,
+      },
+      onConflict: 'REPLACE',
+    });
+  }
+}
+
+export async function GetAssetBlob(db: D1QB, hash: string): Promise<string | null> {
+  const result = await db.fetchAll({
+    tableName: 'asset_blobs',
+    fields: 'chunk, content',
+    where: {
+      conditions: 'asset_blobs.hash IS ?',
+      params: [hash],
+    },
+    orderBy: 'chunk ASC',
+  });
+  const chunks = result.results || [];
+  if (chunks.length === 0 || chunks[0].chunk !== 0) {
+    return null;
+  }
+  return chunks.map((row) => row.content).join('');
+}
+
+// Record the stored files a deployment or preview uses, read from its asset manifest (JSON)
+export async function AddAssetRefs(db: D1QB, ownerId: string, projectId: string, manifest: string) {
+  return db.execute({
+    query: `INSERT OR IGNORE INTO asset_refs (hash, owner_id, project_id)
+      SELECT DISTINCT json_extract(file.value, '$.hash'), ?, ? FROM json_each(?) AS file`,
+    arguments: [ownerId, projectId, manifest],
+  });
+}
+
+export async function DeleteAssetRefs(db: D1QB, ownerId: string) {
+  return db.delete({
+    tableName: 'asset_refs',
+    where: {
+      conditions: 'asset_refs.owner_id IS ?',
+      params: [ownerId],
+    },
+  });
+}
+
+// Release the files of every deployment of a project except the newest `keep` successful ones
+export async function ReleaseOldAssetRefs(db: D1QB, projectId: string, keep: number) {
+  return db.execute({
+    query: `DELETE FROM asset_refs WHERE project_id = ? AND owner_id IN (
+      SELECT id FROM deployments WHERE project_id = ? AND id NOT IN (
+        SELECT id FROM deployments WHERE project_id = ? AND status = 'success' ORDER BY version DESC LIMIT ?
+      )
+    )`,
+    arguments: [projectId, projectId, projectId, keep],
+  });
+}
+
+/*
+ * Delete the files only this project uses, then its references. Files saved after `savedBefore`
+ * are left to the scheduled collection, since a deploy may be about to reference them.
+ */
+export async function DeleteProjectAssets(db: D1QB, projectId: string, savedBefore: string) {
+  await db.execute({
+    query: `DELETE FROM asset_blobs WHERE (saved_on IS NULL OR saved_on < ?)
+      AND hash IN (SELECT hash FROM asset_refs WHERE project_id = ?)
+      AND hash NOT IN (SELECT hash FROM asset_refs WHERE project_id != ?)`,
+    arguments: [savedBefore, projectId, projectId],
+  });
+  await db.delete({
+    tableName: 'asset_refs',
+    where: {
+      conditions: 'asset_refs.project_id IS ?',
+      params: [projectId],
+    },
+  });
+}
+
+// All chunks of a file share its references and saved_on, so a file is always deleted whole
+export async function DeleteUnreferencedAssetBlobs(db: D1QB, savedBefore: string) {
+  return db.execute({
+    query: `DELETE FROM asset_blobs WHERE (saved_on IS NULL OR saved_on < ?)
+      AND hash NOT IN (SELECT hash FROM asset_refs)`,
+    arguments: [savedBefore],
+  });
+}
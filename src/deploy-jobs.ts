@@ -0,0 +1,219 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Context } from 'hono';
+import { streamSSE } from 'hono/streaming';
+import { D1QB } from 'workers-qb';
+
+import { CreateDeployJob, DeleteDeployJobsBefore, GetDeployJob, UpdateDeployJob } from './db';
+import { ProjectError } from './errors';
+import type { AppEnv } from './router';
+import { DeployJob, DeployProgress, DeployStage, ProgressReporter, User } from './types';
+
+/*
+ * Deploys run inside POST/PUT /projects, which only answer once everything is done. The builder
+ * sends a job id in the X-Deploy-Job header and follows /projects/:subdomain/deploys/:id/events
+ * while the request runs; every stage the deploy reaches is written to deploy_jobs on the way.
+ */
+
+export const DEPLOY_JOB_HEADER = 'X-Deploy-Job';
+
+// Jobs are only needed while the builder is watching; older ones are dropped when new ones start
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const STREAM_DURATION_MS = 55 * 1000;
+const POLL_INTERVAL_MS = 500;
+
+const StageProgress: Record<DeployStage, number> = {
+  validating: 2,
+  hashing: 5,
+  upload_session: 8,
+  uploading: 10,
+  deploying: 90,
+  saving: 94,
+  hostname: 97,
+  done: 100,
+};
+
+const StageLabels: Record<DeployStage, string> = {
+  validating: 'checking the request',
+  hashing: 'hashing files',
+  upload_session: 'creating the upload session',
+  uploading: 'uploading files',
+  deploying: 'deploying the script',
+  saving: 'saving files for rollbacks',
+  hostname: 'registering the custom domain',
+  done: 'finishing',
+};
+
+export type DeployJobEvent = DeployProgress & { progress: number; at: string };
+
+export function isDeployJobId(value: string | undefined): value is string {
+  return !!value && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value);
+}
+
+// Buckets share the span between the upload session and the deploy
+function progressOf(event: DeployProgress): number {
+  if (event.stage === 'uploading' && event.buckets) {
+    const span = StageProgress.deploying - StageProgress.uploading;
+    return StageProgress.uploading + Math.round(span * ((event.bucket || 1) - 1) / event.buckets);
+  }
+  return StageProgress[event.stage];
+}
+
+export function parseJobEvents(job: DeployJob): DeployJobEvent[] {
+  try {
+    return JSON.parse(job.events);
+  } catch {
+    return [];
+  }
+}
+
+export function publicDeployJob(job: DeployJob) {
+  return {
+    id: job.id,
+    subdomain: job.subdomain,
+    status: job.status,
+    stage: job.stage,
+    error: job.error,
+    uploaded_buckets: job.uploaded_buckets,
+    total_buckets: job.total_buckets,
+    events: parseJobEvents(job),
+    created_on: job.created_on,
+    modified_on: job.modified_on,
+  };
+}
+
+/*
+ * "Failed while uploading files (bucket 3 of 5, 2 uploaded)"
+ */
+export function describeFailure(job: Pick<DeployJob, 'stage' | 'uploaded_buckets' | 'total_buckets'>): string {
+  let text = `Failed while ${StageLabels[job.stage]}`;
+  if (job.total_buckets > 0) {
+    text += job.stage === 'uploading'
+      ? ` (bucket ${job.uploaded_buckets + 1} of ${job.total_buckets}, ${job.uploaded_buckets} uploaded)`
+      : ` (all ${job.total_buckets} buckets were uploaded)`;
+  }
+  return text;
+}
+
+export interface DeployTracker {
+  report: ProgressReporter;
+  succeed: () => Promise<void>;
+  // Marks the job failed and returns describeFailure() for it
+  fail: (error: unknown) => Promise<string>;
+}
+
+/*
+ * Create the job row and hand back the callbacks the deploy reports through. Progress writes
+ * are best effort: a failed write never fails the deploy itself.
+ */
+export async function startDeployJob(db: D1QB, jobId: string, user: User, subdomain: string): Promise<DeployTracker> {
+  if (await GetDeployJob(db, jobId)) {
+    throw new ProjectError(409, 'This deploy job id is already in use');
+  }
+
+  const now = new Date().toISOString();
+  const job: DeployJob = {
+    id: jobId,
+    subdomain,
+    user_id: user.id,
+    status: 'running',
+    stage: 'validating',
+    events: '[]',
+    error: null,
+    uploaded_buckets: 0,
+    total_buckets: 0,
+    created_on: now,
+    modified_on: now,
+  };
+  await DeleteDeployJobsBefore(db, new Date(Date.now() - JOB_RETENTION_MS).toISOString());
+  await CreateDeployJob(db, job);
+
+  const events: DeployJobEvent[] = [];
+  const save = async (updates: Partial<DeployJob>) => {
+    Object.assign(job, updates, { events: JSON.stringify(events), modified_on: new Date().toISOString() });
+    try {
+      await UpdateDeployJob(db, jobId, { ...updates, events: job.events, modified_on: job.modified_on });
+    } catch (error) {
+      console.error(`Failed to update deploy job ${jobId}:`, error);
+    }
+  };
+
+  return {
+    report: async (event) => {
+      events.push({ ...event, progress: progressOf(event), at: new Date().toISOString() });
+      const updates: Partial<DeployJob> = { stage: event.stage };
+      if (event.stage === 'uploading' && event.buckets) {
+        updates.total_buckets = event.buckets;
+        updates.uploaded_buckets = (event.bucket || 1) - 1;
+      } else if (StageProgress[event.stage] > StageProgress.uploading) {
+        updates.uploaded_buckets = job.total_buckets;
+      }
+      await save(updates);
+    },
+    succeed: async () => {
+      events.push({ stage: 'done', message: 'Deployed', progress: 100, at: new Date().toISOString() });
+      await save({ status: 'succeeded', stage: 'done' });
+    },
+    fail: async (error) => {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      await save({ status: 'failed', error: message });
+      return describeFailure(job);
+    },
+  };
+}
+
+/*
+ * Run a deploy under the tracker, if the client asked for one. Server-side failures are rethrown
+ * with the stage that broke, so the response says as much as the job does.
+ */
+export async function trackDeploy<T>(tracker: DeployTracker | null, deploy: (onProgress?: ProgressReporter) => Promise<T>): Promise<T> {
+  if (!tracker) {
+    return deploy();
+  }
+  try {
+    const result = await deploy(tracker.report);
+    await tracker.succeed();
+    return result;
+  } catch (error) {
+    const failure = await tracker.fail(error);
+    if (error instanceof ProjectError && error.status < 500) {
+      throw error;
+    }
+    console.error(`Deploy failed. ${failure}:`, error);
+    const message = error instanceof Error ? error.message : 'Unknown error';
+    throw new ProjectError(500, `${message.replace(/\.$/, '')}. ${failure}.`);
+  }
+}
+
+export function canSeeDeployJob(job: DeployJob, user: User | null, admin: boolean): boolean {
+  return admin || (!!user && job.user_id === user.id);
+}
+
+/*
+ * Server-sent events: one `progress` event per stage reached (id = its index, so a reconnect
+ * resumes after Last-Event-ID), then `done` or `failed` with the whole job. The job row may
+ * not exist yet when the builder connects, so a missing job is waited for rather than refused.
+ */
+export function streamDeployJob(c: Context<AppEnv>, jobId: string, subdomain: string, admin: boolean) {
+  let next = (parseInt(c.req.header('Last-Event-ID') || '', 10) + 1) || 0;
+  return streamSSE(c, async (stream) => {
+    const deadline = Date.now() + STREAM_DURATION_MS;
+    while (!stream.aborted && Date.now() < deadline) {
+      const job = await GetDeployJob(c.var.db, jobId);
+      if (job) {
+        if (job.subdomain !== subdomain || !canSeeDeployJob(job, c.var.user, admin)) return;
+        const events = parseJobEvents(job);
+        for (; next < events.length; next++) {
+          await stream.writeSSE({ id: String(next), event: 'progress', data: JSON.stringify(events[next]) });
+        }
+        if (job.status !== 'running') {
+          await stream.writeSSE({ event: job.status === 'succeeded' ? 'done' : 'failed', data: JSON.stringify(publicDeployJob(job)) });
+          return;
+        }
+      }
+      await stream.sleep(POLL_INTERVAL_MS);
+    }
+  });
+}
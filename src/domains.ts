@@ -0,0 +1,233 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import {
+  CustomHostnameStatus,
+  ValidationMethod,
+  createCustomHostname,
+  deleteCustomHostname,
+  isApiConfigured,
+  updateCustomHostnameValidation,
+} from './cloudflare-api';
+import {
+  CreateProjectDomain,
+  DeleteProjectDomain,
+  GetProjectByCustomHostname,
+  GetProjectDomains,
+  SetPrimaryProjectDomain,
+  UpdateProject,
+} from './db';
+import type { Env } from './env';
+import { ProjectError } from './errors';
+import { refreshHostnameStatus, trackHostname, untrackHostname } from './hostnames';
+import { Project, ProjectDomain } from './types';
+
+/*
+ * Custom domains of a project. A site can have several (mystore.com and www.mystore.com);
+ * one of them is primary and the routing middleware 301-redirects the others to it.
+ * The primary domain is mirrored in projects.custom_hostname, which the rest of the platform reads.
+ */
+
+export const MAX_DOMAINS_PER_PROJECT = 10;
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+export const VALIDATION_METHODS: ValidationMethod[] = ['http', 'txt'];
+
+// A record the domain owner adds at their DNS provider
+export interface DnsRecord {
+  type: 'CNAME' | 'TXT';
+  name: string;
+  value: string;
+  // routing: sends traffic here, ownership: hostname verification, certificate: SSL validation (DCV)
+  purpose: 'routing' | 'ownership' | 'certificate';
+}
+
+export function getFallbackOrigin(env: Env): string {
+  return env.FALLBACK_ORIGIN || (env.CUSTOM_DOMAIN ? `my.${env.CUSTOM_DOMAIN}` : 'your-platform-domain');
+}
+
+export function normalizeDomain(value: unknown): string {
+  const hostname = String(value ?? '').trim().toLowerCase().replace(/\.$/, '');
+  if (!HOSTNAME_PATTERN.test(hostname)) {
+    throw new ProjectError(400, `"${hostname}" is not a valid domain name, e.g. www.example.com`);
+  }
+  return hostname;
+}
+
+export function parseValidationMethod(value: unknown): ValidationMethod {
+  const method = String(value ?? '').trim().toLowerCase() || 'http';
+  if (!VALIDATION_METHODS.includes(method as ValidationMethod)) {
+    throw new ProjectError(400, `Validation method must be one of: ${VALIDATION_METHODS.join(', ')}`);
+  }
+  return method as ValidationMethod;
+}
+
+export async function ensureDomainAvailable(db: D1QB, hostname: string, projectId?: string): Promise<void> {
+  const existing = await GetProjectByCustomHostname(db, hostname);
+  if (existing && existing.id !== projectId) {
+    throw new ProjectError(409, 'This domain is already active on the platform');
+  }
+}
+
+/*
+ * Domains of a project, primary first. A domain set before project_domains existed only lives in
+ * projects.custom_hostname; it gets its row the first time the list is read.
+ */
+export async function listProjectDomains(db: D1QB, project: Project): Promise<ProjectDomain[]> {
+  const domains = await GetProjectDomains(db, project.id);
+  if (domains.length === 0 && project.custom_hostname) {
+    const legacy: ProjectDomain = { hostname: project.custom_hostname, project_id: project.id, is_primary: 1, created_on: project.created_on };
+    await CreateProjectDomain(db, legacy);
+    return [legacy];
+  }
+  return domains;
+}
+
+async function setPrimary(db: D1QB, project: Project, hostname: string | null): Promise<Project> {
+  if (hostname) {
+    await SetPrimaryProjectDomain(db, project.id, hostname);
+  }
+  const updates = { custom_hostname: hostname, modified_on: new Date().toISOString() };
+  await UpdateProject(db, project.id, updates);
+  return { ...project, ...updates };
+}
+
+/*
+ * Register a domain with Cloudflare and add it to the project. The first domain always becomes primary.
+ */
+export async function addProjectDomain(
+  env: Env,
+  db: D1QB,
+  project: Project,
+  value: unknown,
+  options: { primary?: boolean; validation?: ValidationMethod } = {}
+): Promise<Project> {
+  const hostname = normalizeDomain(value);
+  const domains = await listProjectDomains(db, project);
+  if (domains.some((domain) => domain.hostname === hostname)) {
+    if (options.primary) {
+      return setPrimary(db, project, hostname);
+    }
+    throw new ProjectError(409, `${hostname} is already a domain of this site`);
+  }
+  if (domains.length >= MAX_DOMAINS_PER_PROJECT) {
+    throw new ProjectError(400, `A site can have at most ${MAX_DOMAINS_PER_PROJECT} custom domains`);
+  }
+  await ensureDomainAvailable(db, hostname, project.id);
+
+  // Nothing is stored for a domain Cloudflare refused (already claimed elsewhere, outside the zone, ...)
+  if (!isApiConfigured(env)) {
+    throw new ProjectError(400, 'Custom domains are not configured on this platform');
+  }
+  const registered = await createCustomHostname(env, hostname, options.validation);
+  if (!registered.ok) {
+    throw new ProjectError(502, `Cloudflare could not register ${hostname}: ${registered.error}`);
+  }
+  await CreateProjectDomain(db, { hostname, project_id: project.id, is_primary: 0, created_on: new Date().toISOString() });
+  await trackHostname(db, project, hostname);
+
+  return options.primary || domains.length === 0 ? setPrimary(db, project, hostname) : project;
+}
+
+export async function makePrimaryDomain(db: D1QB, project: Project, value: string): Promise<Project> {
+  const hostname = value.trim().toLowerCase();
+  const domains = await listProjectDomains(db, project);
+  if (!domains.some((domain) => domain.hostname === hostname)) {
+    throw new ProjectError(404, 'Domain not found');
+  }
+  return setPrimary(db, project, hostname);
+}
+
+/*
+ * Switch how the certificate of a domain is validated. Cloudflare issues new validation records,
+ * so the stored status is refreshed right away.
+ */
+export async function setDomainValidation(
+  env: Env,
+  db: D1QB,
+  project: Project,
+  value: string,
+  method: ValidationMethod
+): Promise<ProjectDomain & { status: CustomHostnameStatus }> {
+  const hostname = value.trim().toLowerCase();
+  const domain = (await listProjectDomains(db, project)).find((d) => d.hostname === hostname);
+  if (!domain) {
+    throw new ProjectError(404, 'Domain not found');
+  }
+  if (!(await updateCustomHostnameValidation(env, hostname, method))) {
+    throw new ProjectError(502, `Could not change the validation method of ${hostname}. Please try again.`);
+  }
+  return { ...domain, status: await refreshHostnameStatus(env, db, project, hostname) };
+}
+
+/*
+ * Release a domain. Removing the primary promotes the oldest remaining domain.
+ */
+export async function removeProjectDomain(env: Env, db: D1QB, project: Project, value: string): Promise<Project> {
+  const hostname = value.trim().toLowerCase();
+  const domains = await listProjectDomains(db, project);
+  const domain = domains.find((d) => d.hostname === hostname);
+  if (!domain) {
+    throw new ProjectError(404, 'Domain not found');
+  }
+
+  // Without the custom hostname API the hostname could never have been registered
+  if (isApiConfigured(env) && !(await deleteCustomHostname(env, hostname))) {
+    throw new ProjectError(500, `Could not release ${hostname}. Please try again.`);
+  }
+  await DeleteProjectDomain(db, hostname);
+  await untrackHostname(db, hostname);
+
+  if (project.custom_hostname === hostname) {
+    const next = domains.find((d) => d.hostname !== hostname);
+    return setPrimary(db, project, next ? next.hostname : null);
+  }
+  return project;
+}
+
+/*
+ * Release every domain of a project that is being deleted. Returns the ones that couldn't be released.
+ */
+export async function releaseAllDomains(env: Env, db: D1QB, project: Project): Promise<string[]> {
+  if (!isApiConfigured(env)) return [];
+  const failed: string[] = [];
+  for (const domain of await listProjectDomains(db, project)) {
+    if (!(await deleteCustomHostname(env, domain.hostname))) {
+      failed.push(domain.hostname);
+    }
+  }
+  return failed;
+}
+
+/*
+ * Live status of each domain (also stored for the admin page and the scheduled poller)
+ */
+export async function getDomainStatuses(env: Env, db: D1QB, project: Project): Promise<(ProjectDomain & { status: CustomHostnameStatus })[]> {
+  const domains = await listProjectDomains(db, project);
+  return Promise.all(domains.map(async (domain) => ({
+    ...domain,
+    status: await refreshHostnameStatus(env, db, project, domain.hostname),
+  })));
+}
+
+/*
+ * Everything the owner has to add at their DNS provider: the CNAME that routes traffic, plus the
+ * TXT records Cloudflare asks for. With HTTP validation the certificate record is served by the
+ * platform itself, so only TXT validation adds one.
+ */
+export function domainDnsRecords(hostname: string, fallbackOrigin: string, status?: CustomHostnameStatus): DnsRecord[] {
+  const records: DnsRecord[] = [{ type: 'CNAME', name: hostname, value: fallbackOrigin, purpose: 'routing' }];
+  // Cloudflare keeps returning the ownership record after the hostname is verified
+  if (status?.status !== 'active' && status?.ownership_verification?.name && status.ownership_verification.value) {
+    records.push({ type: 'TXT', name: status.ownership_verification.name, value: status.ownership_verification.value, purpose: 'ownership' });
+  }
+  for (const record of status?.ssl?.validation_records || []) {
+    if (record.txt_name && record.txt_value) {
+      records.push({ type: 'TXT', name: record.txt_name, value: record.txt_value, purpose: 'certificate' });
+    }
+  }
+  return records;
+}
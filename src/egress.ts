@@ -0,0 +1,171 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { DeleteEgressPolicy, GetEgressPolicy, GetEgressUsage, SaveEgressPolicy } from './db';
+import type { Env } from './env';
+import { ProjectError } from './errors';
+import { EgressPolicy, EgressUsage, Project } from './types';
+
+/*
+ * Egress control for tenant workers. The decision logic lives here so the builder can validate
+ * policies with the same rules the outbound worker (outbound/index.ts) enforces.
+ */
+
+// Parameters the dispatcher hands to the outbound worker, see [[dispatch_namespaces]] in wrangler.toml
+export type OutboundParams = { project_id: string; subdomain: string; trace_id: string };
+
+const MAX_HOSTS_PER_LIST = 100;
+
+// example.com, or *.example.com for every subdomain of it
+const HostPattern = /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+const InternalSuffixes = ['.localhost', '.local', '.internal'];
+
+export function isOutboundEnabled(env: Env): boolean {
+  return env.ENABLE_OUTBOUND_WORKER === 'true';
+}
+
+/*
+ * Parameters for one dispatch. The trace id is taken from an incoming W3C traceparent header
+ * so tenant egress can be tied back to the request that caused it.
+ */
+export function getOutboundParams(project: Project, request: Request): OutboundParams {
+  const traceparent = request.headers.get('traceparent') || '';
+  const match = traceparent.match(/^[0-9a-f]{2}-([0-9a-f]{32})-[0-9a-f]{16}-[0-9a-f]{2}$/);
+  return {
+    project_id: project.id,
+    subdomain: project.subdomain,
+    trace_id: match ? match[1] : crypto.randomUUID().replace(/-/g, ''),
+  };
+}
+
+function parseIPv4(host: string): number[] | null {
+  const parts = host.split('.');
+  if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+  return parts.map(Number);
+}
+
+function isPrivateIPv4([a, b]: number[]): boolean {
+  return a === 0 || a === 10 || a === 127 || a >= 224
+    || (a === 100 && b >= 64 && b <= 127) // Carrier-grade NAT
+    || (a === 169 && b === 254) // Link-local, including cloud metadata endpoints
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 198 && (b === 18 || b === 19));
+}
+
+function isPrivateIPv6(host: string): boolean {
+  if (host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host)) {
+    return true;
+  }
+  // IPv4-mapped addresses, which URL normalizes to hex (::ffff:7f00:1)
+  const mapped = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const high = parseInt(mapped[1], 16);
+    const low = parseInt(mapped[2], 16);
+    return isPrivateIPv4([high >> 8, high & 255, low >> 8, low & 255]);
+  }
+  return false;
+}
+
+/*
+ * Loopback, private and link-local addresses plus internal-only names are never reachable,
+ * whatever the project's policy says. Only literal addresses can be checked; DNS isn't resolved here.
+ */
+export function isPrivateHost(hostname: string): boolean {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || InternalSuffixes.some((suffix) => host.endsWith(suffix))) {
+    return true;
+  }
+  if (host.includes(':')) {
+    return isPrivateIPv6(host);
+  }
+  const ipv4 = parseIPv4(host);
+  return ipv4 ? isPrivateIPv4(ipv4) : false;
+}
+
+function matchesHost(patterns: string[], hostname: string): boolean {
+  return patterns.some((pattern) => pattern.startsWith('*.')
+    ? hostname.endsWith(pattern.substring(1))
+    : hostname === pattern);
+}
+
+export function splitHosts(value: string): string[] {
+  return value.split(/[\s,]+/).map((host) => host.trim().toLowerCase()).filter(Boolean);
+}
+
+export function evaluateEgress(policy: EgressPolicy | null, url: URL): { allowed: boolean; reason?: string } {
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { allowed: false, reason: `${url.protocol} requests are not allowed` };
+  }
+  if (isPrivateHost(hostname)) {
+    return { allowed: false, reason: 'private and internal addresses are not reachable' };
+  }
+  if (!policy) {
+    return { allowed: true };
+  }
+  if (matchesHost(splitHosts(policy.deny_hosts), hostname)) {
+    return { allowed: false, reason: `${hostname} is on the deny list` };
+  }
+  const allowHosts = splitHosts(policy.allow_hosts);
+  if (allowHosts.length > 0 && !matchesHost(allowHosts, hostname)) {
+    return { allowed: false, reason: `${hostname} is not on the allow list` };
+  }
+  return { allowed: true };
+}
+
+function validateHosts(value: string, label: string): string[] {
+  const hosts = [...new Set(splitHosts(value))];
+  if (hosts.length > MAX_HOSTS_PER_LIST) {
+    throw new ProjectError(400, `The ${label} can have at most ${MAX_HOSTS_PER_LIST} hosts`);
+  }
+  const invalid = hosts.filter((host) => !HostPattern.test(host) && !parseIPv4(host));
+  if (invalid.length > 0) {
+    throw new ProjectError(400, `Invalid host in the ${label}: ${invalid.join(', ')}. Use example.com or *.example.com`);
+  }
+  return hosts;
+}
+
+/*
+ * Replace a project's policy. Two empty lists remove it, so the project falls back to open egress.
+ */
+export async function setEgressPolicy(
+  db: D1QB,
+  project: Project,
+  input: { allowHosts: string; denyHosts: string },
+  modifiedBy: string
+): Promise<EgressPolicy | null> {
+  const allowHosts = validateHosts(input.allowHosts, 'allow list');
+  const denyHosts = validateHosts(input.denyHosts, 'deny list');
+
+  if (allowHosts.length === 0 && denyHosts.length === 0) {
+    await DeleteEgressPolicy(db, project.id);
+    return null;
+  }
+
+  const policy: EgressPolicy = {
+    project_id: project.id,
+    allow_hosts: allowHosts.join('\n'),
+    deny_hosts: denyHosts.join('\n'),
+    modified_by: modifiedBy,
+    modified_on: new Date().toISOString(),
+  };
+  await SaveEgressPolicy(db, policy);
+  return policy;
+}
+
+// Hour bucket used for egress_usage rows
+export function usageHour(date = new Date()): string {
+  return date.toISOString().substring(0, 13);
+}
+
+export async function getEgressOverview(db: D1QB, projectId: string): Promise<{ policy: EgressPolicy | null; usage: EgressUsage[] }> {
+  const since = usageHour(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  const [policy, usage] = await Promise.all([GetEgressPolicy(db, projectId), GetEgressUsage(db, projectId, since)]);
+  return { policy, usage };
+}
@@ -2,6 +2,7 @@
 // Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
 
 import { WorkerArgs } from './types';
+import type { RateLimiter } from './ratelimit';
 
 /*
  * Available bindings -- defined in wrangler.toml
@@ -17,8 +18,32 @@ export type Env = {
   // User-configurable (optional)
   CUSTOM_DOMAIN?: string;
   FALLBACK_ORIGIN?: string;
+  WORKERS_DEV_SUBDOMAIN?: string;
   // Optional: API token with SSL permissions for custom hostname support
   CLOUDFLARE_API_TOKEN?: string;
+  // Secret used to encrypt project secrets at rest in D1
+  SECRETS_ENCRYPTION_KEY?: string;
+  // "local" provisions KV/D1/R2 bindings without the account API (wrangler dev / Miniflare)
+  STORAGE_PROVISIONER?: string;
+  // "true" once the outbound worker is deployed and configured on the dispatch namespace
+  ENABLE_OUTBOUND_WORKER?: string;
+  // Optional Analytics Engine dataset that receives one data point per tenant request
+  TRAFFIC_ANALYTICS?: AnalyticsEngineDataset;
+  // Name of this worker, attached to tenant scripts as their tail consumer to capture logs
+  LOG_TAIL_WORKER?: string;
+  // Per-project request counters; without it each isolate counts on its own
+  RATE_LIMITER?: DurableObjectNamespace<RateLimiter>;
+  // Platform-wide defaults, admins can override per project. "0" turns a limit off.
+  RATE_LIMIT_PER_MINUTE?: string;
+  RATE_LIMIT_PER_IP_PER_MINUTE?: string;
+  // Outgoing webhook told when a custom hostname goes live, times out or fails (see hostnames.ts)
+  NOTIFY_WEBHOOK_URL?: string;
+  // Optional: signs webhook bodies (X-Platform-Signature: sha256=<hex HMAC>)
+  NOTIFY_WEBHOOK_SECRET?: string;
+  // "false" stops migrations from being applied on the first request (apply them at /admin/migrations)
+  AUTO_MIGRATE?: string;
+  // Hours a preview deployment stays up before the scheduled handler deletes it (default 168)
+  PREVIEW_TTL_HOURS?: string;
 }
 
 interface Dispatcher {
@@ -26,14 +51,15 @@ interface Dispatcher {
    * GET call on dispatcher
    * scriptName: name of the script
    * init: a request to init
-   * getOptions: to set custom limits on the dispatch worker
+   * getOptions: to set custom limits on the dispatch worker, and the parameters
+   *   handed to the namespace's outbound worker
    */
   get: (
     scriptName: string,
     args?: WorkerArgs,
     getOptions?: {
       limits?: { cpuMs?: number; memory?: number };
-      outbound?: string;
+      outbound?: Record<string, string>;
     },
   ) => Worker;
 }
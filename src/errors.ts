@@ -0,0 +1,18 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+/*
+ * Error with an HTTP status, thrown by the project operations and turned into a response by the routes.
+ * `details` is returned as-is by the JSON API, e.g. the files an upload was refused for.
+ */
+export class ProjectError extends Error {
+  status: 400 | 403 | 404 | 409 | 500 | 502;
+  details?: unknown;
+
+  constructor(status: 400 | 403 | 404 | 409 | 500 | 502, message: string, details?: unknown) {
+    super(message);
+    this.name = 'ProjectError';
+    this.status = status;
+    this.details = details;
+  }
+}
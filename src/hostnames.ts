@@ -0,0 +1,234 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { CustomHostnameStatus, getCustomHostnameStatus, isApiConfigured } from './cloudflare-api';
+import {
+  DeleteHostnameStatus,
+  GetAllHostnameStatuses,
+  GetAllProjectDomains,
+  GetAllProjects,
+  GetHostnameStatus,
+  GetUserById,
+  SaveHostnameStatus,
+} from './db';
+import type { Env } from './env';
+import { HostnameStatus, Project } from './types';
+
+/*
+ * Custom hostname verification in the background. The scheduled handler polls every hostname
+ * that isn't active yet (and active ones about once a day), keeps the result in D1 for the admin
+ * page, and notifies NOTIFY_WEBHOOK_URL when a hostname goes live, times out or fails.
+ */
+
+export type HostnamePhase = 'pending' | 'active' | 'timed_out' | 'failed';
+
+export type HostnameEvent = 'hostname.active' | 'hostname.validation_timed_out' | 'hostname.failed';
+
+// Each check is one Cloudflare API call; the rest wait for the next run
+const MAX_CHECKS_PER_RUN = 25;
+const ACTIVE_RECHECK_MS = 24 * 60 * 60 * 1000;
+
+const FAILED_STATUSES = ['moved', 'deleted', 'blocked', 'pending_blocked', 'test_failed', 'not_found'];
+
+export function hostnamePhase(status: { status: string; ssl_status: string | null }): HostnamePhase {
+  if (FAILED_STATUSES.includes(status.status) || status.ssl_status === 'expired') return 'failed';
+  if (status.ssl_status?.endsWith('_timed_out')) return 'timed_out';
+  if ((status.status === 'active' || status.status === 'active_redeploying') && status.ssl_status === 'active') return 'active';
+  return 'pending';
+}
+
+export function parseStatusList<T>(value: string | null | undefined): T[] {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/*
+ * Start tracking a hostname right after it was registered with Cloudflare
+ */
+export async function trackHostname(db: D1QB, project: Project, hostname: string) {
+  const now = new Date().toISOString();
+  await SaveHostnameStatus(db, {
+    hostname,
+    project_id: project.id,
+    status: 'pending',
+    ssl_status: null,
+    ssl_method: null,
+    verification_errors: '[]',
+    validation_records: '[]',
+    checked_on: null,
+    changed_on: now,
+  });
+}
+
+export async function untrackHostname(db: D1QB, hostname: string) {
+  await DeleteHostnameStatus(db, hostname);
+}
+
+function notificationFor(project: Project, status: HostnameStatus): { event: HostnameEvent; message: string } | null {
+  const phase = hostnamePhase(status);
+  if (phase === 'active') {
+    return { event: 'hostname.active', message: `${status.hostname} is live: ${project.name} is now served over HTTPS at https://${status.hostname}` };
+  }
+  if (phase === 'timed_out') {
+    return {
+      event: 'hostname.validation_timed_out',
+      message: `Validation of ${status.hostname} timed out (${status.ssl_status?.replace(/_/g, ' ')}). Check its DNS records, then remove and add the domain again to retry.`,
+    };
+  }
+  if (phase === 'failed') {
+    return { event: 'hostname.failed', message: `${status.hostname} stopped working for ${project.name} (status: ${status.status.replace(/_/g, ' ')}${status.ssl_status === 'expired' ? ', certificate expired' : ''})` };
+  }
+  return null;
+}
+
+async function signPayload(secret: string, body: string): Promise<string> {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return [...new Uint8Array(signature)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/*
+ * POST the change to the outgoing webhook. `text` makes Slack-style incoming webhooks work as-is,
+ * `owner_email` lets the receiver email the site owner.
+ */
+async function notifyHostnameChange(env: Env, db: D1QB, project: Project, status: HostnameStatus) {
+  const notification = notificationFor(project, status);
+  if (!notification || !env.NOTIFY_WEBHOOK_URL) return;
+
+  try {
+    const owner = project.owner_id ? await GetUserById(db, project.owner_id) : null;
+    const body = JSON.stringify({
+      event: notification.event,
+      text: notification.message,
+      hostname: status.hostname,
+      status: status.status,
+      ssl_status: status.ssl_status,
+      verification_errors: parseStatusList<string>(status.verification_errors),
+      project: { id: project.id, name: project.name, subdomain: project.subdomain },
+      owner_email: owner?.email || null,
+      occurred_on: status.changed_on,
+    });
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (env.NOTIFY_WEBHOOK_SECRET) {
+      headers['X-Platform-Signature'] = `sha256=${await signPayload(env.NOTIFY_WEBHOOK_SECRET, body)}`;
+    }
+    const response = await fetch(env.NOTIFY_WEBHOOK_URL, { method: 'POST', headers, body });
+    if (!response.ok) {
+      console.error(`Notification webhook returned ${response.status} for ${notification.event} ${status.hostname}`);
+    }
+  } catch (error) {
+    console.error('Failed to send hostname notification:', error);
+  }
+}
+
+/*
+ * Store a status fetched from the API and notify if the hostname changed phase.
+ * API errors (network, missing permissions) are not a hostname state and leave the stored row alone.
+ */
+export async function recordHostnameStatus(
+  env: Env,
+  db: D1QB,
+  project: Project,
+  hostname: string,
+  live: CustomHostnameStatus,
+  previous?: HostnameStatus | null
+): Promise<HostnameStatus | null> {
+  if (live.status === 'error') return null;
+  if (previous === undefined) {
+    previous = await GetHostnameStatus(db, hostname);
+  }
+
+  const now = new Date().toISOString();
+  const sslStatus = live.ssl?.status || null;
+  const changed = !previous || previous.status !== live.status || previous.ssl_status !== sslStatus;
+  const status: HostnameStatus = {
+    hostname,
+    project_id: project.id,
+    status: live.status,
+    ssl_status: sslStatus,
+    ssl_method: live.ssl?.validation_method || null,
+    verification_errors: JSON.stringify([...(live.verification_errors || []), ...(live.ssl?.validation_errors || [])]),
+    validation_records: JSON.stringify(live.ssl?.validation_records || []),
+    checked_on: now,
+    changed_on: changed ? now : previous!.changed_on,
+  };
+  await SaveHostnameStatus(db, status);
+
+  const previousPhase = previous ? hostnamePhase(previous) : 'pending';
+  if (hostnamePhase(status) !== previousPhase) {
+    await notifyHostnameChange(env, db, project, status);
+  }
+  return status;
+}
+
+/*
+ * Live check used by the status endpoints, which also keeps the stored status current
+ */
+export async function refreshHostnameStatus(env: Env, db: D1QB, project: Project, hostname: string): Promise<CustomHostnameStatus> {
+  const live = await getCustomHostnameStatus(env, hostname);
+  try {
+    await recordHostnameStatus(env, db, project, hostname, live);
+  } catch (error) {
+    console.error(`Failed to store status of ${hostname}:`, error);
+  }
+  return live;
+}
+
+/*
+ * Scheduled job covering every domain of every project. Hostnames added before status tracking
+ * existed are picked up on the first run; rows of hostnames no project uses any more are dropped.
+ */
+export async function pollHostnames(env: Env): Promise<{ checked: number; changed: number }> {
+  if (!isApiConfigured(env)) {
+    return { checked: 0, changed: 0 };
+  }
+
+  const db = new D1QB(env.DB);
+  const [projects, domains, statuses] = await Promise.all([GetAllProjects(db), GetAllProjectDomains(db), GetAllHostnameStatuses(db)]);
+  const known = new Map(statuses.map((status) => [status.hostname, status]));
+  const projectsById = new Map(projects.map((project) => [project.id, project]));
+
+  const targets: { project: Project; hostname: string }[] = [];
+  for (const domain of domains) {
+    const project = projectsById.get(domain.project_id);
+    if (project) targets.push({ project, hostname: domain.hostname });
+  }
+  // Primary domains set before project_domains existed
+  for (const project of projects) {
+    if (project.custom_hostname && !targets.some((target) => target.hostname === project.custom_hostname)) {
+      targets.push({ project, hostname: project.custom_hostname });
+    }
+  }
+
+  const inUse = new Set(targets.map((target) => target.hostname));
+  for (const status of statuses) {
+    if (!inUse.has(status.hostname)) {
+      await DeleteHostnameStatus(db, status.hostname);
+    }
+  }
+
+  const recheckBefore = new Date(Date.now() - ACTIVE_RECHECK_MS).toISOString();
+  const due = targets
+    .map(({ project, hostname }) => ({ project, hostname, previous: known.get(hostname) || null }))
+    .filter(({ previous }) => !previous?.checked_on || hostnamePhase(previous) !== 'active' || previous.checked_on < recheckBefore)
+    .sort((a, b) => (a.previous?.checked_on || '').localeCompare(b.previous?.checked_on || ''))
+    .slice(0, MAX_CHECKS_PER_RUN);
+
+  let changed = 0;
+  for (const { project, hostname, previous } of due) {
+    try {
+      const live = await getCustomHostnameStatus(env, hostname);
+      const status = await recordHostnameStatus(env, db, project, hostname, live, previous);
+      if (status && status.changed_on === status.checked_on) changed++;
+    } catch (error) {
+      console.error(`Failed to check ${hostname}:`, error);
+    }
+  }
+  return { checked: due.length, changed };
+}
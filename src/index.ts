@@ -1,77 +1,117 @@
 // Copyright (c) 2022 Cloudflare, Inc.
 // Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
 
-import { Hono } from 'hono';
+import { Context, Hono } from 'hono';
 
-import { FetchTable, Initialize, CreateProject, GetProjectBySubdomain, GetProjectByCustomHostname } from './db';
+import {
+  FetchTable,
+  GetProjectBySubdomain,
+  GetProjectByCustomHostname,
+  GetProjectsByOwner,
+  GetDeployments,
+  GetApiTokensByUser,
+  DeleteApiToken,
+  GetProjectVariables,
+  GetProjectResources,
+  GetProjectLogs,
+  DeleteProjectLogs,
+  GetAllHostnameStatuses,
+  GetAllProjectDomains,
+  GetDeployJob,
+  GetProjectPreviews,
+  CreateUser,
+  GetUserByEmail,
+  ResetData,
+} from './db';
 import type { Env } from './env';
 import {
   DeleteScriptInDispatchNamespace,
   GetScriptsInDispatchNamespace,
-  PutScriptInDispatchNamespace,
-  PutScriptWithAssetsInDispatchNamespace,
-  AssetFile,
   checkEnvConfig,
 } from './resource';
-import { handleDispatchError, withDb } from './router';
-import { renderPage, BuildTable, BuildWebsitePage } from './render';
-import { Project } from './types';
-import { createCustomHostname, getCustomHostnameStatus } from './cloudflare-api';
-import { D1QB } from 'workers-qb';
+import { AppEnv, handleDispatchError, isWorkerNotFoundError, withDbAndInit } from './router';
+import {
+  renderPage,
+  escapeHtml,
+  BuildTable,
+  BuildWebsitePage,
+  AuthPage,
+  MySitesSection,
+  EditProjectScript,
+  DeleteProjectScript,
+  DeploymentsPage,
+  ApiTokensPage,
+  VariablesPage,
+  StoragePage,
+  DomainsPage,
+  LimitExceededPage,
+  EgressPolicyPage,
+  AnalyticsPage,
+  AdminAnalyticsPage,
+  LogsPage,
+  ThrottlingPage,
+  MigrationsPage,
+  PreviewsPage,
+} from './render';
+import { Preview, Project } from './types';
+import {
+  withUser,
+  requireUser,
+  requireAdmin,
+  requireCsrf,
+  getCsrfToken,
+  isAdmin,
+  startSession,
+  endSession,
+  hashPassword,
+  verifyPassword,
+  normalizeEmail,
+  isValidEmail,
+  canManageProject,
+  safeRedirectPath,
+  createApiToken,
+} from './auth';
+import { api } from './api';
+import { ProjectError } from './errors';
+import {
+  ReservedPaths,
+  getProjectUrl,
+  createProject,
+  updateProject,
+  deleteProject,
+  rollbackProject,
+  redeployProject,
+  deployPreview,
+  promotePreview,
+  getLiveManifest,
+} from './projects';
+import { deletePreview, expirePreviews, findProjectOrPreview, isPreviewExpired } from './previews';
+import { describeSkipped, readDeployRequest } from './uploads';
+import { publicVariable, setProjectVariable, deleteProjectVariable } from './variables';
+import { attachStorage, detachStorage } from './storage';
+import { getPlanLimits, isLimitExceededError, PlanNames, Plans, setProjectPlan } from './plans';
+import { getPlatformTraffic, getProjectTraffic, parseTrafficRange, pruneTraffic, trackTraffic } from './analytics';
+import { collectAssetBlobs } from './asset-blobs';
+import { handleTail, MAX_LOG_ENTRIES, streamProjectLogs } from './logs';
+import { checkRateLimit, getRateLimits, getThrottleStats, recordThrottle, setProjectRateLimits } from './ratelimit';
+import { getEgressOverview, getOutboundParams, isOutboundEnabled, setEgressPolicy } from './egress';
+import { parseStatusList, pollHostnames, refreshHostnameStatus } from './hostnames';
+import { applyMigrations, getMigrationStatus } from './migrations';
+import {
+  addProjectDomain,
+  domainDnsRecords,
+  getDomainStatuses,
+  getFallbackOrigin,
+  makePrimaryDomain,
+  normalizeDomain,
+  parseValidationMethod,
+  removeProjectDomain,
+  setDomainValidation,
+} from './domains';
+import { canSeeDeployJob, DEPLOY_JOB_HEADER, isDeployJobId, publicDeployJob, startDeployJob, streamDeployJob, trackDeploy } from './deploy-jobs';
 
-const app = new Hono<{ Bindings: Env }>();
+const app = new Hono<AppEnv>();
 
-// Auto-initialization flag - tracks if DB has been initialized
-let isInitialized = false;
-
-/**
- * Automatically initialize database schema on first request
- */
-async function autoInitializeDatabase(db: D1QB): Promise<void> {
-  if (isInitialized) {
-    return; // Already initialized in this worker instance
-  }
-  
-  try {
-    // Check if projects table exists by trying to query it
-    const tableCheck = await db.fetchOne({
-      tableName: 'sqlite_master',
-      fields: 'name',
-      where: {
-        conditions: 'type = ? AND name = ?',
-        params: ['table', 'projects']
-      }
-    });
-    
-    if (!tableCheck.results) {
-      // Create projects table
-      await db.createTable({
-        tableName: 'projects',
-        schema: 'id TEXT PRIMARY KEY, name TEXT NOT NULL, subdomain TEXT UNIQUE NOT NULL, custom_hostname TEXT, script_content TEXT NOT NULL, created_on TEXT NOT NULL, modified_on TEXT NOT NULL',
-        ifNotExists: true
-      });
-    }
-    
-    isInitialized = true;
-    
-  } catch (error) {
-    // Don't throw - let the app continue, it might work anyway
-    // Set flag to true to avoid repeated attempts
-    isInitialized = true;
-  }
-}
-
-// Enhanced withDb middleware that includes auto-initialization
-const withDbAndInit = async (c: any, next: any) => {
-  // First apply the original withDb middleware
-  await withDb(c, async () => {
-    // Auto-initialize database on first request
-    if (!isInitialized && c.var.db) {
-      await autoInitializeDatabase(c.var.db);
-    }
-    await next();
-  });
-};
 
 // Project routing middleware - handles both subdomains and custom hostnames
 app.use('*', withDbAndInit, async (c, next) => {
@@ -81,6 +121,8 @@ app.use('*', withDbAndInit, async (c, next) => {
   const path = url.pathname;
 
   let project: any = null;
+  // Set when the host or path names a preview script (<subdomain>--preview-<id>) instead of the site
+  let preview: Preview | null = null;
 
   if (customDomain) {
     // If visiting the root domain, serve the builder UI
@@ -93,11 +135,19 @@ app.use('*', withDbAndInit, async (c, next) => {
     if (host.endsWith(`.${customDomain}`)) {
       const subdomain = host.replace(`.${customDomain}`, '');
       
-      // Look up project by subdomain
-      project = await GetProjectBySubdomain(c.var.db, subdomain);
+      // Look up project (or preview) by subdomain
+      ({ project, preview } = await findProjectOrPreview(c.var.db, subdomain));
     } else {
       // Check if this is a custom hostname (vanity domain)
       project = await GetProjectByCustomHostname(c.var.db, host);
+
+      // A project's other domains (e.g. the apex next to www) permanently redirect to its primary one
+      if (project?.custom_hostname && project.custom_hostname !== host) {
+        const target = new URL(c.req.url);
+        target.protocol = 'https:';
+        target.host = project.custom_hostname;
+        return c.redirect(target.toString(), 301);
+      }
     }
   } else {
     // Workers.dev routing: workername.workers.dev/projectname
@@ -105,17 +155,41 @@ app.use('*', withDbAndInit, async (c, next) => {
       const subdomain = path.substring(1).split('/')[0];
       
       // Skip common paths
-      if (['admin', 'projects', 'upload', 'init', 'dispatch', 'favicon.ico'].includes(subdomain)) {
+      if (ReservedPaths.includes(subdomain)) {
         await next();
         return;
       }
       
-      // Look up project by subdomain
-      project = await GetProjectBySubdomain(c.var.db, subdomain);
+      // Look up project (or preview) by subdomain
+      ({ project, preview } = await findProjectOrPreview(c.var.db, subdomain));
     }
   }
 
+  if (preview && isPreviewExpired(preview)) {
+    return c.text('This preview has expired', 410);
+  }
+
   if (project) {
+    // Limits from the project's plan, plus the egress parameters when the outbound worker is enabled
+    const dispatchOptions = {
+      limits: getPlanLimits(project),
+      outbound: isOutboundEnabled(c.env) ? getOutboundParams(project, c.req.raw) : undefined,
+    };
+    const startedAt = Date.now();
+
+    // Reject over-limit requests before they cost the tenant (or us) a worker invocation
+    const clientIp = c.req.header('CF-Connecting-IP') || 'unknown';
+    const rateLimit = await checkRateLimit(c.env, project, clientIp);
+    if (!rateLimit.allowed) {
+      if (rateLimit.firstInWindow) {
+        c.executionCtx.waitUntil(recordThrottle(c.var.db, project, clientIp, rateLimit.scope));
+      }
+      const message = rateLimit.scope === 'ip'
+        ? 'Too many requests from your address. Try again later.'
+        : 'This site is receiving too many requests right now. Try again later.';
+      return trackTraffic(c, project, c.req.raw, c.text(message, 429, { 'Retry-After': String(rateLimit.retryAfter) }), startedAt);
+    }
+
     try {
       let requestToForward = c.req.raw;
       
@@ -132,12 +206,29 @@ app.use('*', withDbAndInit, async (c, next) => {
       }
 
       // Deploy the project script to the dispatch namespace if it doesn't exist
-      const worker = c.env.dispatcher.get(project.subdomain);
-      return await worker.fetch(requestToForward);
+      const worker = c.env.dispatcher.get(preview ? preview.script_name : project.subdomain, undefined, dispatchOptions);
+      return trackTraffic(c, project, requestToForward, await worker.fetch(requestToForward), startedAt);
     } catch (e) {
-      // If worker doesn't exist, deploy it first
-      await PutScriptInDispatchNamespace(c.env, project.subdomain, project.script_content);
-      const worker = c.env.dispatcher.get(project.subdomain);
+      // The worker exists but ran past its plan's limits - redeploying won't help
+      if (isLimitExceededError(e)) {
+        return trackTraffic(c, project, c.req.raw, c.html(LimitExceededPage(project, getPlanLimits(project)), 503), startedAt);
+      }
+
+      // Errors thrown by the site's own code are reported, not redeployed over. Previews are only
+      // ever deployed by their owner; one that is missing was deleted.
+      if (preview || !isWorkerNotFoundError(e)) {
+        return trackTraffic(c, project, c.req.raw, handleDispatchError(c, e), startedAt);
+      }
+
+      // The script is missing from the namespace: restore the live version with its bindings and runtime settings
+      const restored = await redeployProject(c.env, c.var.db, project, 'platform').catch((error) => {
+        console.error(`Could not restore ${project!.subdomain}:`, error);
+        return null;
+      });
+      if (!restored) {
+        return trackTraffic(c, project, c.req.raw, handleDispatchError(c, e), startedAt);
+      }
+      const worker = c.env.dispatcher.get(project.subdomain, undefined, dispatchOptions);
       
       let requestToForward = c.req.raw;
       if (!customDomain || !host.endsWith(`.${customDomain}`)) {
@@ -151,7 +242,7 @@ app.use('*', withDbAndInit, async (c, next) => {
         });
       }
       
-      return await worker.fetch(requestToForward);
+      return trackTraffic(c, project, requestToForward, await worker.fetch(requestToForward), startedAt);
     }
   }
   
@@ -165,27 +256,161 @@ app.get('/favicon.ico', () => {
 /*
  * Main page - Build a website interface
  */
-app.get('/', (c) => {
+app.get('/', withDbAndInit, withUser, requireUser, async (c) => {
   const customDomain = c.env.CUSTOM_DOMAIN;
-  return c.html(renderPage(BuildWebsitePage, { customDomain }));
+  const user = c.var.user!;
+  const projects = await GetProjectsByOwner(c.var.db, user.id);
+  const mySites = MySitesSection(projects, { customDomain, origin: new URL(c.req.url).origin });
+  return c.html(renderPage(mySites + BuildWebsitePage, {
+    customDomain,
+    user: { email: user.email, isAdmin: isAdmin(user) },
+    csrfToken: await getCsrfToken(c),
+  }));
+});
+
+/*
+ * Sign in
+ */
+app.get('/login', withDbAndInit, withUser, (c) => {
+  const next = c.req.query('next');
+  if (c.var.user) {
+    return c.redirect(safeRedirectPath(next));
+  }
+  return c.html(renderPage(AuthPage('login', { next }), { customDomain: c.env.CUSTOM_DOMAIN }));
+});
+
+app.post('/login', withDbAndInit, async (c) => {
+  const form = await c.req.parseBody();
+  const email = normalizeEmail(String(form.email || ''));
+  const password = String(form.password || '');
+  const next = form.next ? String(form.next) : undefined;
+
+  const user = email ? await GetUserByEmail(c.var.db, email) : null;
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    return c.html(renderPage(AuthPage('login', { error: 'Incorrect email or password.', email, next }), { customDomain: c.env.CUSTOM_DOMAIN }), 401);
+  }
+
+  await startSession(c, user.id);
+  return c.redirect(safeRedirectPath(next));
+});
+
+/*
+ * Sign up
+ */
+app.get('/signup', withDbAndInit, withUser, (c) => {
+  const next = c.req.query('next');
+  if (c.var.user) {
+    return c.redirect(safeRedirectPath(next));
+  }
+  return c.html(renderPage(AuthPage('signup', { next }), { customDomain: c.env.CUSTOM_DOMAIN }));
+});
+
+app.post('/signup', withDbAndInit, async (c) => {
+  const form = await c.req.parseBody();
+  const email = normalizeEmail(String(form.email || ''));
+  const password = String(form.password || '');
+  const next = form.next ? String(form.next) : undefined;
+
+  const renderError = (error: string, status: 400 | 409) =>
+    c.html(renderPage(AuthPage('signup', { error, email, next }), { customDomain: c.env.CUSTOM_DOMAIN }), status);
+
+  if (!isValidEmail(email)) {
+    return renderError('Please enter a valid email address.', 400);
+  }
+  if (password.length < 8) {
+    return renderError('Password must be at least 8 characters.', 400);
+  }
+  if (await GetUserByEmail(c.var.db, email)) {
+    return renderError('An account with this email already exists.', 409);
+  }
+
+  const userId = `user-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  await CreateUser(c.var.db, {
+    id: userId,
+    email,
+    password_hash: await hashPassword(password),
+    created_on: new Date().toISOString(),
+  });
+
+  await startSession(c, userId);
+  return c.redirect(safeRedirectPath(next));
+});
+
+/*
+ * Sign out
+ */
+app.post('/logout', withDbAndInit, async (c) => {
+  await endSession(c);
+  return c.redirect('/login');
 });
 
+/*
+ * Personal API tokens
+ */
+app.get('/account/tokens', withDbAndInit, withUser, requireUser, async (c) => {
+  const user = c.var.user!;
+  const tokens = await GetApiTokensByUser(c.var.db, user.id);
+  return c.html(renderPage(ApiTokensPage(tokens, {
+    csrfToken: await getCsrfToken(c),
+    origin: new URL(c.req.url).origin,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }));
+});
+
+app.post('/account/tokens', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const user = c.var.user!;
+  const form = await c.req.parseBody();
+  const name = String(form.name || '').trim().substring(0, 64);
+
+  let newToken: string | undefined;
+  let error: string | undefined;
+  if (name) {
+    newToken = (await createApiToken(c, user, name)).token;
+  } else {
+    error = 'Give the token a name so you can recognise it later.';
+  }
+
+  // Rendered directly rather than redirected so the raw token never ends up in a URL
+  const tokens = await GetApiTokensByUser(c.var.db, user.id);
+  return c.html(renderPage(ApiTokensPage(tokens, {
+    csrfToken: await getCsrfToken(c),
+    origin: new URL(c.req.url).origin,
+    newToken,
+    error,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }), error ? 400 : 201);
+});
+
+app.post('/account/tokens/:id/delete', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  await DeleteApiToken(c.var.db, c.var.user!.id, c.req.param('id'));
+  return c.redirect('/account/tokens');
+});
+
+/*
+ * JSON API for CI and scripts - see src/api.ts
+ */
+app.route('/api/v1', api);
+
 /*
  * Admin page - For debugging/management (hidden)
  */
-app.get('/admin', withDbAndInit, async (c) => {
+app.get('/admin', withDbAndInit, withUser, requireAdmin, async (c) => {
+  const csrfToken = await getCsrfToken(c);
+  const planError = c.req.query('plan_error');
   let body = `
     <div class="form-container">
       <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
         <h3 style="margin: 0;">Admin Dashboard</h3>
-        <form action="/init" style="margin: 0;">
-          <button type="submit" class="btn btn-destructive btn-sm">
+        <div style="display: flex; gap: 8px;">
+          <a href="/admin/analytics" class="btn btn-secondary btn-sm" style="text-decoration: none;">Traffic</a>
+          <a href="/admin/throttling" class="btn btn-secondary btn-sm" style="text-decoration: none;">Rate limits</a>
+          <a href="/admin/migrations" class="btn btn-secondary btn-sm" style="text-decoration: none;">Migrations</a>
+          <a href="/admin/reset" class="btn btn-destructive btn-sm" style="text-decoration: none;">
             <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256"><path d="M216,48H176V40a24,24,0,0,0-24-24H104A24,24,0,0,0,80,40v8H40a8,8,0,0,0,0,16h8V208a16,16,0,0,0,16,16H192a16,16,0,0,0,16-16V64h8a8,8,0,0,0,0-16ZM96,40a8,8,0,0,1,8-8h48a8,8,0,0,1,8,8v8H96Zm96,168H64V64H192ZM112,104v64a8,8,0,0,1-16,0V104a8,8,0,0,1,16,0Zm48,0v64a8,8,0,0,1-16,0V104a8,8,0,0,1,16,0Z"/></svg>
             Reset All Data
-          </button>
-        </form>
+          </a>
+        </div>
       </div>
       <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 20px;">Manage projects and view dispatch namespace scripts.</p>
+      ${planError ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(planError)}</p></div>` : ''}
       
       <div class="success-card-label" style="margin-top: 24px;">Projects</div>`;
 
@@ -194,6 +419,12 @@ app.get('/admin', withDbAndInit, async (c) => {
     */
   try {
     const projects = await FetchTable(c.var.db, 'projects') as Project[];
+    // Kept current by the scheduled poller (hostnames.ts), so the page makes no API calls per row
+    const hostnameStatuses = new Map((await GetAllHostnameStatuses(c.var.db)).map((status) => [status.hostname, status]));
+    const domainCounts = new Map<string, number>();
+    for (const domain of await GetAllProjectDomains(c.var.db)) {
+      domainCounts.set(domain.project_id, (domainCounts.get(domain.project_id) || 0) + 1);
+    }
     if (projects && projects.length > 0) {
       body += `
         <div class="dataContainer">
@@ -204,44 +435,44 @@ app.get('/admin', withDbAndInit, async (c) => {
               <th>Custom Domain</th>
               <th>Hostname Status</th>
               <th>SSL Status</th>
+              <th>Plan</th>
               <th>Actions</th>
             </tr>`;
       
       for (const project of projects) {
-        const subdomain = project.subdomain;
-        const customHostname = project.custom_hostname || '-';
+        // Names are chosen by any signed-up user, and this page holds the admin's CSRF token
+        const subdomain = escapeHtml(project.subdomain);
+        const customHostname = project.custom_hostname ? escapeHtml(project.custom_hostname) : '-';
         let hostnameStatus = '-';
         let sslStatus = '-';
         let hostnameErrors: string[] = [];
-        let sslErrors: string[] = [];
         let sslMethod = '';
+        let checkedOn = '';
         
         if (project.custom_hostname) {
-          try {
-            const status = await getCustomHostnameStatus(c.env, project.custom_hostname);
-            hostnameStatus = status.status;
-            sslStatus = status.ssl?.status || '-';
-            hostnameErrors = status.verification_errors || [];
-            sslErrors = status.ssl?.validation_errors || [];
-            sslMethod = status.ssl?.validation_method || '';
-          } catch {
-            hostnameStatus = 'error';
-          }
+          const status = hostnameStatuses.get(project.custom_hostname);
+          hostnameStatus = status?.status || 'not_checked_yet';
+          sslStatus = status?.ssl_status || '-';
+          hostnameErrors = parseStatusList<string>(status?.verification_errors);
+          sslMethod = status?.ssl_method || '';
+          checkedOn = status?.checked_on || '';
         }
         
+        // Where custom domains point, used by the error and SSL messages below
+        const fallbackOrigin = getFallbackOrigin(c.env);
+
         const statusBadge = (status: string) => {
           if (status === 'active') return `<span class="status-badge status-active">Active</span>`;
           if (status === 'pending' || status === 'pending_validation' || status === 'pending_issuance' || status === 'pending_deployment') return `<span class="status-badge status-pending">${status.replace(/_/g, ' ')}</span>`;
           if (status === 'error' || status === 'deleted' || status === 'validation_timed_out' || status === 'expired') return `<span class="status-badge status-error">${status.replace(/_/g, ' ')}</span>`;
           if (status === '-') return '-';
-          return `<span class="status-badge status-pending">${status.replace(/_/g, ' ')}</span>`;
+          return `<span class="status-badge status-pending">${escapeHtml(status.replace(/_/g, ' '))}</span>`;
         };
         
         // Helper to get user-friendly error message
         const getFriendlyError = (errors: string[]) => {
           const rawError = errors.join(' ').toLowerCase();
           
-          const fallbackOrigin = c.env.FALLBACK_ORIGIN || (c.env.CUSTOM_DOMAIN ? `my.${c.env.CUSTOM_DOMAIN}` : 'your-platform-domain');
           if (rawError.includes('a or aaaa records') || rawError.includes('ownership verification')) {
             return `Your domain is not pointing to our servers. Add a CNAME record pointing to <strong>${fallbackOrigin}</strong> and wait for DNS propagation (can take up to 24 hours).`;
           }
@@ -253,13 +484,15 @@ app.get('/admin', withDbAndInit, async (c) => {
           }
           
           // Return original if no match
-          return errors.join('<br>');
+          return errors.map((error) => escapeHtml(error)).join('<br>');
         };
         
         // Helper to get user-friendly SSL status message
         const getSSLMessage = (status: string, method: string) => {
           const messages: Record<string, string> = {
-            'pending_validation': 'Waiting for SSL certificate validation. This happens automatically once DNS is verified.',
+            'pending_validation': method === 'txt'
+              ? 'Waiting for the TXT validation record. The owner finds it on the site\'s Domains page.'
+              : 'Waiting for SSL certificate validation. This happens automatically once DNS is verified.',
             'pending_issuance': 'SSL certificate is being issued. This usually takes a few minutes.',
             'pending_deployment': 'SSL certificate is being deployed to edge servers.',
             'validation_timed_out': `SSL validation timed out. Make sure your domain points to <strong>${fallbackOrigin}</strong> and click refresh.`,
@@ -275,11 +508,11 @@ app.get('/admin', withDbAndInit, async (c) => {
         
         body += `
           <tr>
-            <td>${project.name}</td>
+            <td>${escapeHtml(project.name)}</td>
             <td><a href="${c.env.CUSTOM_DOMAIN ? `https://${subdomain}.${c.env.CUSTOM_DOMAIN}` : `https://${subdomain}.workers.dev`}" target="_blank" class="table-link">${subdomain}</a></td>
-            <td>${customHostname !== '-' ? `<a href="https://${customHostname}" target="_blank" class="table-link">${customHostname}</a>` : '-'}</td>
+            <td>${customHostname !== '-' ? `<a href="https://${customHostname}" target="_blank" class="table-link">${customHostname}</a>` : '-'}${(domainCounts.get(project.id) || 0) > 1 ? `<div class="site-item-meta">+${domainCounts.get(project.id)! - 1} redirecting</div>` : ''}</td>
             <td class="status-cell">
-              <div class="status-row">
+              <div class="status-row"${checkedOn ? ` title="Checked ${new Date(checkedOn).toUTCString()}"` : ''}>
                 ${statusBadge(hostnameStatus)}
                 ${hasHostnameErrors ? `<button type="button" class="btn-icon" onclick="toggleDetails('${rowId}-hostname')" title="Show details"><svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256"><path d="M213.66,101.66l-80,80a8,8,0,0,1-11.32,0l-80-80A8,8,0,0,1,53.66,90.34L128,164.69l74.34-74.35a8,8,0,0,1,11.32,11.32Z"/></svg></button>` : ''}
               </div>
@@ -291,11 +524,26 @@ app.get('/admin', withDbAndInit, async (c) => {
                 ${hasSSLDetails ? `<button type="button" class="btn-icon" onclick="toggleDetails('${rowId}-ssl')" title="Show details"><svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256"><path d="M213.66,101.66l-80,80a8,8,0,0,1-11.32,0l-80-80A8,8,0,0,1,53.66,90.34L128,164.69l74.34-74.35a8,8,0,0,1,11.32,11.32Z"/></svg></button>` : ''}
               </div>
               ${hasSSLDetails ? `<div id="${rowId}-ssl" class="status-details${sslStatus === 'validation_timed_out' || sslStatus === 'expired' ? ' error' : ''}" style="display: none;">
-                <div class="status-details-item">${getSSLMessage(sslStatus, sslMethod) || `Status: ${sslStatus.replace(/_/g, ' ')}`}</div>
+                <div class="status-details-item">${getSSLMessage(sslStatus, sslMethod) || `Status: ${escapeHtml(sslStatus.replace(/_/g, ' '))}`}</div>
               </div>` : ''}
             </td>
             <td>
-              ${customHostname !== '-' ? `<button type="button" class="btn-icon" onclick="refreshStatus('${subdomain}')" title="Refresh status" id="refresh-${subdomain}"><svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256"><path d="M240,56v48a8,8,0,0,1-8,8H184a8,8,0,0,1,0-16H211.4L184.81,71.64A81.59,81.59,0,0,0,46.37,90.32a8,8,0,1,1-14.54-6.64A97.49,97.49,0,0,1,128,32a98.33,98.33,0,0,1,69.07,28.94L224,84.07V56a8,8,0,0,1,16,0Zm-32.16,109.68a81.65,81.65,0,0,1-138.45,18.68L44.6,160H72a8,8,0,0,0,0-16H24a8,8,0,0,0-8,8v48a8,8,0,0,0,16,0V171.93l26.94,24.13A97.51,97.51,0,0,0,225.54,172.32a8,8,0,0,0-14.54-6.64Z"/></svg></button>` : '-'}
+              <form method="POST" action="/admin/projects/${subdomain}/plan" class="status-row">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <select name="plan" aria-label="Plan">
+                  ${PlanNames.map((plan) => `<option value="${plan}"${(project.plan || 'free') === plan ? ' selected' : ''}>${plan === 'custom' ? 'Custom' : Plans[plan].label}</option>`).join('')}
+                </select>
+                <input type="number" name="cpu_ms" min="1" value="${project.plan === 'custom' ? getPlanLimits(project).cpuMs : ''}" placeholder="CPU ms" title="CPU ms per request (custom plan only)" style="width: 80px;">
+                <input type="number" name="memory" min="1" value="${project.plan === 'custom' ? getPlanLimits(project).memory : ''}" placeholder="MB" title="Memory in MB (custom plan only)" style="width: 64px;">
+                <button type="submit" class="btn btn-secondary btn-sm">Save</button>
+              </form>
+            </td>
+            <td>
+              <div class="status-row">
+                <a href="/admin/projects/${subdomain}/egress" class="table-link" title="Egress policy">Egress</a>
+                ${customHostname !== '-' ? `<button type="button" class="btn-icon" onclick="refreshStatus('${subdomain}')" title="Refresh status" id="refresh-${subdomain}"><svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256"><path d="M240,56v48a8,8,0,0,1-8,8H184a8,8,0,0,1,0-16H211.4L184.81,71.64A81.59,81.59,0,0,0,46.37,90.32a8,8,0,1,1-14.54-6.64A97.49,97.49,0,0,1,128,32a98.33,98.33,0,0,1,69.07,28.94L224,84.07V56a8,8,0,0,1,16,0Zm-32.16,109.68a81.65,81.65,0,0,1-138.45,18.68L44.6,160H72a8,8,0,0,0,0-16H24a8,8,0,0,0-8,8v48a8,8,0,0,0,16,0V171.93l26.94,24.13A97.51,97.51,0,0,0,225.54,172.32a8,8,0,0,0-14.54-6.64Z"/></svg></button>` : ''}
+                <button type="button" class="btn-icon" onclick="deleteProject('${subdomain}', this)" title="Delete project"><svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256"><path d="M216,48H176V40a24,24,0,0,0-24-24H104A24,24,0,0,0,80,40v8H40a8,8,0,0,0,0,16h8V208a16,16,0,0,0,16,16H192a16,16,0,0,0,16-16V64h8a8,8,0,0,0,0-16ZM96,40a8,8,0,0,1,8-8h48a8,8,0,0,1,8,8v8H96Zm96,168H64V64H192ZM112,104v64a8,8,0,0,1-16,0V104a8,8,0,0,1,16,0Zm48,0v64a8,8,0,0,1-16,0V104a8,8,0,0,1,16,0Z"/></svg></button>
+              </div>
             </td>
           </tr>`;
       }
@@ -348,6 +596,7 @@ app.get('/admin', withDbAndInit, async (c) => {
 
   body += `</div>
   
+  ${DeleteProjectScript}
   <script>
   function toggleDetails(elementId) {
     const detailsDiv = document.getElementById(elementId);
@@ -361,28 +610,214 @@ app.get('/admin', withDbAndInit, async (c) => {
     if (btn) {
       btn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256" class="animate-spin"><path d="M232,128a104,104,0,0,1-208,0c0-41,23.81-78.36,60.66-95.27a8,8,0,0,1,6.68,14.54C60.15,61.59,40,93.27,40,128a88,88,0,0,0,176,0c0-34.73-20.15-66.41-51.34-80.73a8,8,0,0,1,6.68-14.54C208.19,49.64,232,87,232,128Z"/></svg>';
     }
-    // Reload the page to refresh all statuses
-    window.location.reload();
+    // Check this hostname now instead of waiting for the scheduled poll, then show the stored result
+    try {
+      await fetch('/projects/' + subdomain + '/custom-domain-status');
+    } finally {
+      window.location.reload();
+    }
   }
   </script>`;
 
-  return c.html(renderPage(body, { customDomain: c.env.CUSTOM_DOMAIN }));
+  return c.html(renderPage(body, {
+    customDomain: c.env.CUSTOM_DOMAIN,
+    user: { email: c.var.user!.email, isAdmin: true },
+    csrfToken,
+  }));
 });
 
 /*
- * Initialize example data (now optional since auto-init handles schema)
+ * Change a project's plan (admin only). Takes effect on the next request to the site.
  */
-app.get('/init', withDbAndInit, async (c) => {
+app.post('/admin/projects/:subdomain/plan', withDbAndInit, withUser, requireAdmin, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project) {
+    return c.text('Project not found', 404);
+  }
+
+  const form = await c.req.parseBody();
+  try {
+    await setProjectPlan(c.var.db, project, { plan: String(form.plan || ''), cpuMs: form.cpu_ms, memory: form.memory });
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return c.redirect(`/admin?plan_error=${encodeURIComponent(`${project.subdomain}: ${error.message}`)}`);
+    }
+    throw error;
+  }
+  return c.redirect('/admin');
+});
+
+/*
+ * Traffic across all sites (admin only)
+ */
+app.get('/admin/analytics', withDbAndInit, withUser, requireAdmin, async (c) => {
+  const data = await getPlatformTraffic(c.var.db, parseTrafficRange(c.req.query('range')));
+  const projects = await FetchTable(c.var.db, 'projects') as unknown as Project[];
+  return c.html(renderPage(AdminAnalyticsPage(data, projects || []), {
+    customDomain: c.env.CUSTOM_DOMAIN,
+    user: { email: c.var.user!.email, isAdmin: true },
+  }));
+});
+
+/*
+ * Rate limits and throttled projects (admin only)
+ */
+app.get('/admin/throttling', withDbAndInit, withUser, requireAdmin, async (c) => {
+  const projects = (await FetchTable(c.var.db, 'projects') as unknown as Project[]) || [];
+  const stats = new Map((await getThrottleStats(c.var.db)).map((stat) => [stat.project_id, stat]));
+  const entries = projects
+    .map((project) => ({ project, limits: getRateLimits(c.env, project), stat: stats.get(project.id) }))
+    .sort((a, b) => (Number(b.stat?.project_minutes || 0) + Number(b.stat?.ip_minutes || 0)) - (Number(a.stat?.project_minutes || 0) + Number(a.stat?.ip_minutes || 0)));
+
+  return c.html(renderPage(ThrottlingPage(entries, {
+    csrfToken: await getCsrfToken(c),
+    durable: !!c.env.RATE_LIMITER,
+    error: c.req.query('error'),
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: c.var.user!.email, isAdmin: true } }));
+});
+
+app.post('/admin/projects/:subdomain/rate-limits', withDbAndInit, withUser, requireAdmin, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project) {
+    return c.text('Project not found', 404);
+  }
+
+  const form = await c.req.parseBody();
+  try {
+    await setProjectRateLimits(c.var.db, project, { perMinute: form.per_minute, perIp: form.per_ip });
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return c.redirect(`/admin/throttling?error=${encodeURIComponent(`${project.subdomain}: ${error.message}`)}`);
+    }
+    throw error;
+  }
+  return c.redirect('/admin/throttling');
+});
+
+/*
+ * Egress policy and outbound traffic of one project (admin only)
+ */
+app.get('/admin/projects/:subdomain/egress', withDbAndInit, withUser, requireAdmin, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project) {
+    return c.text('Project not found', 404);
+  }
+
+  const { policy, usage } = await getEgressOverview(c.var.db, project.id);
+  return c.html(renderPage(EgressPolicyPage(project, policy, usage, {
+    csrfToken: await getCsrfToken(c),
+    outboundEnabled: isOutboundEnabled(c.env),
+    message: c.req.query('saved') ? 'Policy saved. Outbound requests pick it up within 30 seconds.' : undefined,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: c.var.user!.email, isAdmin: true } }));
+});
+
+app.post('/admin/projects/:subdomain/egress', withDbAndInit, withUser, requireAdmin, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project) {
+    return c.text('Project not found', 404);
+  }
+
+  const form = await c.req.parseBody();
+  const input = { allowHosts: String(form.allow_hosts || ''), denyHosts: String(form.deny_hosts || '') };
+  try {
+    await setEgressPolicy(c.var.db, project, input, c.var.user!.email);
+    return c.redirect(`/admin/projects/${project.subdomain}/egress?saved=1`);
+  } catch (error) {
+    if (!(error instanceof ProjectError)) throw error;
+    const { usage } = await getEgressOverview(c.var.db, project.id);
+    // Re-render with what was submitted so the admin can fix the bad entry
+    const submitted = { project_id: project.id, allow_hosts: input.allowHosts, deny_hosts: input.denyHosts, modified_by: '', modified_on: '' };
+    return c.html(renderPage(EgressPolicyPage(project, submitted, usage, {
+      csrfToken: await getCsrfToken(c),
+      outboundEnabled: isOutboundEnabled(c.env),
+      error: error.message,
+    }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: c.var.user!.email, isAdmin: true } }), error.status);
+  }
+});
+
+/*
+ * Schema migrations: dry-run listing of what is pending, and applying it (admin only)
+ */
+async function renderMigrationsPage(c: Context<AppEnv>, notice: { message?: string; error?: string }, status: 200 | 500 = 200) {
+  return c.html(renderPage(MigrationsPage(await getMigrationStatus(c.var.db), {
+    csrfToken: await getCsrfToken(c),
+    autoApply: c.env.AUTO_MIGRATE !== 'false',
+    ...notice,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: c.var.user!.email, isAdmin: true } }), status);
+}
+
+app.get('/admin/migrations', withDbAndInit, withUser, requireAdmin, async (c) => {
+  const applied = c.req.query('applied');
+  return renderMigrationsPage(c, {
+    message: applied === undefined ? undefined : applied === '0' ? 'Nothing to apply.' : `Applied ${applied}.`,
+  });
+});
+
+app.post('/admin/migrations', withDbAndInit, withUser, requireAdmin, requireCsrf, async (c) => {
+  try {
+    const applied = await applyMigrations(c.var.db);
+    return c.redirect(`/admin/migrations?applied=${encodeURIComponent(applied.map((migration) => migration.id).join(', ') || '0')}`);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return renderMigrationsPage(c, { error: error.message }, 500);
+    }
+    throw error;
+  }
+});
+
+/*
+ * Reset confirmation - the destructive action itself only runs on POST /init
+ */
+app.get('/admin/reset', withDbAndInit, withUser, requireAdmin, async (c) => {
+  const csrfToken = await getCsrfToken(c);
+  const body = `
+    <div class="form-container">
+      <h3>Reset All Data</h3>
+      <div class="banner banner-error" style="margin-bottom: 20px;">
+        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 256 256"><path d="M236.8,188.09,149.35,36.22h0a24.76,24.76,0,0,0-42.7,0L19.2,188.09a23.51,23.51,0,0,0,0,23.72A24.35,24.35,0,0,0,40.55,224h174.9a24.35,24.35,0,0,0,21.33-12.19A23.51,23.51,0,0,0,236.8,188.09ZM222.93,203.8a8.5,8.5,0,0,1-7.48,4.2H40.55a8.5,8.5,0,0,1-7.48-4.2,7.59,7.59,0,0,1,0-7.72L120.52,44.21a8.75,8.75,0,0,1,15,0l87.45,151.87A7.59,7.59,0,0,1,222.93,203.8Z"/></svg>
+        <p>This deletes every script in the dispatch namespace "${c.env.DISPATCH_NAMESPACE_NAME}" and every project in the database. User accounts are kept. This cannot be undone.</p>
+      </div>
+      <form method="POST" action="/init">
+        <input type="hidden" name="_csrf" value="${csrfToken}">
+        <div class="form-group">
+          <label for="confirm">Type <strong>RESET</strong> to confirm</label>
+          <input type="text" id="confirm" name="confirm" required autocomplete="off" pattern="RESET">
+        </div>
+        <div style="display: flex; gap: 8px;">
+          <button type="submit" class="btn btn-destructive">Reset All Data</button>
+          <a href="/admin" class="btn btn-secondary" style="text-decoration: none;">Cancel</a>
+        </div>
+      </form>
+    </div>`;
+  return c.html(renderPage(body, { customDomain: c.env.CUSTOM_DOMAIN, user: { email: c.var.user!.email, isAdmin: true } }));
+});
+
+/*
+ * GET /init used to wipe everything; keep the URL harmless for old links and crawlers
+ */
+app.get('/init', (c) => {
+  return c.redirect('/admin/reset');
+});
+
+/*
+ * Delete all scripts and empty the project tables (admin only)
+ */
+app.post('/init', withDbAndInit, withUser, requireAdmin, requireCsrf, async (c) => {
+  const form = await c.req.parseBody();
+  if (form.confirm !== 'RESET') {
+    return c.text('Reset not confirmed. Type RESET to confirm.', 400);
+  }
+
   const scripts = await GetScriptsInDispatchNamespace(c.env);
   await Promise.all(scripts.map(async (script) => DeleteScriptInDispatchNamespace(c.env, script.id)));
-  await Initialize(c.var.db);
-  return Response.redirect(c.req.url.replace('/init', ''));
+  await ResetData(c.var.db, { keepAccounts: true });
+  return c.redirect('/admin');
 });
 
 /*
  * Create a new project
  */ 
-app.post('/projects', withDbAndInit, async (c) => {
+app.post('/projects', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
   try {
     // Check if required env vars are set
     const envCheck = checkEnvConfig(c.env);
@@ -391,113 +826,598 @@ app.post('/projects', withDbAndInit, async (c) => {
       return c.text(`Server configuration error: Missing ${envCheck.missing.join(', ')}. Please check deployment settings.`, 500);
     }
     
-    const { name, subdomain, script_content, custom_hostname, assets } = await c.req.json();
+    // JSON, or multipart with the files or an archive (see src/uploads.ts)
+    const { body, skipped } = await readDeployRequest(c.req.raw);
+    const {
+      name, subdomain, script_content, modules, main_module, custom_hostname, validation_method,
+      not_found_handling, html_handling, compatibility_date, compatibility_flags, assets, manifest,
+    } = body;
     
-    // Validate input - either script_content OR assets required
-    if (!name || !subdomain) {
-      return c.text('Missing required fields: name, subdomain', 400);
-    }
+    // The builder follows the deploy at /projects/:subdomain/deploys/:id/events
+    const jobId = c.req.header(DEPLOY_JOB_HEADER);
+    const tracker = isDeployJobId(jobId) ? await startDeployJob(c.var.db, jobId, c.var.user!, String(subdomain || '')) : null;
+    const { warning } = await trackDeploy(tracker, (onProgress) =>
+      createProject(c.env, c.var.db, c.var.user!, {
+        name, subdomain, script_content, modules, main_module, custom_hostname, validation_method,
+        not_found_handling, html_handling, compatibility_date, compatibility_flags, assets, manifest,
+      }, onProgress));
     
-    if (!script_content && (!assets || assets.length === 0)) {
-      return c.text('Missing required fields: script_content or assets', 400);
+    return c.text(['Project created successfully', warning, describeSkipped(skipped)].filter(Boolean).join('\n'), 201);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return c.text(error.message, error.status);
     }
-    
-    // Validate subdomain format
-    if (!/^[a-z0-9-]+$/.test(subdomain)) {
-      return c.text('Subdomain must only contain lowercase letters, numbers, and hyphens', 400);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    console.error('POST /projects error:', errorMessage, error);
+    return c.text(`Internal server error: ${errorMessage}`, 500);
+  }
+});
+
+/*
+ * Update an existing project - rename, change custom hostname, static site or runtime settings, or redeploy new content
+ */
+app.put('/projects/:subdomain', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  try {
+    const envCheck = checkEnvConfig(c.env);
+    if (!envCheck.ok) {
+      console.error('Missing env vars:', envCheck.missing);
+      return c.text(`Server configuration error: Missing ${envCheck.missing.join(', ')}. Please check deployment settings.`, 500);
     }
     
-    // Check if subdomain already exists
-    const existingProject = await GetProjectBySubdomain(c.var.db, subdomain);
-    if (existingProject) {
-      return c.text('This URL is already taken. Please choose a different name.', 409);
+    const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+    if (!project || !canManageProject(c.var.user, project)) {
+      return c.text('Project not found', 404);
     }
     
-    // Check if custom hostname already exists
-    if (custom_hostname) {
-      const existingCustomHostname = await GetProjectByCustomHostname(c.var.db, custom_hostname);
-      if (existingCustomHostname) {
-        return c.text('This domain is already active on the platform', 409);
-      }
-    }
+    const { body, skipped } = await readDeployRequest(c.req.raw);
+    const {
+      name, script_content, modules, main_module, custom_hostname, validation_method,
+      not_found_handling, html_handling, compatibility_date, compatibility_flags, assets, manifest,
+    } = body;
     
-    // Deploy based on whether we have assets or just script
-    let scriptPlaceholder: string;
+    const jobId = c.req.header(DEPLOY_JOB_HEADER);
+    const tracker = isDeployJobId(jobId) ? await startDeployJob(c.var.db, jobId, c.var.user!, project.subdomain) : null;
+    await trackDeploy(tracker, (onProgress) =>
+      updateProject(c.env, c.var.db, project, {
+        name, script_content, modules, main_module, custom_hostname, validation_method,
+        not_found_handling, html_handling, compatibility_date, compatibility_flags, assets, manifest,
+      }, c.var.user!.email, onProgress));
     
-    if (assets && assets.length > 0) {
-      // Validate assets have content
-      const validAssets = assets.filter((a: AssetFile) => a.path && a.content && a.content.length > 0);
-      if (validAssets.length === 0) {
-        return c.text('No valid files found. Files may be empty or unsupported.', 400);
-      }
-      
-      // Check for index.html
-      const hasIndex = validAssets.some((a: AssetFile) => {
-        const p = a.path.toLowerCase();
-        return p === 'index.html' || p.endsWith('/index.html');
-      });
-      
-      if (!hasIndex) {
-        const samplePaths = validAssets.slice(0, 5).map((a: AssetFile) => a.path).join(', ');
-        return c.text(`No index.html found. Your site needs an index.html file. Found: ${samplePaths}${validAssets.length > 5 ? '...' : ''}`, 400);
-      }
-      
-      const deployResult = await PutScriptWithAssetsInDispatchNamespace(c.env, subdomain, validAssets as AssetFile[]);
-      
-      if (!deployResult.success) {
-        return c.text(`Failed to deploy website: ${deployResult.error}`, 500);
-      }
-      
-      scriptPlaceholder = `/* Static site with ${validAssets.length} assets deployed via Assets API */`;
-    } else {
-      // Deploy regular script
-      const deployResult = await PutScriptInDispatchNamespace(c.env, subdomain, script_content);
-      if (!deployResult.ok) {
-        return c.text('Failed to deploy website. Please try again.', 500);
-      }
-      
-      // Store placeholder for large scripts
-      scriptPlaceholder = script_content.length > 1000 
-        ? `/* Script deployed to dispatch namespace - ${script_content.length} bytes */` 
-        : script_content;
+    return c.text(['Project updated successfully', describeSkipped(skipped)].filter(Boolean).join('\n'), 200);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return c.text(error.message, error.status);
+    }
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    console.error('PUT /projects error:', errorMessage, error);
+    return c.text(`Internal server error: ${errorMessage}`, 500);
+  }
+});
+
+/*
+ * Progress of a deploy started with an X-Deploy-Job header: the whole job as JSON for polling,
+ * or its stages as server-sent events. Only the user who started it (or an admin) can see it.
+ */
+app.get('/projects/:subdomain/deploys/:job', withDbAndInit, withUser, requireUser, async (c) => {
+  const job = await GetDeployJob(c.var.db, c.req.param('job'));
+  if (!job || job.subdomain !== c.req.param('subdomain') || !canSeeDeployJob(job, c.var.user, isAdmin(c.var.user))) {
+    return c.json({ error: 'Deploy job not found' }, 404);
+  }
+  return c.json(publicDeployJob(job));
+});
+
+app.get('/projects/:subdomain/deploys/:job/events', withDbAndInit, withUser, requireUser, async (c) => {
+  const jobId = c.req.param('job');
+  if (!isDeployJobId(jobId)) {
+    return c.text('Deploy job not found', 404);
+  }
+  return streamDeployJob(c, jobId, c.req.param('subdomain'), isAdmin(c.var.user));
+});
+
+/*
+ * Files of the live version (path -> hash, size). The builder compares the selected files against
+ * it, shows what changed and uploads only new content.
+ */
+app.get('/projects/:subdomain/manifest', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.json({ error: 'Project not found' }, 404);
+  }
+  const live = await getLiveManifest(c.var.db, project);
+  return c.json({ version: live?.version ?? null, manifest: live?.manifest ?? null });
+});
+
+/*
+ * Delete a project - removes the dispatch script, releases the custom hostname and deletes the row.
+ * Responds with the outcome of each step so partial failures are visible.
+ */
+app.delete('/projects/:subdomain', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  try {
+    const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+    if (!project || !canManageProject(c.var.user, project)) {
+      return c.json({ deleted: false, error: 'Project not found' }, 404);
     }
     
-    const project: Project = {
-      id: `project-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
-      name,
-      subdomain,
-      custom_hostname: custom_hostname || null,
-      script_content: scriptPlaceholder,
-      created_on: new Date().toISOString(),
-      modified_on: new Date().toISOString(),
-    };
-    
-    // Save to database
-    await CreateProject(c.var.db, project);
-    
-    // Create custom hostname if provided
-    if (custom_hostname) {
-      await createCustomHostname(c.env, custom_hostname);
+    const result = await deleteProject(c.env, c.var.db, project);
+    if (!result.deleted) {
+      console.error('DELETE /projects partial failure:', project.subdomain, result.steps);
+      return c.json({ ...result, error: 'Some cleanup steps failed. The project was kept so the delete can be retried.' }, 502);
     }
     
-    return c.text('Project created successfully', 201);
+    return c.json(result);
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
-    console.error('POST /projects error:', errorMessage, error);
+    console.error('DELETE /projects error:', errorMessage, error);
+    return c.json({ deleted: false, error: `Internal server error: ${errorMessage}` }, 500);
+  }
+});
+
+/*
+ * Edit site - the builder, prefilled with an existing project
+ */
+app.get('/projects/:subdomain/edit', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  
+  const customDomain = c.env.CUSTOM_DOMAIN;
+  const user = c.var.user!;
+  // The editor shows the live code in full; the project row only has a placeholder for large scripts
+  const live = (await GetDeployments(c.var.db, project.id)).find((deployment) => deployment.status === 'success');
+  return c.html(renderPage(EditProjectScript(project, live ?? null) + BuildWebsitePage, {
+    customDomain,
+    user: { email: user.email, isAdmin: isAdmin(user) },
+    csrfToken: await getCsrfToken(c),
+  }));
+});
+
+/*
+ * Deployment history for a project
+ */
+app.get('/projects/:subdomain/deployments', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  
+  const deployments = await GetDeployments(c.var.db, project.id);
+  const rolledBack = c.req.query('rolled_back');
+  const user = c.var.user!;
+  return c.html(renderPage(DeploymentsPage(project, deployments, {
+    csrfToken: await getCsrfToken(c),
+    message: rolledBack ? `Version ${rolledBack} is live again.` : undefined,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }));
+});
+
+/*
+ * Roll back - redeploy an earlier version as a new deployment
+ */
+app.post('/projects/:subdomain/deployments/:version/rollback', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  
+  const version = parseInt(c.req.param('version'), 10);
+  const user = c.var.user!;
+  try {
+    await rollbackProject(c.env, c.var.db, project, version, user.email);
+    return c.redirect(`/projects/${project.subdomain}/deployments?rolled_back=${version}`);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    console.error('Rollback error:', errorMessage, error);
+    const deployments = await GetDeployments(c.var.db, project.id);
+    return c.html(renderPage(DeploymentsPage(project, deployments, {
+      csrfToken: await getCsrfToken(c),
+      error: errorMessage,
+    }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }), error instanceof ProjectError ? error.status : 500);
+  }
+});
+
+/*
+ * Deploy a preview - same content as PUT /projects/:subdomain, uploaded next to the live site
+ */
+app.post('/projects/:subdomain/previews', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  try {
+    const envCheck = checkEnvConfig(c.env);
+    if (!envCheck.ok) {
+      console.error('Missing env vars:', envCheck.missing);
+      return c.text(`Server configuration error: Missing ${envCheck.missing.join(', ')}. Please check deployment settings.`, 500);
+    }
+
+    const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+    if (!project || !canManageProject(c.var.user, project)) {
+      return c.text('Project not found', 404);
+    }
+
+    const { body, skipped } = await readDeployRequest(c.req.raw);
+    const { script_content, modules, main_module, assets, manifest } = body;
+
+    const jobId = c.req.header(DEPLOY_JOB_HEADER);
+    const tracker = isDeployJobId(jobId) ? await startDeployJob(c.var.db, jobId, c.var.user!, project.subdomain) : null;
+    const preview = await trackDeploy(tracker, (onProgress) =>
+      deployPreview(c.env, c.var.db, project, { script_content, modules, main_module, assets, manifest }, c.var.user!.email, onProgress));
+
+    return c.json({ id: preview.id, url: getProjectUrl(c.env, preview.script_name), expires_on: preview.expires_on, skipped }, 201);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return c.text(error.message, error.status);
+    }
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    console.error('POST /previews error:', errorMessage, error);
     return c.text(`Internal server error: ${errorMessage}`, 500);
   }
 });
 
+/*
+ * Previews of a project, with promote and delete buttons
+ */
+async function renderPreviewsPage(c: Context<AppEnv>, project: Project, notice: { message?: string; error?: string }, status: 200 | ProjectError['status'] = 200) {
+  const user = c.var.user!;
+  const previews = await GetProjectPreviews(c.var.db, project.id);
+  return c.html(renderPage(PreviewsPage(project, previews, {
+    csrfToken: await getCsrfToken(c),
+    previewUrl: (preview) => getProjectUrl(c.env, preview.script_name),
+    ...notice,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }), status);
+}
+
+app.get('/projects/:subdomain/previews', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  const promoted = c.req.query('promoted');
+  const deleted = c.req.query('deleted');
+  const message = promoted ? `Preview ${promoted} is now live.`
+    : deleted ? `Deleted preview ${deleted}.`
+    : undefined;
+  return renderPreviewsPage(c, project, { message });
+});
+
+app.post('/projects/:subdomain/previews/:id/promote', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  const previewId = c.req.param('id');
+  try {
+    await promotePreview(c.env, c.var.db, project, previewId, c.var.user!.email);
+    return c.redirect(`/projects/${project.subdomain}/previews?promoted=${encodeURIComponent(previewId)}`);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return renderPreviewsPage(c, project, { error: error.message }, error.status);
+    }
+    throw error;
+  }
+});
+
+app.post('/projects/:subdomain/previews/:id/delete', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  const previewId = c.req.param('id');
+  try {
+    await deletePreview(c.env, c.var.db, project, previewId);
+    return c.redirect(`/projects/${project.subdomain}/previews?deleted=${encodeURIComponent(previewId)}`);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return renderPreviewsPage(c, project, { error: error.message }, error.status);
+    }
+    throw error;
+  }
+});
+
+/*
+ * Environment variables and secrets for a project
+ */
+app.get('/projects/:subdomain/variables', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  
+  const variables = await GetProjectVariables(c.var.db, project.id);
+  const saved = c.req.query('saved');
+  const deleted = c.req.query('deleted');
+  const user = c.var.user!;
+  return c.html(renderPage(VariablesPage(project, variables.map(publicVariable), {
+    csrfToken: await getCsrfToken(c),
+    message: saved ? `Saved ${saved} and redeployed.` : deleted ? `Deleted ${deleted} and redeployed.` : undefined,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }));
+});
+
+/*
+ * Save or delete a variable, then redeploy the live version with the new bindings
+ */
+app.post('/projects/:subdomain/variables', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  
+  const form = await c.req.parseBody();
+  const user = c.var.user!;
+  try {
+    const variable = await setProjectVariable(c.env, c.var.db, project, {
+      name: String(form.name || ''),
+      value: String(form.value ?? ''),
+      secret: form.secret === '1',
+    });
+    await redeployProject(c.env, c.var.db, project, user.email);
+    return c.redirect(`/projects/${project.subdomain}/variables?saved=${encodeURIComponent(variable.name)}`);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    console.error('Variable save error:', errorMessage, error);
+    const variables = await GetProjectVariables(c.var.db, project.id);
+    return c.html(renderPage(VariablesPage(project, variables.map(publicVariable), {
+      csrfToken: await getCsrfToken(c),
+      error: errorMessage,
+    }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }), error instanceof ProjectError ? error.status : 500);
+  }
+});
+
+app.post('/projects/:subdomain/variables/:name/delete', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  
+  const name = c.req.param('name');
+  const user = c.var.user!;
+  try {
+    await deleteProjectVariable(c.var.db, project, name);
+    await redeployProject(c.env, c.var.db, project, user.email);
+    return c.redirect(`/projects/${project.subdomain}/variables?deleted=${encodeURIComponent(name)}`);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    console.error('Variable delete error:', errorMessage, error);
+    const variables = await GetProjectVariables(c.var.db, project.id);
+    return c.html(renderPage(VariablesPage(project, variables.map(publicVariable), {
+      csrfToken: await getCsrfToken(c),
+      error: errorMessage,
+    }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }), error instanceof ProjectError ? error.status : 500);
+  }
+});
+
+/*
+ * KV / D1 / R2 storage for a project
+ */
+app.get('/projects/:subdomain/storage', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  
+  const resources = await GetProjectResources(c.var.db, project.id);
+  const created = c.req.query('created');
+  const deleted = c.req.query('deleted');
+  const user = c.var.user!;
+  return c.html(renderPage(StoragePage(project, resources, {
+    csrfToken: await getCsrfToken(c),
+    message: created ? `Created ${created} and redeployed.` : deleted ? `Deleted ${deleted} and redeployed.` : undefined,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }));
+});
+
+app.post('/projects/:subdomain/storage', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  
+  const form = await c.req.parseBody();
+  const user = c.var.user!;
+  try {
+    const resource = await attachStorage(c.env, c.var.db, project, { type: String(form.type || ''), binding: String(form.binding || '') });
+    await redeployProject(c.env, c.var.db, project, user.email);
+    return c.redirect(`/projects/${project.subdomain}/storage?created=${encodeURIComponent(resource.binding)}`);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    console.error('Storage create error:', errorMessage, error);
+    const resources = await GetProjectResources(c.var.db, project.id);
+    return c.html(renderPage(StoragePage(project, resources, {
+      csrfToken: await getCsrfToken(c),
+      error: errorMessage,
+    }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }), error instanceof ProjectError ? error.status : 500);
+  }
+});
+
+app.post('/projects/:subdomain/storage/:binding/delete', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  
+  const binding = c.req.param('binding');
+  const user = c.var.user!;
+  try {
+    await detachStorage(c.env, c.var.db, project, binding);
+    await redeployProject(c.env, c.var.db, project, user.email);
+    return c.redirect(`/projects/${project.subdomain}/storage?deleted=${encodeURIComponent(binding)}`);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    console.error('Storage delete error:', errorMessage, error);
+    const resources = await GetProjectResources(c.var.db, project.id);
+    return c.html(renderPage(StoragePage(project, resources, {
+      csrfToken: await getCsrfToken(c),
+      error: errorMessage,
+    }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }), error instanceof ProjectError ? error.status : 500);
+  }
+});
+
+/*
+ * Custom domains of a project
+ */
+async function renderDomainsPage(c: Context<AppEnv>, project: Project, notice: { message?: string; error?: string }, status: 200 | ProjectError['status'] = 200) {
+  const user = c.var.user!;
+  const domains = await getDomainStatuses(c.env, c.var.db, project);
+  return c.html(renderPage(DomainsPage(project, domains, {
+    csrfToken: await getCsrfToken(c),
+    fallbackOrigin: getFallbackOrigin(c.env),
+    ...notice,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }), status);
+}
+
+app.get('/projects/:subdomain/domains', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  const added = c.req.query('added');
+  const removed = c.req.query('removed');
+  const primary = c.req.query('primary');
+  const validation = c.req.query('validation');
+  const message = added ? `Added ${added}. It goes live once its DNS records are in place and the certificate is issued.`
+    : removed ? `Removed ${removed}.`
+    : primary ? `${primary} is now the primary domain.`
+    : validation ? `${validation} now uses ${c.req.query('method') === 'txt' ? 'TXT' : 'HTTP'} validation. Check its DNS records below.`
+    : undefined;
+  return renderDomainsPage(c, project, { message });
+});
+
+app.post('/projects/:subdomain/domains', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  const form = await c.req.parseBody();
+  try {
+    const hostname = normalizeDomain(form.hostname);
+    const validation = parseValidationMethod(form.validation);
+    await addProjectDomain(c.env, c.var.db, project, hostname, { primary: form.primary === '1', validation });
+    return c.redirect(`/projects/${project.subdomain}/domains?added=${encodeURIComponent(hostname)}`);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return renderDomainsPage(c, project, { error: error.message }, error.status);
+    }
+    throw error;
+  }
+});
+
+app.post('/projects/:subdomain/domains/:hostname/primary', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  try {
+    const updated = await makePrimaryDomain(c.var.db, project, c.req.param('hostname'));
+    return c.redirect(`/projects/${project.subdomain}/domains?primary=${encodeURIComponent(updated.custom_hostname || '')}`);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return renderDomainsPage(c, project, { error: error.message }, error.status);
+    }
+    throw error;
+  }
+});
+
+app.post('/projects/:subdomain/domains/:hostname/validation', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  const form = await c.req.parseBody();
+  try {
+    const hostname = c.req.param('hostname');
+    const method = parseValidationMethod(form.method);
+    await setDomainValidation(c.env, c.var.db, project, hostname, method);
+    return c.redirect(`/projects/${project.subdomain}/domains?validation=${encodeURIComponent(hostname)}&method=${method}`);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return renderDomainsPage(c, project, { error: error.message }, error.status);
+    }
+    throw error;
+  }
+});
+
+app.post('/projects/:subdomain/domains/:hostname/delete', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  const hostname = c.req.param('hostname');
+  try {
+    const updated = await removeProjectDomain(c.env, c.var.db, project, hostname);
+    return c.redirect(`/projects/${updated.subdomain}/domains?removed=${encodeURIComponent(hostname)}`);
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return renderDomainsPage(c, project, { error: error.message }, error.status);
+    }
+    throw error;
+  }
+});
+
+/*
+ * Traffic analytics for a project
+ */
+app.get('/projects/:subdomain/analytics', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  const traffic = await getProjectTraffic(c.var.db, project.id, parseTrafficRange(c.req.query('range')));
+  const user = c.var.user!;
+  return c.html(renderPage(AnalyticsPage(project, traffic), {
+    customDomain: c.env.CUSTOM_DOMAIN,
+    user: { email: user.email, isAdmin: isAdmin(user) },
+  }));
+});
+
+/*
+ * Live logs for a project
+ */
+app.get('/projects/:subdomain/logs', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+
+  const entries = await GetProjectLogs(c.var.db, project.id, MAX_LOG_ENTRIES);
+  const user = c.var.user!;
+  return c.html(renderPage(LogsPage(project, entries, {
+    csrfToken: await getCsrfToken(c),
+    enabled: !!c.env.LOG_TAIL_WORKER,
+    maxEntries: MAX_LOG_ENTRIES,
+  }), { customDomain: c.env.CUSTOM_DOMAIN, user: { email: user.email, isAdmin: isAdmin(user) } }));
+});
+
+app.get('/projects/:subdomain/logs/stream', withDbAndInit, withUser, requireUser, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  return streamProjectLogs(c, project);
+});
+
+app.post('/projects/:subdomain/logs/clear', withDbAndInit, withUser, requireUser, requireCsrf, async (c) => {
+  const project = await GetProjectBySubdomain(c.var.db, c.req.param('subdomain'));
+  if (!project || !canManageProject(c.var.user, project)) {
+    return c.text('Project not found', 404);
+  }
+  await DeleteProjectLogs(c.var.db, project.id);
+  return c.redirect(`/projects/${project.subdomain}/logs`);
+});
+
 /*
  * Check custom domain status
  */
-app.get('/projects/:subdomain/custom-domain-status', withDbAndInit, async (c) => {
+app.get('/projects/:subdomain/custom-domain-status', withDbAndInit, withUser, requireUser, async (c) => {
   try {
     const subdomain = c.req.param('subdomain');
     
-    // Get project by subdomain
+    // Get project by subdomain - only the owner (or an admin) may see its domain status
     const project = await GetProjectBySubdomain(c.var.db, subdomain);
-    if (!project) {
+    if (!project || !canManageProject(c.var.user, project)) {
       return c.text('Project not found', 404);
     }
     
@@ -505,24 +1425,22 @@ app.get('/projects/:subdomain/custom-domain-status', withDbAndInit, async (c) =>
     if (!project.custom_hostname) {
       return c.json({
         has_custom_domain: false,
-        worker_url: c.env.CUSTOM_DOMAIN 
-          ? `https://${subdomain}.${c.env.CUSTOM_DOMAIN}`
-          : `https://${c.env.WORKERS_DEV_SUBDOMAIN || 'my-worker'}.workers.dev/${subdomain}`
+        worker_url: getProjectUrl(c.env, subdomain)
       });
     }
     
-    // Get custom hostname status from Cloudflare
-    const status = await getCustomHostnameStatus(c.env, project.custom_hostname);
+    // Get custom hostname status from Cloudflare (and store it for the admin page)
+    const status = await refreshHostnameStatus(c.env, c.var.db, project, project.custom_hostname);
     
     return c.json({
       has_custom_domain: true,
       custom_domain: project.custom_hostname,
       status: status.status,
       ssl_status: status.ssl?.status,
+      validation_method: status.ssl?.validation_method || null,
       verification_errors: status.verification_errors || [],
-      worker_url: c.env.CUSTOM_DOMAIN 
-        ? `https://${subdomain}.${c.env.CUSTOM_DOMAIN}`
-        : `https://${c.env.WORKERS_DEV_SUBDOMAIN || 'my-worker'}.workers.dev/${subdomain}`,
+      dns_records: domainDnsRecords(project.custom_hostname, getFallbackOrigin(c.env), status),
+      worker_url: getProjectUrl(c.env, subdomain),
       is_active: status.status === 'active'
     });
   } catch (error) {
@@ -531,4 +1449,27 @@ app.get('/projects/:subdomain/custom-domain-status', withDbAndInit, async (c) =>
   }
 });
 
-export default app;
\ No newline at end of file
+// Durable Object classes must be exported from the main module
+export { RateLimiter } from './ratelimit';
+
+export default {
+  fetch: app.fetch,
+  // Receives the trace events of tenant scripts, see logs.ts
+  tail: (events: TraceItem[], env: Env) => handleTail(events, env),
+  // Cron trigger in wrangler.toml: custom hostname verification (hostnames.ts), preview expiry (previews.ts)
+  // and, once a day, traffic counter retention (analytics.ts) and unused site files (asset-blobs.ts)
+  scheduled: (controller: ScheduledController, env: Env, ctx: ExecutionContext) => {
+    ctx.waitUntil(pollHostnames(env).then(({ checked, changed }) => {
+      if (checked > 0) console.log(`Checked ${checked} custom hostnames, ${changed} changed`);
+    }));
+    ctx.waitUntil(expirePreviews(env).then(({ expired, failed }) => {
+      if (expired > 0 || failed > 0) console.log(`Expired ${expired} previews, ${failed} failed`);
+    }));
+    // The first run after midnight UTC, with the 5-minute schedule
+    const scheduledAt = new Date(controller.scheduledTime);
+    if (scheduledAt.getUTCHours() === 0 && scheduledAt.getUTCMinutes() < 5) {
+      ctx.waitUntil(pruneTraffic(env).catch((error) => console.error('Failed to prune traffic:', error)));
+      ctx.waitUntil(collectAssetBlobs(env).catch((error) => console.error('Failed to delete unused site files:', error)));
+    }
+  },
+};
\ No newline at end of file
@@ -0,0 +1,138 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Context } from 'hono';
+import { streamSSE } from 'hono/streaming';
+import { D1QB } from 'workers-qb';
+
+import { CreateProjectLogs, GetProjectLogsAfter, TrimProjectLogs } from './db';
+import type { Env } from './env';
+import { findProjectOrPreview } from './previews';
+import type { AppEnv } from './router';
+import { Project, ProjectLog } from './types';
+
+/*
+ * Live logs for tenant workers. Tenant scripts are uploaded with this worker as their tail consumer
+ * (LOG_TAIL_WORKER), so their console output and exceptions arrive in handleTail() and are kept
+ * in D1. The Logs page reads the backlog and follows new entries over server-sent events.
+ */
+
+// Entries kept per project; older ones are dropped as new ones arrive
+export const MAX_LOG_ENTRIES = 500;
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Each SSE response polls for a while and then ends; EventSource reconnects with Last-Event-ID
+const STREAM_DURATION_MS = 55 * 1000;
+const POLL_INTERVAL_MS = 2000;
+
+function formatLogMessage(message: unknown): string {
+  const parts = Array.isArray(message) ? message : [message];
+  const text = parts.map((part) => {
+    if (typeof part === 'string') return part;
+    try {
+      return JSON.stringify(part);
+    } catch {
+      return String(part);
+    }
+  }).join(' ');
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.substring(0, MAX_MESSAGE_LENGTH)}…` : text;
+}
+
+function toLogEntries(projectId: string, item: TraceItem): Omit<ProjectLog, 'id'>[] {
+  const requestId = crypto.randomUUID();
+  const entries: Omit<ProjectLog, 'id'>[] = [];
+  const event = item.event as TraceItemFetchEventInfo | null;
+
+  if (event && 'request' in event) {
+    const url = new URL(event.request.url);
+    const status = event.response?.status ?? (item.outcome === 'ok' ? '-' : item.outcome);
+    entries.push({
+      project_id: projectId,
+      request_id: requestId,
+      level: 'request',
+      message: `${event.request.method} ${url.pathname}${url.search} ${status}`,
+      timestamp: new Date(item.eventTimestamp ?? Date.now()).toISOString(),
+    });
+  }
+
+  for (const log of item.logs) {
+    entries.push({
+      project_id: projectId,
+      request_id: requestId,
+      level: log.level,
+      message: formatLogMessage(log.message),
+      timestamp: new Date(log.timestamp).toISOString(),
+    });
+  }
+
+  for (const exception of item.exceptions) {
+    entries.push({
+      project_id: projectId,
+      request_id: requestId,
+      level: 'exception',
+      message: formatLogMessage(`${exception.name}: ${exception.message}${exception.stack ? `\n${exception.stack}` : ''}`),
+      timestamp: new Date(exception.timestamp).toISOString(),
+    });
+  }
+
+  // Limits and crashes leave no exception of their own. Visitors hanging up (canceled) is not an error.
+  if (item.outcome !== 'ok' && item.outcome !== 'canceled' && item.exceptions.length === 0) {
+    entries.push({
+      project_id: projectId,
+      request_id: requestId,
+      level: 'exception',
+      message: `Invocation ended with outcome "${item.outcome}"`,
+      timestamp: new Date(item.eventTimestamp ?? Date.now()).toISOString(),
+    });
+  }
+  return entries;
+}
+
+/*
+ * Tail handler of the platform worker. Events are grouped per script so each project is written
+ * and trimmed once per batch.
+ */
+export async function handleTail(events: TraceItem[], env: Env): Promise<void> {
+  const db = new D1QB(env.DB);
+  const byScript = new Map<string, TraceItem[]>();
+  for (const item of events) {
+    if (!item.scriptName || (item.dispatchNamespace && item.dispatchNamespace !== env.DISPATCH_NAMESPACE_NAME)) continue;
+    byScript.set(item.scriptName, [...(byScript.get(item.scriptName) || []), item]);
+  }
+
+  for (const [scriptName, items] of byScript) {
+    try {
+      // Preview scripts (<subdomain>--preview-<id>) log to their site, marked with the preview
+      const { project, preview } = await findProjectOrPreview(db, scriptName);
+      if (!project) continue;
+      const label = preview ? `[preview ${preview.id}] ` : '';
+      const entries = items.flatMap((item) => toLogEntries(project.id, item));
+      await CreateProjectLogs(db, entries.map((entry) => ({ ...entry, message: label + entry.message })));
+      await TrimProjectLogs(db, project.id, MAX_LOG_ENTRIES);
+    } catch (error) {
+      console.error(`Failed to store logs for ${scriptName}:`, error);
+    }
+  }
+}
+
+/*
+ * Server-sent events with every entry after `Last-Event-ID` (or ?after=), polled from D1
+ */
+export function streamProjectLogs(c: Context<AppEnv>, project: Project) {
+  let lastId = parseInt(c.req.header('Last-Event-ID') || c.req.query('after') || '0', 10) || 0;
+  return streamSSE(c, async (stream) => {
+    const deadline = Date.now() + STREAM_DURATION_MS;
+    while (!stream.aborted && Date.now() < deadline) {
+      const entries = await GetProjectLogsAfter(c.var.db, project.id, lastId, 100);
+      for (const entry of entries) {
+        await stream.writeSSE({ id: String(entry.id), event: 'log', data: JSON.stringify(entry) });
+        lastId = entry.id;
+      }
+      if (entries.length === 0) {
+        // Comment line, keeps proxies from closing an idle connection
+        await stream.write(': ping\n\n');
+      }
+      await stream.sleep(POLL_INTERVAL_MS);
+    }
+  });
+}
@@ -0,0 +1,15 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Migration } from '../types';
+
+/*
+ * The projects table as the template first shipped it
+ */
+export const migration: Migration = {
+  id: '0001_initial',
+  description: 'Projects table',
+  statements: [
+    'CREATE TABLE IF NOT EXISTS projects (id TEXT PRIMARY KEY, name TEXT NOT NULL, subdomain TEXT UNIQUE NOT NULL, custom_hostname TEXT, script_content TEXT NOT NULL, created_on TEXT NOT NULL, modified_on TEXT NOT NULL)',
+  ],
+};
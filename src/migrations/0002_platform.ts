@@ -0,0 +1,47 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Migration } from '../types';
+
+/*
+ * Everything added before schema changes were versioned. Databases created by those versions
+ * already have some of it; CREATE TABLE IF NOT EXISTS and the column check on ADD COLUMN
+ * let them catch up without losing data.
+ */
+export const migration: Migration = {
+  id: '0002_platform',
+  description: 'Accounts, deployments, variables, storage, plans, egress, analytics, logs, rate limits, domains and deploy jobs',
+  statements: [
+    'ALTER TABLE projects ADD COLUMN owner_id TEXT',
+    "ALTER TABLE projects ADD COLUMN plan TEXT NOT NULL DEFAULT 'free'",
+    'ALTER TABLE projects ADD COLUMN cpu_ms_limit INTEGER',
+    'ALTER TABLE projects ADD COLUMN memory_limit INTEGER',
+    'ALTER TABLE projects ADD COLUMN rate_limit_per_minute INTEGER',
+    'ALTER TABLE projects ADD COLUMN rate_limit_per_ip INTEGER',
+    'CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, email TEXT UNIQUE NOT NULL, password_hash TEXT NOT NULL, created_on TEXT NOT NULL)',
+    'CREATE TABLE IF NOT EXISTS sessions (id TEXT PRIMARY KEY, user_id TEXT NOT NULL, expires_on TEXT NOT NULL, created_on TEXT NOT NULL)',
+    'CREATE TABLE IF NOT EXISTS api_tokens (id TEXT PRIMARY KEY, user_id TEXT NOT NULL, name TEXT NOT NULL, token_hash TEXT UNIQUE NOT NULL, token_prefix TEXT NOT NULL, last_used_on TEXT, created_on TEXT NOT NULL)',
+    'CREATE TABLE IF NOT EXISTS deployments (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, version INTEGER NOT NULL, type TEXT NOT NULL, script_content TEXT, asset_manifest TEXT, deployed_by TEXT NOT NULL, status TEXT NOT NULL, error TEXT, rollback_of INTEGER, created_on TEXT NOT NULL, UNIQUE(project_id, version))',
+    'CREATE TABLE IF NOT EXISTS project_variables (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, name TEXT NOT NULL, type TEXT NOT NULL, value TEXT NOT NULL, created_on TEXT NOT NULL, modified_on TEXT NOT NULL, UNIQUE(project_id, name))',
+    'CREATE TABLE IF NOT EXISTS project_resources (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, type TEXT NOT NULL, binding TEXT NOT NULL, resource_id TEXT NOT NULL, resource_name TEXT NOT NULL, created_on TEXT NOT NULL, UNIQUE(project_id, binding))',
+    'CREATE TABLE IF NOT EXISTS egress_policies (project_id TEXT PRIMARY KEY, allow_hosts TEXT NOT NULL, deny_hosts TEXT NOT NULL, modified_by TEXT NOT NULL, modified_on TEXT NOT NULL)',
+    // Written by the outbound worker, one row per project per hour
+    'CREATE TABLE IF NOT EXISTS egress_usage (project_id TEXT NOT NULL, hour TEXT NOT NULL, requests INTEGER NOT NULL, blocked INTEGER NOT NULL, bytes_out INTEGER NOT NULL, bytes_in INTEGER NOT NULL, PRIMARY KEY(project_id, hour))',
+    // Per-project request counters, one row per hour
+    'CREATE TABLE IF NOT EXISTS traffic_hourly (project_id TEXT NOT NULL, hour TEXT NOT NULL, requests INTEGER NOT NULL, status_2xx INTEGER NOT NULL, status_3xx INTEGER NOT NULL, status_4xx INTEGER NOT NULL, status_5xx INTEGER NOT NULL, bytes INTEGER NOT NULL, latency_ms INTEGER NOT NULL, PRIMARY KEY(project_id, hour))',
+    // Top paths, referrers and countries, one row per value per day
+    'CREATE TABLE IF NOT EXISTS traffic_top (project_id TEXT NOT NULL, day TEXT NOT NULL, dimension TEXT NOT NULL, value TEXT NOT NULL, requests INTEGER NOT NULL, PRIMARY KEY(project_id, day, dimension, value))',
+    // Recent console output and exceptions of tenant workers, filled by the tail handler
+    'CREATE TABLE IF NOT EXISTS project_logs (id INTEGER PRIMARY KEY AUTOINCREMENT, project_id TEXT NOT NULL, request_id TEXT NOT NULL, level TEXT NOT NULL, message TEXT NOT NULL, timestamp TEXT NOT NULL)',
+    // Requests rejected by the rate limiter, see ratelimit.ts
+    'CREATE TABLE IF NOT EXISTS throttle_stats (project_id TEXT NOT NULL, hour TEXT NOT NULL, project_minutes INTEGER NOT NULL, ip_minutes INTEGER NOT NULL, last_ip TEXT NOT NULL, last_on TEXT NOT NULL, PRIMARY KEY(project_id, hour))',
+    // Custom domains of each project; the primary one is also kept in projects.custom_hostname
+    'CREATE TABLE IF NOT EXISTS project_domains (hostname TEXT PRIMARY KEY, project_id TEXT NOT NULL, is_primary INTEGER NOT NULL DEFAULT 0, created_on TEXT NOT NULL)',
+    // Last known custom hostname and certificate state, kept current by the scheduled poller
+    'CREATE TABLE IF NOT EXISTS hostname_status (hostname TEXT PRIMARY KEY, project_id TEXT NOT NULL, status TEXT NOT NULL, ssl_status TEXT, ssl_method TEXT, verification_errors TEXT NOT NULL, validation_records TEXT NOT NULL, checked_on TEXT, changed_on TEXT NOT NULL)',
+    // Progress of recent deploys, followed by the builder over SSE (deploy-jobs.ts)
+    'CREATE TABLE IF NOT EXISTS deploy_jobs (id TEXT PRIMARY KEY, subdomain TEXT NOT NULL, user_id TEXT NOT NULL, status TEXT NOT NULL, stage TEXT NOT NULL, events TEXT NOT NULL, error TEXT, uploaded_buckets INTEGER NOT NULL, total_buckets INTEGER NOT NULL, created_on TEXT NOT NULL, modified_on TEXT NOT NULL)',
+    // Content-addressed static asset contents (base64), kept so old versions can be redeployed
+    'CREATE TABLE IF NOT EXISTS asset_blobs (hash TEXT NOT NULL, chunk INTEGER NOT NULL, content TEXT NOT NULL, PRIMARY KEY(hash, chunk))',
+  ],
+};
@@ -0,0 +1,13 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Migration } from '../types';
+
+export const migration: Migration = {
+  id: '0003_previews',
+  description: 'Preview deployments and promotions',
+  statements: [
+    'CREATE TABLE IF NOT EXISTS previews (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, script_name TEXT NOT NULL, type TEXT NOT NULL, script_content TEXT, asset_manifest TEXT, created_by TEXT NOT NULL, created_on TEXT NOT NULL, expires_on TEXT NOT NULL)',
+    'ALTER TABLE deployments ADD COLUMN promoted_from TEXT',
+  ],
+};
@@ -0,0 +1,13 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Migration } from '../types';
+
+export const migration: Migration = {
+  id: '0004_site_routing',
+  description: 'Not-found and trailing slash settings of static sites',
+  statements: [
+    'ALTER TABLE projects ADD COLUMN not_found_handling TEXT',
+    'ALTER TABLE projects ADD COLUMN html_handling TEXT',
+  ],
+};
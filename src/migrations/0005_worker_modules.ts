@@ -0,0 +1,15 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Migration } from '../types';
+
+export const migration: Migration = {
+  id: '0005_worker_modules',
+  description: 'Multi-module Worker scripts and compatibility settings',
+  statements: [
+    'ALTER TABLE projects ADD COLUMN compatibility_date TEXT',
+    'ALTER TABLE projects ADD COLUMN compatibility_flags TEXT',
+    'ALTER TABLE deployments ADD COLUMN modules TEXT',
+    'ALTER TABLE previews ADD COLUMN modules TEXT',
+  ],
+};
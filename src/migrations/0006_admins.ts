@@ -0,0 +1,16 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Migration } from '../types';
+
+/*
+ * Admin rights are stored on the account instead of matched against ADMIN_EMAILS, since nobody
+ * verifies the email an account signs up with. Operators grant them out of band, see the README.
+ */
+export const migration: Migration = {
+  id: '0006_admins',
+  description: 'Admin flag on user accounts',
+  statements: [
+    'ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0',
+  ],
+};
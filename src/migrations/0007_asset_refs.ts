@@ -0,0 +1,28 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Migration } from '../types';
+
+/*
+ * Stored site files (asset_blobs) are shared by every version and preview that contains them, so
+ * each one records the files it uses. Files nothing uses anymore are deleted, see asset-blobs.ts.
+ */
+export const migration: Migration = {
+  id: '0007_asset_refs',
+  description: 'File references of deployments and previews',
+  statements: [
+    'CREATE TABLE IF NOT EXISTS asset_refs (hash TEXT NOT NULL, owner_id TEXT NOT NULL, project_id TEXT NOT NULL, PRIMARY KEY(owner_id, hash))',
+    'CREATE INDEX IF NOT EXISTS asset_refs_hash ON asset_refs (hash)',
+    'CREATE INDEX IF NOT EXISTS asset_refs_project ON asset_refs (project_id)',
+    'ALTER TABLE asset_blobs ADD COLUMN saved_on TEXT',
+    // Existing versions and previews keep their files
+    `INSERT OR IGNORE INTO asset_refs (hash, owner_id, project_id)
+      SELECT DISTINCT json_extract(file.value, '$.hash'), deployments.id, deployments.project_id
+      FROM deployments, json_each(deployments.asset_manifest) AS file
+      WHERE deployments.status = 'success' AND deployments.asset_manifest IS NOT NULL`,
+    `INSERT OR IGNORE INTO asset_refs (hash, owner_id, project_id)
+      SELECT DISTINCT json_extract(file.value, '$.hash'), previews.id, previews.project_id
+      FROM previews, json_each(previews.asset_manifest) AS file
+      WHERE previews.asset_manifest IS NOT NULL`,
+  ],
+};
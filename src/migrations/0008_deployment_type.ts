@@ -0,0 +1,26 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { Migration } from '../types';
+
+/*
+ * What the live version of a site is (script, static files or both), so it no longer has to be read
+ * from the placeholder in script_content. Existing sites take it from their live deployment; sites
+ * older than the deployment history have only the placeholder to go by.
+ */
+export const migration: Migration = {
+  id: '0008_deployment_type',
+  description: 'Content type of the live version of each project',
+  statements: [
+    'ALTER TABLE projects ADD COLUMN deployment_type TEXT',
+    `UPDATE projects SET deployment_type = (
+      SELECT type FROM deployments WHERE deployments.project_id = projects.id AND deployments.status = 'success'
+      ORDER BY version DESC LIMIT 1
+    ) WHERE deployment_type IS NULL`,
+    `UPDATE projects SET deployment_type = CASE
+      WHEN script_content LIKE '/* Static site%' THEN 'assets'
+      WHEN script_content LIKE '/* Worker script with%' THEN 'hybrid'
+      ELSE 'script'
+    END WHERE deployment_type IS NULL`,
+  ],
+};
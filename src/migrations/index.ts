@@ -0,0 +1,108 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { CreateSchemaMigrationsTable, GetAppliedMigrations, GetTableColumns, GetTableNames, RecordMigration, RunStatement } from '../db';
+import { ProjectError } from '../errors';
+import { Migration, SchemaMigration } from '../types';
+import { migration as initial } from './0001_initial';
+import { migration as platform } from './0002_platform';
+import { migration as previews } from './0003_previews';
+import { migration as siteRouting } from './0004_site_routing';
+import { migration as workerModules } from './0005_worker_modules';
+import { migration as admins } from './0006_admins';
+import { migration as assetRefs } from './0007_asset_refs';
+import { migration as deploymentType } from './0008_deployment_type';
+
+/*
+ * Versioned schema changes. Each migration runs once, in this order, and is recorded in
+ * schema_migrations. To change the schema, add a file with the next number and append it here;
+ * never edit a migration that has shipped, since databases that applied it won't run it again.
+ */
+export const Migrations: Migration[] = [initial, platform, previews, siteRouting, workerModules, admins, assetRefs, deploymentType];
+
+const ADD_COLUMN = /^ALTER TABLE (\w+) ADD COLUMN (\w+)/i;
+const CREATE_TABLE = /^CREATE TABLE IF NOT EXISTS (\w+)/i;
+
+export interface PlannedStatement {
+  sql: string;
+  skip: string | null; // Why the statement won't run, e.g. the column already exists
+}
+
+export interface MigrationStatus {
+  applied: SchemaMigration[];
+  pending: { migration: Migration; statements: PlannedStatement[] }[];
+  unknown: SchemaMigration[]; // Applied by a newer version of the platform
+}
+
+/*
+ * SQLite has no ADD COLUMN IF NOT EXISTS, so both kinds of statement are checked against the
+ * live schema. This lets databases created before migrations existed (and a migration that was
+ * interrupted halfway) run the same statements safely.
+ */
+async function skipReason(db: D1QB, sql: string): Promise<string | null> {
+  const addColumn = sql.match(ADD_COLUMN);
+  if (addColumn && (await GetTableColumns(db, addColumn[1])).includes(addColumn[2])) {
+    return `${addColumn[1]}.${addColumn[2]} exists`;
+  }
+  const createTable = sql.match(CREATE_TABLE);
+  if (createTable && (await GetTableNames(db)).includes(createTable[1])) {
+    return `${createTable[1]} exists`;
+  }
+  return null;
+}
+
+async function getApplied(db: D1QB): Promise<SchemaMigration[]> {
+  return (await GetTableNames(db)).includes('schema_migrations') ? GetAppliedMigrations(db) : [];
+}
+
+/*
+ * Dry run: what has been applied and what the next apply would do. Reads only.
+ * Statements of later migrations are checked against today's schema, so a table that an
+ * earlier pending migration creates still shows as "will run".
+ */
+export async function getMigrationStatus(db: D1QB): Promise<MigrationStatus> {
+  const applied = await getApplied(db);
+  const appliedIds = new Set(applied.map((migration) => migration.id));
+  const pending: MigrationStatus['pending'] = [];
+  for (const migration of Migrations) {
+    if (appliedIds.has(migration.id)) continue;
+    const statements: PlannedStatement[] = [];
+    for (const sql of migration.statements) {
+      statements.push({ sql, skip: await skipReason(db, sql) });
+    }
+    pending.push({ migration, statements });
+  }
+  const known = new Set(Migrations.map((migration) => migration.id));
+  return { applied, pending, unknown: applied.filter((migration) => !known.has(migration.id)) };
+}
+
+/*
+ * Apply every pending migration in order and return the ones applied. Stops at the first
+ * statement that fails; the migrations before it stay applied.
+ */
+export async function applyMigrations(db: D1QB): Promise<SchemaMigration[]> {
+  await CreateSchemaMigrationsTable(db);
+  const appliedIds = new Set((await GetAppliedMigrations(db)).map((migration) => migration.id));
+
+  const applied: SchemaMigration[] = [];
+  for (const migration of Migrations) {
+    if (appliedIds.has(migration.id)) continue;
+    for (const sql of migration.statements) {
+      if (await skipReason(db, sql)) continue;
+      try {
+        await RunStatement(db, sql);
+      } catch (error) {
+        // Another isolate may have run the same statement in the meantime
+        if (await skipReason(db, sql)) continue;
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        throw new ProjectError(500, `Migration ${migration.id} failed on "${sql}": ${message}`);
+      }
+    }
+    const record: SchemaMigration = { id: migration.id, description: migration.description, applied_on: new Date().toISOString() };
+    await RecordMigration(db, record);
+    applied.push(record);
+  }
+  return applied;
+}
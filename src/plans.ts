@@ -0,0 +1,81 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { UpdateProject } from './db';
+import { ProjectError } from './errors';
+import { Project, ProjectPlan } from './types';
+
+export type PlanLimits = { cpuMs: number; memory: number };
+
+/*
+ * Limits applied to a tenant worker on every dispatch. `memory` is in MB.
+ * Custom plans take their limits from the project row instead.
+ */
+export const Plans: Record<Exclude<ProjectPlan, 'custom'>, PlanLimits & { label: string }> = {
+  free: { label: 'Free', cpuMs: 10, memory: 64 },
+  pro: { label: 'Pro', cpuMs: 50, memory: 128 },
+};
+
+export const PlanNames: ProjectPlan[] = ['free', 'pro', 'custom'];
+
+// Upper bounds for custom plans, matching what a dispatched worker can be given at most
+const MAX_CPU_MS = 30000;
+const MAX_MEMORY = 128;
+
+/*
+ * Limits for a project. Rows created before plans existed have no plan and run on Free.
+ */
+export function getPlanLimits(project: Project): PlanLimits {
+  if (project.plan === 'custom') {
+    return {
+      cpuMs: project.cpu_ms_limit || Plans.free.cpuMs,
+      memory: project.memory_limit || Plans.free.memory,
+    };
+  }
+  return project.plan === 'pro' ? Plans.pro : Plans.free;
+}
+
+export function getPlanLabel(project: Project): string {
+  return project.plan === 'custom' ? 'Custom' : project.plan === 'pro' ? Plans.pro.label : Plans.free.label;
+}
+
+function parseLimit(value: unknown, name: string, max: number): number {
+  const limit = typeof value === 'number' ? value : parseInt(String(value ?? ''), 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+    throw new ProjectError(400, `${name} must be a whole number between 1 and ${max}`);
+  }
+  return limit;
+}
+
+/*
+ * Change a project's plan. Custom limits are only stored for the custom plan.
+ */
+export async function setProjectPlan(
+  db: D1QB,
+  project: Project,
+  input: { plan: string; cpuMs?: unknown; memory?: unknown }
+): Promise<Project> {
+  if (!PlanNames.includes(input.plan as ProjectPlan)) {
+    throw new ProjectError(400, `Unknown plan "${input.plan}". Use one of: ${PlanNames.join(', ')}`);
+  }
+  const plan = input.plan as ProjectPlan;
+  const updates: Partial<Project> = {
+    plan,
+    cpu_ms_limit: plan === 'custom' ? parseLimit(input.cpuMs, 'CPU limit', MAX_CPU_MS) : null,
+    memory_limit: plan === 'custom' ? parseLimit(input.memory, 'Memory limit', MAX_MEMORY) : null,
+    modified_on: new Date().toISOString(),
+  };
+  await UpdateProject(db, project.id, updates);
+  return { ...project, ...updates };
+}
+
+/*
+ * The dispatcher throws when a tenant worker runs past the limits it was given
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function isLimitExceededError(e: any): boolean {
+  const message = e instanceof Error ? e.message : String(e);
+  return /exceeded (its )?(cpu|memory)|exceeded resource limits/i.test(message);
+}
@@ -0,0 +1,128 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { releaseAssetFiles } from './asset-blobs';
+import { generateToken } from './auth';
+import { DeletePreview, GetExpiredPreviews, GetPreview, GetProjectBySubdomain, GetProjectPreviews } from './db';
+import type { Env } from './env';
+import { ProjectError } from './errors';
+import { DeleteScriptInDispatchNamespace } from './resource';
+import { Preview, Project } from './types';
+
+/*
+ * Preview deployments. A preview is uploaded to its own dispatch script, <subdomain>--preview-<id>,
+ * which the routing middleware serves at that name instead of the subdomain. Previews run with the
+ * site's bindings, can be promoted to production from their stored content, and are deleted by the
+ * scheduled handler once they expire. Deploying and promoting live in projects.ts.
+ */
+
+export const PREVIEW_SEPARATOR = '--preview-';
+
+export const MAX_PREVIEWS_PER_PROJECT = 10;
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+
+// Each expired preview is one Cloudflare API call; the rest wait for the next run
+const MAX_EXPIRIES_PER_RUN = 25;
+
+export function previewScriptName(subdomain: string, previewId: string): string {
+  return `${subdomain}${PREVIEW_SEPARATOR}${previewId}`;
+}
+
+export function generatePreviewId(): string {
+  return generateToken(4);
+}
+
+/*
+ * How long previews stay up, from PREVIEW_TTL_HOURS (default one week)
+ */
+export function getPreviewTtlMs(env: Env): number {
+  const hours = parseInt(env.PREVIEW_TTL_HOURS || '', 10);
+  return (Number.isInteger(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+export function isPreviewExpired(preview: Preview, now = new Date().toISOString()): boolean {
+  return preview.expires_on < now;
+}
+
+/*
+ * What a host label or workers.dev path segment names: a site ("my-site") or one of its
+ * previews ("my-site--preview-1a2b3c4d"). Used by the routing middleware.
+ */
+export async function findProjectOrPreview(db: D1QB, name: string): Promise<{ project: Project | null; preview: Preview | null }> {
+  const index = name.lastIndexOf(PREVIEW_SEPARATOR);
+  if (index <= 0) {
+    return { project: await GetProjectBySubdomain(db, name), preview: null };
+  }
+  const project = await GetProjectBySubdomain(db, name.substring(0, index));
+  const preview = project ? await GetPreview(db, project.id, name.substring(index + PREVIEW_SEPARATOR.length)) : null;
+  return preview ? { project, preview } : { project: null, preview: null };
+}
+
+export async function getPreview(db: D1QB, project: Project, previewId: string): Promise<Preview> {
+  const preview = await GetPreview(db, project.id, previewId);
+  if (!preview) {
+    throw new ProjectError(404, 'Preview not found');
+  }
+  return preview;
+}
+
+export async function ensurePreviewSlot(db: D1QB, project: Project): Promise<void> {
+  if ((await GetProjectPreviews(db, project.id)).length >= MAX_PREVIEWS_PER_PROJECT) {
+    throw new ProjectError(409, `Sites can have at most ${MAX_PREVIEWS_PER_PROJECT} previews. Delete one to deploy another.`);
+  }
+}
+
+/*
+ * Delete the preview's script, then its row. A script that is already gone (404) counts as deleted.
+ */
+async function deletePreviewScript(env: Env, db: D1QB, preview: Preview): Promise<void> {
+  const response = await DeleteScriptInDispatchNamespace(env, preview.script_name);
+  if (!response.ok && response.status !== 404) {
+    const data = await response.json().catch(() => null) as { errors?: Array<{ message: string }> } | null;
+    throw new ProjectError(502, `Could not delete preview ${preview.id}: ${data?.errors?.[0]?.message || `Dispatch API returned ${response.status}`}`);
+  }
+  await DeletePreview(db, preview.id);
+  await releaseAssetFiles(db, preview.id);
+}
+
+export async function deletePreview(env: Env, db: D1QB, project: Project, previewId: string): Promise<void> {
+  await deletePreviewScript(env, db, await getPreview(db, project, previewId));
+}
+
+/*
+ * Used when a project is deleted. Returns the previews that couldn't be deleted.
+ */
+export async function deleteAllPreviews(env: Env, db: D1QB, project: Project): Promise<string[]> {
+  const failed: string[] = [];
+  for (const preview of await GetProjectPreviews(db, project.id)) {
+    try {
+      await deletePreviewScript(env, db, preview);
+    } catch (error) {
+      console.error(`Failed to delete preview ${preview.script_name}:`, error);
+      failed.push(preview.id);
+    }
+  }
+  return failed;
+}
+
+/*
+ * Scheduled job: delete the scripts of expired previews. Failures are retried on the next run.
+ */
+export async function expirePreviews(env: Env): Promise<{ expired: number; failed: number }> {
+  const db = new D1QB(env.DB);
+  let expired = 0;
+  let failed = 0;
+  for (const preview of await GetExpiredPreviews(db, new Date().toISOString(), MAX_EXPIRIES_PER_RUN)) {
+    try {
+      await deletePreviewScript(env, db, preview);
+      expired++;
+    } catch (error) {
+      console.error(`Failed to expire preview ${preview.script_name}:`, error);
+      failed++;
+    }
+  }
+  return { expired, failed };
+}
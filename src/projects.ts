@@ -0,0 +1,741 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { deleteProjectAssetFiles, isRestorable, MAX_RESTORABLE_VERSIONS, releaseOldVersions, trackAssetFiles } from './asset-blobs';
+import { isApiConfigured } from './cloudflare-api';
+import {
+  CreateDeployment,
+  CreatePreview,
+  CreateProject,
+  DeleteDeployments,
+  DeleteEgressPolicy,
+  DeleteEgressUsage,
+  DeleteProject,
+  DeleteProjectDomains,
+  DeleteProjectHostnameStatuses,
+  DeleteProjectLogs,
+  DeleteProjectVariables,
+  DeleteThrottleStats,
+  DeleteTraffic,
+  GetAssetBlob,
+  GetDeployment,
+  GetDeployments,
+  GetLatestDeploymentVersion,
+  GetProjectBySubdomain,
+  SaveAssetBlob,
+  UpdateProject,
+} from './db';
+import type { Env } from './env';
+import { ProjectError } from './errors';
+import {
+  AssetFile,
+  AssetManifest,
+  DeleteScriptInDispatchNamespace,
+  HashAssets,
+  PutAssetManifestInDispatchNamespace,
+  PutScriptInDispatchNamespace,
+  WorkerBinding,
+  WorkerCode,
+  WorkerRuntime,
+} from './resource';
+import { Deployment, HtmlHandling, NotFoundHandling, ProgressReporter, Preview, Project, User, WorkerModule } from './types';
+import { deleteAllStorage, getStorageBindings } from './storage';
+import { getProjectBindings } from './variables';
+import { addProjectDomain, ensureDomainAvailable, normalizeDomain, parseValidationMethod, releaseAllDomains, removeProjectDomain } from './domains';
+import {
+  deleteAllPreviews,
+  ensurePreviewSlot,
+  generatePreviewId,
+  getPreview,
+  getPreviewTtlMs,
+  isPreviewExpired,
+  previewScriptName,
+} from './previews';
+import { DEFAULT_ROUTING, SiteRouting, buildAssetWorker, getSiteRouting, parseSiteRouting } from './site-routing';
+import { getWorkerRuntime, parseCompatibility, parseStoredModules, readWorkerModules } from './worker-modules';
+
+// Top-level paths served by the platform itself. On workers.dev these can't be used as project names.
+export const ReservedPaths = ['admin', 'projects', 'upload', 'init', 'dispatch', 'favicon.ico', 'login', 'signup', 'logout', 'account', 'api'];
+
+// Public URL of a project on the platform domain (custom hostnames aside)
+export function getProjectUrl(env: Env, subdomain: string): string {
+  return env.CUSTOM_DOMAIN
+    ? `https://${subdomain}.${env.CUSTOM_DOMAIN}`
+    : `https://${env.WORKERS_DEV_SUBDOMAIN || 'my-worker'}.workers.dev/${subdomain}`;
+}
+
+// A script and files together make a hybrid site: the script runs in front of the files (env.ASSETS)
+export interface ProjectContent {
+  script_content?: string;
+  // Multi-module scripts instead of script_content (JSON in multipart bodies), see worker-modules.ts
+  modules?: WorkerModule[] | string;
+  main_module?: string;
+  assets?: AssetFile[];
+  // Incremental static deploys: every file of the new version. `assets` then only holds the files
+  // whose content the live version doesn't have.
+  manifest?: AssetManifest;
+}
+
+// Static site settings, see site-routing.ts
+export interface RoutingInput {
+  not_found_handling?: NotFoundHandling;
+  html_handling?: HtmlHandling;
+}
+
+// Workers runtime settings, see worker-modules.ts
+export interface CompatibilityInput {
+  compatibility_date?: string;
+  compatibility_flags?: string[] | string;
+}
+
+export interface CreateProjectInput extends ProjectContent, RoutingInput, CompatibilityInput {
+  name: string;
+  subdomain: string;
+  custom_hostname?: string;
+  validation_method?: string; // Certificate validation of custom_hostname: 'http' (default) or 'txt'
+}
+
+export interface UpdateProjectInput extends ProjectContent, RoutingInput, CompatibilityInput {
+  name?: string;
+  custom_hostname?: string | null; // null or '' removes the custom domain
+  validation_method?: string;
+}
+
+export function hasContent(content: ProjectContent): boolean {
+  return hasScript(content) || hasAssets(content);
+}
+
+function hasScript(content: ProjectContent): boolean {
+  return !!content.script_content || (Array.isArray(content.modules) ? content.modules.length > 0 : !!content.modules);
+}
+
+function hasAssets(content: ProjectContent): boolean {
+  return (!!content.assets && content.assets.length > 0) || (!!content.manifest && Object.keys(content.manifest).length > 0);
+}
+
+function contentType(content: ProjectContent): Deployment['type'] {
+  if (!hasAssets(content)) return 'script';
+  return hasScript(content) ? 'hybrid' : 'assets';
+}
+
+// What a deploy produced - enough to record it and to redeploy it later
+export interface DeployedContent {
+  script_content: string; // Value for the projects.script_content column
+  type: Deployment['type'];
+  source_script: string | null; // The main module of a bundle
+  modules: WorkerModule[] | null;
+  manifest: AssetManifest | null;
+}
+
+function scriptPlaceholder(script: WorkerCode): string {
+  if (typeof script !== 'string') {
+    const bytes = script.reduce((total, module) => total + module.content.length, 0);
+    return `/* Script deployed to dispatch namespace - ${script.length} modules, ${bytes} bytes */`;
+  }
+  // Store placeholder for large scripts
+  return script.length > 1000
+    ? `/* Script deployed to dispatch namespace - ${script.length} bytes */`
+    : script;
+}
+
+function assetsPlaceholder(manifest: AssetManifest, type: Deployment['type'] = 'assets'): string {
+  return type === 'hybrid'
+    ? `/* Worker script with ${Object.keys(manifest).length} assets deployed via Assets API */`
+    : `/* Static site with ${Object.keys(manifest).length} assets deployed via Assets API */`;
+}
+
+// Static and hybrid sites, whose files are served with the site routing settings
+function hasStaticFiles(project: Project): boolean {
+  return project.deployment_type === 'assets' || project.deployment_type === 'hybrid';
+}
+
+function requireIndexHtml(paths: string[]): void {
+  const hasIndex = paths.some((path) => {
+    const p = path.toLowerCase();
+    return p === 'index.html' || p.endsWith('/index.html');
+  });
+  if (!hasIndex) {
+    const samplePaths = paths.slice(0, 5).join(', ');
+    throw new ProjectError(400, `No index.html found. Your site needs an index.html file. Found: ${samplePaths}${paths.length > 5 ? '...' : ''}`);
+  }
+}
+
+/*
+ * The files of a static or hybrid deploy: its manifest, the uploaded contents by hash and where the assets
+ * session gets content from. Hybrid sites don't need an index.html, their script can answer "/". Files of an incremental deploy that weren't uploaded must have the
+ * hash of a file in the live version; their content is then read from asset_blobs if asked for.
+ */
+async function collectSiteFiles(
+  db: D1QB,
+  content: ProjectContent,
+  live: AssetManifest | null
+): Promise<{ manifest: AssetManifest; contents: Map<string, string>; loadContent: (hash: string) => Promise<string | null> }> {
+  // Validate assets have content
+  const validAssets = (content.assets || []).filter((a: AssetFile) => a.path && a.content && a.content.length > 0);
+
+  if (!content.manifest) {
+    if (validAssets.length === 0) {
+      throw new ProjectError(400, 'No valid files found. Files may be empty or unsupported.');
+    }
+    if (!hasScript(content)) requireIndexHtml(validAssets.map((a) => a.path));
+    const { manifest, contents } = await HashAssets(validAssets);
+    return { manifest, contents, loadContent: async (hash) => contents.get(hash) ?? null };
+  }
+
+  const uploaded = await HashAssets(validAssets);
+  const liveSizes = new Map(Object.values(live || {}).map((entry) => [entry.hash, entry.size]));
+  const manifest: AssetManifest = {};
+  const missing: string[] = [];
+  for (const [path, entry] of Object.entries(content.manifest)) {
+    if (uploaded.manifest[path]) {
+      manifest[path] = uploaded.manifest[path];
+    } else if (liveSizes.has(entry.hash)) {
+      manifest[path] = { hash: entry.hash, size: liveSizes.get(entry.hash)! };
+    } else {
+      missing.push(path);
+    }
+  }
+  const unlisted = Object.keys(uploaded.manifest).filter((path) => !content.manifest![path]);
+  if (unlisted.length > 0) {
+    throw new ProjectError(400, `Uploaded files missing from the manifest: ${unlisted.slice(0, 5).join(', ')}${unlisted.length > 5 ? '...' : ''}`);
+  }
+  if (missing.length > 0) {
+    // Usually another deploy changed the live version after the client compared against it
+    throw new ProjectError(409, `The live version doesn't have ${missing.length} file${missing.length === 1 ? '' : 's'} the manifest refers to (${missing.slice(0, 5).join(', ')}${missing.length > 5 ? '...' : ''}). Compare against the live version again and upload them.`, missing);
+  }
+  if (!hasScript(content)) requireIndexHtml(Object.keys(manifest).map((path) => path.substring(1)));
+
+  return {
+    manifest,
+    contents: uploaded.contents,
+    loadContent: async (hash) => uploaded.contents.get(hash) ?? GetAssetBlob(db, hash),
+  };
+}
+
+// Everything a project's worker gets on `env`: variables, secrets and storage
+async function projectBindings(env: Env, db: D1QB, projectId: string): Promise<WorkerBinding[]> {
+  return [...await getProjectBindings(env, db, projectId), ...await getStorageBindings(db, projectId)];
+}
+
+/*
+ * Deploy a script (one module or a bundle) or a set of static assets to the dispatch namespace.
+ * Asset contents are kept in asset_blobs so the deploy can be rolled back to later, and so
+ * incremental deploys (against the `live` manifest) can leave out unchanged files.
+ */
+export async function deployContent(
+  env: Env,
+  db: D1QB,
+  subdomain: string,
+  content: ProjectContent,
+  bindings: WorkerBinding[] = [],
+  onProgress?: ProgressReporter,
+  routing: SiteRouting = DEFAULT_ROUTING,
+  live: AssetManifest | null = null,
+  runtime: WorkerRuntime = {}
+): Promise<DeployedContent> {
+  const { script_content } = content;
+  const modules = readWorkerModules(content);
+  if (modules && script_content) {
+    throw new ProjectError(400, 'Send either script_content or modules, not both');
+  }
+  const script: WorkerCode | null = modules || script_content || null;
+  const source_script = modules ? modules[0].content : script_content || null;
+
+  if (hasAssets(content)) {
+    await onProgress?.({ stage: 'hashing', message: content.manifest
+      ? `Checking ${Object.keys(content.manifest).length} files (${content.assets?.length || 0} uploaded)...`
+      : `Hashing ${content.assets!.length} files...` });
+    const { manifest, contents, loadContent } = await collectSiteFiles(db, content, live);
+    const site = await buildAssetWorker(manifest, loadContent, routing, script);
+    const deployResult = await PutAssetManifestInDispatchNamespace(env, subdomain, site.manifest, loadContent, bindings, onProgress, { ...site.worker, runtime });
+    if (!deployResult.success) {
+      throw new ProjectError(500, `Failed to deploy website: ${deployResult.error}`);
+    }
+
+    await onProgress?.({ stage: 'saving', message: 'Saving files for rollbacks...' });
+    for (const [hash, blob] of contents) {
+      await SaveAssetBlob(db, hash, blob);
+    }
+
+    const type = contentType(content);
+    return {
+      script_content: assetsPlaceholder(manifest, type),
+      type,
+      source_script,
+      modules,
+      manifest,
+    };
+  }
+
+  if (!script) {
+    throw new ProjectError(400, 'Missing required fields: script_content, modules or assets');
+  }
+
+  // Deploy regular script
+  await onProgress?.({ stage: 'deploying', message: modules ? `Deploying script (${modules.length} modules)...` : 'Deploying script...' });
+  const deployResult = await PutScriptInDispatchNamespace(env, subdomain, script, bindings, runtime);
+  if (!deployResult.ok) {
+    throw new ProjectError(500, 'Failed to deploy website. Please try again.');
+  }
+
+  return {
+    script_content: scriptPlaceholder(script),
+    type: 'script',
+    source_script,
+    modules,
+    manifest: null,
+  };
+}
+
+export async function recordDeployment(
+  db: D1QB,
+  projectId: string,
+  deployed: Pick<DeployedContent, 'type' | 'source_script' | 'modules' | 'manifest'>,
+  deployedBy: string,
+  options?: { error?: string; rollbackOf?: number; promotedFrom?: string }
+): Promise<Deployment> {
+  const deployment: Deployment = {
+    id: `deployment-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+    project_id: projectId,
+    version: (await GetLatestDeploymentVersion(db, projectId)) + 1,
+    type: deployed.type,
+    script_content: deployed.source_script,
+    modules: deployed.modules ? JSON.stringify(deployed.modules) : null,
+    asset_manifest: deployed.manifest ? JSON.stringify(deployed.manifest) : null,
+    deployed_by: deployedBy,
+    status: options?.error ? 'failed' : 'success',
+    error: options?.error || null,
+    rollback_of: options?.rollbackOf ?? null,
+    promoted_from: options?.promotedFrom ?? null,
+    created_on: new Date().toISOString(),
+  };
+  await CreateDeployment(db, deployment);
+  if (deployment.status === 'success') {
+    await trackAssetFiles(db, deployment);
+    await releaseOldVersions(db, projectId);
+  }
+  return deployment;
+}
+
+export interface CreatedProject {
+  project: Project;
+  // Set when the site was created but its custom domain could not be registered
+  warning: string | null;
+}
+
+export async function createProject(env: Env, db: D1QB, owner: User, input: CreateProjectInput, onProgress?: ProgressReporter): Promise<CreatedProject> {
+  const { name, subdomain } = input;
+  const custom_hostname = input.custom_hostname ? normalizeDomain(input.custom_hostname) : null;
+  const validation = parseValidationMethod(input.validation_method);
+  const routing = parseSiteRouting(input);
+  const compatibility = parseCompatibility(input);
+  await onProgress?.({ stage: 'validating', message: 'Checking project settings...' });
+
+  // Validate input - either script_content OR assets required
+  if (!name || !subdomain) {
+    throw new ProjectError(400, 'Missing required fields: name, subdomain');
+  }
+
+  if (!hasContent(input)) {
+    throw new ProjectError(400, 'Missing required fields: script_content, modules or assets');
+  }
+
+  // Validate subdomain format
+  if (!/^[a-z0-9-]+$/.test(subdomain)) {
+    throw new ProjectError(400, 'Subdomain must only contain lowercase letters, numbers, and hyphens');
+  }
+
+  // "--" separates a site from its previews (my-site--preview-1a2b3c4d)
+  if (subdomain.includes('--')) {
+    throw new ProjectError(400, 'Subdomain cannot contain two hyphens in a row');
+  }
+
+  if (ReservedPaths.includes(subdomain)) {
+    throw new ProjectError(409, 'This URL is reserved. Please choose a different name.');
+  }
+
+  // Check if subdomain already exists
+  const existingProject = await GetProjectBySubdomain(db, subdomain);
+  if (existingProject) {
+    throw new ProjectError(409, 'This URL is already taken. Please choose a different name.');
+  }
+
+  // Check if custom hostname already exists
+  if (custom_hostname) {
+    await ensureDomainAvailable(db, custom_hostname);
+  }
+
+  const deployed = await deployContent(env, db, subdomain, input, [], onProgress, getSiteRouting(routing), null, getWorkerRuntime(compatibility));
+
+  const project: Project = {
+    id: `project-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+    name,
+    subdomain,
+    custom_hostname: null, // Set by addProjectDomain below
+    script_content: deployed.script_content,
+    deployment_type: deployed.type,
+    owner_id: owner.id,
+    plan: 'free',
+    not_found_handling: routing.not_found_handling || null,
+    html_handling: routing.html_handling || null,
+    compatibility_date: compatibility.compatibility_date || null,
+    compatibility_flags: compatibility.compatibility_flags || null,
+    created_on: new Date().toISOString(),
+    modified_on: new Date().toISOString(),
+  };
+
+  // Save to database
+  await CreateProject(db, project);
+  await recordDeployment(db, project.id, deployed, owner.email);
+
+  // Create custom hostname if provided. The site is live either way, so a refused hostname is a warning
+  if (custom_hostname) {
+    await onProgress?.({ stage: 'hostname', message: `Registering ${custom_hostname}...` });
+    try {
+      return { project: await addProjectDomain(env, db, project, custom_hostname, { primary: true, validation }), warning: null };
+    } catch (error) {
+      if (error instanceof ProjectError) {
+        return { project, warning: `The site was created without its custom domain. ${error.message} Add the domain again from the site's Domains page.` };
+      }
+      throw error;
+    }
+  }
+
+  return { project, warning: null };
+}
+
+/*
+ * Change a project's name, custom hostname, static site or runtime settings, and redeploy if new content
+ * was sent. Changed settings are otherwise applied by redeploying the live version.
+ */
+export async function updateProject(
+  env: Env,
+  db: D1QB,
+  project: Project,
+  input: UpdateProjectInput,
+  deployedBy: string,
+  onProgress?: ProgressReporter
+): Promise<Project> {
+  const updates: Partial<Project> = {};
+  await onProgress?.({ stage: 'validating', message: 'Checking project settings...' });
+
+  if (input.name !== undefined) {
+    if (!input.name) {
+      throw new ProjectError(400, 'Project name cannot be empty');
+    }
+    updates.name = input.name;
+  }
+
+  const newHostname = input.custom_hostname === undefined ? undefined : (input.custom_hostname ? normalizeDomain(input.custom_hostname) : null);
+  const hostnameChanged = newHostname !== undefined && newHostname !== (project.custom_hostname || null);
+  const validation = parseValidationMethod(input.validation_method);
+  if (hostnameChanged && newHostname) {
+    await ensureDomainAvailable(db, newHostname, project.id);
+  }
+
+  const routing = parseSiteRouting(input);
+  const currentRouting = getSiteRouting(project);
+  if (routing.not_found_handling && routing.not_found_handling !== currentRouting.not_found_handling) {
+    updates.not_found_handling = routing.not_found_handling;
+  }
+  if (routing.html_handling && routing.html_handling !== currentRouting.html_handling) {
+    updates.html_handling = routing.html_handling;
+  }
+  const routingChanged = !!updates.not_found_handling || !!updates.html_handling;
+
+  const compatibility = parseCompatibility(input);
+  if (compatibility.compatibility_date !== undefined && compatibility.compatibility_date !== (project.compatibility_date || null)) {
+    updates.compatibility_date = compatibility.compatibility_date;
+  }
+  if (compatibility.compatibility_flags !== undefined && compatibility.compatibility_flags !== (project.compatibility_flags || null)) {
+    updates.compatibility_flags = compatibility.compatibility_flags;
+  }
+  const runtimeChanged = updates.compatibility_date !== undefined || updates.compatibility_flags !== undefined;
+
+  if (hasContent(input)) {
+    let deployed: DeployedContent;
+    try {
+      const bindings = await projectBindings(env, db, project.id);
+      const live = input.manifest ? (await getLiveManifest(db, project))?.manifest ?? null : null;
+      const settings = { ...project, ...updates };
+      deployed = await deployContent(env, db, project.subdomain, input, bindings, onProgress, getSiteRouting(settings), live, getWorkerRuntime(settings));
+    } catch (error) {
+      // Keep a record of deploys that reached Cloudflare and failed there
+      if (error instanceof ProjectError && error.status === 500) {
+        await recordDeployment(db, project.id, {
+          type: contentType(input),
+          source_script: input.script_content || null,
+          modules: readWorkerModules(input),
+          manifest: null,
+        }, deployedBy, { error: error.message });
+      }
+      throw error;
+    }
+    await recordDeployment(db, project.id, deployed, deployedBy);
+    updates.script_content = deployed.script_content;
+    updates.deployment_type = deployed.type;
+  } else if ((routingChanged && hasStaticFiles(project)) || runtimeChanged) {
+    await onProgress?.({ stage: 'deploying', message: 'Applying the new site settings...' });
+    await redeployProject(env, db, { ...project, ...updates }, deployedBy);
+  }
+
+  // Saved before the hostname step, so a refused hostname never leaves the row behind the deployed version
+  updates.modified_on = new Date().toISOString();
+  await UpdateProject(db, project.id, updates);
+  const saved = { ...project, ...updates };
+
+  // custom_hostname replaces the primary domain; the site's other domains stay
+  if (hostnameChanged) {
+    let updated = saved;
+    if (newHostname) {
+      await onProgress?.({ stage: 'hostname', message: `Registering ${newHostname}...` });
+      updated = await addProjectDomain(env, db, updated, newHostname, { primary: true, validation });
+    }
+    if (project.custom_hostname) {
+      updated = await removeProjectDomain(env, db, updated, project.custom_hostname);
+    }
+    return updated;
+  }
+
+  return saved;
+}
+
+export interface DeleteStep {
+  step: 'script' | 'previews' | 'custom_hostname' | 'storage' | 'database';
+  ok: boolean;
+  error?: string;
+}
+
+/*
+ * Remove a project's dispatch script, custom hostname, storage and database row.
+ * The row is only deleted once every cleanup step succeeded, so a failed delete can be retried
+ * instead of leaving an orphaned script or hostname behind.
+ */
+export async function deleteProject(env: Env, db: D1QB, project: Project): Promise<{ deleted: boolean; steps: DeleteStep[] }> {
+  const steps: DeleteStep[] = [];
+
+  try {
+    const response = await DeleteScriptInDispatchNamespace(env, project.subdomain);
+    // 404 means the script was never deployed or is already gone
+    if (response.ok || response.status === 404) {
+      steps.push({ step: 'script', ok: true });
+    } else {
+      const data = await response.json().catch(() => null) as { errors?: Array<{ message: string }> } | null;
+      steps.push({ step: 'script', ok: false, error: data?.errors?.[0]?.message || `Dispatch API returned ${response.status}` });
+    }
+  } catch (error) {
+    steps.push({ step: 'script', ok: false, error: error instanceof Error ? error.message : 'Unknown error' });
+  }
+
+  const failedPreviews = await deleteAllPreviews(env, db, project);
+  if (failedPreviews.length > 0) {
+    steps.push({ step: 'previews', ok: false, error: `Could not delete preview ${failedPreviews.join(', ')}` });
+  }
+
+  // Without the custom hostname API the hostnames could never have been registered
+  if (project.custom_hostname && isApiConfigured(env)) {
+    const failed = await releaseAllDomains(env, db, project);
+    steps.push(failed.length === 0
+      ? { step: 'custom_hostname', ok: true }
+      : { step: 'custom_hostname', ok: false, error: `Could not release ${failed.join(', ')}` });
+  }
+
+  // Storage is only deleted once the site is gone, so a failed delete never leaves a live site without its data
+  if (steps.every((step) => step.ok)) {
+    const storage = await deleteAllStorage(env, db, project.id);
+    if (storage.errors.length > 0) {
+      steps.push({ step: 'storage', ok: false, error: storage.errors.join('; ') });
+    } else if (storage.deleted > 0) {
+      steps.push({ step: 'storage', ok: true });
+    }
+  }
+
+  if (steps.some((step) => !step.ok)) {
+    return { deleted: false, steps };
+  }
+
+  try {
+    await DeleteProject(db, project.id);
+    await deleteProjectAssetFiles(db, project.id);
+    await DeleteDeployments(db, project.id);
+    await DeleteProjectVariables(db, project.id);
+    await DeleteEgressPolicy(db, project.id);
+    await DeleteEgressUsage(db, project.id);
+    await DeleteTraffic(db, project.id);
+    await DeleteProjectLogs(db, project.id);
+    await DeleteThrottleStats(db, project.id);
+    await DeleteProjectHostnameStatuses(db, project.id);
+    await DeleteProjectDomains(db, project.id);
+    steps.push({ step: 'database', ok: true });
+  } catch (error) {
+    steps.push({ step: 'database', ok: false, error: error instanceof Error ? error.message : 'Unknown error' });
+    return { deleted: false, steps };
+  }
+
+  return { deleted: true, steps };
+}
+
+/*
+ * Deploy recorded content (an earlier version or a preview) to production, with the project's current
+ * bindings and runtime settings. Static sites are rebuilt from the stored manifest, so only the files the assets session
+ * asks for are loaded from asset_blobs.
+ */
+async function deployVersion(
+  env: Env,
+  db: D1QB,
+  project: Project,
+  target: Pick<Deployment, 'type' | 'script_content' | 'modules' | 'asset_manifest'>,
+  deployedBy: string,
+  options?: { rollbackOf?: number; promotedFrom?: string }
+): Promise<{ deployment: Deployment; error?: string }> {
+  const manifest = target.asset_manifest ? JSON.parse(target.asset_manifest) as AssetManifest : null;
+  const modules = parseStoredModules(target.modules);
+  const script: WorkerCode | null = modules || target.script_content;
+  const deployed = { type: target.type, source_script: target.script_content, modules, manifest };
+  const runtime = getWorkerRuntime(project);
+
+  let error: string | undefined;
+  try {
+    const bindings = await projectBindings(env, db, project.id);
+    if (target.type !== 'script' && manifest) {
+      const loadContent = (hash: string) => GetAssetBlob(db, hash);
+      const site = await buildAssetWorker(manifest, loadContent, getSiteRouting(project), target.type === 'hybrid' ? script : null);
+      const result = await PutAssetManifestInDispatchNamespace(env, project.subdomain, site.manifest, loadContent, bindings, undefined, { ...site.worker, runtime });
+      error = result.success ? undefined : result.error;
+    } else if (script) {
+      const response = await PutScriptInDispatchNamespace(env, project.subdomain, script, bindings, runtime);
+      error = response.ok ? undefined : 'Failed to deploy script';
+    } else {
+      error = 'No stored content to deploy';
+    }
+  } catch (e) {
+    error = e instanceof Error ? e.message : 'Unknown error';
+  }
+
+  const deployment = await recordDeployment(db, project.id, deployed, deployedBy, { error, ...options });
+  if (!error) {
+    await UpdateProject(db, project.id, {
+      script_content: manifest ? assetsPlaceholder(manifest, target.type) : scriptPlaceholder(script!),
+      deployment_type: target.type,
+      modified_on: new Date().toISOString(),
+    });
+  }
+  return { deployment, error };
+}
+
+/*
+ * Redeploy an earlier successful version
+ */
+export async function rollbackProject(env: Env, db: D1QB, project: Project, version: number, deployedBy: string): Promise<Deployment> {
+  const target = await GetDeployment(db, project.id, version);
+  if (!target) {
+    throw new ProjectError(404, `Version ${version} not found`);
+  }
+  if (target.status !== 'success') {
+    throw new ProjectError(409, `Version ${version} failed to deploy and can't be restored`);
+  }
+  if (!isRestorable(await GetDeployments(db, project.id), target)) {
+    throw new ProjectError(409, `Version ${version} is too old to restore: static sites keep the files of their last ${MAX_RESTORABLE_VERSIONS} successful deploys`);
+  }
+
+  const { deployment, error } = await deployVersion(env, db, project, target, deployedBy, { rollbackOf: version });
+  if (error) {
+    throw new ProjectError(502, `Rollback to version ${version} failed: ${error}`);
+  }
+  return deployment;
+}
+
+// The latest successful deploy is what the site serves
+async function getLiveDeployment(db: D1QB, project: Project): Promise<Deployment | null> {
+  return (await GetDeployments(db, project.id)).find((deployment) => deployment.status === 'success') || null;
+}
+
+/*
+ * The files of the live version of a static or hybrid site (path -> hash, size), which clients compare
+ * their local files against to upload only what changed. Null for Worker scripts and undeployed projects.
+ */
+export async function getLiveManifest(db: D1QB, project: Project): Promise<{ version: number; manifest: AssetManifest } | null> {
+  const live = await getLiveDeployment(db, project);
+  if (!live || live.type === 'script' || !live.asset_manifest) {
+    return null;
+  }
+  return { version: live.version, manifest: JSON.parse(live.asset_manifest) as AssetManifest };
+}
+
+/*
+ * Deploy the live version again so changed settings (variables, bindings, runtime) take effect.
+ * Returns null when the project has no recorded deployment to rebuild from; the change then
+ * applies on the next deploy.
+ */
+export async function redeployProject(env: Env, db: D1QB, project: Project, deployedBy: string): Promise<Deployment | null> {
+  const live = await getLiveDeployment(db, project);
+  if (!live) {
+    return null;
+  }
+
+  const { deployment, error } = await deployVersion(env, db, project, live, deployedBy);
+  if (error) {
+    throw new ProjectError(502, `Redeploy failed: ${error}`);
+  }
+  return deployment;
+}
+
+/*
+ * Deploy content to a new preview script next to the live one. Production is left untouched.
+ */
+export async function deployPreview(
+  env: Env,
+  db: D1QB,
+  project: Project,
+  content: ProjectContent,
+  createdBy: string,
+  onProgress?: ProgressReporter
+): Promise<Preview> {
+  await onProgress?.({ stage: 'validating', message: 'Checking project settings...' });
+  if (!hasContent(content)) {
+    throw new ProjectError(400, 'Missing required fields: script_content, modules or assets');
+  }
+  await ensurePreviewSlot(db, project);
+
+  const id = generatePreviewId();
+  const scriptName = previewScriptName(project.subdomain, id);
+  const bindings = await projectBindings(env, db, project.id);
+  const live = content.manifest ? (await getLiveManifest(db, project))?.manifest ?? null : null;
+  const deployed = await deployContent(env, db, scriptName, content, bindings, onProgress, getSiteRouting(project), live, getWorkerRuntime(project));
+
+  const now = Date.now();
+  const preview: Preview = {
+    id,
+    project_id: project.id,
+    script_name: scriptName,
+    type: deployed.type,
+    script_content: deployed.source_script,
+    modules: deployed.modules ? JSON.stringify(deployed.modules) : null,
+    asset_manifest: deployed.manifest ? JSON.stringify(deployed.manifest) : null,
+    created_by: createdBy,
+    created_on: new Date(now).toISOString(),
+    expires_on: new Date(now + getPreviewTtlMs(env)).toISOString(),
+  };
+  await CreatePreview(db, preview);
+  await trackAssetFiles(db, preview);
+  return preview;
+}
+
+/*
+ * Make a preview the live version. Its stored content is deployed to the production script and
+ * recorded as a new deployment; the preview itself stays up until it expires.
+ */
+export async function promotePreview(env: Env, db: D1QB, project: Project, previewId: string, deployedBy: string): Promise<Deployment> {
+  const preview = await getPreview(db, project, previewId);
+  if (isPreviewExpired(preview)) {
+    throw new ProjectError(409, `Preview ${preview.id} has expired. Deploy it again to promote it.`);
+  }
+
+  const { deployment, error } = await deployVersion(env, db, project, preview, deployedBy, { promotedFrom: preview.id });
+  if (error) {
+    throw new ProjectError(502, `Promoting preview ${preview.id} failed: ${error}`);
+  }
+  return deployment;
+}
@@ -0,0 +1,159 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { DurableObject } from 'cloudflare:workers';
+import { D1QB } from 'workers-qb';
+
+import { GetThrottleStats, RecordThrottle, UpdateProject } from './db';
+import type { Env } from './env';
+import { ProjectError } from './errors';
+import { Project, ThrottleStat } from './types';
+
+/*
+ * Rate limits applied by the routing middleware before a request reaches a tenant worker.
+ * Each project has a budget per minute for all of its traffic and a smaller one per client IP.
+ * Counters live in one RateLimiter Durable Object per project; without the RATE_LIMITER binding
+ * (local tests, wrangler dev without DOs) each isolate counts on its own instead.
+ */
+
+export type RateLimits = { perMinute: number; perIpPerMinute: number };
+
+export type RateLimitResult =
+  | { allowed: true }
+  | { allowed: false; scope: 'project' | 'ip'; retryAfter: number; firstInWindow: boolean };
+
+const WINDOW_MS = 60 * 1000;
+
+const DEFAULT_PER_MINUTE = 6000;
+const DEFAULT_PER_IP_PER_MINUTE = 600;
+
+/*
+ * Fixed one-minute windows. Requests rejected for their IP don't count against the project,
+ * so a single abusive client can't use up everyone else's budget.
+ */
+export class WindowCounter {
+  private windowStart = 0;
+  private projectCount = 0;
+  private ipCounts = new Map<string, number>();
+
+  hit(ip: string, limits: RateLimits, now = Date.now()): RateLimitResult {
+    const windowStart = now - (now % WINDOW_MS);
+    if (windowStart !== this.windowStart) {
+      this.windowStart = windowStart;
+      this.projectCount = 0;
+      this.ipCounts.clear();
+    }
+    const retryAfter = Math.max(1, Math.ceil((windowStart + WINDOW_MS - now) / 1000));
+
+    const ipCount = (this.ipCounts.get(ip) || 0) + 1;
+    this.ipCounts.set(ip, ipCount);
+    if (limits.perIpPerMinute > 0 && ipCount > limits.perIpPerMinute) {
+      return { allowed: false, scope: 'ip', retryAfter, firstInWindow: ipCount === limits.perIpPerMinute + 1 };
+    }
+
+    this.projectCount++;
+    if (limits.perMinute > 0 && this.projectCount > limits.perMinute) {
+      return { allowed: false, scope: 'project', retryAfter, firstInWindow: this.projectCount === limits.perMinute + 1 };
+    }
+    return { allowed: true };
+  }
+}
+
+export class RateLimiter extends DurableObject<Env> {
+  private counter = new WindowCounter();
+
+  async hit(ip: string, limits: RateLimits): Promise<RateLimitResult> {
+    return this.counter.hit(ip, limits);
+  }
+}
+
+// Per-isolate stand-in used when the Durable Object binding is missing
+const localCounters = new Map<string, WindowCounter>();
+
+function parseLimit(value: string | undefined, fallback: number): number {
+  const limit = parseInt(value || '', 10);
+  return Number.isInteger(limit) && limit >= 0 ? limit : fallback;
+}
+
+/*
+ * Platform defaults come from RATE_LIMIT_PER_MINUTE / RATE_LIMIT_PER_IP_PER_MINUTE (0 turns a limit off),
+ * admins can override both per project
+ */
+export function getRateLimits(env: Env, project: Project): RateLimits {
+  return {
+    perMinute: project.rate_limit_per_minute ?? parseLimit(env.RATE_LIMIT_PER_MINUTE, DEFAULT_PER_MINUTE),
+    perIpPerMinute: project.rate_limit_per_ip ?? parseLimit(env.RATE_LIMIT_PER_IP_PER_MINUTE, DEFAULT_PER_IP_PER_MINUTE),
+  };
+}
+
+/*
+ * Count one request. Fails open: if the limiter can't be reached the request is let through.
+ */
+export async function checkRateLimit(env: Env, project: Project, ip: string): Promise<RateLimitResult> {
+  const limits = getRateLimits(env, project);
+  if (limits.perMinute === 0 && limits.perIpPerMinute === 0) {
+    return { allowed: true };
+  }
+
+  if (!env.RATE_LIMITER) {
+    let counter = localCounters.get(project.id);
+    if (!counter) {
+      counter = new WindowCounter();
+      localCounters.set(project.id, counter);
+    }
+    return counter.hit(ip, limits);
+  }
+
+  try {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(project.id));
+    return await stub.hit(ip, limits);
+  } catch (error) {
+    console.error('Rate limiter unavailable:', error);
+    return { allowed: true };
+  }
+}
+
+/*
+ * Throttling is recorded once per limited minute (and scope), so a flood of rejected requests
+ * doesn't turn into a flood of D1 writes
+ */
+export async function recordThrottle(db: D1QB, project: Project, ip: string, scope: 'project' | 'ip') {
+  try {
+    await RecordThrottle(db, {
+      project_id: project.id,
+      hour: new Date().toISOString().substring(0, 13),
+      project_minutes: scope === 'project' ? 1 : 0,
+      ip_minutes: scope === 'ip' ? 1 : 0,
+      last_ip: ip,
+      last_on: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Failed to record throttling:', error);
+  }
+}
+
+export async function getThrottleStats(db: D1QB): Promise<ThrottleStat[]> {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().substring(0, 13);
+  return GetThrottleStats(db, since);
+}
+
+function parseOverride(value: unknown, name: string): number | null {
+  const text = String(value ?? '').trim();
+  if (text === '') return null;
+  const limit = Number(text);
+  if (!Number.isInteger(limit) || limit < 0 || limit > 1000000) {
+    throw new ProjectError(400, `${name} must be a whole number between 0 and 1000000, or empty for the platform default`);
+  }
+  return limit;
+}
+
+/*
+ * Set or clear (empty value) a project's own limits
+ */
+export async function setProjectRateLimits(db: D1QB, project: Project, input: { perMinute: unknown; perIp: unknown }): Promise<void> {
+  await UpdateProject(db, project.id, {
+    rate_limit_per_minute: parseOverride(input.perMinute, 'Requests per minute'),
+    rate_limit_per_ip: parseOverride(input.perIp, 'Requests per minute per IP'),
+    modified_on: new Date().toISOString(),
+  });
+}
@@ -1,7 +1,17 @@
 // Copyright (c) 2022 Cloudflare, Inc.
 // Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
 
-import { ResourceValues } from './types';
+import FileRules from './file-rules.json';
+import { isRestorable } from './asset-blobs';
+import { bucketTraffic, ProjectTraffic, sumTraffic, TrafficRange, TrafficRanges } from './analytics';
+import { getPlanLabel, PlanLimits } from './plans';
+import type { CustomHostnameStatus } from './cloudflare-api';
+import { DnsRecord, domainDnsRecords } from './domains';
+import type { MigrationStatus } from './migrations';
+import type { RateLimits } from './ratelimit';
+import { DEFAULT_ROUTING, getSiteRouting, HtmlHandlingLabels, NotFoundHandlingLabels } from './site-routing';
+import { ApiToken, Deployment, EgressPolicy, EgressUsage, Preview, Project, ProjectDomain, ProjectLog, ProjectResource, ResourceValues, ThrottleStat, TrafficCount, TrafficHour } from './types';
+import { getWorkerRuntime, parseStoredModules, WorkerModuleTypeLabels } from './worker-modules';
 
 function ResourceValueToString(value: ResourceValues, columnName?: string) {
   if (value == null) return 'null';
@@ -18,7 +28,7 @@ function ResourceValueToString(value: ResourceValues, columnName?: string) {
   return escapeHtml(stringValue);
 }
 
-function escapeHtml(text: string): string {
+export function escapeHtml(text: string): string {
   return text
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
@@ -1117,6 +1127,88 @@ hr.solid {
   font-size: 13px;
 }
 
+/* Module editor: the script's files on the left, the selected one on the right */
+.module-editor {
+  display: grid;
+  grid-template-columns: 200px 1fr;
+  border: 1px solid var(--kumo-border);
+  border-radius: var(--radius-md);
+  overflow: hidden;
+}
+
+.module-tree {
+  border-right: 1px solid var(--kumo-border);
+  background: var(--kumo-surface);
+  min-width: 0;
+}
+
+.module-tree-items {
+  max-height: 420px;
+  overflow-y: auto;
+  padding: 4px 0;
+}
+
+.module-tree-item {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 5px 10px;
+  font-size: 13px;
+  font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  cursor: pointer;
+}
+
+.module-tree-item:hover {
+  background: var(--kumo-surface-active);
+}
+
+.module-tree-item.active {
+  background: var(--kumo-info-surface);
+  color: var(--kumo-primary);
+}
+
+.module-tree-folder {
+  color: var(--kumo-muted-foreground);
+  cursor: default;
+}
+
+.module-tree-folder:hover {
+  background: none;
+}
+
+.module-main-badge {
+  font-family: inherit;
+  font-size: 10px;
+  font-weight: 600;
+  text-transform: uppercase;
+  color: var(--kumo-primary);
+}
+
+.module-pane {
+  min-width: 0;
+}
+
+.module-pane-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 8px;
+  padding: 6px 10px;
+  background: var(--kumo-accent);
+  border-bottom: 1px solid var(--kumo-border);
+  font-size: 12px;
+  color: var(--kumo-muted-foreground);
+}
+
+.form-group .module-pane textarea {
+  border: none;
+  border-radius: 0;
+  min-height: 380px;
+}
+
 /* Size warning */
 .size-warning {
   margin-top: 12px;
@@ -1177,16 +1269,87 @@ hr.solid {
   display: flex;
   gap: 8px;
 }
+
+/* Account */
+.account-bar {
+  display: flex;
+  justify-content: flex-end;
+  align-items: center;
+  gap: 12px;
+  font-size: 13px;
+  color: var(--kumo-muted-foreground);
+  margin-bottom: 12px;
+}
+
+.account-bar form {
+  margin: 0;
+}
+
+.auth-container {
+  max-width: 400px;
+  margin: 0 auto;
+}
+
+.auth-switch {
+  font-size: 13px;
+  color: var(--kumo-muted-foreground);
+  margin-top: 16px;
+  text-align: center;
+}
+
+.auth-switch a {
+  color: var(--kumo-primary);
+  text-decoration: none;
+}
+
+/* My Sites */
+.site-list {
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+}
+
+.site-item {
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 12px;
+  padding: 12px 16px;
+  border: 1px solid var(--kumo-border);
+  border-radius: var(--radius-md);
+}
+
+.site-item-name {
+  font-weight: 500;
+}
+
+.site-item-meta {
+  font-size: 12px;
+  color: var(--kumo-muted-foreground);
+}
+
+.site-item-actions {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+}
 `;
 
-export const renderPage = (body: string, options?: { customDomain?: string }) => `
+export const renderPage = (body: string, options?: { customDomain?: string; user?: { email: string; isAdmin?: boolean } | null; csrfToken?: string }) => `
 <!DOCTYPE html><html>
 <head>
   <title>Build a Website</title>
+  ${options?.csrfToken ? `<meta name="csrf-token" content="${options.csrfToken}">` : ''}
   <link rel="icon" href="data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>🚀</text></svg>">
   <style>${CSS}</style>
 </head>
 <body>
+${options?.user ? `<div class="account-bar">
+  ${options.user.isAdmin ? '<a href="/admin" class="table-link">Admin</a>' : ''}
+  <a href="/account/tokens" class="table-link">API tokens</a>
+  <span>${escapeHtml(options.user.email)}</span>
+  <form method="POST" action="/logout"><button type="submit" class="btn btn-ghost btn-sm">Sign out</button></form>
+</div>` : ''}
 <div class="header">
   <h1>Build a Website</h1>
   <p>Create and deploy your website instantly</p>
@@ -1200,12 +1363,1108 @@ ${body}
 `;
 
 
+/*
+ * Served to a site's visitors when its worker runs past the limits of its plan.
+ * Stands alone: visitors are not platform users, so none of the builder chrome applies.
+ */
+export function LimitExceededPage(project: Project, limits: PlanLimits): string {
+  return `
+<!DOCTYPE html><html>
+<head>
+  <title>${escapeHtml(project.name)} is over its limits</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <style>${CSS}</style>
+</head>
+<body>
+<div class="form-container" style="margin-top: 80px;">
+  <h3>This site is temporarily unavailable</h3>
+  <div class="banner banner-warning" style="margin-bottom: 20px;">
+    <p><strong>${escapeHtml(project.name)}</strong> used more resources than its ${getPlanLabel(project)} plan allows
+    (${limits.cpuMs} ms of CPU time and ${limits.memory} MB of memory per request), so this request was stopped.</p>
+  </div>
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground);">
+    Try again in a moment. If you own this site, make the request do less work or ask a platform administrator for a bigger plan.
+  </p>
+</div>
+</body>
+</html>
+`;
+}
+
+/*
+ * Sign in / sign up form
+ */
+export function AuthPage(mode: 'login' | 'signup', options?: { error?: string; email?: string; next?: string }): string {
+  const isLogin = mode === 'login';
+  const next = options?.next ? `<input type="hidden" name="next" value="${escapeHtml(options.next)}">` : '';
+  const nextQuery = options?.next ? `?next=${encodeURIComponent(options.next)}` : '';
+  return `
+<div class="form-container auth-container">
+  <h3>${isLogin ? 'Sign in' : 'Create an account'}</h3>
+  ${options?.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  <form method="POST" action="/${mode}">
+    ${next}
+    <div class="form-group">
+      <label for="email">Email</label>
+      <input type="email" id="email" name="email" required autocomplete="email" value="${escapeHtml(options?.email || '')}">
+    </div>
+    <div class="form-group">
+      <label for="password">Password</label>
+      <input type="password" id="password" name="password" required minlength="8" autocomplete="${isLogin ? 'current-password' : 'new-password'}">
+      ${isLogin ? '' : '<small>At least 8 characters</small>'}
+    </div>
+    <button type="submit" class="btn btn-primary btn-lg" style="width: 100%;">${isLogin ? 'Sign in' : 'Create account'}</button>
+  </form>
+  <p class="auth-switch">
+    ${isLogin
+      ? `Don't have an account? <a href="/signup${nextQuery}">Sign up</a>`
+      : `Already have an account? <a href="/login${nextQuery}">Sign in</a>`}
+  </p>
+</div>
+`;
+}
+
+/*
+ * "My sites" list shown above the builder for signed-in users
+ */
+export function MySitesSection(projects: Project[], options: { customDomain?: string; origin: string }): string {
+  const siteUrl = (subdomain: string) => options.customDomain
+    ? `https://${subdomain}.${options.customDomain}`
+    : `${options.origin}/${subdomain}`;
+
+  const items = projects.map((project) => `
+    <div class="site-item">
+      <div>
+        <div class="site-item-name">${escapeHtml(project.name)}</div>
+        <div class="site-item-meta">
+          <a href="${siteUrl(project.subdomain)}" target="_blank" rel="noopener noreferrer" class="table-link">${escapeHtml(siteUrl(project.subdomain).replace(/^https?:\/\//, ''))}</a>
+          ${project.custom_hostname ? ` &middot; ${escapeHtml(project.custom_hostname)}` : ''}
+          &middot; ${getPlanLabel(project)} plan
+        </div>
+      </div>
+      <div class="site-item-actions">
+        <a href="/projects/${project.subdomain}/edit" class="btn btn-secondary btn-sm" style="text-decoration: none;">Edit site</a>
+        <a href="/projects/${project.subdomain}/deployments" class="btn btn-secondary btn-sm" style="text-decoration: none;">Deployments</a>
+        <a href="/projects/${project.subdomain}/previews" class="btn btn-secondary btn-sm" style="text-decoration: none;">Previews</a>
+        <a href="/projects/${project.subdomain}/variables" class="btn btn-secondary btn-sm" style="text-decoration: none;">Variables</a>
+        <a href="/projects/${project.subdomain}/domains" class="btn btn-secondary btn-sm" style="text-decoration: none;">Domains</a>
+        <a href="/projects/${project.subdomain}/storage" class="btn btn-secondary btn-sm" style="text-decoration: none;">Storage</a>
+        <a href="/projects/${project.subdomain}/analytics" class="btn btn-secondary btn-sm" style="text-decoration: none;">Analytics</a>
+        <a href="/projects/${project.subdomain}/logs" class="btn btn-secondary btn-sm" style="text-decoration: none;">Logs</a>
+        <button type="button" class="btn btn-destructive btn-sm" onclick="deleteProject('${project.subdomain}', this)">Delete</button>
+      </div>
+    </div>`).join('');
+
+  return `
+<div class="form-container">
+  <h3>My sites</h3>
+  ${DeleteProjectScript}
+  ${projects.length > 0
+    ? `<div class="site-list">${items}</div>`
+    : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">You haven't created any sites yet. Use the form below to deploy your first one.</p>`}
+</div>
+`;
+}
+
+// Shared by the builder and the domains page
+const CopyToClipboardScript = `
+function copyToClipboard(text, btn) {
+  navigator.clipboard.writeText(text).then(() => {
+    const originalHTML = btn.innerHTML;
+    btn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 256 256" fill="currentColor"><path d="M229.66,77.66l-128,128a8,8,0,0,1-11.32,0l-56-56a8,8,0,0,1,11.32-11.32L96,188.69,218.34,66.34a8,8,0,0,1,11.32,11.32Z"/></svg>';
+    btn.classList.add('copied');
+    setTimeout(() => {
+      btn.innerHTML = originalHTML;
+      btn.classList.remove('copied');
+    }, 1500);
+  });
+}
+`;
+
+/*
+ * Client-side delete helper shared by "My sites" and the admin table.
+ * Needs the page to be rendered with a csrfToken.
+ */
+export const DeleteProjectScript = `
+<script>
+async function deleteProject(subdomain, btn) {
+  if (!confirm('Delete "' + subdomain + '"? This removes the deployed site and its storage, releases its custom domain and cannot be undone.')) {
+    return;
+  }
+  var csrfMeta = document.querySelector('meta[name="csrf-token"]');
+  var originalText = btn.textContent;
+  btn.disabled = true;
+  btn.textContent = 'Deleting...';
+  try {
+    var response = await fetch('/projects/' + subdomain, {
+      method: 'DELETE',
+      headers: { 'X-CSRF-Token': csrfMeta ? csrfMeta.content : '' }
+    });
+    var result = await response.json().catch(function() { return null; });
+    if (response.ok && result && result.deleted) {
+      window.location.reload();
+      return;
+    }
+    var failed = result && result.steps
+      ? result.steps.filter(function(s) { return !s.ok; }).map(function(s) { return '- ' + s.step + ': ' + s.error; }).join('\\n')
+      : '';
+    alert('Could not delete "' + subdomain + '". The project was kept so you can try again.' + (failed ? '\\n\\n' + failed : '') + (result && result.error ? '\\n\\n' + result.error : ''));
+  } catch (error) {
+    alert('Could not delete "' + subdomain + '": ' + error.message);
+  }
+  btn.disabled = false;
+  btn.textContent = originalText;
+}
+</script>
+`;
+
+const ContentTypeLabels: Record<Deployment['type'], string> = {
+  script: 'Worker script',
+  assets: 'Static files',
+  hybrid: 'Worker script + files',
+};
+
+// "12 files · 40.3 KB" for static sites, the script size otherwise; hybrid sites show both
+function describeContent(content: Pick<Deployment, 'type' | 'script_content' | 'modules' | 'asset_manifest'>): string {
+  const modules = parseStoredModules(content.modules);
+  const script = modules
+    ? `${modules.length} modules &middot; ${(modules.reduce((sum, module) => sum + module.content.length, 0) / 1024).toFixed(1)} KB`
+    : content.script_content ? `${(content.script_content.length / 1024).toFixed(1)} KB script` : 'Script';
+  if (content.type !== 'script' && content.asset_manifest) {
+    const manifest = JSON.parse(content.asset_manifest) as Record<string, { size: number }>;
+    const files = Object.values(manifest);
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    const assets = `${files.length} files &middot; ${(totalSize / 1024).toFixed(1)} KB`;
+    return content.type === 'hybrid' ? `${script} + ${assets}` : assets;
+  }
+  return script;
+}
+
+/*
+ * Deployment history for one project, with a redeploy button for every earlier version that can still be restored
+ */
+export function DeploymentsPage(project: Project, deployments: Deployment[], options: { csrfToken: string; message?: string; error?: string }): string {
+  const current = deployments.find((d) => d.status === 'success');
+
+  const rows = deployments.map((deployment) => `
+    <tr>
+      <td>v${deployment.version}${deployment.rollback_of ? ` <span class="site-item-meta">(restored v${deployment.rollback_of})</span>` : ''}${deployment.promoted_from ? ` <span class="site-item-meta">(preview ${escapeHtml(deployment.promoted_from)})</span>` : ''}</td>
+      <td>${escapeHtml(new Date(deployment.created_on).toLocaleString('en-US', { timeZone: 'UTC' }))} UTC</td>
+      <td>${ContentTypeLabels[deployment.type]}<div class="site-item-meta">${describeContent(deployment)}</div></td>
+      <td>${escapeHtml(deployment.deployed_by)}</td>
+      <td>
+        ${deployment.status === 'success'
+          ? `<span class="status-badge status-active">${deployment === current ? 'Live' : 'Success'}</span>`
+          : `<span class="status-badge status-error">Failed</span>${deployment.error ? `<div class="status-details error"><div class="status-details-item">${escapeHtml(deployment.error)}</div></div>` : ''}`}
+      </td>
+      <td>
+        ${deployment === current ? '' : isRestorable(deployments, deployment) ? `
+        <form method="POST" action="/projects/${project.subdomain}/deployments/${deployment.version}/rollback" style="margin: 0;" onsubmit="return confirm('Redeploy version ${deployment.version} of ${escapeHtml(project.subdomain)}?')">
+          <input type="hidden" name="_csrf" value="${options.csrfToken}">
+          <button type="submit" class="btn btn-secondary btn-sm">Redeploy</button>
+        </form>` : deployment.status === 'success' ? '<span class="site-item-meta">Files deleted</span>' : ''}
+      </td>
+    </tr>`).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Deployments &middot; ${escapeHtml(project.name)}</h3>
+    <a href="/" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to my sites</a>
+  </div>
+  ${options.message ? `<div class="banner banner-success" style="margin-bottom: 20px;"><p>${escapeHtml(options.message)}</p></div>` : ''}
+  ${options.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  ${deployments.length > 0 ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Version</th>
+        <th>Deployed</th>
+        <th>Content</th>
+        <th>By</th>
+        <th>Status</th>
+        <th></th>
+      </tr>
+      ${rows}
+    </table>
+  </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">No deployments recorded yet. Deployments are tracked from the next time this site is deployed.</p>`}
+</div>
+`;
+}
+
+/*
+ * Preview deployments of one project. Each runs at its own URL until it expires; promoting one
+ * deploys its stored content to the live site.
+ */
+export function PreviewsPage(
+  project: Project,
+  previews: Preview[],
+  options: { csrfToken: string; previewUrl: (preview: Preview) => string; message?: string; error?: string }
+): string {
+  const now = new Date().toISOString();
+  const formatDate = (date: string) => `${escapeHtml(new Date(date).toLocaleString('en-US', { timeZone: 'UTC' }))} UTC`;
+
+  const rows = previews.map((preview) => {
+    const expired = preview.expires_on < now;
+    const url = options.previewUrl(preview);
+    return `
+    <tr>
+      <td>
+        ${expired
+          ? escapeHtml(preview.id)
+          : `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="table-link">${escapeHtml(url.replace(/^https?:\/\//, ''))}</a>`}
+      </td>
+      <td>${ContentTypeLabels[preview.type]}<div class="site-item-meta">${describeContent(preview)}</div></td>
+      <td>${escapeHtml(preview.created_by)}<div class="site-item-meta">${formatDate(preview.created_on)}</div></td>
+      <td>${expired ? '<span class="status-badge status-error">Expired</span>' : formatDate(preview.expires_on)}</td>
+      <td>
+        <div style="display: flex; gap: 8px;">
+          ${expired ? '' : `
+          <form method="POST" action="/projects/${project.subdomain}/previews/${preview.id}/promote" style="margin: 0;" onsubmit="return confirm('Make preview ${preview.id} the live version of ${escapeHtml(project.subdomain)}?')">
+            <input type="hidden" name="_csrf" value="${options.csrfToken}">
+            <button type="submit" class="btn btn-primary btn-sm">Promote</button>
+          </form>`}
+          <form method="POST" action="/projects/${project.subdomain}/previews/${preview.id}/delete" style="margin: 0;" onsubmit="return confirm('Delete preview ${preview.id}?')">
+            <input type="hidden" name="_csrf" value="${options.csrfToken}">
+            <button type="submit" class="btn btn-destructive btn-sm">Delete</button>
+          </form>
+        </div>
+      </td>
+    </tr>`;
+  }).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Previews &middot; ${escapeHtml(project.name)}</h3>
+    <div style="display: flex; gap: 8px;">
+      <a href="/projects/${project.subdomain}/edit" class="btn btn-secondary btn-sm" style="text-decoration: none;">Deploy a preview</a>
+      <a href="/" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to my sites</a>
+    </div>
+  </div>
+  ${options.message ? `<div class="banner banner-success" style="margin-bottom: 20px;"><p>${escapeHtml(options.message)}</p></div>` : ''}
+  ${options.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 16px;">
+    Previews run next to the live site with the same variables and storage, so they read and write production data.
+    Promoting one makes it the live version without uploading it again; expired previews are deleted automatically.
+  </p>
+  ${previews.length > 0 ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Preview</th>
+        <th>Content</th>
+        <th>Deployed</th>
+        <th>Expires</th>
+        <th></th>
+      </tr>
+      ${rows}
+    </table>
+  </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">No previews yet. Use "Deploy preview" when editing the site to try a change before it goes live.</p>`}
+</div>
+`;
+}
+
+/*
+ * Environment variables and secrets of one project. Secret values are never sent back to the browser.
+ */
+export function VariablesPage(
+  project: Project,
+  variables: Array<{ name: string; type: 'plain_text' | 'secret_text'; value: string | null; modified_on: string }>,
+  options: { csrfToken: string; message?: string; error?: string }
+): string {
+  const rows = variables.map((variable) => `
+    <tr>
+      <td><code>${escapeHtml(variable.name)}</code></td>
+      <td>${variable.type === 'secret_text'
+        ? '<span class="site-item-meta">&bull;&bull;&bull;&bull;&bull;&bull;&bull;&bull; (encrypted)</span>'
+        : `<code>${escapeHtml(variable.value || '')}</code>`}</td>
+      <td>${variable.type === 'secret_text' ? 'Secret' : 'Plain text'}</td>
+      <td>${escapeHtml(variable.modified_on.substring(0, 10))}</td>
+      <td>
+        <form method="POST" action="/projects/${project.subdomain}/variables/${encodeURIComponent(variable.name)}/delete" style="margin: 0;" onsubmit="return confirm('Delete ${escapeHtml(variable.name)} and redeploy ${escapeHtml(project.subdomain)}?')">
+          <input type="hidden" name="_csrf" value="${options.csrfToken}">
+          <button type="submit" class="btn btn-destructive btn-sm">Delete</button>
+        </form>
+      </td>
+    </tr>`).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Variables &middot; ${escapeHtml(project.name)}</h3>
+    <a href="/" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to my sites</a>
+  </div>
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 20px;">
+    Variables are available on <code>env</code> in your Worker code, e.g. <code>env.API_KEY</code>. Saving or deleting one redeploys the site.
+    Secrets are encrypted at rest and can't be viewed again; to change one, save it again under the same name.
+  </p>
+  ${options.message ? `<div class="banner banner-success" style="margin-bottom: 20px;"><p>${escapeHtml(options.message)}</p></div>` : ''}
+  ${options.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  <form method="POST" action="/projects/${project.subdomain}/variables" style="margin-bottom: 20px;">
+    <input type="hidden" name="_csrf" value="${options.csrfToken}">
+    <div style="display: flex; gap: 8px; align-items: flex-end;">
+      <div class="form-group" style="flex: 1; margin: 0;">
+        <label for="variable-name">Name</label>
+        <input type="text" id="variable-name" name="name" required maxlength="64" pattern="[A-Za-z_][A-Za-z0-9_]*" placeholder="API_KEY" autocomplete="off">
+      </div>
+      <div class="form-group" style="flex: 2; margin: 0;">
+        <label for="variable-value">Value</label>
+        <input type="text" id="variable-value" name="value" maxlength="5120" autocomplete="off">
+      </div>
+      <button type="submit" class="btn btn-primary">Save &amp; Redeploy</button>
+    </div>
+    <label style="display: flex; align-items: center; gap: 6px; font-size: 13px; margin-top: 8px;">
+      <input type="checkbox" name="secret" value="1"> Secret (encrypted, write-only)
+    </label>
+  </form>
+  ${variables.length > 0 ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Name</th>
+        <th>Value</th>
+        <th>Type</th>
+        <th>Updated</th>
+        <th></th>
+      </tr>
+      ${rows}
+    </table>
+  </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">No variables yet.</p>`}
+</div>
+`;
+}
+
+/*
+ * KV, D1 and R2 storage attached to one project
+ */
+export function StoragePage(project: Project, resources: ProjectResource[], options: { csrfToken: string; message?: string; error?: string }): string {
+  const labels: Record<ProjectResource['type'], string> = { kv_namespace: 'KV namespace', d1: 'D1 database', r2_bucket: 'R2 bucket' };
+  const examples: Record<ProjectResource['type'], (binding: string) => string> = {
+    kv_namespace: (binding) => `await env.${binding}.get('key')`,
+    d1: (binding) => `await env.${binding}.prepare('SELECT 1').all()`,
+    r2_bucket: (binding) => `await env.${binding}.get('file.txt')`,
+  };
+
+  const rows = resources.map((resource) => `
+    <tr>
+      <td><code>${escapeHtml(resource.binding)}</code></td>
+      <td>${labels[resource.type]}<div class="site-item-meta">${escapeHtml(resource.resource_name)}</div></td>
+      <td><code>${escapeHtml(examples[resource.type](resource.binding))}</code></td>
+      <td>
+        <form method="POST" action="/projects/${project.subdomain}/storage/${encodeURIComponent(resource.binding)}/delete" style="margin: 0;" onsubmit="return confirm('Delete ${escapeHtml(resource.binding)}? All data stored in it is permanently lost.')">
+          <input type="hidden" name="_csrf" value="${options.csrfToken}">
+          <button type="submit" class="btn btn-destructive btn-sm">Delete</button>
+        </form>
+      </td>
+    </tr>`).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Storage &middot; ${escapeHtml(project.name)}</h3>
+    <a href="/" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to my sites</a>
+  </div>
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 20px;">
+    Give your Worker code somewhere to keep data. Each storage is created just for this site and is available on <code>env</code> under its binding name.
+    Adding or deleting storage redeploys the site; deleting the site deletes its storage too.
+  </p>
+  ${options.message ? `<div class="banner banner-success" style="margin-bottom: 20px;"><p>${escapeHtml(options.message)}</p></div>` : ''}
+  ${options.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  <form method="POST" action="/projects/${project.subdomain}/storage" style="display: flex; gap: 8px; align-items: flex-end; margin-bottom: 20px;">
+    <input type="hidden" name="_csrf" value="${options.csrfToken}">
+    <div class="form-group" style="margin: 0;">
+      <label for="storage-type">Type</label>
+      <select id="storage-type" name="type">
+        <option value="kv_namespace">KV namespace</option>
+        <option value="d1">D1 database</option>
+        <option value="r2_bucket">R2 bucket</option>
+      </select>
+    </div>
+    <div class="form-group" style="flex: 1; margin: 0;">
+      <label for="storage-binding">Binding name</label>
+      <input type="text" id="storage-binding" name="binding" required maxlength="64" pattern="[A-Za-z_][A-Za-z0-9_]*" placeholder="MY_KV" autocomplete="off">
+    </div>
+    <button type="submit" class="btn btn-primary">Create &amp; Redeploy</button>
+  </form>
+  ${resources.length > 0 ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Binding</th>
+        <th>Storage</th>
+        <th>Usage</th>
+        <th></th>
+      </tr>
+      ${rows}
+    </table>
+  </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">No storage attached yet.</p>`}
+</div>
+`;
+}
+
+const CopyIcon = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 256 256" fill="currentColor"><path d="M216,32H88a8,8,0,0,0-8,8V80H40a8,8,0,0,0-8,8V216a8,8,0,0,0,8,8H168a8,8,0,0,0,8-8V176h40a8,8,0,0,0,8-8V40A8,8,0,0,0,216,32ZM160,208H48V96H160Zm48-48H176V88a8,8,0,0,0-8-8H96V48H208Z"/></svg>';
+
+const DnsRecordPurposes: Record<DnsRecord['purpose'], string> = {
+  routing: 'Sends visitors of the domain to this site. For an apex domain, use your DNS provider\'s CNAME flattening or an ALIAS record.',
+  ownership: 'Proves the domain is yours. You can remove it once the domain is active.',
+  certificate: 'Lets Cloudflare issue the SSL certificate, even before the domain points here.',
+};
+
+function CopyButton(value: string, title: string): string {
+  return `<button type="button" class="btn-icon" data-copy="${escapeHtml(value)}" onclick="copyToClipboard(this.dataset.copy, this)" title="${title}">${CopyIcon}</button>`;
+}
+
+function DnsRecordsTable(records: DnsRecord[]): string {
+  const rows = records.map((record) => `
+      <tr>
+        <td>${record.type}</td>
+        <td><div style="display: flex; align-items: center; gap: 8px;"><span style="word-break: break-all;">${escapeHtml(record.name)}</span>${CopyButton(record.name, 'Copy name')}</div></td>
+        <td><div style="display: flex; align-items: center; gap: 8px;"><span style="word-break: break-all;">${escapeHtml(record.value)}</span>${CopyButton(record.value, 'Copy value')}</div></td>
+        <td style="font-family: inherit; color: var(--kumo-muted-foreground);">${escapeHtml(DnsRecordPurposes[record.purpose])}</td>
+      </tr>`).join('');
+  return `
+    <table class="dns-table">
+      <thead>
+        <tr><th>Type</th><th>Name</th><th>Value</th><th>What it does</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function HostnameBadge(status: string | undefined): string {
+  if (!status) return '-';
+  const label = escapeHtml(status.replace(/_/g, ' '));
+  if (status === 'active') return `<span class="status-badge status-active">Active</span>`;
+  if (status === 'error' || status === 'not_found' || status === 'moved' || status === 'deleted' || status === 'expired' || status.endsWith('_timed_out')) {
+    return `<span class="status-badge status-error">${label}</span>`;
+  }
+  return `<span class="status-badge status-pending">${label}</span>`;
+}
+
+export function DomainsPage(
+  project: Project,
+  domains: (ProjectDomain & { status: CustomHostnameStatus })[],
+  options: { csrfToken: string; fallbackOrigin: string; message?: string; error?: string }
+): string {
+  const rows = domains.map((domain) => {
+    const errors = [...(domain.status.verification_errors || []), ...(domain.status.ssl?.validation_errors || [])];
+    const method = domain.status.ssl?.validation_method;
+    const live = domain.status.status === 'active' && domain.status.ssl?.status === 'active';
+    return `
+    <tr>
+      <td>
+        <a href="https://${escapeHtml(domain.hostname)}" target="_blank" rel="noopener noreferrer" class="table-link">${escapeHtml(domain.hostname)}</a>
+        ${domain.is_primary ? `<div class="site-item-meta">Primary &middot; other domains redirect here</div>` : `<div class="site-item-meta">Redirects to the primary domain</div>`}
+      </td>
+      <td>${HostnameBadge(domain.status.status)}${errors.length > 0 && domain.status.status !== 'active' ? `<div class="site-item-meta">${errors.map(escapeHtml).join('<br>')}</div>` : ''}</td>
+      <td>${HostnameBadge(domain.status.ssl?.status)}${method ? `<div class="site-item-meta">${method === 'txt' ? 'TXT' : 'HTTP'} validation</div>` : ''}</td>
+      <td>
+        <div style="display: flex; gap: 8px;">
+          ${live || !method ? '' : `
+          <form method="POST" action="/projects/${project.subdomain}/domains/${encodeURIComponent(domain.hostname)}/validation" style="margin: 0;">
+            <input type="hidden" name="_csrf" value="${options.csrfToken}">
+            <input type="hidden" name="method" value="${method === 'txt' ? 'http' : 'txt'}">
+            <button type="submit" class="btn btn-secondary btn-sm">Use ${method === 'txt' ? 'HTTP' : 'TXT'} validation</button>
+          </form>`}
+          ${domain.is_primary ? '' : `
+          <form method="POST" action="/projects/${project.subdomain}/domains/${encodeURIComponent(domain.hostname)}/primary" style="margin: 0;">
+            <input type="hidden" name="_csrf" value="${options.csrfToken}">
+            <button type="submit" class="btn btn-secondary btn-sm">Make primary</button>
+          </form>`}
+          <form method="POST" action="/projects/${project.subdomain}/domains/${encodeURIComponent(domain.hostname)}/delete" style="margin: 0;" onsubmit="return confirm('Remove ${escapeHtml(domain.hostname)} from this site?')">
+            <input type="hidden" name="_csrf" value="${options.csrfToken}">
+            <button type="submit" class="btn btn-destructive btn-sm">Remove</button>
+          </form>
+        </div>
+      </td>
+    </tr>
+    ${live ? '' : `
+    <tr>
+      <td colspan="4">
+        <div class="site-item-meta">Add these records at your DNS provider for ${escapeHtml(domain.hostname)}:</div>
+        ${DnsRecordsTable(domainDnsRecords(domain.hostname, options.fallbackOrigin, domain.status))}
+      </td>
+    </tr>`}`;
+  }).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Domains &middot; ${escapeHtml(project.name)}</h3>
+    <a href="/" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to my sites</a>
+  </div>
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 20px;">
+    Serve this site on your own domains, e.g. both <code>mystore.com</code> and <code>www.mystore.com</code>. Visitors to any other domain are redirected (301) to the primary one.
+    Point each domain at <code>${escapeHtml(options.fallbackOrigin)}</code> with a CNAME record (for an apex domain, use your DNS provider's CNAME flattening or ALIAS record).
+    With HTTP validation the certificate is issued once the CNAME is in place. Choose TXT validation to get the certificate first, e.g. before moving a live site or when the domain is behind another proxy.
+  </p>
+  ${options.message ? `<div class="banner banner-success" style="margin-bottom: 20px;"><p>${escapeHtml(options.message)}</p></div>` : ''}
+  ${options.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  <form method="POST" action="/projects/${project.subdomain}/domains" style="display: flex; gap: 8px; align-items: flex-end; margin-bottom: 20px;">
+    <input type="hidden" name="_csrf" value="${options.csrfToken}">
+    <div class="form-group" style="flex: 1; margin: 0;">
+      <label for="domain-hostname">Domain</label>
+      <input type="text" id="domain-hostname" name="hostname" required maxlength="253" placeholder="www.example.com" autocomplete="off">
+    </div>
+    <div class="form-group" style="margin: 0;">
+      <label for="domain-validation">Validation</label>
+      <select id="domain-validation" name="validation">
+        <option value="http">HTTP</option>
+        <option value="txt">TXT record</option>
+      </select>
+    </div>
+    <label style="display: flex; gap: 6px; align-items: center; font-size: 13px; margin-bottom: 10px;">
+      <input type="checkbox" name="primary" value="1"> Make primary
+    </label>
+    <button type="submit" class="btn btn-primary">Add domain</button>
+  </form>
+  ${domains.length > 0 ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Domain</th>
+        <th>Hostname Status</th>
+        <th>SSL Status</th>
+        <th></th>
+      </tr>
+      ${rows}
+    </table>
+  </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">No custom domains yet. The site is served on its platform URL only.</p>`}
+</div>
+<script>${CopyToClipboardScript}</script>
+`;
+}
+
+function formatBytes(bytes: number): string {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function formatPercent(part: number, whole: number): string {
+  return whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '0%';
+}
+
+/*
+ * Requests over time as an SVG bar chart, 5xx responses stacked in red. Rendered server-side so
+ * the analytics pages need no client script.
+ */
+function TrafficChart(hours: TrafficHour[], range: TrafficRange): string {
+  const buckets = bucketTraffic(hours, range);
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.requests));
+  const barWidth = 10;
+  const bars = buckets.map((bucket, i) => {
+    const height = (bucket.requests / max) * 100;
+    const errorHeight = (bucket.errors / max) * 100;
+    const label = range === '24h' ? `${bucket.label.replace('T', ' ')}:00 UTC` : bucket.label;
+    return `<g><title>${label}: ${bucket.requests} requests, ${bucket.errors} errors</title>
+      <rect x="${i * barWidth + 1}" y="${100 - height}" width="${barWidth - 2}" height="${height}" fill="var(--kumo-primary)"></rect>
+      <rect x="${i * barWidth + 1}" y="${100 - errorHeight}" width="${barWidth - 2}" height="${errorHeight}" fill="var(--kumo-destructive)"></rect></g>`;
+  }).join('');
+  const first = buckets[0]?.label || '';
+  const last = buckets[buckets.length - 1]?.label || '';
+  const axisLabel = (label: string) => range === '24h' ? `${label.substring(11)}:00` : label.substring(5);
+
+  return `
+  <div class="dataContainer" style="padding: 12px;">
+    <svg viewBox="0 0 ${buckets.length * barWidth} 100" preserveAspectRatio="none" style="width: 100%; height: 140px; display: block;">${bars}</svg>
+    <div style="display: flex; justify-content: space-between; font-size: 12px; color: var(--kumo-muted-foreground); margin-top: 4px;">
+      <span>${axisLabel(first)}</span><span>peak ${max} requests</span><span>${axisLabel(last)}</span>
+    </div>
+  </div>`;
+}
+
+function TrafficTotals(hours: TrafficHour[]): string {
+  const total = sumTraffic(hours);
+  const stat = (label: string, value: string) => `
+    <div style="flex: 1;">
+      <div class="success-card-label">${label}</div>
+      <div style="font-size: 20px; font-weight: 600;">${value}</div>
+    </div>`;
+  return `
+  <div style="display: flex; gap: 16px; margin-bottom: 20px;">
+    ${stat('Requests', String(total.requests))}
+    ${stat('Error rate (5xx)', formatPercent(total.errors, total.requests))}
+    ${stat('4xx', formatPercent(total.clientErrors, total.requests))}
+    ${stat('Data sent', formatBytes(total.bytes))}
+    ${stat('Avg. response time', `${total.avgLatencyMs} ms`)}
+  </div>`;
+}
+
+function RangeLinks(baseUrl: string, current: TrafficRange): string {
+  return (Object.keys(TrafficRanges) as TrafficRange[]).map((range) => range === current
+    ? `<span class="btn btn-primary btn-sm">${TrafficRanges[range].label}</span>`
+    : `<a href="${baseUrl}?range=${range}" class="btn btn-secondary btn-sm" style="text-decoration: none;">${TrafficRanges[range].label}</a>`
+  ).join(' ');
+}
+
+function TopTable(title: string, rows: TrafficCount[], total: number): string {
+  return `
+  <div style="flex: 1; min-width: 0;">
+    <div class="success-card-label">${title}</div>
+    ${rows.length > 0 ? `
+    <div class="dataContainer">
+      <table class="dataTable">
+        ${rows.map((row) => `<tr><td style="word-break: break-all;">${escapeHtml(row.value)}</td><td style="text-align: right;">${row.requests}</td><td style="text-align: right; color: var(--kumo-muted-foreground);">${formatPercent(Number(row.requests), total)}</td></tr>`).join('')}
+      </table>
+    </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">No data yet.</p>`}
+  </div>`;
+}
+
+/*
+ * Traffic of one site: requests over time, error rates and where visitors come from
+ */
+export function AnalyticsPage(project: Project, traffic: ProjectTraffic): string {
+  const total = sumTraffic(traffic.hours).requests;
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Analytics &middot; ${escapeHtml(project.name)}</h3>
+    <a href="/" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to my sites</a>
+  </div>
+  <div style="margin-bottom: 20px;">${RangeLinks(`/projects/${project.subdomain}/analytics`, traffic.range)}</div>
+  ${TrafficTotals(traffic.hours)}
+  ${TrafficChart(traffic.hours, traffic.range)}
+  <div style="display: flex; gap: 16px; margin-top: 24px; flex-wrap: wrap;">
+    ${TopTable('Top paths', traffic.paths, total)}
+    ${TopTable('Top referrers', traffic.referrers, total)}
+    ${TopTable('Countries', traffic.countries, total)}
+  </div>
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-top: 20px;">Times are UTC. Top lists are counted per day, so they can include up to a day more than the selected range.</p>
+</div>
+`;
+}
+
+/*
+ * Platform-wide traffic for /admin/analytics, with the busiest sites first
+ */
+export function AdminAnalyticsPage(data: { range: TrafficRange; hours: TrafficHour[]; projects: TrafficHour[] }, projects: Project[]): string {
+  const byId = new Map(projects.map((project) => [project.id, project]));
+  const rows = data.projects.map((row) => {
+    const project = byId.get(row.project_id);
+    const total = sumTraffic([row]);
+    return `
+      <tr>
+        <td>${project ? `<a href="/projects/${project.subdomain}/analytics?range=${data.range}" class="table-link">${escapeHtml(project.subdomain)}</a>` : `<span style="color: var(--kumo-muted-foreground);">deleted</span>`}</td>
+        <td>${total.requests}</td>
+        <td>${formatPercent(total.errors, total.requests)}</td>
+        <td>${formatPercent(total.clientErrors, total.requests)}</td>
+        <td>${formatBytes(total.bytes)}</td>
+        <td>${total.avgLatencyMs} ms</td>
+      </tr>`;
+  }).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Platform traffic</h3>
+    <a href="/admin" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to admin</a>
+  </div>
+  <div style="margin-bottom: 20px;">${RangeLinks('/admin/analytics', data.range)}</div>
+  ${TrafficTotals(data.hours)}
+  ${TrafficChart(data.hours, data.range)}
+  <div class="success-card-label" style="margin-top: 24px;">Sites</div>
+  ${rows ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Site</th>
+        <th>Requests</th>
+        <th>5xx</th>
+        <th>4xx</th>
+        <th>Data sent</th>
+        <th>Avg. response time</th>
+      </tr>
+      ${rows}
+    </table>
+  </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">No traffic recorded in this range.</p>`}
+</div>
+`;
+}
+
+const LogLevelColors: Record<string, string> = {
+  request: 'var(--kumo-muted-foreground)',
+  exception: 'var(--kumo-text-error)',
+  error: 'var(--kumo-text-error)',
+  warn: 'var(--kumo-warning)',
+};
+
+/*
+ * Recent console output and exceptions of a site, followed live over server-sent events
+ */
+export function LogsPage(project: Project, entries: ProjectLog[], options: { csrfToken: string; enabled: boolean; maxEntries: number }): string {
+  const line = (entry: ProjectLog) => `<div class="log-line" data-level="${escapeHtml(entry.level)}" style="color: ${LogLevelColors[entry.level] || 'inherit'};">`
+    + `<span style="color: var(--kumo-muted-foreground);">${escapeHtml(entry.timestamp.substring(11, 23))}</span> `
+    + `<strong>${escapeHtml(entry.level.padEnd(9))}</strong> ${escapeHtml(entry.message)}</div>`;
+  const lastId = entries.length > 0 ? entries[entries.length - 1].id : 0;
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Logs &middot; ${escapeHtml(project.name)}</h3>
+    <div style="display: flex; gap: 8px; align-items: center;">
+      <span id="log-status" style="font-size: 13px; color: var(--kumo-muted-foreground);">Connecting…</span>
+      <button type="button" id="log-pause" class="btn btn-secondary btn-sm">Pause</button>
+      <form method="POST" action="/projects/${project.subdomain}/logs/clear" style="margin: 0;" onsubmit="return confirm('Delete all stored log entries for this site?')">
+        <input type="hidden" name="_csrf" value="${options.csrfToken}">
+        <button type="submit" class="btn btn-secondary btn-sm">Clear</button>
+      </form>
+      <a href="/" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to my sites</a>
+    </div>
+  </div>
+  ${options.enabled ? '' : `<div class="banner banner-warning" style="margin-bottom: 20px;"><p>Log capture is not configured on this platform (<code>LOG_TAIL_WORKER</code>), so no new entries will arrive.</p></div>`}
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 12px;">
+    <code>console.log</code> output, uncaught exceptions and one line per request from your Worker. The last ${options.maxEntries} entries are kept. Times are UTC.
+  </p>
+  <div id="log-lines" style="font-family: ui-monospace, monospace; font-size: 12px; white-space: pre-wrap; word-break: break-all; background: var(--kumo-surface-secondary); border: 1px solid var(--kumo-border); border-radius: 8px; padding: 12px; height: 480px; overflow-y: auto;">${entries.length > 0 ? entries.map(line).join('') : '<div id="log-empty" style="color: var(--kumo-muted-foreground);">No log entries yet. Send a request to your site.</div>'}</div>
+</div>
+<script>
+(function () {
+  const box = document.getElementById('log-lines');
+  const status = document.getElementById('log-status');
+  const pauseButton = document.getElementById('log-pause');
+  const colors = ${JSON.stringify(LogLevelColors)};
+  let paused = false;
+  let source = null;
+  let lastId = ${lastId};
+
+  box.scrollTop = box.scrollHeight;
+
+  function append(entry) {
+    const empty = document.getElementById('log-empty');
+    if (empty) empty.remove();
+    const stick = box.scrollTop + box.clientHeight >= box.scrollHeight - 20;
+    const div = document.createElement('div');
+    div.className = 'log-line';
+    div.style.color = colors[entry.level] || 'inherit';
+    const time = document.createElement('span');
+    time.style.color = 'var(--kumo-muted-foreground)';
+    time.textContent = entry.timestamp.substring(11, 23);
+    const level = document.createElement('strong');
+    level.textContent = entry.level.padEnd(9);
+    div.append(time, ' ', level, ' ' + entry.message);
+    box.appendChild(div);
+    while (box.children.length > ${options.maxEntries}) box.firstChild.remove();
+    if (stick) box.scrollTop = box.scrollHeight;
+  }
+
+  function connect() {
+    source = new EventSource('/projects/${project.subdomain}/logs/stream?after=' + lastId);
+    source.onopen = function () { status.textContent = 'Live'; };
+    source.onerror = function () { status.textContent = 'Reconnecting…'; };
+    source.addEventListener('log', function (event) {
+      const entry = JSON.parse(event.data);
+      lastId = entry.id;
+      append(entry);
+    });
+  }
+
+  pauseButton.addEventListener('click', function () {
+    paused = !paused;
+    pauseButton.textContent = paused ? 'Resume' : 'Pause';
+    if (paused) {
+      source.close();
+      status.textContent = 'Paused';
+    } else {
+      connect();
+    }
+  });
+
+  connect();
+})();
+</script>
+`;
+}
+
+/*
+ * Rate limits of every project and which ones were throttled in the last 24 hours (admin only)
+ */
+export function ThrottlingPage(
+  entries: { project: Project; limits: RateLimits; stat?: ThrottleStat }[],
+  options: { csrfToken: string; durable: boolean; error?: string }
+): string {
+  const limitLabel = (limit: number) => limit === 0 ? 'off' : String(limit);
+  const rows = entries.map(({ project, limits, stat }) => `
+    <tr>
+      <td><a href="/projects/${project.subdomain}/analytics" class="table-link">${escapeHtml(project.subdomain)}</a></td>
+      <td>${stat ? `<span class="status-badge ${Number(stat.project_minutes) > 0 ? 'status-error' : 'status-pending'}">${stat.project_minutes} min</span>` : '-'}</td>
+      <td>${stat ? `${stat.ip_minutes}` : '-'}</td>
+      <td>${stat ? `${escapeHtml(stat.last_ip)}<div class="site-item-meta">${new Date(stat.last_on).toLocaleString()}</div>` : '-'}</td>
+      <td>
+        <form method="POST" action="/admin/projects/${project.subdomain}/rate-limits" class="status-row">
+          <input type="hidden" name="_csrf" value="${options.csrfToken}">
+          <input type="number" name="per_minute" min="0" value="${project.rate_limit_per_minute ?? ''}" placeholder="${limitLabel(limits.perMinute)}" title="Requests per minute for the whole site (empty: platform default, 0: off)" style="width: 90px;">
+          <input type="number" name="per_ip" min="0" value="${project.rate_limit_per_ip ?? ''}" placeholder="${limitLabel(limits.perIpPerMinute)}" title="Requests per minute per client IP (empty: platform default, 0: off)" style="width: 80px;">
+          <button type="submit" class="btn btn-secondary btn-sm">Save</button>
+        </form>
+      </td>
+    </tr>`).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Rate limits</h3>
+    <a href="/admin" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to admin</a>
+  </div>
+  ${options.durable ? '' : `<div class="banner banner-warning" style="margin-bottom: 20px;"><p>The <code>RATE_LIMITER</code> Durable Object is not bound, so every isolate counts requests on its own and limits are only approximate.</p></div>`}
+  ${options.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 20px;">
+    Requests over a limit get <code>429 Too Many Requests</code> with <code>Retry-After</code> and never reach the site's Worker.
+    Throttling is counted in limited minutes over the last 24 hours, most throttled sites first. Leave a limit empty to use the platform default shown as a placeholder.
+  </p>
+  ${rows ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Site</th>
+        <th>Site limit hit</th>
+        <th>IP limit hit (IP-minutes)</th>
+        <th>Last throttled</th>
+        <th>Limits per minute (site / per IP)</th>
+      </tr>
+      ${rows}
+    </table>
+  </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">No projects yet.</p>`}
+</div>
+`;
+}
+
+/*
+ * Applied and pending schema migrations. Pending ones list every statement with what it would do,
+ * so this page doubles as the dry run.
+ */
+export function MigrationsPage(status: MigrationStatus, options: { csrfToken: string; autoApply: boolean; message?: string; error?: string }): string {
+  const applied = status.applied.map((migration) => `
+    <tr>
+      <td><code>${escapeHtml(migration.id)}</code></td>
+      <td>${escapeHtml(migration.description)}</td>
+      <td>${new Date(migration.applied_on).toLocaleString()}</td>
+    </tr>`).join('');
+
+  const pending = status.pending.map(({ migration, statements }) => `
+    <div class="success-card-label" style="margin-top: 16px;"><code>${escapeHtml(migration.id)}</code> &middot; ${escapeHtml(migration.description)}</div>
+    <div class="dataContainer">
+      <table class="dataTable">
+        ${statements.map((statement) => `
+        <tr>
+          <td><code style="white-space: pre-wrap; word-break: break-word;">${escapeHtml(statement.sql)}</code></td>
+          <td style="white-space: nowrap;">${statement.skip
+            ? `<span class="status-badge status-pending" title="${escapeHtml(statement.skip)}">skip</span><div class="site-item-meta">${escapeHtml(statement.skip)}</div>`
+            : `<span class="status-badge status-active">will run</span>`}</td>
+        </tr>`).join('')}
+      </table>
+    </div>`).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Database migrations</h3>
+    <a href="/admin" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to admin</a>
+  </div>
+  ${options.message ? `<div class="banner banner-success" style="margin-bottom: 20px;"><p>${escapeHtml(options.message)}</p></div>` : ''}
+  ${options.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  ${status.unknown.length > 0 ? `<div class="banner banner-warning" style="margin-bottom: 20px;"><p>The database has migrations this version doesn't know about (${status.unknown.map((migration) => escapeHtml(migration.id)).join(', ')}). It was probably migrated by a newer deploy.</p></div>` : ''}
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 20px;">
+    Schema changes live in <code>src/migrations</code> and are recorded in <code>schema_migrations</code> once applied.
+    ${options.autoApply ? 'Pending migrations are applied automatically on the first request after a deploy.' : '<code>AUTO_MIGRATE</code> is <code>"false"</code>, so pending migrations only run when applied here.'}
+  </p>
+  <div class="success-card-label">Pending</div>
+  ${pending ? `
+  ${pending}
+  <form method="POST" action="/admin/migrations" style="margin-top: 16px;" onsubmit="return confirm('Apply ${status.pending.length} pending migration${status.pending.length === 1 ? '' : 's'}?')">
+    <input type="hidden" name="_csrf" value="${options.csrfToken}">
+    <button type="submit" class="btn btn-primary">Apply ${status.pending.length} migration${status.pending.length === 1 ? '' : 's'}</button>
+  </form>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">The schema is up to date.</p>`}
+  <div class="success-card-label" style="margin-top: 24px;">Applied</div>
+  ${applied ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Migration</th>
+        <th>Description</th>
+        <th>Applied</th>
+      </tr>
+      ${applied}
+    </table>
+  </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">None yet.</p>`}
+</div>
+`;
+}
+
+/*
+ * Admin view of a project's egress policy and its outbound traffic over the last 24 hours
+ */
+export function EgressPolicyPage(
+  project: Project,
+  policy: EgressPolicy | null,
+  usage: EgressUsage[],
+  options: { csrfToken: string; outboundEnabled: boolean; message?: string; error?: string }
+): string {
+  const total = usage.reduce((sum, row) => ({
+    requests: sum.requests + row.requests,
+    blocked: sum.blocked + row.blocked,
+    bytes_in: sum.bytes_in + row.bytes_in,
+    bytes_out: sum.bytes_out + row.bytes_out,
+  }), { requests: 0, blocked: 0, bytes_in: 0, bytes_out: 0 });
+
+  const rows = usage.map((row) => `
+    <tr>
+      <td>${escapeHtml(row.hour.replace('T', ' '))}:00 UTC</td>
+      <td>${row.requests}</td>
+      <td>${row.blocked}</td>
+      <td>${formatBytes(row.bytes_out)}</td>
+      <td>${formatBytes(row.bytes_in)}</td>
+    </tr>`).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">Egress &middot; ${escapeHtml(project.name)}</h3>
+    <a href="/admin" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to admin</a>
+  </div>
+  ${options.outboundEnabled ? '' : `<div class="banner banner-warning" style="margin-bottom: 20px;"><p>The outbound worker is not enabled, so this policy is saved but not enforced. See "Egress control" in the README.</p></div>`}
+  ${options.message ? `<div class="banner banner-success" style="margin-bottom: 20px;"><p>${escapeHtml(options.message)}</p></div>` : ''}
+  ${options.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 20px;">
+    One host per line. <code>*.example.com</code> matches every subdomain of example.com. With an empty allow list the site may reach any public host that isn't denied.
+    Private, loopback and link-local addresses are always blocked.
+  </p>
+  <form method="POST" action="/admin/projects/${project.subdomain}/egress">
+    <input type="hidden" name="_csrf" value="${options.csrfToken}">
+    <div style="display: flex; gap: 16px;">
+      <div class="form-group" style="flex: 1;">
+        <label for="allow-hosts">Allow list</label>
+        <textarea id="allow-hosts" name="allow_hosts" rows="8" placeholder="api.stripe.com">${escapeHtml(policy?.allow_hosts || '')}</textarea>
+      </div>
+      <div class="form-group" style="flex: 1;">
+        <label for="deny-hosts">Deny list</label>
+        <textarea id="deny-hosts" name="deny_hosts" rows="8" placeholder="*.example.com">${escapeHtml(policy?.deny_hosts || '')}</textarea>
+      </div>
+    </div>
+    ${policy?.modified_by ? `<p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 12px;">Last changed by ${escapeHtml(policy.modified_by)} on ${new Date(policy.modified_on).toLocaleString()}</p>` : ''}
+    <button type="submit" class="btn btn-primary">Save policy</button>
+  </form>
+
+  <div class="success-card-label" style="margin-top: 24px;">Outbound traffic, last 24 hours</div>
+  ${usage.length > 0 ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Hour</th>
+        <th>Requests</th>
+        <th>Blocked</th>
+        <th>Sent</th>
+        <th>Received</th>
+      </tr>
+      ${rows}
+      <tr>
+        <th>Total</th>
+        <th>${total.requests}</th>
+        <th>${total.blocked}</th>
+        <th>${formatBytes(total.bytes_out)}</th>
+        <th>${formatBytes(total.bytes_in)}</th>
+      </tr>
+    </table>
+  </div>` : `<p style="font-size: 13px; color: var(--kumo-muted-foreground);">No outbound requests recorded.</p>`}
+</div>
+`;
+}
+
+/*
+ * Personal API tokens for /api/v1. A newly created token is shown once and never again.
+ */
+export function ApiTokensPage(tokens: ApiToken[], options: { csrfToken: string; origin: string; newToken?: string; error?: string }): string {
+  const rows = tokens.map((token) => `
+    <tr>
+      <td>${escapeHtml(token.name)}</td>
+      <td><code>${escapeHtml(token.token_prefix)}&hellip;</code></td>
+      <td>${escapeHtml(token.created_on.substring(0, 10))}</td>
+      <td>${token.last_used_on ? escapeHtml(token.last_used_on.substring(0, 10)) : 'Never'}</td>
+      <td>
+        <form method="POST" action="/account/tokens/${escapeHtml(token.id)}/delete" style="margin: 0;" onsubmit="return confirm('Revoke this token? Anything using it will stop working.')">
+          <input type="hidden" name="_csrf" value="${options.csrfToken}">
+          <button type="submit" class="btn btn-destructive btn-sm">Revoke</button>
+        </form>
+      </td>
+    </tr>`).join('');
+
+  return `
+<div class="form-container">
+  <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+    <h3 style="margin: 0;">API tokens</h3>
+    <a href="/" class="btn btn-secondary btn-sm" style="text-decoration: none;">Back to my sites</a>
+  </div>
+  <p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 20px;">
+    Tokens let scripts and CI pipelines use the <a href="/api/v1/openapi.json" class="table-link">JSON API</a> at <code>${escapeHtml(options.origin)}/api/v1</code> as you.
+    Send them as <code>Authorization: Bearer &lt;token&gt;</code>.
+  </p>
+  ${options.newToken ? `
+  <div class="banner banner-success" style="margin-bottom: 20px;">
+    <p>Copy your new token now. It won't be shown again.<br><code>${escapeHtml(options.newToken)}</code></p>
+  </div>` : ''}
+  ${options.error ? `<div class="banner banner-error" style="margin-bottom: 20px;"><p>${escapeHtml(options.error)}</p></div>` : ''}
+  <form method="POST" action="/account/tokens" style="display: flex; gap: 8px; align-items: flex-end; margin-bottom: 20px;">
+    <input type="hidden" name="_csrf" value="${options.csrfToken}">
+    <div class="form-group" style="flex: 1; margin: 0;">
+      <label for="token-name">Token name</label>
+      <input type="text" id="token-name" name="name" required maxlength="64" placeholder="e.g. GitHub Actions">
+    </div>
+    <button type="submit" class="btn btn-primary">Create token</button>
+  </form>
+  ${tokens.length > 0 ? `
+  <div class="dataContainer">
+    <table class="dataTable">
+      <tr>
+        <th>Name</th>
+        <th>Token</th>
+        <th>Created</th>
+        <th>Last used</th>
+        <th></th>
+      </tr>
+      ${rows}
+    </table>
+  </div>` : ''}
+</div>
+`;
+}
+
+/*
+ * Hands an existing project to the builder script so it opens in "Edit site" mode
+ */
+/*
+ * Prefills the builder. live is the live version's code, since projects.script_content only holds
+ * a placeholder for large scripts and sites with files; the kind of site comes from deployment_type.
+ */
+export function EditProjectScript(project: Project, live: Pick<Deployment, 'script_content' | 'modules'> | null = null): string {
+  const data = {
+    name: project.name,
+    subdomain: project.subdomain,
+    custom_hostname: project.custom_hostname || '',
+    ...getSiteRouting(project),
+    kind: project.deployment_type === 'hybrid' ? 'hybrid' : project.deployment_type === 'assets' ? 'upload' : 'code',
+    script_content: live?.script_content ?? null,
+    modules: parseStoredModules(live?.modules),
+    compatibility_date: project.compatibility_date || '',
+    compatibility_flags: getWorkerRuntime(project).compatibility_flags!.join(', '),
+  };
+  // Escape "<" so project data can't close the script tag
+  return `<script>window.EDIT_PROJECT = ${JSON.stringify(data).replace(/</g, '\\u003c')};</script>`;
+}
+
+function routingOptions(labels: Record<string, string>, selected: string): string {
+  return Object.entries(labels)
+    .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+}
+
 export const BuildWebsitePage = `
 <div class="form-container">
   <form id="projectForm">
     <div class="form-group">
       <label for="projectName">Website Name</label>
-      <input type="text" id="projectName" required placeholder="My Awesome Site" oninput="document.getElementById('subdomain').value = this.value.toLowerCase().replace(/[^a-z0-9\\s-]/g, '').replace(/\\s+/g, '-').replace(/^-+|-+$/g, '')">
+      <input type="text" id="projectName" required placeholder="My Awesome Site" oninput="document.getElementById('subdomain').value = this.value.toLowerCase().replace(/[^a-z0-9\\s-]/g, '').replace(/\\s+/g, '-').replace(/-+/g, '-').replace(/^-+|-+$/g, '')">
     </div>
     
     <div class="form-group">
@@ -1226,6 +2485,14 @@ export const BuildWebsitePage = `
           <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 256 256"><path d="M236.8,188.09,149.35,36.22h0a24.76,24.76,0,0,0-42.7,0L19.2,188.09a23.51,23.51,0,0,0,0,23.72A24.35,24.35,0,0,0,40.55,224h174.9a24.35,24.35,0,0,0,21.33-12.19A23.51,23.51,0,0,0,236.8,188.09ZM222.93,203.8a8.5,8.5,0,0,1-7.48,4.2H40.55a8.5,8.5,0,0,1-7.48-4.2,7.59,7.59,0,0,1,0-7.72L120.52,44.21a8.75,8.75,0,0,1,15,0l87.45,151.87A7.59,7.59,0,0,1,222.93,203.8ZM120,144V104a8,8,0,0,1,16,0v40a8,8,0,0,1-16,0Zm20,36a12,12,0,1,1-12-12A12,12,0,0,1,140,180Z"/></svg>
           <p>Add this CNAME record to your domain's DNS settings</p>
         </div>
+        <div class="form-group" style="margin-top: 12px;">
+          <label for="validationMethod">Certificate validation</label>
+          <select id="validationMethod">
+            <option value="http">HTTP: automatic once the CNAME points here</option>
+            <option value="txt">TXT record: get the certificate before switching DNS</option>
+          </select>
+          <small>With TXT validation, the records to add are shown once the site is deployed, and on its Domains page.</small>
+        </div>
         <table class="dns-table" style="margin-top: 12px;">
           <thead>
             <tr>
@@ -1264,6 +2531,11 @@ export const BuildWebsitePage = `
       <div class="tab-switcher">
         <button type="button" class="tab-btn active" onclick="switchTab('code')">Write Code</button>
         <button type="button" class="tab-btn" onclick="switchTab('upload')">Upload Files</button>
+        <button type="button" class="tab-btn" onclick="switchTab('hybrid')">Code + Files</button>
+      </div>
+      
+      <div id="hybridHint" class="banner banner-info" style="display: none; margin-bottom: 12px;">
+        <p>Your Worker runs first on every request, with the uploaded files on <code>env.ASSETS</code>: handle <code>/api/*</code> or check auth, then <code>return env.ASSETS.fetch(request)</code> for the rest. <a href="#" onclick="useHybridExample(); return false;">Use an example</a></p>
       </div>
       
       <div id="tab-code" class="tab-content active">
@@ -1272,7 +2544,31 @@ export const BuildWebsitePage = `
           <span>Hide Code Editor</span>
         </button>
         <div id="codeEditorContent" class="collapsible-content open">
-          <textarea id="scriptContent" name="scriptContent" rows="18">
+          <div class="module-editor">
+            <div class="module-tree">
+              <div class="file-list-header">
+                <span>Modules</span>
+                <span>
+                  <button type="button" class="btn-icon" onclick="addModule()" title="New module">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256"><path d="M224,128a8,8,0,0,1-8,8H136v80a8,8,0,0,1-16,0V136H40a8,8,0,0,1,0-16h80V40a8,8,0,0,1,16,0v80h80A8,8,0,0,1,224,128Z"/></svg>
+                  </button>
+                  <button type="button" class="btn-icon" onclick="document.getElementById('moduleInput').click()" title="Add files from your computer (.js, .json, .txt, .wasm...)">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256"><path d="M224,144v64a8,8,0,0,1-8,8H40a8,8,0,0,1-8-8V144a8,8,0,0,1,16,0v56H208V144a8,8,0,0,1,16,0ZM93.66,77.66,120,51.31V144a8,8,0,0,0,16,0V51.31l26.34,26.35a8,8,0,0,0,11.32-11.32l-40-40a8,8,0,0,0-11.32,0l-40,40A8,8,0,0,0,93.66,77.66Z"/></svg>
+                  </button>
+                </span>
+              </div>
+              <div class="module-tree-items" id="moduleTreeItems"></div>
+            </div>
+            <div class="module-pane">
+              <div class="module-pane-header">
+                <span id="activeModuleLabel"></span>
+                <span>
+                  <button type="button" class="btn btn-sm btn-secondary" id="mainModuleButton" onclick="setMainModule()">Make main</button>
+                  <button type="button" class="btn btn-sm btn-secondary" onclick="renameModule()">Rename</button>
+                  <button type="button" class="btn btn-sm btn-secondary" onclick="deleteModule()">Delete</button>
+                </span>
+              </div>
+              <textarea id="scriptContent" name="scriptContent" rows="18" oninput="updateActiveModule(this.value)">
 export default {
   async fetch(request, env, ctx) {
     const html = \`
@@ -1328,7 +2624,21 @@ export default {
     });
   }
 };
-          </textarea>
+              </textarea>
+            </div>
+          </div>
+          <input type="file" id="moduleInput" multiple accept="${Object.keys(FileRules.workerModuleTypes).map((ext) => '.' + ext).join(',')}" style="display: none;">
+          <small>Modules import each other by name, e.g. <code>import { route } from './lib/router.js'</code>. JSON, text (.txt, .html, .md, .css, .sql) and WebAssembly (.wasm) files are imported the same way. The main module exports the handlers.</small>
+        </div>
+        <div class="form-group" style="margin-top: 16px;">
+          <label for="compatibilityDate">Compatibility date</label>
+          <input type="date" id="compatibilityDate">
+          <small>The version of the Workers runtime your code runs with. Leave it empty for the platform default.</small>
+        </div>
+        <div class="form-group">
+          <label for="compatibilityFlags">Compatibility flags</label>
+          <input type="text" id="compatibilityFlags" placeholder="nodejs_compat">
+          <small>Comma-separated, e.g. <code>nodejs_compat</code> to use Node.js APIs like <code>node:buffer</code>.</small>
         </div>
       </div>
       
@@ -1341,7 +2651,7 @@ export default {
           <div class="drop-zone-hint">
             Or <a href="#" id="browseFiles">select files</a> / <a href="#" id="browseFolder">select folder</a>
           </div>
-          <div class="drop-zone-hint" style="margin-top: 8px;">Supports HTML, CSS, JS, images (PNG, JPG, SVG, GIF, ICO)</div>
+          <div class="drop-zone-hint" style="margin-top: 8px;">Supports HTML, CSS, JS, images (PNG, JPG, SVG, GIF, ICO), _headers and _redirects, or the whole site as a .zip or .tar.gz</div>
         </div>
         <input type="file" id="fileInput" multiple style="display: none;">
         <input type="file" id="folderInput" webkitdirectory style="display: none;">
@@ -1375,6 +2685,17 @@ export default {
           <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 256 256"><path d="M236.8,188.09,149.35,36.22h0a24.76,24.76,0,0,0-42.7,0L19.2,188.09a23.51,23.51,0,0,0,0,23.72A24.35,24.35,0,0,0,40.55,224h174.9a24.35,24.35,0,0,0,21.33-12.19A23.51,23.51,0,0,0,236.8,188.09ZM222.93,203.8a8.5,8.5,0,0,1-7.48,4.2H40.55a8.5,8.5,0,0,1-7.48-4.2,7.59,7.59,0,0,1,0-7.72L120.52,44.21a8.75,8.75,0,0,1,15,0l87.45,151.87A7.59,7.59,0,0,1,222.93,203.8Z"/></svg>
           <span>Total size: <strong id="totalSize">0 KB</strong>. Large files may slow down your site. Consider optimizing images.</span>
         </div>
+        
+        <div class="form-group" style="margin-top: 16px;">
+          <label for="notFoundHandling">Missing pages</label>
+          <select id="notFoundHandling">${routingOptions(NotFoundHandlingLabels, DEFAULT_ROUTING.not_found_handling)}</select>
+          <small>Single-page apps (React, Vue, Svelte...) need "Single-page app" so deep links load the app instead of a 404.</small>
+        </div>
+        <div class="form-group">
+          <label for="htmlHandling">Trailing slashes</label>
+          <select id="htmlHandling">${routingOptions(HtmlHandlingLabels, DEFAULT_ROUTING.html_handling)}</select>
+          <small>Custom headers and redirects go in <code>_headers</code> and <code>_redirects</code> files at the root of the upload, in Netlify / Cloudflare Pages syntax.</small>
+        </div>
       </div>
     </div>
     
@@ -1389,13 +2710,230 @@ export default {
 window.uploadedFiles = [];
 window.activeTab = 'code';
 
-// Tab switching
+// Tab switching - "Code + Files" (hybrid) shows both: the code runs in front of the files
 function switchTab(tab) {
   window.activeTab = tab;
   document.querySelectorAll('.tab-btn').forEach(function(btn) { btn.classList.remove('active'); });
   document.querySelectorAll('.tab-content').forEach(function(content) { content.classList.remove('active'); });
   document.querySelector('.tab-btn[onclick="switchTab(\\'' + tab + '\\')"]').classList.add('active');
-  document.getElementById('tab-' + tab).classList.add('active');
+  (tab === 'hybrid' ? ['code', 'upload'] : [tab]).forEach(function(name) {
+    document.getElementById('tab-' + name).classList.add('active');
+  });
+  document.getElementById('hybridHint').style.display = tab === 'hybrid' ? 'block' : 'none';
+}
+
+function useHybridExample() {
+  selectModule(0);
+  document.getElementById('scriptContent').value = [
+    'export default {',
+    '  async fetch(request, env, ctx) {',
+    '    const url = new URL(request.url);',
+    "    if (url.pathname.startsWith('/api/')) {",
+    "      return Response.json({ message: 'Hello from the API', path: url.pathname });",
+    '    }',
+    '    // Everything else is served from the uploaded files',
+    '    return env.ASSETS.fetch(request);',
+    '  }',
+    '};',
+    ''
+  ].join('\\n');
+  updateActiveModule(document.getElementById('scriptContent').value);
+}
+
+// The script's modules (see src/worker-modules.ts), main module first. The editor shows one at a time.
+window.workerModules = [];
+window.activeModule = 0;
+var moduleTypes = ${JSON.stringify(FileRules.workerModuleTypes)};
+var moduleTypeLabels = ${JSON.stringify(WorkerModuleTypeLabels)};
+
+function moduleTypeOf(name) {
+  return moduleTypes[name.split('.').pop().toLowerCase()] || null;
+}
+
+// Same rules as the server: a relative path with a module extension, not taken yet
+function checkModuleName(name, except) {
+  if (!/^[A-Za-z0-9._-]+(\\/[A-Za-z0-9._-]+)*$/.test(name) || name.split('/').some(function(s) { return s === '.' || s === '..'; })) {
+    return 'Use a relative path like lib/router.js (letters, numbers, . _ - and /)';
+  }
+  if (!moduleTypeOf(name)) {
+    return 'Module files end in ' + Object.keys(moduleTypes).map(function(ext) { return '.' + ext; }).join(', ');
+  }
+  if (window.workerModules.some(function(m, i) { return i !== except && m.name === name; })) {
+    return name + ' already exists';
+  }
+  return null;
+}
+
+function setWorkerModules(modules) {
+  window.workerModules = modules;
+  selectModule(0);
+}
+
+function updateActiveModule(content) {
+  var module = window.workerModules[window.activeModule];
+  if (module && module.type !== 'wasm') module.content = content;
+}
+
+function selectModule(index) {
+  window.activeModule = index;
+  var module = window.workerModules[index];
+  var editor = document.getElementById('scriptContent');
+  editor.disabled = module.type === 'wasm';
+  editor.value = module.type === 'wasm'
+    ? 'WebAssembly module (' + formatFileSize(Math.floor(module.content.length * 3 / 4)) + '). Add a file with the same name to replace it.'
+    : module.content;
+  document.getElementById('activeModuleLabel').textContent = module.name + ' \u00b7 ' + moduleTypeLabels[module.type] + (index === 0 ? ' \u00b7 main module' : '');
+  document.getElementById('mainModuleButton').style.display = index === 0 || module.type !== 'esm' ? 'none' : '';
+  renderModuleTree();
+}
+
+// Folders come from the module names: lib/router.js is router.js inside lib/
+function renderModuleTree() {
+  var container = document.getElementById('moduleTreeItems');
+  container.innerHTML = '';
+  var order = window.workerModules.map(function(m, i) { return i; }).sort(function(a, b) {
+    return window.workerModules[a].name < window.workerModules[b].name ? -1 : 1;
+  });
+  var shown = {};
+  order.forEach(function(index) {
+    var module = window.workerModules[index];
+    var parts = module.name.split('/');
+    for (var depth = 0; depth < parts.length - 1; depth++) {
+      var folder = parts.slice(0, depth + 1).join('/');
+      if (shown[folder]) continue;
+      shown[folder] = true;
+      var folderItem = document.createElement('div');
+      folderItem.className = 'module-tree-item module-tree-folder';
+      folderItem.style.paddingLeft = (10 + depth * 14) + 'px';
+      folderItem.textContent = parts[depth] + '/';
+      container.appendChild(folderItem);
+    }
+    var item = document.createElement('div');
+    item.className = 'module-tree-item' + (index === window.activeModule ? ' active' : '');
+    item.style.paddingLeft = (10 + (parts.length - 1) * 14) + 'px';
+    item.title = module.name;
+    item.textContent = parts[parts.length - 1];
+    if (index === 0) {
+      var badge = document.createElement('span');
+      badge.className = 'module-main-badge';
+      badge.textContent = 'main';
+      item.appendChild(badge);
+    }
+    item.onclick = function() { selectModule(index); };
+    container.appendChild(item);
+  });
+}
+
+function addModule() {
+  var name = prompt('Name of the new module, e.g. lib/router.js or data.json');
+  if (!name) return;
+  name = name.trim();
+  var problem = checkModuleName(name, -1);
+  if (problem) {
+    alert(problem);
+    return;
+  }
+  var type = moduleTypeOf(name);
+  if (type === 'wasm') {
+    alert('Add WebAssembly modules from your computer with the upload button');
+    return;
+  }
+  window.workerModules.push({ name: name, type: type, content: type === 'json' ? '{}\\n' : '' });
+  selectModule(window.workerModules.length - 1);
+}
+
+function renameModule() {
+  var module = window.workerModules[window.activeModule];
+  var name = prompt('Rename ' + module.name + ' to', module.name);
+  if (!name || name.trim() === module.name) return;
+  name = name.trim();
+  var problem = checkModuleName(name, window.activeModule);
+  if (!problem && window.activeModule === 0 && moduleTypeOf(name) !== 'esm') {
+    problem = 'The main module must stay an ES module (.js or .mjs)';
+  }
+  if (!problem && (moduleTypeOf(name) === 'wasm') !== (module.type === 'wasm')) {
+    problem = 'A module can\\'t be renamed to or from .wasm';
+  }
+  if (problem) {
+    alert(problem);
+    return;
+  }
+  module.name = name;
+  module.type = moduleTypeOf(name);
+  selectModule(window.activeModule);
+}
+
+function deleteModule() {
+  if (window.workerModules.length === 1) {
+    alert('The script needs at least one module');
+    return;
+  }
+  var module = window.workerModules[window.activeModule];
+  if (window.activeModule === 0 && !window.workerModules.some(function(m, i) { return i > 0 && m.type === 'esm'; })) {
+    alert('The script needs an ES module to be its main module');
+    return;
+  }
+  if (!confirm('Delete ' + module.name + '?')) return;
+  window.workerModules.splice(window.activeModule, 1);
+  // The first remaining ES module takes over as the main module
+  var main = window.workerModules.findIndex(function(m) { return m.type === 'esm'; });
+  window.workerModules.unshift(window.workerModules.splice(main, 1)[0]);
+  selectModule(0);
+}
+
+function setMainModule() {
+  var module = window.workerModules.splice(window.activeModule, 1)[0];
+  window.workerModules.unshift(module);
+  selectModule(0);
+}
+
+// Files from the computer; WebAssembly is kept base64-encoded, like in the API
+function readModuleFile(file) {
+  return new Promise(function(resolve, reject) {
+    var reader = new FileReader();
+    reader.onload = function() {
+      resolve(moduleTypeOf(file.name) === 'wasm' ? String(reader.result).split(',')[1] || '' : String(reader.result));
+    };
+    reader.onerror = function() { reject(reader.error); };
+    if (moduleTypeOf(file.name) === 'wasm') reader.readAsDataURL(file);
+    else reader.readAsText(file);
+  });
+}
+
+async function addModuleFiles(files) {
+  var last = null;
+  for (var i = 0; i < files.length; i++) {
+    var file = files[i];
+    var name = file.webkitRelativePath || file.name;
+    var existing = window.workerModules.findIndex(function(m) { return m.name === name; });
+    var problem = checkModuleName(name, existing);
+    if (problem) {
+      alert(file.name + ': ' + problem);
+      continue;
+    }
+    var content = await readModuleFile(file);
+    if (existing >= 0) {
+      window.workerModules[existing].content = content;
+      last = existing;
+    } else {
+      window.workerModules.push({ name: name, type: moduleTypeOf(name), content: content });
+      last = window.workerModules.length - 1;
+    }
+  }
+  if (last !== null) selectModule(last);
+}
+
+// A single ES module is sent as script_content, like before modules existed
+function collectScript() {
+  var modules = window.workerModules;
+  if (modules.length === 1 && modules[0].type === 'esm') {
+    return { script_content: modules[0].content };
+  }
+  return { modules: modules, main_module: modules[0].name };
+}
+
+function isScriptEmpty() {
+  return window.workerModules.every(function(m) { return !m.content.trim(); });
 }
 
 // File type helpers
@@ -1528,80 +3066,57 @@ function clearAllFiles() {
   updateFileList();
 }
 
-async function handleFiles(files) {
+// Files are kept as File objects and sent as multipart parts, never read into memory here.
+// An archive (.zip, .tar.gz) is unpacked by the server and replaces everything else.
+function addUploadedFile(file, path) {
+  var archive = isArchiveFile(path);
+  window.uploadedFiles = window.uploadedFiles.filter(function(f) {
+    return !archive && !f.archive && f.name !== path;
+  });
+  window.uploadedFiles.push({
+    name: path,
+    size: file.size,
+    type: getMimeType(path),
+    file: file,
+    archive: archive
+  });
+}
+
+function handleFiles(files) {
   for (var i = 0; i < files.length; i++) {
     var file = files[i];
-    if (!isAllowedFile(file.name)) continue;
-    
-    // Check if file already exists and remove it
-    var newList = [];
-    for (var j = 0; j < window.uploadedFiles.length; j++) {
-      if (window.uploadedFiles[j].name !== file.name) {
-        newList.push(window.uploadedFiles[j]);
-      }
-    }
-    window.uploadedFiles = newList;
-    
-    var content = await readFileContent(file);
-    window.uploadedFiles.push({
-      name: file.name,
-      size: file.size,
-      type: getMimeType(file.name),
-      content: content,
-      isBase64: isBinaryFile(file.name)
-    });
+    if (!isAllowedFile(file.name) && !isArchiveFile(file.name)) continue;
+    addUploadedFile(file, file.name);
   }
   updateFileList();
 }
 
-async function handleFilesWithPaths(fileEntries) {
+function handleFilesWithPaths(fileEntries) {
   for (var i = 0; i < fileEntries.length; i++) {
-    var entry = fileEntries[i];
-    var file = entry.file;
-    var path = entry.path;
-    
-    // Check if file already exists and remove it
-    var newList = [];
-    for (var j = 0; j < window.uploadedFiles.length; j++) {
-      if (window.uploadedFiles[j].name !== path) {
-        newList.push(window.uploadedFiles[j]);
-      }
-    }
-    window.uploadedFiles = newList;
-    
-    var content = await readFileContent(file);
-    window.uploadedFiles.push({
-      name: path,
-      size: file.size,
-      type: getMimeType(path),
-      content: content,
-      isBase64: isBinaryFile(path)
-    });
+    addUploadedFile(fileEntries[i].file, fileEntries[i].path);
   }
   updateFileList();
 }
 
 function isBinaryFile(filename) {
   var ext = filename.split('.').pop().toLowerCase();
-  var binaryExts = ['png', 'jpg', 'jpeg', 'gif', 'ico', 'webp', 'woff', 'woff2', 'ttf', 'eot'];
+  var binaryExts = ${JSON.stringify(FileRules.binaryExtensions)};
   return binaryExts.indexOf(ext) !== -1;
 }
 
 function isAllowedFile(filename) {
+  // Shared with the CLI (scripts/platform.js) via src/file-rules.json
+  var ruleFiles = ${JSON.stringify(FileRules.ruleFiles)};
+  if (ruleFiles.indexOf(filename) !== -1) return true;
   var ext = filename.split('.').pop().toLowerCase();
-  var allowed = ['html', 'htm', 'css', 'js', 'json', 'txt', 'svg', 'png', 'jpg', 'jpeg', 'gif', 'ico', 'webp', 'woff', 'woff2', 'ttf', 'eot'];
+  var allowed = ${JSON.stringify(FileRules.allowedExtensions)};
   return allowed.indexOf(ext) !== -1;
 }
 
-function readFileContent(file) {
-  return new Promise(function(resolve, reject) {
-    var reader = new FileReader();
-    reader.onload = function() {
-      // Always use base64 for the assets API
-      resolve(reader.result.split(',')[1]);
-    };
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
+function isArchiveFile(filename) {
+  var name = filename.toLowerCase();
+  return ${JSON.stringify(FileRules.archiveExtensions)}.some(function(ext) {
+    return name.endsWith('.' + ext);
   });
 }
 
@@ -1779,6 +3294,62 @@ document.addEventListener('DOMContentLoaded', function() {
     cnameTarget.textContent = customDomain ? 'my.' + customDomain : '(requires custom domain)';
   }
 
+  // The editor starts with the example script as its only module
+  setWorkerModules([{ name: 'index.js', type: 'esm', content: document.getElementById('scriptContent').value }]);
+  document.getElementById('moduleInput').addEventListener('change', function(e) {
+    addModuleFiles(Array.from(e.target.files || []));
+    e.target.value = '';
+  });
+  document.getElementById('compatibilityDate').max = new Date().toISOString().substring(0, 10);
+
+  // Edit mode - prefill the form with an existing project
+  var editProject = window.EDIT_PROJECT;
+  if (editProject) {
+    var projectNameInput = document.getElementById('projectName');
+    var subdomainInput = document.getElementById('subdomain');
+    projectNameInput.value = editProject.name;
+    projectNameInput.oninput = null; // Renaming must not change the URL
+    subdomainInput.value = editProject.subdomain;
+    subdomainInput.readOnly = true;
+    
+    var hostnameInput = document.getElementById('customHostname');
+    hostnameInput.value = editProject.custom_hostname;
+    if (editProject.custom_hostname) {
+      document.getElementById('customDomainName').textContent = editProject.custom_hostname;
+      document.getElementById('dnsInstructions').style.display = 'block';
+    }
+    
+    setWorkerModules(editProject.modules || [{ name: 'index.js', type: 'esm', content: editProject.script_content || '' }]);
+    // Compared on submit: unchanged code keeps the current deployment
+    editProject.initialModules = JSON.stringify(window.workerModules);
+    document.getElementById('compatibilityDate').value = editProject.compatibility_date;
+    document.getElementById('compatibilityFlags').value = editProject.compatibility_flags;
+    document.getElementById('notFoundHandling').value = editProject.not_found_handling;
+    document.getElementById('htmlHandling').value = editProject.html_handling;
+    switchTab(editProject.kind);
+    
+    var editBanner = document.createElement('div');
+    editBanner.className = 'banner banner-info';
+    editBanner.style.marginBottom = '20px';
+    editBanner.innerHTML = '<p>Editing <strong></strong>. Leave the code empty or upload no files to keep the current deployment and only save the name, domain and site settings.</p>';
+    editBanner.querySelector('strong').textContent = editProject.name;
+    var editForm = document.getElementById('projectForm');
+    editForm.insertBefore(editBanner, editForm.firstChild);
+    
+    var saveButton = editForm.querySelector('button[type="submit"]');
+    saveButton.textContent = 'Save & Redeploy';
+    
+    // Deploys the code or files to a preview URL instead (see src/previews.ts)
+    var previewButton = document.createElement('button');
+    previewButton.type = 'submit';
+    previewButton.id = 'previewSubmit';
+    previewButton.className = 'btn btn-secondary btn-lg';
+    previewButton.style.width = '100%';
+    previewButton.style.marginTop = '8px';
+    previewButton.textContent = 'Deploy Preview';
+    saveButton.insertAdjacentElement('afterend', previewButton);
+  }
+
   // Drag and drop handling
   var dropZone = document.getElementById('dropZone');
   var fileInput = document.getElementById('fileInput');
@@ -1820,7 +3391,8 @@ document.addEventListener('DOMContentLoaded', function() {
       var fileEntries = await getFilesFromDataTransfer(e.dataTransfer);
       var filesToProcess = [];
       for (var i = 0; i < fileEntries.length; i++) {
-        if (isAllowedFile(fileEntries[i].path)) {
+        // An archive counts when it's dropped on its own, not when it's inside a dropped folder
+        if (isAllowedFile(fileEntries[i].path) || (fileEntries.length === 1 && isArchiveFile(fileEntries[i].path))) {
           filesToProcess.push({ file: fileEntries[i].file, path: fileEntries[i].path });
         }
       }
@@ -1889,74 +3461,121 @@ document.addEventListener('DOMContentLoaded', function() {
       const projectName = document.getElementById('projectName').value;
       const subdomain = document.getElementById('subdomain').value;
       const customHostname = document.getElementById('customHostname').value;
+      const editProject = window.EDIT_PROJECT;
+      const asPreview = !!(editProject && e.submitter && e.submitter.id === 'previewSubmit');
+      const submitLabel = asPreview ? 'Deploy Preview' : editProject ? 'Save & Redeploy' : 'Create & Deploy Website';
       
-      // Get script content or assets based on active tab
-      var scriptContent = null;
-      var assets = null;
+      // Get the script (script_content or modules) or files based on active tab
+      var script = null;
+      var uploads = null;
       
-      if (window.activeTab === 'upload' && window.uploadedFiles.length > 0) {
-        // Send assets array for static site deployment
-        assets = [];
-        for (var i = 0; i < window.uploadedFiles.length; i++) {
-          var file = window.uploadedFiles[i];
-          assets.push({
-            path: file.name,
-            content: file.content,  // Already base64 encoded
-            size: file.size
-          });
+      if (window.activeTab !== 'code' && window.uploadedFiles.length > 0) {
+        // Sent as multipart parts; an archive is checked by the server once it's unpacked
+        uploads = window.uploadedFiles;
+        var isArchive = uploads.length === 1 && uploads[0].archive;
+        
+        // Same limits as the server (src/file-rules.json)
+        var tooLarge = uploads.filter(function(f) { return f.size > ${FileRules.maxFileSize}; });
+        if (!isArchive && tooLarge.length > 0) {
+          alert('These files are over the ' + formatFileSize(${FileRules.maxFileSize}) + ' limit per file:\\n\\n' + tooLarge.map(function(f) { return f.name + ' (' + formatFileSize(f.size) + ')'; }).join('\\n'));
+          return;
+        }
+        var uploadSize = uploads.reduce(function(sum, f) { return sum + f.size; }, 0);
+        if (uploadSize > ${FileRules.maxUploadSize}) {
+          alert('The upload is ' + formatFileSize(uploadSize) + '; the limit is ' + formatFileSize(${FileRules.maxUploadSize}) + '.');
+          return;
         }
         
         // Validate: Check for index.html
-        var hasIndexHtml = assets.some(function(a) {
-          var p = a.path.toLowerCase();
+        var indexFile = uploads.find(function(f) {
+          var p = f.name.toLowerCase();
           return p === 'index.html' || p.endsWith('/index.html');
         });
         
-        if (!hasIndexHtml) {
-          var fileList = assets.slice(0, 15).map(function(a) { return a.path; }).join('\\n');
-          if (assets.length > 15) fileList += '\\n... and ' + (assets.length - 15) + ' more files';
+        // A hybrid site's code can answer "/" itself
+        if (!isArchive && !indexFile && window.activeTab === 'upload') {
+          var fileList = uploads.slice(0, 15).map(function(f) { return f.name; }).join('\\n');
+          if (uploads.length > 15) fileList += '\\n... and ' + (uploads.length - 15) + ' more files';
           
           alert('No index.html found in uploaded files.\\n\\nYour site needs an index.html file at the root level.\\n\\nFiles detected:\\n' + fileList + '\\n\\nTip: Make sure you\\'re uploading the build output folder (e.g., dist/ or build/), not the source folder.');
           return;
         }
         
-        // Validate: Check that we have actual content
-        var hasContent = assets.some(function(a) { return a.content && a.content.length > 0; });
-        if (!hasContent) {
-          alert('Files appear to be empty. Please try uploading again.');
-          return;
-        }
-        
         // Validate: Check index.html has content
-        var indexFile = assets.find(function(a) {
-          var p = a.path.toLowerCase();
-          return p === 'index.html' || p.endsWith('/index.html');
-        });
-        if (indexFile && (!indexFile.content || indexFile.content.length < 10)) {
+        if (indexFile && indexFile.size < 10) {
           alert('index.html appears to be empty. Please check your build output.');
           return;
         }
         
-      } else if (window.activeTab === 'upload') {
-        alert('Please upload files first');
-        return;
-      } else {
-        scriptContent = document.getElementById('scriptContent').value;
-        if (!scriptContent) {
+      } else if (window.activeTab !== 'code') {
+        if (!editProject) {
+          alert(window.activeTab === 'hybrid' ? 'Please upload the files for your Worker to serve' : 'Please upload files first');
+          return;
+        }
+      }
+      
+      var codeUnchanged = !!editProject && JSON.stringify(window.workerModules) === editProject.initialModules;
+      if (window.activeTab === 'hybrid') {
+        // The code is always deployed with the files; without new files it goes with the live ones
+        if (isScriptEmpty()) {
+          alert('Please enter the Worker code that serves your files');
+          return;
+        }
+        script = collectScript();
+        if (!uploads && editProject && editProject.kind === 'hybrid' && codeUnchanged) {
+          // Nothing changed - keep the current deployment
+          script = null;
+        }
+      } else if (window.activeTab === 'code') {
+        if (editProject && (isScriptEmpty() || codeUnchanged)) {
+          // Unchanged code - keep the current deployment
+          script = null;
+        } else if (isScriptEmpty()) {
           alert('Please enter website code or upload files');
           return;
+        } else {
+          script = collectScript();
         }
       }
       
+      if (asPreview && !script && !uploads) {
+        alert('Change the code or upload files to deploy a preview');
+        return;
+      }
+      
       const responseDiv = document.getElementById('projectResponse');
-      const submitButton = document.querySelector('button[type="submit"]');
+      const submitButton = asPreview ? e.submitter : document.querySelector('button[type="submit"]');
+      
+      // Redeploys only upload the files the live version doesn't have, once the changes are confirmed.
+      // An archive is unpacked by the server, so it's always sent in full.
+      var manifest = null;
+      if (editProject && uploads && !(uploads.length === 1 && uploads[0].archive)) {
+        submitButton.disabled = true;
+        responseDiv.innerHTML = '<div class="banner banner-info" style="margin-top: 20px;"><p>Comparing your files with the live version...</p></div>';
+        var plan = await planIncrementalDeploy(subdomain, uploads);
+        submitButton.disabled = false;
+        responseDiv.innerHTML = '';
+        if (plan) {
+          if (!await confirmDeployDiff(responseDiv, plan, submitLabel)) return;
+          manifest = plan.manifest;
+          uploads = plan.uploads;
+        }
+      } else if (window.activeTab === 'hybrid' && script && !uploads) {
+        // New code in front of the files that are live now
+        manifest = await fetchLiveManifest(subdomain);
+        if (!manifest) {
+          alert('Please upload the files for your Worker to serve');
+          return;
+        }
+        uploads = [];
+      }
       
       // Show loading state with progress
-      var fileCount = window.uploadedFiles ? window.uploadedFiles.length : 0;
+      var fileCount = uploads ? uploads.length : 0;
       var totalSize = 0;
-      if (window.uploadedFiles) {
-        for (var i = 0; i < window.uploadedFiles.length; i++) {
-          totalSize += window.uploadedFiles[i].size;
+      if (uploads) {
+        for (var i = 0; i < uploads.length; i++) {
+          totalSize += uploads[i].size;
         }
       }
       
@@ -1987,48 +3606,88 @@ document.addEventListener('DOMContentLoaded', function() {
         }
       }
       
-      // Simulate progress for large uploads
-      var progressInterval = null;
-      var simulatedProgress = 0;
-      if (fileCount > 0) {
-        progressInterval = setInterval(function() {
-          // Slow down as we approach 90%
-          var increment = simulatedProgress < 50 ? 5 : (simulatedProgress < 80 ? 2 : 0.5);
-          simulatedProgress = Math.min(90, simulatedProgress + increment);
-          updateStatus('Uploading ' + fileCount + ' files...', simulatedProgress);
-        }, 500);
+      // Follow the deploy's real stages while the request runs (see src/deploy-jobs.ts)
+      var deployJobId = window.crypto && window.crypto.randomUUID ? window.crypto.randomUUID() : null;
+      var deployEvents = null;
+      function stopDeployEvents() {
+        if (deployEvents) deployEvents.close();
+        deployEvents = null;
+      }
+      if (deployJobId && window.EventSource) {
+        deployEvents = new EventSource('/projects/' + subdomain + '/deploys/' + deployJobId + '/events');
+        deployEvents.addEventListener('progress', function(event) {
+          var progress = JSON.parse(event.data);
+          updateStatus(progress.message, progress.progress);
+        });
+        deployEvents.addEventListener('done', stopDeployEvents);
+        deployEvents.addEventListener('failed', stopDeployEvents);
       }
       
       try {
-        updateStatus('Deploying to edge...', 0);
+        updateStatus(fileCount > 0 ? 'Sending ' + fileCount + ' files...' : 'Deploying to edge...', 0);
         
-        var requestBody = {
+        var requestBody = asPreview ? {} : editProject ? {
+          name: projectName,
+          custom_hostname: customHostname || null,
+          validation_method: document.getElementById('validationMethod').value
+        } : {
           name: projectName,
           subdomain: subdomain,
-          custom_hostname: customHostname || undefined
+          custom_hostname: customHostname || undefined,
+          validation_method: document.getElementById('validationMethod').value
         };
         
-        if (assets) {
-          requestBody.assets = assets;
-          updateStatus('Uploading ' + assets.length + ' files...', 5);
-        } else {
-          requestBody.script_content = scriptContent;
+        if (script) {
+          Object.assign(requestBody, script);
         }
         
-        const response = await fetch('/projects', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(requestBody)
+        // Previews are deployed with the site's saved settings
+        if (window.activeTab !== 'code' && !asPreview) {
+          requestBody.not_found_handling = document.getElementById('notFoundHandling').value;
+          requestBody.html_handling = document.getElementById('htmlHandling').value;
+        }
+        if (window.activeTab !== 'upload' && !asPreview) {
+          // Empty fields clear the setting
+          requestBody.compatibility_date = document.getElementById('compatibilityDate').value;
+          requestBody.compatibility_flags = document.getElementById('compatibilityFlags').value;
+        }
+        
+        var csrfMeta = document.querySelector('meta[name="csrf-token"]');
+        var requestHeaders = { 'X-CSRF-Token': csrfMeta ? csrfMeta.content : '' };
+        var payload;
+        if (uploads) {
+          // Fields as text parts (an empty custom_hostname removes the domain, modules go as JSON), files as "files" or "archive"
+          payload = new FormData();
+          Object.keys(requestBody).forEach(function(key) {
+            var value = requestBody[key];
+            if (value !== undefined) payload.append(key, value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : value);
+          });
+          if (manifest) payload.append('manifest', JSON.stringify(manifest));
+          uploads.forEach(function(f) {
+            payload.append(f.archive ? 'archive' : 'files', f.file, f.name);
+          });
+        } else {
+          requestHeaders['Content-Type'] = 'application/json';
+          payload = JSON.stringify(requestBody);
+        }
+        if (deployJobId) requestHeaders['X-Deploy-Job'] = deployJobId;
+        const response = await fetch(asPreview ? '/projects/' + subdomain + '/previews' : editProject ? '/projects/' + subdomain : '/projects', {
+          method: editProject && !asPreview ? 'PUT' : 'POST',
+          headers: requestHeaders,
+          body: payload
         });
         
-        // Stop simulated progress
-        if (progressInterval) clearInterval(progressInterval);
+        // The response is the final word; a failed deploy's text names the stage that broke
+        stopDeployEvents();
         
         const result = await response.text();
         
-        if (response.ok) {
+        if (response.ok && asPreview) {
+          updateStatus('Complete!', 100);
+          showPreviewDeployed(responseDiv, subdomain, JSON.parse(result));
+          submitButton.textContent = submitLabel;
+          submitButton.disabled = false;
+        } else if (response.ok) {
           // Show 100% complete
           updateStatus('Complete!', 100);
           const customDomain = window.CUSTOM_DOMAIN;
@@ -2038,7 +3697,7 @@ document.addEventListener('DOMContentLoaded', function() {
             <div class="success-card">
               <h3>
                 <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="currentColor" viewBox="0 0 256 256"><path d="M173.66,98.34a8,8,0,0,1,0,11.32l-56,56a8,8,0,0,1-11.32,0l-24-24a8,8,0,0,1,11.32-11.32L112,148.69l50.34-50.35A8,8,0,0,1,173.66,98.34ZM232,128A104,104,0,1,1,128,24,104.11,104.11,0,0,1,232,128Zm-16,0a88,88,0,1,0-88,88A88.1,88.1,0,0,0,216,128Z"/></svg>
-                Website Created
+                \${editProject ? 'Website Updated' : 'Website Created'}
               </h3>
               
               <div class="success-card-section">
@@ -2065,6 +3724,16 @@ document.addEventListener('DOMContentLoaded', function() {
           
           responseDiv.innerHTML = successHTML;
           
+          // Lines after the first: a custom domain that could not be added, uploaded files that were left out
+          var uploadNotes = result.split('\\n').slice(1).join(' ');
+          if (uploadNotes) {
+            var notesSection = document.createElement('div');
+            notesSection.className = 'success-card-section';
+            notesSection.innerHTML = '<div class="success-card-label">Notes</div><p style="font-size: 13px;"></p>';
+            notesSection.querySelector('p').textContent = uploadNotes;
+            responseDiv.querySelector('.success-card').appendChild(notesSection);
+          }
+          
           if (customHostname) {
             checkDomainStatus(subdomain, customHostname, workerUrl);
           }
@@ -2077,37 +3746,159 @@ document.addEventListener('DOMContentLoaded', function() {
               <p>\${result}</p>
             </div>
           \`;
-          submitButton.textContent = 'Create & Deploy Website';
+          submitButton.textContent = submitLabel;
           submitButton.disabled = false;
         }
       } catch (error) {
-        if (progressInterval) clearInterval(progressInterval);
+        stopDeployEvents();
         responseDiv.innerHTML = \`
           <div class="banner banner-error" style="margin-top: 20px;">
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 256 256"><path d="M128,24A104,104,0,1,0,232,128,104.11,104.11,0,0,0,128,24Zm0,192a88,88,0,1,1,88-88A88.1,88.1,0,0,1,128,216Zm-8-80V80a8,8,0,0,1,16,0v56a8,8,0,0,1-16,0Zm20,36a12,12,0,1,1-12-12A12,12,0,0,1,140,172Z"/></svg>
             <p>Failed to create website: \${error.message}</p>
           </div>
         \`;
-        submitButton.textContent = 'Create & Deploy Website';
+        submitButton.textContent = submitLabel;
         submitButton.disabled = false;
       }
     });
   }
 });
 
-// Copy to clipboard function
-function copyToClipboard(text, btn) {
-  navigator.clipboard.writeText(text).then(() => {
-    const originalHTML = btn.innerHTML;
-    btn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 256 256" fill="currentColor"><path d="M229.66,77.66l-128,128a8,8,0,0,1-11.32,0l-56-56a8,8,0,0,1,11.32-11.32L96,188.69,218.34,66.34a8,8,0,0,1,11.32,11.32Z"/></svg>';
-    btn.classList.add('copied');
-    setTimeout(() => {
-      btn.innerHTML = originalHTML;
-      btn.classList.remove('copied');
-    }, 1500);
+// Same hash as the server (HashAssets in src/resource.ts): the first 16 bytes of the SHA-256, in hex
+async function hashFile(file) {
+  var digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await file.arrayBuffer()));
+  return Array.from(digest.slice(0, 16)).map(function(b) { return b.toString(16).padStart(2, '0'); }).join('');
+}
+
+// Files of the live version (path -> hash, size), null for Worker scripts or when it can't be loaded
+async function fetchLiveManifest(subdomain) {
+  try {
+    var response = await fetch('/projects/' + subdomain + '/manifest');
+    return response.ok ? (await response.json()).manifest : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Compare the selected files with the live version. Returns the manifest to send, the files whose
+// content the platform doesn't have yet and what changed; null when there's nothing to compare with.
+async function planIncrementalDeploy(subdomain, uploads) {
+  var live = await fetchLiveManifest(subdomain);
+  if (!live || !window.crypto || !window.crypto.subtle) return null;
+  
+  var liveHashes = {};
+  Object.keys(live).forEach(function(path) { liveHashes[live[path].hash] = true; });
+  var manifest = {};
+  var changedFiles = [];
+  var diff = { added: [], changed: [], removed: [], unchanged: 0 };
+  for (var i = 0; i < uploads.length; i++) {
+    var f = uploads[i];
+    var path = '/' + f.name;
+    var hash = await hashFile(f.file);
+    manifest[path] = { hash: hash, size: f.size };
+    if (!live[path]) diff.added.push(f.name);
+    else if (live[path].hash !== hash) diff.changed.push(f.name);
+    else diff.unchanged++;
+    // Renamed or copied files are matched by content
+    if (!liveHashes[hash]) changedFiles.push(f);
+  }
+  diff.removed = Object.keys(live).filter(function(path) { return !manifest[path]; }).map(function(path) { return path.substring(1); });
+  return { manifest: manifest, uploads: changedFiles, diff: diff };
+}
+
+// What the deploy changes compared with the live version; resolves to true once confirmed
+function confirmDeployDiff(responseDiv, plan, label) {
+  return new Promise(function(resolve) {
+    var diff = plan.diff;
+    responseDiv.innerHTML = '<div class="success-card">' +
+      '<h3>Review changes</h3>' +
+      '<div class="success-card-section"><p style="font-size: 13px;"></p></div>' +
+      '<div class="diff-lists"></div>' +
+      '<div style="display: flex; gap: 8px;"><button type="button" class="btn btn-primary"></button><button type="button" class="btn btn-secondary">Cancel</button></div>' +
+      '</div>';
+    
+    var uploadSize = plan.uploads.reduce(function(sum, f) { return sum + f.size; }, 0);
+    var summary = diff.added.length + ' added, ' + diff.changed.length + ' changed, ' + diff.removed.length + ' removed, ' + diff.unchanged + ' unchanged. ';
+    if (diff.added.length + diff.changed.length + diff.removed.length === 0) {
+      summary = 'Your files match the live version (' + diff.unchanged + ' files). ';
+    }
+    summary += plan.uploads.length > 0
+      ? plan.uploads.length + ' file' + (plan.uploads.length === 1 ? '' : 's') + ' (' + formatFileSize(uploadSize) + ') will be uploaded.'
+      : 'Nothing needs to be uploaded.';
+    responseDiv.querySelector('.success-card-section p').textContent = summary;
+    
+    var lists = responseDiv.querySelector('.diff-lists');
+    [['Added', diff.added], ['Changed', diff.changed], ['Removed', diff.removed]].forEach(function(group) {
+      if (group[1].length === 0) return;
+      var section = document.createElement('div');
+      section.className = 'success-card-section';
+      section.innerHTML = '<div class="success-card-label"></div><ul style="font-size: 13px; margin: 0; padding-left: 20px;"></ul>';
+      section.querySelector('.success-card-label').textContent = group[0] + ' (' + group[1].length + ')';
+      var list = section.querySelector('ul');
+      group[1].slice(0, 20).concat(group[1].length > 20 ? ['... and ' + (group[1].length - 20) + ' more'] : []).forEach(function(name) {
+        var item = document.createElement('li');
+        item.textContent = name;
+        list.appendChild(item);
+      });
+      lists.appendChild(section);
+    });
+    
+    var buttons = responseDiv.querySelectorAll('button');
+    buttons[0].textContent = label;
+    buttons[0].addEventListener('click', function() { resolve(true); });
+    buttons[1].addEventListener('click', function() {
+      responseDiv.innerHTML = '';
+      resolve(false);
+    });
   });
 }
 
+// Success card of a preview deploy: where it runs and where to promote it
+function showPreviewDeployed(responseDiv, subdomain, preview) {
+  responseDiv.innerHTML = '<div class="success-card">' +
+    '<h3>Preview Deployed</h3>' +
+    '<div class="success-card-section"><div class="success-card-label">Your preview is at</div><div class="url-row"><a target="_blank" rel="noopener noreferrer" class="link-btn"><span></span></a></div></div>' +
+    '<div class="success-card-section"><div class="success-card-label">The live site is unchanged</div><p style="font-size: 13px;"></p></div>' +
+    '</div>';
+  var link = responseDiv.querySelector('a.link-btn');
+  link.href = preview.url;
+  link.querySelector('span').textContent = preview.url.replace('https://', '');
+  var details = responseDiv.querySelector('.success-card-section p');
+  details.textContent = 'This preview expires on ' + new Date(preview.expires_on).toLocaleString() + '. ';
+  var previewsLink = document.createElement('a');
+  previewsLink.href = '/projects/' + subdomain + '/previews';
+  previewsLink.textContent = 'Promote it to production';
+  details.appendChild(previewsLink);
+  if (preview.skipped && preview.skipped.length > 0) {
+    var skippedNote = document.createElement('p');
+    skippedNote.style.fontSize = '13px';
+    skippedNote.textContent = 'Left out ' + preview.skipped.length + ' unsupported file' + (preview.skipped.length === 1 ? '' : 's') + ': ' + preview.skipped.slice(0, 5).join(', ');
+    responseDiv.querySelector('.success-card').appendChild(skippedNote);
+  }
+}
+
+${CopyToClipboardScript}
+
+// Records the domain still needs (see domainDnsRecords in src/domains.ts), with what each one is for
+const DNS_RECORD_PURPOSES = {
+  routing: 'Sends visitors of the domain to this site.',
+  ownership: 'Proves the domain is yours. You can remove it once the domain is active.',
+  certificate: 'Lets Cloudflare issue the SSL certificate, even before the domain points here.'
+};
+
+function dnsRecordsTable(records) {
+  if (records.length === 0) return '';
+  const escape = (text) => String(text).replace(/[&<>"']/g, (ch) => '&#' + ch.charCodeAt(0) + ';');
+  const copyButton = (value, title) => '<button type="button" class="btn-icon" data-copy="' + escape(value) + '" onclick="copyToClipboard(this.dataset.copy, this)" title="' + title + '">${CopyIcon}</button>';
+  const rows = records.map((record) => '<tr>'
+    + '<td>' + escape(record.type) + '</td>'
+    + '<td><div style="display: flex; align-items: center; gap: 8px;"><span style="word-break: break-all;">' + escape(record.name) + '</span>' + copyButton(record.name, 'Copy name') + '</div></td>'
+    + '<td><div style="display: flex; align-items: center; gap: 8px;"><span style="word-break: break-all;">' + escape(record.value) + '</span>' + copyButton(record.value, 'Copy value') + '</div></td>'
+    + '<td style="font-family: inherit; color: var(--kumo-muted-foreground);">' + (DNS_RECORD_PURPOSES[record.purpose] || '') + '</td>'
+    + '</tr>').join('');
+  return '<table class="dns-table"><thead><tr><th>Type</th><th>Name</th><th>Value</th><th>What it does</th></tr></thead><tbody>' + rows + '</tbody></table>';
+}
+
 // Domain status check function
 async function checkDomainStatus(subdomain, customHostname, workerUrl) {
   const bannerDiv = document.getElementById('domainStatusBanner');
@@ -2163,7 +3954,7 @@ async function checkDomainStatus(subdomain, customHostname, workerUrl) {
         const rawError = errors.join(' ');
         if (rawError.includes('A or AAAA records') || rawError.includes('ownership verification')) {
           errorMsg = 'Domain validation pending';
-          errorDetail = 'Make sure you\\'ve added the CNAME record above, then wait a few minutes for DNS to propagate.';
+          errorDetail = 'Make sure you\\'ve added the DNS records below, then wait a few minutes for DNS to propagate.';
         } else if (rawError.includes('API')) {
           errorMsg = 'Unable to check status';
           errorDetail = 'There was an issue connecting to the verification service. Please try again.';
@@ -2179,6 +3970,7 @@ async function checkDomainStatus(subdomain, customHostname, workerUrl) {
           <p>\${errorMsg}</p>
         </div>
         \${errorDetail ? \`<p style="font-size: 13px; color: var(--kumo-muted-foreground); margin-bottom: 12px;">\${errorDetail}</p>\` : ''}
+        \${dnsRecordsTable(data.dns_records || [])}
         <div style="display: flex; gap: 8px; align-items: center;">
           <button type="button" class="btn btn-secondary btn-sm" onclick="checkDomainStatus(window._domainParams.subdomain, window._domainParams.customHostname, window._domainParams.workerUrl)">
             <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 256 256"><path d="M240,56v48a8,8,0,0,1-8,8H184a8,8,0,0,1,0-16H211.4L184.81,71.64A81.59,81.59,0,0,0,46.37,90.32a8,8,0,1,1-14.54-6.64A97.49,97.49,0,0,1,128,32a98.33,98.33,0,0,1,69.07,28.94L224,84.07V56a8,8,0,0,1,16,0Zm-32.16,109.68a81.65,81.65,0,0,1-138.45,18.68L44.6,160H72a8,8,0,0,0,0-16H24a8,8,0,0,0-8,8v48a8,8,0,0,0,16,0V171.93l26.94,24.13A97.51,97.51,0,0,0,225.54,172.32a8,8,0,0,0-14.54-6.64Z"/></svg>
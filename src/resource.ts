@@ -2,8 +2,10 @@
 // Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
 
 import { Env } from './env';
+import { HtmlHandling, NotFoundHandling, ProgressReporter, WorkerModule, WorkerModuleType } from './types';
 
-const BaseURI = (env: Env) => `https://api.cloudflare.com/client/v4/accounts/${env.ACCOUNT_ID}/workers`;
+const AccountURI = (env: Env) => `https://api.cloudflare.com/client/v4/accounts/${env.ACCOUNT_ID}`;
+const BaseURI = (env: Env) => `${AccountURI(env)}/workers`;
 const ScriptsURI = (env: Env) => `${BaseURI(env)}/dispatch/namespaces/${env.DISPATCH_NAMESPACE_NAME}/scripts`;
 const MakeHeaders = (env: Env): Record<string, string> => {
   if (env.DISPATCH_NAMESPACE_API_TOKEN) {
@@ -34,16 +36,76 @@ export async function GetScriptsInDispatchNamespace(env: Env) {
   return data.result;
 }
 
-export async function PutScriptInDispatchNamespace(env: Env, scriptName: string, scriptContent: string): Promise<Response> {
-  const scriptFileName = `${scriptName}.mjs`;
+// Bindings attached to a tenant script (see the `bindings` field of the script upload metadata)
+export type WorkerBinding =
+  | { type: 'plain_text'; name: string; text: string }
+  | { type: 'secret_text'; name: string; text: string }
+  | { type: 'kv_namespace'; name: string; namespace_id: string }
+  | { type: 'd1'; name: string; id: string }
+  | { type: 'r2_bucket'; name: string; bucket_name: string };
+
+/*
+ * Tail consumers for tenant scripts: the platform worker itself, whose tail handler stores
+ * console output and exceptions per project (see logs.ts)
+ */
+function tailConsumers(env: Env): { service: string }[] | undefined {
+  return env.LOG_TAIL_WORKER ? [{ service: env.LOG_TAIL_WORKER }] : undefined;
+}
+
+// Runtime settings of the script upload metadata, see worker-modules.ts. Unset, Cloudflare uses its oldest date.
+export interface WorkerRuntime {
+  compatibility_date?: string;
+  compatibility_flags?: string[];
+}
+
+// A worker's code: a single ES module, or modules with the main module first
+export type WorkerCode = string | WorkerModule[];
+
+const ModuleContentTypes: Record<WorkerModuleType, string> = {
+  esm: 'application/javascript+module',
+  json: 'application/json',
+  text: 'text/plain',
+  wasm: 'application/wasm',
+};
+
+// A single script is uploaded as one module named after the script
+function toModules(scriptName: string, code: WorkerCode): WorkerModule[] {
+  return typeof code === 'string' ? [{ name: `${scriptName}.mjs`, type: 'esm', content: code }] : code;
+}
+
+function appendModules(formData: FormData, modules: WorkerModule[]): void {
+  for (const module of modules) {
+    const content = module.type === 'wasm' ? Uint8Array.from(atob(module.content), (c) => c.charCodeAt(0)) : module.content;
+    formData.append(module.name, new File([content], module.name, { type: ModuleContentTypes[module.type] }));
+  }
+}
+
+function runtimeMetadata(runtime: WorkerRuntime): WorkerRuntime {
+  return {
+    compatibility_date: runtime.compatibility_date,
+    compatibility_flags: runtime.compatibility_flags?.length ? runtime.compatibility_flags : undefined,
+  };
+}
+
+export async function PutScriptInDispatchNamespace(
+  env: Env,
+  scriptName: string,
+  code: WorkerCode,
+  bindings: WorkerBinding[] = [],
+  runtime: WorkerRuntime = {}
+): Promise<Response> {
+  const modules = toModules(scriptName, code);
 
   const formData = new FormData();
   const metadata = {
-    main_module: scriptFileName,
+    main_module: modules[0].name,
+    bindings,
+    ...runtimeMetadata(runtime),
+    tail_consumers: tailConsumers(env),
   };
   formData.append('metadata', new File([JSON.stringify(metadata)], 'metadata.json', { type: 'application/json' }));
 
-  formData.append('script', new File([scriptContent], scriptFileName, { type: 'application/javascript+module' }));
+  appendModules(formData, modules);
 
   return await fetch(`${ScriptsURI(env)}/${scriptName}`, {
     method: 'PUT',
@@ -74,28 +136,82 @@ async function hashContent(base64Content: string): Promise<string> {
   return hashArray.slice(0, 16).map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+export type AssetManifest = Record<string, { hash: string; size: number }>;
+
+// The `assets.config` of the script upload metadata
+export interface AssetConfig {
+  html_handling?: HtmlHandling;
+  not_found_handling?: NotFoundHandling;
+  run_worker_first?: boolean;
+}
+
+// The worker deployed in front of a static site, see site-routing.ts. Without code requests go straight to the assets.
+export interface AssetWorker {
+  code?: WorkerCode;
+  config: AssetConfig;
+  runtime?: WorkerRuntime; // Defaults to the date the pass-through worker was written for
+}
+
+const PassThroughWorker = `
+export default {
+  async fetch(request, env, ctx) {
+    // Pass through to ASSETS binding which handles routing automatically
+    return env.ASSETS.fetch(request);
+  }
+};
+`;
+
+// Build the upload manifest (path -> hash/size) and a hash -> content lookup for the files
+export async function HashAssets(assets: AssetFile[]): Promise<{ manifest: AssetManifest; contents: Map<string, string> }> {
+  const manifest: AssetManifest = {};
+  const contents: Map<string, string> = new Map();
+  
+  for (const asset of assets) {
+    const hash = await hashContent(asset.content);
+    // Ensure leading slash for path
+    const path = asset.path.startsWith('/') ? asset.path : '/' + asset.path;
+    manifest[path] = { hash, size: asset.size };
+    contents.set(hash, asset.content);
+  }
+  
+  return { manifest, contents };
+}
+
 // Upload static assets using Workers Assets API and deploy worker
 export async function PutScriptWithAssetsInDispatchNamespace(
   env: Env, 
   scriptName: string, 
-  assets: AssetFile[]
-): Promise<{ success: boolean; error?: string }> {
-  const scriptFileName = `${scriptName}.mjs`;
-  
+  assets: AssetFile[],
+  bindings: WorkerBinding[] = []
+): Promise<{ success: boolean; error?: string; manifest?: AssetManifest }> {
   try {
     // Step 1: Build manifest with 32-char hashes
-    const manifest: Record<string, { hash: string; size: number }> = {};
-    const hashToAsset: Map<string, AssetFile> = new Map();
-    
-    for (const asset of assets) {
-      const hash = await hashContent(asset.content);
-      // Ensure leading slash for path
-      const path = asset.path.startsWith('/') ? asset.path : '/' + asset.path;
-      manifest[path] = { hash, size: asset.size };
-      hashToAsset.set(hash, asset);
-    }
+    const { manifest, contents } = await HashAssets(assets);
     
+    const result = await PutAssetManifestInDispatchNamespace(env, scriptName, manifest, async (hash) => contents.get(hash) ?? null, bindings);
+    return result.success ? { success: true, manifest } : result;
+  } catch (error) {
+    console.error('Asset upload error:', error);
+    return { success: false, error: error instanceof Error ? error.message : 'Unknown error' };
+  }
+}
+
+/*
+ * Deploy a static site from a manifest. The assets session only asks for hashes it doesn't
+ * already have, so loadContent is called just for those (e.g. from stored blobs on rollback).
+ */
+export async function PutAssetManifestInDispatchNamespace(
+  env: Env,
+  scriptName: string,
+  manifest: AssetManifest,
+  loadContent: (hash: string) => Promise<string | null>,
+  bindings: WorkerBinding[] = [],
+  onProgress?: ProgressReporter,
+  worker: AssetWorker = { config: { html_handling: 'auto-trailing-slash' } }
+): Promise<{ success: boolean; error?: string }> {
+  try {
     // Step 2: Create upload session
+    await onProgress?.({ stage: 'upload_session', message: 'Creating upload session...' });
     const sessionUrl = `${BaseURI(env)}/dispatch/namespaces/${env.DISPATCH_NAMESPACE_NAME}/scripts/${scriptName}/assets-upload-session`;
     
     const sessionResponse = await fetch(sessionUrl, {
@@ -130,14 +246,22 @@ export async function PutScriptWithAssetsInDispatchNamespace(
       
       for (let i = 0; i < buckets.length; i++) {
         const bucket = buckets[i];
+        await onProgress?.({
+          stage: 'uploading',
+          message: `Uploading bucket ${i + 1} of ${buckets.length} (${bucket.length} files)...`,
+          bucket: i + 1,
+          buckets: buckets.length,
+        });
         
         const payload = new FormData();
         for (const hash of bucket) {
-          const asset = hashToAsset.get(hash);
-          if (asset) {
-            // Send base64 content directly as the field value
-            payload.append(hash, asset.content);
+          const content = await loadContent(hash);
+          if (content === null) {
+            const path = Object.keys(manifest).find((p) => manifest[p].hash === hash) || hash;
+            return { success: false, error: `Content for ${path} is no longer available` };
           }
+          // Send base64 content directly as the field value
+          payload.append(hash, content);
         }
         
         const uploadResponse = await fetch(uploadUrl, {
@@ -167,39 +291,36 @@ export async function PutScriptWithAssetsInDispatchNamespace(
     }
     
     // Step 4: Deploy worker with assets binding
+    await onProgress?.({
+      stage: 'deploying',
+      message: buckets && buckets.length > 0 ? 'Deploying site...' : 'All files are already uploaded. Deploying site...',
+    });
     
-    // Simple worker that uses ASSETS binding
-    const workerCode = `
-export default {
-  async fetch(request, env, ctx) {
-    // Pass through to ASSETS binding which handles routing automatically
-    return env.ASSETS.fetch(request);
-  }
-};
-`;
+    const modules = toModules(scriptName, worker.code || PassThroughWorker);
+    const runtime = worker.runtime?.compatibility_date ? worker.runtime : { ...worker.runtime, compatibility_date: '2025-01-24' };
     
     const formData = new FormData();
     
     // Metadata with completion token and assets config
     const metadata = {
-      main_module: scriptFileName,
+      main_module: modules[0].name,
       assets: {
         jwt: completionToken,
-        config: {
-          html_handling: 'auto-trailing-slash',
-        },
+        config: worker.config,
       },
       bindings: [
         {
           type: 'assets',
           name: 'ASSETS',
-        }
+        },
+        ...bindings,
       ],
-      compatibility_date: '2025-01-24',
+      ...runtimeMetadata(runtime),
+      tail_consumers: tailConsumers(env),
     };
     
     formData.append('metadata', new File([JSON.stringify(metadata)], 'metadata.json', { type: 'application/json' }));
-    formData.append(scriptFileName, new File([workerCode], scriptFileName, { type: 'application/javascript+module' }));
+    appendModules(formData, modules);
     
     const deployResponse = await fetch(`${ScriptsURI(env)}/${scriptName}`, {
       method: 'PUT',
@@ -224,6 +345,97 @@ export default {
   }
 }
 
+/*
+ * Storage resources (KV namespaces, D1 databases, R2 buckets) provisioned for tenant scripts
+ */
+export type StorageType = 'kv_namespace' | 'd1' | 'r2_bucket';
+
+type StorageResult = { success: true; id: string } | { success: false; error: string };
+
+async function storageRequest(env: Env, method: string, path: string, body?: object): Promise<{ ok: boolean; status?: number; result?: any; error?: string }> {
+  try {
+    const response = await fetch(`${AccountURI(env)}${path}`, {
+      method,
+      headers: {
+        ...MakeHeaders(env),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => null) as { success?: boolean; result?: any; errors?: Array<{ message: string }> } | null;
+    if (!response.ok || !data?.success) {
+      return { ok: false, status: response.status, error: data?.errors?.[0]?.message || `Cloudflare API returned ${response.status}` };
+    }
+    return { ok: true, result: data.result };
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : 'Unknown error' };
+  }
+}
+
+export async function CreateStorageResource(env: Env, type: StorageType, name: string): Promise<StorageResult> {
+  if (type === 'kv_namespace') {
+    const response = await storageRequest(env, 'POST', '/storage/kv/namespaces', { title: name });
+    return response.ok ? { success: true, id: response.result.id } : { success: false, error: response.error! };
+  }
+  if (type === 'd1') {
+    const response = await storageRequest(env, 'POST', '/d1/database', { name });
+    return response.ok ? { success: true, id: response.result.uuid } : { success: false, error: response.error! };
+  }
+  // R2 buckets are addressed by name
+  const response = await storageRequest(env, 'POST', '/r2/buckets', { name });
+  return response.ok ? { success: true, id: name } : { success: false, error: response.error! };
+}
+
+// Object deletes per attempt, 10 at a time; a larger bucket is emptied over several attempts
+const MAX_R2_OBJECT_DELETES = 500;
+const R2_DELETE_CONCURRENCY = 10;
+
+/*
+ * R2 refuses to delete a bucket that still holds objects. Objects are listed from the start each
+ * time, since the ones already deleted are no longer listed.
+ */
+async function emptyR2Bucket(env: Env, bucket: string): Promise<{ success: boolean; error?: string }> {
+  let deleted = 0;
+  while (deleted < MAX_R2_OBJECT_DELETES) {
+    const listed = await storageRequest(env, 'GET', `/r2/buckets/${bucket}/objects?per_page=${Math.min(100, MAX_R2_OBJECT_DELETES - deleted)}`);
+    if (!listed.ok) {
+      // 404 means the bucket is already gone
+      return listed.status === 404 ? { success: true } : { success: false, error: listed.error };
+    }
+    const keys = ((listed.result || []) as { key: string }[]).map((object) => object.key);
+    if (keys.length === 0) {
+      return { success: true };
+    }
+    for (let i = 0; i < keys.length; i += R2_DELETE_CONCURRENCY) {
+      const results = await Promise.all(keys.slice(i, i + R2_DELETE_CONCURRENCY).map((key) =>
+        storageRequest(env, 'DELETE', `/r2/buckets/${bucket}/objects/${key.split('/').map(encodeURIComponent).join('/')}`)));
+      const failed = results.find((result) => !result.ok && result.status !== 404);
+      if (failed) {
+        return { success: false, error: `Could not empty the bucket: ${failed.error}` };
+      }
+    }
+    deleted += keys.length;
+  }
+  return { success: false, error: `Deleted ${deleted} objects, but the bucket holds more. Delete it again to continue.` };
+}
+
+export async function DeleteStorageResource(env: Env, type: StorageType, id: string): Promise<{ success: boolean; error?: string }> {
+  if (type === 'r2_bucket') {
+    const emptied = await emptyR2Bucket(env, id);
+    if (!emptied.success) {
+      return emptied;
+    }
+  }
+  const path = type === 'kv_namespace'
+    ? `/storage/kv/namespaces/${id}`
+    : type === 'd1'
+      ? `/d1/database/${id}`
+      : `/r2/buckets/${id}`;
+  const response = await storageRequest(env, 'DELETE', path);
+  // 404 means it was already deleted
+  return response.ok || response.status === 404 ? { success: true } : { success: false, error: response.error };
+}
+
 export async function DeleteScriptInDispatchNamespace(env: Env, scriptName: string): Promise<Response> {
   return await fetch(`${ScriptsURI(env)}/${scriptName}`, {
     method: 'DELETE',
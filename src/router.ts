@@ -6,6 +6,19 @@ import { Context, MiddlewareHandler } from 'hono';
 import { D1QB } from 'workers-qb';
 
 import { Env } from './env';
+import { applyMigrations } from './migrations';
+import { User } from './types';
+
+/*
+ * Hono environment shared by the app and its middleware
+ */
+export type AppEnv = {
+  Bindings: Env;
+  Variables: {
+    db: D1QB;
+    user: User | null;
+  };
+};
 
 export const withDb: MiddlewareHandler<{
   Bindings: Env
@@ -15,9 +28,50 @@ export const withDb: MiddlewareHandler<{
   await next();
 };
 
+// Auto-initialization - one run per worker instance, shared by the requests that arrive meanwhile
+let initialization: Promise<void> | null = null;
+
+/**
+ * Apply pending schema migrations on the first request of each isolate,
+ * unless AUTO_MIGRATE is "false" (then an admin applies them at /admin/migrations)
+ */
+async function autoInitializeDatabase(env: Env, db: D1QB): Promise<void> {
+  if (env.AUTO_MIGRATE === 'false') {
+    return;
+  }
+
+  try {
+    const applied = await applyMigrations(db);
+    if (applied.length > 0) {
+      console.log(`Applied migrations: ${applied.map((migration) => migration.id).join(', ')}`);
+    }
+  } catch (error) {
+    // Don't throw - let the app continue, /admin/migrations shows what is still pending
+    console.error('Database migration failed:', error);
+  }
+}
+
+// Enhanced withDb middleware that includes auto-initialization
+export const withDbAndInit = async (c: any, next: any) => {
+  // First apply the original withDb middleware
+  await withDb(c, async () => {
+    // Auto-initialize database on first request
+    if (c.var.db) {
+      initialization ??= autoInitializeDatabase(c.env, c.var.db);
+      await initialization;
+    }
+    await next();
+  });
+};
+
+// The dispatcher throws this when the namespace has no script by that name
+export function isWorkerNotFoundError(e: unknown): boolean {
+  return e instanceof Error && e.message.startsWith('Worker not found');
+}
+
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 export function handleDispatchError(c: Context, e: any): Response {
-  if (e instanceof Error && e.message.startsWith('Worker not found')) {
+  if (isWorkerNotFoundError(e)) {
     return c.text('Script does not exist', 404);
   }
   return c.text('Could not connect to script', 500);
@@ -0,0 +1,307 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { ProjectError } from './errors';
+import type { AssetManifest, AssetWorker, WorkerCode } from './resource';
+import { HtmlHandling, NotFoundHandling, Project } from './types';
+
+/*
+ * How static sites answer requests. Two site settings go straight into the assets config
+ * (what a missing page returns, and trailing slashes); _headers and _redirects files in the
+ * upload (Netlify / Cloudflare Pages syntax) are compiled into the worker deployed in front of
+ * the assets. The two files themselves are never served.
+ */
+
+export interface SiteRouting {
+  not_found_handling: NotFoundHandling;
+  html_handling: HtmlHandling;
+}
+
+export const DEFAULT_ROUTING: SiteRouting = { not_found_handling: 'none', html_handling: 'auto-trailing-slash' };
+
+export const NotFoundHandlingLabels: Record<NotFoundHandling, string> = {
+  'none': 'Plain 404 response',
+  '404-page': 'Serve the nearest 404.html',
+  'single-page-application': 'Single-page app: serve index.html',
+};
+
+export const HtmlHandlingLabels: Record<HtmlHandling, string> = {
+  'auto-trailing-slash': 'Automatic (/about serves about.html, /blog/ serves blog/index.html)',
+  'force-trailing-slash': 'Always add a trailing slash',
+  'drop-trailing-slash': 'Always remove the trailing slash',
+  'none': 'Exact file paths only',
+};
+
+const HEADERS_FILE = '/_headers';
+const REDIRECTS_FILE = '/_redirects';
+
+// Same limits as Cloudflare Pages
+const MAX_HEADER_RULES = 100;
+const MAX_REDIRECT_RULES = 2000;
+
+const REDIRECT_STATUSES = [200, 301, 302, 303, 307, 308];
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+export interface HeaderRule {
+  path: string;
+  pattern: string; // RegExp source, placeholders become named groups
+  set: Record<string, string>;
+  unset: string[];
+}
+
+export interface RedirectRule {
+  from: string;
+  pattern: string;
+  to: string;
+  status: number; // 200 serves the destination in place (a rewrite)
+}
+
+export interface SiteRules {
+  headers: HeaderRule[];
+  redirects: RedirectRule[];
+}
+
+export function getSiteRouting(project: Pick<Project, 'not_found_handling' | 'html_handling'>): SiteRouting {
+  return {
+    not_found_handling: project.not_found_handling || DEFAULT_ROUTING.not_found_handling,
+    html_handling: project.html_handling || DEFAULT_ROUTING.html_handling,
+  };
+}
+
+/*
+ * Settings sent with a create or update; fields that weren't sent are left out
+ */
+export function parseSiteRouting(input: { not_found_handling?: unknown; html_handling?: unknown }): Partial<SiteRouting> {
+  const routing: Partial<SiteRouting> = {};
+  if (input.not_found_handling !== undefined && input.not_found_handling !== null) {
+    const value = String(input.not_found_handling);
+    if (!(value in NotFoundHandlingLabels)) {
+      throw new ProjectError(400, `not_found_handling must be one of: ${Object.keys(NotFoundHandlingLabels).join(', ')}`);
+    }
+    routing.not_found_handling = value as NotFoundHandling;
+  }
+  if (input.html_handling !== undefined && input.html_handling !== null) {
+    const value = String(input.html_handling);
+    if (!(value in HtmlHandlingLabels)) {
+      throw new ProjectError(400, `html_handling must be one of: ${Object.keys(HtmlHandlingLabels).join(', ')}`);
+    }
+    routing.html_handling = value as HtmlHandling;
+  }
+  return routing;
+}
+
+/*
+ * "/blog/:slug/*" -> ^/blog/(?<slug>[^/]+)/(?<splat>.*)$
+ * A path without a trailing slash or splat also matches with one.
+ */
+function compilePattern(path: string, where: string): string {
+  if (!path.startsWith('/')) {
+    throw new ProjectError(400, `${where}: "${path}" must be a path starting with /`);
+  }
+  let splats = 0;
+  const source = path.split(/(\*|:[A-Za-z]\w*)/).map((part) => {
+    if (part === '*') {
+      if (splats++ > 0) {
+        throw new ProjectError(400, `${where}: "${path}" can only contain one *`);
+      }
+      return '(?<splat>.*)';
+    }
+    if (/^:[A-Za-z]\w*$/.test(part)) {
+      return `(?<${part.substring(1)}>[^/]+)`;
+    }
+    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  const pattern = `^${source}${/[/*]$/.test(path) ? '' : '/?'}$`;
+  try {
+    new RegExp(pattern);
+  } catch {
+    throw new ProjectError(400, `${where}: "${path}" uses the same placeholder twice`);
+  }
+  return pattern;
+}
+
+function ruleLines(text: string): { line: string; number: number }[] {
+  return text.split(/\r?\n/)
+    .map((line, index) => ({ line: line.replace(/\s+$/, ''), number: index + 1 }))
+    .filter(({ line }) => line.trim() !== '' && !line.trim().startsWith('#'));
+}
+
+/*
+ * A path on its own line, followed by indented "Name: value" lines.
+ * "! Name" removes a header the asset would otherwise be served with.
+ */
+export function parseHeadersFile(text: string): HeaderRule[] {
+  const rules: HeaderRule[] = [];
+  for (const { line, number } of ruleLines(text)) {
+    const where = `_headers line ${number}`;
+    if (!/^\s/.test(line)) {
+      if (rules.length >= MAX_HEADER_RULES) {
+        throw new ProjectError(400, `_headers can have at most ${MAX_HEADER_RULES} rules`);
+      }
+      rules.push({ path: line, pattern: compilePattern(line, where), set: {}, unset: [] });
+      continue;
+    }
+
+    const rule = rules[rules.length - 1];
+    if (!rule) {
+      throw new ProjectError(400, `${where}: headers must follow the path they apply to`);
+    }
+    const entry = line.trim();
+    if (entry.startsWith('!')) {
+      const name = entry.substring(1).trim();
+      if (!HEADER_NAME.test(name)) {
+        throw new ProjectError(400, `${where}: "${name}" is not a valid header name`);
+      }
+      rule.unset.push(name);
+      continue;
+    }
+    const colon = entry.indexOf(':');
+    const name = colon > 0 ? entry.substring(0, colon).trim() : '';
+    if (!HEADER_NAME.test(name)) {
+      throw new ProjectError(400, `${where}: expected "Name: value"`);
+    }
+    const value = entry.substring(colon + 1).trim();
+    rule.set[name] = rule.set[name] ? `${rule.set[name]}, ${value}` : value;
+  }
+  return rules;
+}
+
+/*
+ * "<from> <to> [status]" per line, the first matching line wins. The status defaults to 302;
+ * Netlify's forced "301!" is accepted as 301 since rules always apply before the assets.
+ */
+export function parseRedirectsFile(text: string): RedirectRule[] {
+  const rules: RedirectRule[] = [];
+  for (const { line, number } of ruleLines(text)) {
+    const where = `_redirects line ${number}`;
+    const [from, to, code, ...rest] = line.trim().split(/\s+/);
+    if (!to || rest.length > 0) {
+      throw new ProjectError(400, `${where}: expected "<from> <to> [status]"`);
+    }
+    const status = code ? parseInt(code.replace(/!$/, ''), 10) : 302;
+    if (!REDIRECT_STATUSES.includes(status)) {
+      throw new ProjectError(400, `${where}: status must be one of ${REDIRECT_STATUSES.join(', ')}`);
+    }
+    if (!to.startsWith('/') && !/^https?:\/\//.test(to)) {
+      throw new ProjectError(400, `${where}: "${to}" must be a path or an http(s) URL`);
+    }
+    if (status === 200 && !to.startsWith('/')) {
+      throw new ProjectError(400, `${where}: rewrites (200) can only point to a path on the site`);
+    }
+    if (rules.length >= MAX_REDIRECT_RULES) {
+      throw new ProjectError(400, `_redirects can have at most ${MAX_REDIRECT_RULES} rules`);
+    }
+    rules.push({ from, pattern: compilePattern(from, where), to, status });
+  }
+  return rules;
+}
+
+function decodeText(base64: string): string {
+  return new TextDecoder().decode(Uint8Array.from(atob(base64), (c) => c.charCodeAt(0)));
+}
+
+/*
+ * The worker in front of the assets. Redirects run before the assets are looked up, headers are
+ * set on whatever the assets return (including 404 pages and SPA fallbacks).
+ */
+function rulesWorkerCode(rules: SiteRules): string {
+  return `
+const REDIRECTS = ${JSON.stringify(rules.redirects.map(({ pattern, to, status }) => ({ pattern, to, status })))};
+const HEADERS = ${JSON.stringify(rules.headers.map(({ pattern, set, unset }) => ({ pattern, set, unset })))};
+
+const redirects = REDIRECTS.map((rule) => ({ ...rule, regex: new RegExp(rule.pattern) }));
+const headers = HEADERS.map((rule) => ({ ...rule, regex: new RegExp(rule.pattern) }));
+
+// Fill :splat and :placeholder from the matched path
+function fill(template, groups) {
+  return template.replace(/:([A-Za-z]\\w*)/g, (match, name) => (groups && groups[name] !== undefined ? groups[name] : match));
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+
+    let response = null;
+    for (const rule of redirects) {
+      const match = url.pathname.match(rule.regex);
+      if (!match) continue;
+      const target = new URL(fill(rule.to, match.groups), url);
+      if (!target.search) target.search = url.search;
+      if (rule.status !== 200) {
+        return Response.redirect(target.toString(), rule.status);
+      }
+      response = await env.ASSETS.fetch(new Request(target, request));
+      break;
+    }
+    if (!response) {
+      response = await env.ASSETS.fetch(request);
+    }
+
+    const set = new Map();
+    const unset = [];
+    for (const rule of headers) {
+      const match = url.pathname.match(rule.regex);
+      if (!match) continue;
+      for (const [name, value] of Object.entries(rule.set)) {
+        const key = name.toLowerCase();
+        const filled = fill(value, match.groups);
+        set.set(key, set.has(key) ? set.get(key) + ', ' + filled : filled);
+      }
+      unset.push(...rule.unset);
+    }
+    if (set.size === 0 && unset.length === 0) {
+      return response;
+    }
+
+    response = new Response(response.body, response);
+    for (const [name, value] of set) response.headers.set(name, value);
+    for (const name of unset) response.headers.delete(name);
+    return response;
+  }
+};
+`;
+}
+
+/*
+ * Turn a site's manifest and routing settings into what gets deployed: the manifest without the
+ * rule files, and the worker and assets config to deploy it with. Invalid rule files are a 400.
+ * Hybrid sites deploy the user's `script` (a single module or a bundle) instead, which runs first on
+ * every request and reaches the files through env.ASSETS.
+ */
+export async function buildAssetWorker(
+  manifest: AssetManifest,
+  loadContent: (hash: string) => Promise<string | null>,
+  routing: SiteRouting,
+  script: WorkerCode | null = null
+): Promise<{ manifest: AssetManifest; worker: AssetWorker }> {
+  const { [HEADERS_FILE]: headersFile, [REDIRECTS_FILE]: redirectsFile, ...served } = manifest;
+
+  if (script) {
+    if (headersFile || redirectsFile) {
+      throw new ProjectError(400, '_headers and _redirects files only apply to static sites. Set headers and redirects in your Worker code instead.');
+    }
+    return { manifest: served, worker: { code: script, config: { ...routing, run_worker_first: true } } };
+  }
+
+  const readFile = async (name: string, entry: { hash: string }) => {
+    const content = await loadContent(entry.hash);
+    if (content === null) {
+      throw new ProjectError(500, `Content for ${name} is no longer available`);
+    }
+    return decodeText(content);
+  };
+  const rules: SiteRules = {
+    headers: headersFile ? parseHeadersFile(await readFile(HEADERS_FILE, headersFile)) : [],
+    redirects: redirectsFile ? parseRedirectsFile(await readFile(REDIRECTS_FILE, redirectsFile)) : [],
+  };
+  const hasRules = rules.headers.length > 0 || rules.redirects.length > 0;
+
+  return {
+    manifest: served,
+    worker: {
+      code: hasRules ? rulesWorkerCode(rules) : undefined,
+      // Without this the assets answer matching paths themselves and the rules never run
+      config: { ...routing, run_worker_first: hasRules },
+    },
+  };
+}
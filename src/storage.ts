@@ -0,0 +1,156 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { generateToken } from './auth';
+import {
+  CreateProjectResource,
+  DeleteProjectResource,
+  GetProjectResource,
+  GetProjectResources,
+  GetProjectVariable,
+} from './db';
+import type { Env } from './env';
+import { ProjectError } from './errors';
+import { CreateStorageResource, DeleteStorageResource, StorageType, WorkerBinding } from './resource';
+import { Project, ProjectResource } from './types';
+import { BindingNamePattern, ReservedBindingNames } from './variables';
+
+export const StorageLabels: Record<StorageType, string> = {
+  kv_namespace: 'KV namespace',
+  d1: 'D1 database',
+  r2_bucket: 'R2 bucket',
+};
+
+const MAX_RESOURCES_PER_PROJECT = 5;
+
+/*
+ * In local mode (wrangler dev) nothing is created through the account API. The binding just gets
+ * a made-up id, and Miniflare creates local storage for that id on first use.
+ */
+function isLocalProvisioner(env: Env): boolean {
+  return env.STORAGE_PROVISIONER === 'local';
+}
+
+// Valid as a KV title, D1 name and R2 bucket name: lowercase letters, digits and hyphens, at most 63 characters
+function resourceName(env: Env, project: Project, binding: string): string {
+  const base = `${env.DISPATCH_NAMESPACE_NAME}-${project.subdomain}-${binding}`
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, '-')
+    .replace(/-+/g, '-');
+  const suffix = generateToken(3);
+  return `${base.substring(0, 63 - suffix.length - 1).replace(/-+$/, '')}-${suffix}`;
+}
+
+export function storageBinding(resource: ProjectResource): WorkerBinding {
+  if (resource.type === 'kv_namespace') {
+    return { type: 'kv_namespace', name: resource.binding, namespace_id: resource.resource_id };
+  }
+  if (resource.type === 'd1') {
+    return { type: 'd1', name: resource.binding, id: resource.resource_id };
+  }
+  return { type: 'r2_bucket', name: resource.binding, bucket_name: resource.resource_id };
+}
+
+export async function getStorageBindings(db: D1QB, projectId: string): Promise<WorkerBinding[]> {
+  return (await GetProjectResources(db, projectId)).map(storageBinding);
+}
+
+export interface StorageInput {
+  type: string;
+  binding: string;
+}
+
+/*
+ * Provision a KV namespace, D1 database or R2 bucket and record it as a binding of the project.
+ * The caller redeploys the project so the binding shows up on `env`.
+ */
+export async function attachStorage(env: Env, db: D1QB, project: Project, input: StorageInput): Promise<ProjectResource> {
+  const type = input.type as StorageType;
+  if (!(type in StorageLabels)) {
+    throw new ProjectError(400, 'Storage type must be one of: kv_namespace, d1, r2_bucket');
+  }
+
+  const binding = (input.binding || '').trim();
+  if (!BindingNamePattern.test(binding)) {
+    throw new ProjectError(400, 'Binding names must start with a letter or underscore and contain only letters, numbers and underscores (max 64 characters)');
+  }
+  if (ReservedBindingNames.includes(binding)) {
+    throw new ProjectError(400, `${binding} is reserved by the platform`);
+  }
+  if (await GetProjectResource(db, project.id, binding) || await GetProjectVariable(db, project.id, binding)) {
+    throw new ProjectError(409, `${binding} is already used by another binding of this site`);
+  }
+  if ((await GetProjectResources(db, project.id)).length >= MAX_RESOURCES_PER_PROJECT) {
+    throw new ProjectError(409, `Sites can have at most ${MAX_RESOURCES_PER_PROJECT} storage bindings`);
+  }
+
+  // Static sites run the platform's pass-through worker, which would never use the binding
+  if (project.deployment_type === 'assets') {
+    throw new ProjectError(409, 'Storage can only be attached to sites that run your own Worker code');
+  }
+
+  const name = resourceName(env, project, binding);
+  let resourceId: string;
+  if (isLocalProvisioner(env)) {
+    resourceId = type === 'kv_namespace' ? generateToken(16) : type === 'd1' ? crypto.randomUUID() : name;
+  } else {
+    const created = await CreateStorageResource(env, type, name);
+    if (!created.success) {
+      throw new ProjectError(502, `Could not create ${StorageLabels[type]}: ${created.error}`);
+    }
+    resourceId = created.id;
+  }
+
+  const resource: ProjectResource = {
+    id: `resource-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+    project_id: project.id,
+    type,
+    binding,
+    resource_id: resourceId,
+    resource_name: name,
+    created_on: new Date().toISOString(),
+  };
+  await CreateProjectResource(db, resource);
+  return resource;
+}
+
+/*
+ * Delete the storage behind a binding, then the binding itself. Data in it is gone for good.
+ */
+export async function detachStorage(env: Env, db: D1QB, project: Project, binding: string): Promise<void> {
+  const resource = await GetProjectResource(db, project.id, binding);
+  if (!resource) {
+    throw new ProjectError(404, `Storage binding ${binding} not found`);
+  }
+  await deleteResource(env, db, resource);
+}
+
+async function deleteResource(env: Env, db: D1QB, resource: ProjectResource): Promise<void> {
+  if (!isLocalProvisioner(env)) {
+    const deleted = await DeleteStorageResource(env, resource.type, resource.resource_id);
+    if (!deleted.success) {
+      // Large R2 buckets take several attempts to empty, see DeleteStorageResource
+      throw new ProjectError(502, `Could not delete ${StorageLabels[resource.type]} ${resource.resource_name}: ${deleted.error}`);
+    }
+  }
+  await DeleteProjectResource(db, resource.project_id, resource.binding);
+}
+
+/*
+ * Used when a project is deleted. Resources that could not be deleted stay recorded so the delete can be retried.
+ */
+export async function deleteAllStorage(env: Env, db: D1QB, projectId: string): Promise<{ deleted: number; errors: string[] }> {
+  let deleted = 0;
+  const errors: string[] = [];
+  for (const resource of await GetProjectResources(db, projectId)) {
+    try {
+      await deleteResource(env, db, resource);
+      deleted++;
+    } catch (error) {
+      errors.push(error instanceof Error ? error.message : 'Unknown error');
+    }
+  }
+  return { deleted, errors };
+}
@@ -4,12 +4,225 @@
 export type ResourceValues = string | number | boolean | null;
 export type ResourceRecord = Record<string, ResourceValues>;
 
+export type ProjectPlan = 'free' | 'pro' | 'custom';
+
+// Static site settings, passed to the assets config (see site-routing.ts)
+export type NotFoundHandling = 'none' | '404-page' | 'single-page-application';
+export type HtmlHandling = 'auto-trailing-slash' | 'force-trailing-slash' | 'drop-trailing-slash' | 'none';
+
+// A module of a multi-module Worker script, see worker-modules.ts
+export type WorkerModuleType = 'esm' | 'json' | 'text' | 'wasm';
+
+export interface WorkerModule {
+  name: string; // What the other modules import it as, e.g. "lib/router.js"
+  type: WorkerModuleType;
+  content: string; // Source text; base64 for wasm
+}
+
 export interface Project {
   id: string;
   name: string;
   subdomain: string;
-  custom_hostname?: string | null; // Optional custom domain like "mystore.com"
-  script_content: string;
+  custom_hostname?: string | null; // Primary custom domain like "mystore.com"; all domains are in project_domains
+  script_content: string; // A placeholder for large scripts and sites with files; the code is kept in deployments
+  deployment_type?: Deployment['type'] | null; // What the live version is, set on every deploy
+  owner_id?: string | null; // User who created the project
+  plan?: ProjectPlan | null; // Sets the CPU/memory limits on dispatch, see plans.ts
+  cpu_ms_limit?: number | null; // Only used by the custom plan
+  memory_limit?: number | null; // MB, only used by the custom plan
+  rate_limit_per_minute?: number | null; // Overrides the platform default, see ratelimit.ts
+  rate_limit_per_ip?: number | null;
+  not_found_handling?: NotFoundHandling | null; // What a missing page returns, default 'none'
+  html_handling?: HtmlHandling | null; // Trailing slash behavior, default 'auto-trailing-slash'
+  compatibility_date?: string | null; // Workers runtime version the script runs with, e.g. '2025-01-24'
+  compatibility_flags?: string | null; // Comma-separated, e.g. 'nodejs_compat'
+  created_on: string;
+  modified_on: string;
+}
+
+export interface User {
+  id: string;
+  email: string;
+  password_hash: string; // pbkdf2$<iterations>$<salt>$<hash>
+  is_admin?: number; // 1 for platform admins, only ever set out of band
+  created_on: string;
+}
+
+export interface Session {
+  id: string; // SHA-256 of the cookie token, never the token itself
+  user_id: string;
+  expires_on: string;
+  created_on: string;
+}
+
+export interface ApiToken {
+  id: string;
+  user_id: string;
+  name: string;
+  token_hash: string; // SHA-256 of the token, the token itself is only shown once
+  token_prefix: string; // First characters of the token so users can tell tokens apart
+  last_used_on: string | null;
+  created_on: string;
+}
+
+export interface ProjectVariable {
+  id: string;
+  project_id: string;
+  name: string; // Binding name exposed on `env` in the tenant worker
+  type: 'plain_text' | 'secret_text';
+  value: string; // Plain value, or AES-GCM ciphertext (v1:<iv>:<data>) for secrets
+  created_on: string;
+  modified_on: string;
+}
+
+export interface ProjectResource {
+  id: string;
+  project_id: string;
+  type: 'kv_namespace' | 'd1' | 'r2_bucket';
+  binding: string; // Binding name exposed on `env` in the tenant worker
+  resource_id: string; // KV namespace id, D1 database uuid or R2 bucket name
+  resource_name: string;
+  created_on: string;
+}
+
+export interface EgressPolicy {
+  project_id: string;
+  allow_hosts: string; // Newline-separated; when non-empty only these hosts may be fetched
+  deny_hosts: string; // Newline-separated; always blocked
+  modified_by: string;
+  modified_on: string;
+}
+
+export interface EgressUsage {
+  project_id: string;
+  hour: string; // ISO hour the counters belong to, e.g. 2024-04-03T10
+  requests: number;
+  blocked: number;
+  bytes_out: number; // Request bodies sent by the tenant worker
+  bytes_in: number; // Response bodies received
+}
+
+export interface TrafficHour {
+  project_id: string;
+  hour: string; // ISO hour, e.g. 2024-04-03T10
+  requests: number;
+  status_2xx: number;
+  status_3xx: number;
+  status_4xx: number;
+  status_5xx: number;
+  bytes: number; // Response bytes sent to visitors
+  latency_ms: number; // Sum over all requests, divide by `requests` for the average
+}
+
+export type TrafficDimension = 'path' | 'referrer' | 'country';
+
+export interface TrafficCount {
+  value: string;
+  requests: number;
+}
+
+export interface ProjectLog {
+  id: number; // Increasing, used as the SSE event id
+  project_id: string;
+  request_id: string; // Groups the entries of one invocation
+  level: string; // 'request', 'exception' or a console level (log, info, warn, error, debug)
+  message: string;
+  timestamp: string;
+}
+
+export interface ThrottleStat {
+  project_id: string;
+  hour: string; // ISO hour; GetThrottleStats returns sums over a range with hour = ''
+  project_minutes: number; // Minutes in which the project-wide limit was hit
+  ip_minutes: number; // Client IP-minutes that hit the per-IP limit
+  last_ip: string;
+  last_on: string;
+}
+
+export interface ProjectDomain {
+  hostname: string;
+  project_id: string;
+  is_primary: number; // 1 for the domain every other one redirects to
+  created_on: string;
+}
+
+// Stages of a deploy, in order; reported to the builder while POST/PUT /projects runs
+export type DeployStage = 'validating' | 'hashing' | 'upload_session' | 'uploading' | 'deploying' | 'saving' | 'hostname' | 'done';
+
+export interface DeployProgress {
+  stage: DeployStage;
+  message: string;
+  bucket?: number; // uploading: 1-based number of the bucket being uploaded
+  buckets?: number;
+}
+
+export type ProgressReporter = (event: DeployProgress) => Promise<void>;
+
+export interface DeployJob {
+  id: string; // Chosen by the client so it can follow the job before the request returns
+  subdomain: string;
+  user_id: string;
+  status: 'running' | 'succeeded' | 'failed';
+  stage: DeployStage; // Last stage reached; on failure, the one that broke
+  events: string; // JSON array of DeployProgress with progress (0-100) and timestamp
+  error: string | null;
+  uploaded_buckets: number;
+  total_buckets: number;
   created_on: string;
   modified_on: string;
 }
+
+export interface HostnameStatus {
+  hostname: string;
+  project_id: string;
+  status: string; // Custom hostname status from Cloudflare: pending, active, moved, ...
+  ssl_status: string | null;
+  ssl_method: string | null;
+  verification_errors: string; // JSON array of strings
+  validation_records: string; // JSON array of the SSL validation records to publish
+  checked_on: string | null; // Last poll, null until the first one
+  changed_on: string; // Last time status or ssl_status changed
+}
+
+export interface Deployment {
+  id: string;
+  project_id: string;
+  version: number; // 1, 2, 3... per project
+  type: 'script' | 'assets' | 'hybrid'; // hybrid: the user's Worker script in front of static assets
+  script_content: string | null; // Full script source for script and hybrid deploys (the main module of a bundle)
+  modules?: string | null; // JSON WorkerModule[] of multi-module scripts, main module first
+  asset_manifest: string | null; // JSON path -> { hash, size } for static site deploys
+  deployed_by: string; // Email of the user who deployed
+  status: 'success' | 'failed';
+  error: string | null;
+  rollback_of: number | null; // Version this deploy restored, if it was a rollback
+  promoted_from?: string | null; // Preview this deploy promoted to production
+  created_on: string;
+}
+
+// A deploy to its own dispatch script (<subdomain>--preview-<id>), see previews.ts
+export interface Preview {
+  id: string; // Short random id, part of the script name and the preview URL
+  project_id: string;
+  script_name: string;
+  type: Deployment['type'];
+  script_content: string | null; // Same as in deployments, so a preview can be promoted without uploading again
+  modules?: string | null;
+  asset_manifest: string | null;
+  created_by: string; // Email of the user who deployed it
+  created_on: string;
+  expires_on: string; // The scheduled handler deletes the script after this
+}
+
+// A versioned schema change, see src/migrations
+export interface Migration {
+  id: string; // e.g. 0003_add_notes; migrations run in the order of src/migrations/index.ts
+  description: string;
+  statements: string[]; // Run one by one; CREATE TABLE IF NOT EXISTS and ADD COLUMN are skipped when already done
+}
+
+export interface SchemaMigration {
+  id: string;
+  description: string;
+  applied_on: string;
+}
@@ -0,0 +1,399 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { unpackArchive } from './archive';
+import { ProjectError } from './errors';
+import FileRules from './file-rules.json';
+import type { AssetFile, AssetManifest } from './resource';
+
+/*
+ * Bodies of the deploy routes (create, update, deploy, preview). JSON bodies carry the files
+ * base64-encoded in `assets`. multipart/form-data bodies carry the other fields as text parts and
+ * the files as raw `files` parts named by their path, or as one `archive` (.zip or .tar.gz) that is
+ * unpacked here. Either way the files reach deployContent as the same AssetFile list.
+ *
+ * Incremental deploys add a `manifest` of every file in the new version (path -> hash, size) and
+ * only upload the files the live version doesn't have, see deployContent.
+ */
+
+// Shared with the builder and the CLI via src/file-rules.json. A deploy holds the whole upload in
+// memory several times over (the parsed form, base64 copies, hashing and the assets upload), so
+// maxUploadSize is what fits in a Worker's 128 MB with room to spare.
+export const MAX_FILE_SIZE = FileRules.maxFileSize;
+export const MAX_UPLOAD_SIZE = FileRules.maxUploadSize;
+export const MAX_FILES = FileRules.maxFiles;
+
+// JSON bodies carry the files base64-encoded (4 bytes per 3), next to the Worker code and a manifest
+export const MAX_JSON_BODY_SIZE = Math.ceil(MAX_UPLOAD_SIZE / 3) * 4 + 4 * FileRules.maxWorkerSize;
+
+// Problems listed in an error message; the API returns all of them in `details`
+const LISTED_PROBLEMS = 5;
+
+// Same format as HashAssets: the first 16 bytes of the SHA-256 of the file, in hex
+const ASSET_HASH = /^[0-9a-f]{32}$/;
+
+export interface FileProblem {
+  path: string;
+  error: string;
+}
+
+export interface DeployRequest {
+  body: Record<string, any>;
+  skipped: string[]; // Files of an unsupported type that were left out
+}
+
+function formatSize(bytes: number): string {
+  return bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+}
+
+/*
+ * "dist\\css/./site.css" -> "dist/css/site.css". Null for paths that leave the site (.., absolute).
+ */
+function normalizePath(raw: string): string | null {
+  const segments = raw.replace(/\\/g, '/').split('/').filter((segment) => segment !== '' && segment !== '.');
+  if (segments.length === 0 || segments.includes('..')) {
+    return null;
+  }
+  return segments.join('/');
+}
+
+// Never part of a site: hidden files, macOS archive metadata and dependencies
+function isIgnored(path: string): boolean {
+  return path.split('/').some((segment) => segment.startsWith('.') || segment === '__MACOSX' || segment === 'node_modules');
+}
+
+function isAllowedType(path: string, ruleFilesAnywhere = false): boolean {
+  const name = path.split('/').pop()!;
+  if (FileRules.ruleFiles.includes(ruleFilesAnywhere ? name : path)) {
+    return true;
+  }
+  return FileRules.allowedExtensions.includes(name.split('.').pop()!.toLowerCase());
+}
+
+// Archives of a build folder usually wrap everything in it ("dist/index.html")
+function stripCommonFolder(paths: string[]): (path: string) => string {
+  const roots = new Set(paths.map((path) => path.split('/')[0]));
+  if (roots.size !== 1 || paths.some((path) => !path.includes('/'))) {
+    return (path) => path;
+  }
+  const prefix = `${[...roots][0]}/`;
+  return (path) => (path.startsWith(prefix) ? path.substring(prefix.length) : path);
+}
+
+function toBase64(data: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < data.length; i += 0x8000) {
+    binary += String.fromCharCode(...data.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function refuse(problems: FileProblem[]): never {
+  const listed = problems.slice(0, LISTED_PROBLEMS).map((problem) => `${problem.path} (${problem.error})`).join('; ');
+  const more = problems.length > LISTED_PROBLEMS ? `; and ${problems.length - LISTED_PROBLEMS} more` : '';
+  throw new ProjectError(400, `${problems.length} file${problems.length === 1 ? '' : 's'} can't be deployed: ${listed}${more}`, problems);
+}
+
+/*
+ * Check every uploaded file against the limits and turn the accepted ones into assets.
+ * Refuses the whole upload with each file's problem rather than deploying part of a site.
+ */
+function collectAssets(files: { path: string; size: number; data?: Uint8Array; content?: string; error?: string }[]): { assets: AssetFile[]; skipped: string[] } {
+  const assets: AssetFile[] = [];
+  const skipped: string[] = [];
+  const problems: FileProblem[] = [];
+  const seen = new Set<string>();
+  let total = 0;
+
+  for (const file of files) {
+    const path = normalizePath(file.path);
+    if (path === null) {
+      problems.push({ path: file.path, error: 'the path points outside the site' });
+      continue;
+    }
+    if (isIgnored(path)) continue;
+    if (!isAllowedType(path)) {
+      skipped.push(path);
+      continue;
+    }
+    if (seen.has(path)) {
+      problems.push({ path, error: 'included more than once' });
+      continue;
+    }
+    seen.add(path);
+    if (file.size > MAX_FILE_SIZE) {
+      problems.push({ path, error: `${formatSize(file.size)}, over the ${formatSize(MAX_FILE_SIZE)} limit per file` });
+      continue;
+    }
+    if (file.error || !file.data) {
+      problems.push({ path, error: file.error || 'could not be read' });
+      continue;
+    }
+    total += file.data.length;
+    assets.push({ path, content: file.content ?? toBase64(file.data), size: file.data.length });
+  }
+
+  if (problems.length > 0) {
+    refuse(problems);
+  }
+  if (assets.length > MAX_FILES) {
+    throw new ProjectError(400, `The site has ${assets.length} files; the limit is ${MAX_FILES}`);
+  }
+  if (total > MAX_UPLOAD_SIZE) {
+    throw new ProjectError(400, `The site is ${formatSize(total)}; the limit is ${formatSize(MAX_UPLOAD_SIZE)}`);
+  }
+  return { assets, skipped };
+}
+
+/*
+ * The base64 `assets` of a JSON body get the same checks as uploaded files. Sizes are those of
+ * the decoded content, whatever the client sent as `size`.
+ */
+function readJsonAssets(value: unknown): { assets: AssetFile[]; skipped: string[] } {
+  if (!Array.isArray(value)) {
+    throw new ProjectError(400, 'assets must be an array of { path, content }');
+  }
+  const problems: FileProblem[] = [];
+  const files: { path: string; size: number; data?: Uint8Array; content?: string; error?: string }[] = [];
+  value.forEach((file, index) => {
+    if (!file || typeof file.path !== 'string' || typeof file.content !== 'string') {
+      problems.push({ path: typeof file?.path === 'string' ? file.path : `assets[${index}]`, error: 'expected { path, content: base64 }' });
+      return;
+    }
+    let binary: string;
+    try {
+      binary = atob(file.content);
+    } catch {
+      files.push({ path: file.path, size: 0, error: 'content is not valid base64' });
+      return;
+    }
+    const data = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      data[i] = binary.charCodeAt(i);
+    }
+    files.push({ path: file.path, size: data.length, data, content: file.content });
+  });
+  if (problems.length > 0) {
+    refuse(problems);
+  }
+  return collectAssets(files);
+}
+
+/*
+ * Read a JSON body up to MAX_JSON_BODY_SIZE, whether or not it has a Content-Length.
+ * Null if it isn't JSON.
+ */
+async function readJsonBody(request: Request): Promise<unknown> {
+  const tooLarge = () => new ProjectError(400, `The request body is over the ${formatSize(MAX_JSON_BODY_SIZE)} limit. Send large sites as multipart uploads or an archive.`);
+  const length = parseInt(request.headers.get('Content-Length') || '', 10);
+  if (length > MAX_JSON_BODY_SIZE) {
+    throw tooLarge();
+  }
+  if (!request.body) {
+    return null;
+  }
+
+  const reader = request.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.length;
+    if (received > MAX_JSON_BODY_SIZE) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+}
+
+async function readArchive(archive: File): Promise<{ assets: AssetFile[]; skipped: string[] }> {
+  // Rule files are matched by name here, since the common folder is only stripped afterwards
+  let included = 0;
+  const entries = await unpackArchive(new Uint8Array(await archive.arrayBuffer()), (path, size) => {
+    const normalized = normalizePath(path);
+    if (!normalized || isIgnored(normalized) || !isAllowedType(normalized, true) || size > MAX_FILE_SIZE) {
+      return false;
+    }
+    included += size;
+    return included <= MAX_UPLOAD_SIZE;
+  }, MAX_UPLOAD_SIZE);
+
+  const visible = entries.map((entry) => normalizePath(entry.path)).filter((path): path is string => !!path && !isIgnored(path));
+  const strip = stripCommonFolder(visible);
+  if (included > MAX_UPLOAD_SIZE) {
+    throw new ProjectError(400, `${archive.name} unpacks to ${formatSize(included)} of site files; the limit is ${formatSize(MAX_UPLOAD_SIZE)}`);
+  }
+  return collectAssets(entries.map((entry) => ({ ...entry, path: strip(normalizePath(entry.path) ?? entry.path) })));
+}
+
+/*
+ * Check the manifest of an incremental deploy with the same rules as uploaded files. Multipart
+ * bodies send it as JSON text. Keys are returned with a leading slash, like HashAssets.
+ */
+function readManifest(value: unknown): { manifest: AssetManifest; skipped: string[] } {
+  let entries: unknown = value;
+  if (typeof value === 'string') {
+    try {
+      entries = JSON.parse(value);
+    } catch {
+      throw new ProjectError(400, 'manifest must be a JSON object of path -> { hash, size }');
+    }
+  }
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new ProjectError(400, 'manifest must be an object of path -> { hash, size }');
+  }
+
+  const manifest: AssetManifest = {};
+  const skipped: string[] = [];
+  const problems: FileProblem[] = [];
+  let total = 0;
+  for (const [raw, entry] of Object.entries(entries as Record<string, any>)) {
+    const path = normalizePath(raw);
+    if (path === null) {
+      problems.push({ path: raw, error: 'the path points outside the site' });
+      continue;
+    }
+    if (isIgnored(path)) continue;
+    if (!isAllowedType(path)) {
+      skipped.push(path);
+      continue;
+    }
+    if (manifest[`/${path}`]) {
+      problems.push({ path, error: 'included more than once' });
+      continue;
+    }
+    if (!entry || typeof entry.hash !== 'string' || !ASSET_HASH.test(entry.hash) || !Number.isInteger(entry.size) || entry.size < 0) {
+      problems.push({ path, error: 'expected { hash: 32 hex characters, size: bytes }' });
+      continue;
+    }
+    if (entry.size > MAX_FILE_SIZE) {
+      problems.push({ path, error: `${formatSize(entry.size)}, over the ${formatSize(MAX_FILE_SIZE)} limit per file` });
+      continue;
+    }
+    total += entry.size;
+    manifest[`/${path}`] = { hash: entry.hash, size: entry.size };
+  }
+
+  if (problems.length > 0) {
+    refuse(problems);
+  }
+  const count = Object.keys(manifest).length;
+  if (count > MAX_FILES) {
+    throw new ProjectError(400, `The site has ${count} files; the limit is ${MAX_FILES}`);
+  }
+  if (total > MAX_UPLOAD_SIZE) {
+    throw new ProjectError(400, `The site is ${formatSize(total)}; the limit is ${formatSize(MAX_UPLOAD_SIZE)}`);
+  }
+  return { manifest, skipped };
+}
+
+function withManifest(request: DeployRequest): DeployRequest {
+  const { body, skipped } = request;
+  if (body.manifest === undefined || body.manifest === null || body.manifest === '') {
+    delete body.manifest;
+    return request;
+  }
+  const { manifest, skipped: notDeployed } = readManifest(body.manifest);
+  // Files uploaded with a manifest are also listed in it
+  return { body: { ...body, manifest }, skipped: [...new Set([...skipped, ...notDeployed])] };
+}
+
+/*
+ * Read a deploy body. For multipart uploads, `body.assets` holds the unpacked files; for
+ * incremental deploys, `body.manifest` holds the checked manifest.
+ */
+export async function readDeployRequest(request: Request): Promise<DeployRequest> {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (!contentType.startsWith('multipart/form-data')) {
+    const parsed = await readJsonBody(request);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new ProjectError(400, 'Request body must be a JSON object');
+    }
+    const body = parsed as Record<string, any>;
+    if (body.assets === undefined || body.assets === null) {
+      return withManifest({ body, skipped: [] });
+    }
+    const { assets, skipped } = readJsonAssets(body.assets);
+    return withManifest({ body: { ...body, assets }, skipped });
+  }
+
+  // The form is read in full, so its size has to be known before reading it
+  const length = parseInt(request.headers.get('Content-Length') || '', 10);
+  if (!Number.isFinite(length)) {
+    throw new ProjectError(400, 'Multipart uploads need a Content-Length header');
+  }
+  if (length > MAX_UPLOAD_SIZE) {
+    throw new ProjectError(400, `The upload is ${formatSize(length)}; the limit is ${formatSize(MAX_UPLOAD_SIZE)}`);
+  }
+  let form: FormData;
+  try {
+    form = await request.formData();
+  } catch {
+    throw new ProjectError(400, 'Could not read the multipart body');
+  }
+
+  const body: Record<string, any> = {};
+  const files: File[] = [];
+  const archives: File[] = [];
+  for (const [key, value] of form) {
+    if (typeof value === 'string') {
+      body[key] = value;
+    } else if (key === 'files') {
+      files.push(value);
+    } else if (key === 'archive') {
+      archives.push(value);
+    } else {
+      throw new ProjectError(400, `Unexpected file field "${key}". Send files as "files" parts or one "archive".`);
+    }
+  }
+  if (body.assets !== undefined) {
+    throw new ProjectError(400, 'Send files as "files" parts or one "archive", not as an "assets" field');
+  }
+  if (archives.length > 1 || (archives.length > 0 && files.length > 0)) {
+    throw new ProjectError(400, 'Send either files or a single archive, not both');
+  }
+
+  if (archives.length === 1) {
+    if (body.manifest) {
+      throw new ProjectError(400, 'An archive is always deployed in full; send a manifest with "files" parts instead');
+    }
+    const { assets, skipped } = await readArchive(archives[0]);
+    if (assets.length === 0) {
+      throw new ProjectError(400, `${archives[0].name} contains no supported files`);
+    }
+    return { body: { ...body, assets }, skipped };
+  }
+  if (files.length > 0) {
+    const uploads = await Promise.all(files.map(async (file) => ({
+      path: file.name,
+      size: file.size,
+      // Oversized files are refused by collectAssets without reading them
+      data: file.size <= MAX_FILE_SIZE ? new Uint8Array(await file.arrayBuffer()) : undefined,
+    })));
+    const { assets, skipped } = collectAssets(uploads);
+    return withManifest({ body: { ...body, assets }, skipped });
+  }
+  return withManifest({ body, skipped: [] });
+}
+
+/*
+ * Appended to the routes' success messages
+ */
+export function describeSkipped(skipped: string[]): string {
+  if (skipped.length === 0) return '';
+  const listed = skipped.slice(0, LISTED_PROBLEMS).join(', ');
+  return `Skipped ${skipped.length} unsupported file${skipped.length === 1 ? '' : 's'}: ${listed}${skipped.length > LISTED_PROBLEMS ? ', ...' : ''}`;
+}
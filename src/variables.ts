@@ -0,0 +1,142 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { D1QB } from 'workers-qb';
+
+import { fromBase64, toBase64 } from './auth';
+import {
+  CreateProjectVariable,
+  DeleteProjectVariable,
+  GetProjectResource,
+  GetProjectVariable,
+  GetProjectVariables,
+  UpdateProjectVariable,
+} from './db';
+import type { Env } from './env';
+import { ProjectError } from './errors';
+import { WorkerBinding } from './resource';
+import { Project, ProjectVariable } from './types';
+
+// Must be usable as a JavaScript identifier on `env`
+export const BindingNamePattern = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Binding names the platform attaches itself
+export const ReservedBindingNames = ['ASSETS'];
+
+// Workers caps secret values at 5 KiB
+const MAX_VALUE_LENGTH = 5 * 1024;
+
+/*
+ * Secrets are encrypted with AES-GCM. The key is derived from the SECRETS_ENCRYPTION_KEY secret,
+ * so the ciphertext in D1 is useless without the worker's own secret.
+ */
+async function getEncryptionKey(env: Env): Promise<CryptoKey> {
+  if (!env.SECRETS_ENCRYPTION_KEY) {
+    throw new ProjectError(500, 'Secrets are not configured on this platform. Set the SECRETS_ENCRYPTION_KEY secret.');
+  }
+  const keyBytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(env.SECRETS_ENCRYPTION_KEY));
+  return crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+async function encryptSecret(env: Env, plaintext: string): Promise<string> {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getEncryptionKey(env), new TextEncoder().encode(plaintext));
+  return `v1:${toBase64(iv)}:${toBase64(new Uint8Array(ciphertext))}`;
+}
+
+async function decryptSecret(env: Env, stored: string): Promise<string> {
+  const [version, iv, data] = stored.split(':');
+  if (version !== 'v1' || !iv || !data) {
+    throw new ProjectError(500, 'Stored secret has an unknown format');
+  }
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, await getEncryptionKey(env), fromBase64(data));
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    if (error instanceof ProjectError) throw error;
+    throw new ProjectError(500, 'A stored secret could not be decrypted. Was SECRETS_ENCRYPTION_KEY changed?');
+  }
+}
+
+/*
+ * What users and the API get to see - secret values are never returned
+ */
+export function publicVariable(variable: ProjectVariable) {
+  return {
+    name: variable.name,
+    type: variable.type,
+    value: variable.type === 'secret_text' ? null : variable.value,
+    modified_on: variable.modified_on,
+  };
+}
+
+/*
+ * plain_text / secret_text bindings for the project's next deploy
+ */
+export async function getProjectBindings(env: Env, db: D1QB, projectId: string): Promise<WorkerBinding[]> {
+  const variables = await GetProjectVariables(db, projectId);
+  const bindings: WorkerBinding[] = [];
+  for (const variable of variables) {
+    bindings.push(variable.type === 'secret_text'
+      ? { type: 'secret_text', name: variable.name, text: await decryptSecret(env, variable.value) }
+      : { type: 'plain_text', name: variable.name, text: variable.value });
+  }
+  return bindings;
+}
+
+export interface VariableInput {
+  name: string;
+  value: string;
+  secret?: boolean;
+}
+
+/*
+ * Create or replace a variable. The caller redeploys the project so the change takes effect.
+ */
+export async function setProjectVariable(env: Env, db: D1QB, project: Project, input: VariableInput): Promise<ProjectVariable> {
+  const name = (input.name || '').trim();
+  if (!BindingNamePattern.test(name)) {
+    throw new ProjectError(400, 'Variable names must start with a letter or underscore and contain only letters, numbers and underscores (max 64 characters)');
+  }
+  if (ReservedBindingNames.includes(name)) {
+    throw new ProjectError(400, `${name} is reserved by the platform`);
+  }
+  if (await GetProjectResource(db, project.id, name)) {
+    throw new ProjectError(409, `${name} is already used by a storage binding`);
+  }
+  if (typeof input.value !== 'string') {
+    throw new ProjectError(400, 'Variable value must be a string');
+  }
+  if (input.value.length > MAX_VALUE_LENGTH) {
+    throw new ProjectError(400, `Variable values are limited to ${MAX_VALUE_LENGTH / 1024} KB`);
+  }
+
+  const type: ProjectVariable['type'] = input.secret ? 'secret_text' : 'plain_text';
+  const value = input.secret ? await encryptSecret(env, input.value) : input.value;
+  const now = new Date().toISOString();
+
+  const existing = await GetProjectVariable(db, project.id, name);
+  if (existing) {
+    await UpdateProjectVariable(db, existing.id, { type, value, modified_on: now });
+    return { ...existing, type, value, modified_on: now };
+  }
+
+  const variable: ProjectVariable = {
+    id: `variable-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+    project_id: project.id,
+    name,
+    type,
+    value,
+    created_on: now,
+    modified_on: now,
+  };
+  await CreateProjectVariable(db, variable);
+  return variable;
+}
+
+export async function deleteProjectVariable(db: D1QB, project: Project, name: string): Promise<void> {
+  if (!(await GetProjectVariable(db, project.id, name))) {
+    throw new ProjectError(404, `Variable ${name} not found`);
+  }
+  await DeleteProjectVariable(db, project.id, name);
+}
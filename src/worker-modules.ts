@@ -0,0 +1,170 @@
+// Copyright (c) 2022 Cloudflare, Inc.
+// Licensed under the APACHE LICENSE, VERSION 2.0 license found in the LICENSE file or at http://www.apache.org/licenses/LICENSE-2.0
+
+import { ProjectError } from './errors';
+import FileRules from './file-rules.json';
+import type { WorkerRuntime } from './resource';
+import { Project, WorkerModule, WorkerModuleType } from './types';
+
+/*
+ * Worker scripts made of several modules: ES modules plus the JSON, text and WASM modules they
+ * import. Deploys send them as `modules` ([{ name, type, content }], WASM base64-encoded) instead
+ * of a single `script_content`; `main_module` names the entry point, by default the first module.
+ * The compatibility date and flags the script runs with are site settings, applied to every deploy.
+ */
+
+// Shared with the builder and the CLI via src/file-rules.json
+export const MAX_WORKER_MODULES = FileRules.maxWorkerModules;
+export const MAX_WORKER_SIZE = FileRules.maxWorkerSize;
+
+const MODULE_TYPES: Record<string, WorkerModuleType> = FileRules.workerModuleTypes as Record<string, WorkerModuleType>;
+
+export const WorkerModuleTypeLabels: Record<WorkerModuleType, string> = {
+  esm: 'ES module',
+  json: 'JSON',
+  text: 'Text',
+  wasm: 'WebAssembly',
+};
+
+const MODULE_NAME = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+const COMPATIBILITY_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const COMPATIBILITY_FLAG = /^[a-z0-9_]{1,64}$/;
+const MAX_COMPATIBILITY_FLAGS = 20;
+
+// Site settings sent with a create or update, in the form they are stored in
+export interface CompatibilitySettings {
+  compatibility_date: string | null;
+  compatibility_flags: string | null; // Comma-separated
+}
+
+// "lib/data.json" -> json; null when the extension isn't a module type
+export function moduleTypeOf(name: string): WorkerModuleType | null {
+  return MODULE_TYPES[name.split('.').pop()!.toLowerCase()] || null;
+}
+
+function decodedSize(module: WorkerModule): number {
+  if (module.type !== 'wasm') {
+    return new TextEncoder().encode(module.content).length;
+  }
+  try {
+    return atob(module.content).length;
+  } catch {
+    throw new ProjectError(400, `Module ${module.name}: WebAssembly content must be base64-encoded`);
+  }
+}
+
+function readModule(entry: unknown, index: number): WorkerModule {
+  const { name, type, content } = (entry && typeof entry === 'object' ? entry : {}) as Record<string, unknown>;
+  if (typeof name !== 'string' || typeof content !== 'string') {
+    throw new ProjectError(400, `Module ${index + 1}: expected { name, content, type? }`);
+  }
+  if (name.length > 256 || !MODULE_NAME.test(name) || name.split('/').some((segment) => segment === '.' || segment === '..')) {
+    throw new ProjectError(400, `Module "${name}": names are relative paths like "lib/router.js" (letters, numbers, . _ - and /)`);
+  }
+  const moduleType = type === undefined || type === null || type === '' ? moduleTypeOf(name) : String(type);
+  if (!moduleType || !(moduleType in WorkerModuleTypeLabels)) {
+    throw new ProjectError(400, `Module ${name}: type must be one of ${Object.keys(WorkerModuleTypeLabels).join(', ')}`);
+  }
+  if (moduleType === 'json') {
+    try {
+      JSON.parse(content);
+    } catch {
+      throw new ProjectError(400, `Module ${name} is not valid JSON`);
+    }
+  }
+  return { name, type: moduleType as WorkerModuleType, content };
+}
+
+/*
+ * The modules of a deploy, main module first. `modules` is the parsed array or, from multipart
+ * bodies, its JSON. Null when none were sent; invalid bundles are a 400.
+ */
+export function readWorkerModules(input: { modules?: unknown; main_module?: unknown }): WorkerModule[] | null {
+  let raw = input.modules;
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      throw new ProjectError(400, 'modules must be a JSON array of { name, type, content }');
+    }
+  }
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new ProjectError(400, 'modules must be a non-empty array of { name, type, content }');
+  }
+  if (raw.length > MAX_WORKER_MODULES) {
+    throw new ProjectError(400, `The script has ${raw.length} modules; the limit is ${MAX_WORKER_MODULES}`);
+  }
+
+  const modules = raw.map(readModule);
+  const names = new Set<string>();
+  let size = 0;
+  for (const module of modules) {
+    if (names.has(module.name)) {
+      throw new ProjectError(400, `Module ${module.name} is included more than once`);
+    }
+    names.add(module.name);
+    size += decodedSize(module);
+  }
+  if (size > MAX_WORKER_SIZE) {
+    throw new ProjectError(400, `The script is ${Math.ceil(size / 1024)} KB; the limit is ${MAX_WORKER_SIZE / 1024} KB`);
+  }
+
+  const mainName = input.main_module ? String(input.main_module) : modules[0].name;
+  const main = modules.find((module) => module.name === mainName);
+  if (!main) {
+    throw new ProjectError(400, `main_module ${mainName} is not one of the modules`);
+  }
+  if (main.type !== 'esm') {
+    throw new ProjectError(400, `main_module ${mainName} must be an ES module`);
+  }
+  return [main, ...modules.filter((module) => module !== main)];
+}
+
+// Stored bundle (deployments.modules) -> modules
+export function parseStoredModules(modules: string | null | undefined): WorkerModule[] | null {
+  return modules ? JSON.parse(modules) as WorkerModule[] : null;
+}
+
+export function getWorkerRuntime(project: Pick<Project, 'compatibility_date' | 'compatibility_flags'>): WorkerRuntime {
+  return {
+    compatibility_date: project.compatibility_date || undefined,
+    compatibility_flags: project.compatibility_flags ? project.compatibility_flags.split(',') : [],
+  };
+}
+
+/*
+ * Settings sent with a create or update; fields that weren't sent are left out, empty ones clear
+ * the setting. Flags are an array or a comma-separated string. Cloudflare refuses dates in the future.
+ */
+export function parseCompatibility(input: { compatibility_date?: unknown; compatibility_flags?: unknown }): Partial<CompatibilitySettings> {
+  const settings: Partial<CompatibilitySettings> = {};
+  if (input.compatibility_date !== undefined && input.compatibility_date !== null) {
+    const value = String(input.compatibility_date).trim();
+    if (value) {
+      const date = new Date(`${value}T00:00:00Z`);
+      if (!COMPATIBILITY_DATE.test(value) || isNaN(date.getTime()) || date.toISOString().substring(0, 10) !== value) {
+        throw new ProjectError(400, 'compatibility_date must be a date like 2025-01-24');
+      }
+      if (value > new Date().toISOString().substring(0, 10)) {
+        throw new ProjectError(400, 'compatibility_date cannot be in the future');
+      }
+    }
+    settings.compatibility_date = value || null;
+  }
+  if (input.compatibility_flags !== undefined && input.compatibility_flags !== null) {
+    const values = Array.isArray(input.compatibility_flags) ? input.compatibility_flags.map(String) : String(input.compatibility_flags).split(/[\s,]+/);
+    const flags = [...new Set(values.map((flag) => flag.trim()).filter(Boolean))];
+    const invalid = flags.find((flag) => !COMPATIBILITY_FLAG.test(flag));
+    if (invalid) {
+      throw new ProjectError(400, `"${invalid}" is not a compatibility flag. Flags look like nodejs_compat.`);
+    }
+    if (flags.length > MAX_COMPATIBILITY_FLAGS) {
+      throw new ProjectError(400, `A site can have at most ${MAX_COMPATIBILITY_FLAGS} compatibility flags`);
+    }
+    settings.compatibility_flags = flags.join(',') || null;
+  }
+  return settings;
+}